@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import Cli from '../src/cli/Cli.js';
+
+process.exitCode = await Cli.run(process.argv.slice(2));
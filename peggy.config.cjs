@@ -1,11 +1,16 @@
 module.exports = {
+  // memoise rule results, so nested dice expressions (e.g. `((1d4)d6)d8`) aren't re-parsed
+  cache: true,
   format: 'es',
   dependencies: {
-    '{ evaluate }': '../../utilities/math.js',
+    '* as Ast': '../ast.js',
+    '{ evaluate }': '../../utilities/expression.js',
     '* as Dice': '../../dice/index.js',
     '* as Modifiers': '../../modifiers/index.js',
+    'ModifierRegistry': '../../modifiers/ModifierRegistry.js',
     'ComparePoint': '../../ComparePoint.js',
     'RollGroup': '../../RollGroup.js',
+    'RollRepetition': '../../RollRepetition.js',
     'Description': '../../Description.js',
   },
 };
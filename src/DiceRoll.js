@@ -1,14 +1,58 @@
-import { StandardDice } from './dice/index.js';
-import { DataFormatError, NotationError, RequiredArgumentError } from './exceptions/index.js';
+import { DynamicDice, StandardDice } from './dice/index.js';
+import {
+  DataFormatError, DieActionValueError, LimitError, NotationError, RequiredArgumentError,
+} from './exceptions/index.js';
 import { toFixed } from './utilities/math.js';
-import { engines, generator } from './utilities/NumberGenerator.js';
+import { engines, generator, NumberGenerator } from './utilities/NumberGenerator.js';
+import LimitedNumberGenerator from './utilities/LimitedNumberGenerator.js';
+import { describeSymbols } from './utilities/symbols.js';
 import { isBase64, isJson } from './utilities/utils.js';
+import Limits from './Limits.js';
+import RollHooks from './RollHooks.js';
+import CompiledNotation from './parser/CompiledNotation.js';
 import Parser from './parser/Parser.js';
 import RollGroup from './RollGroup.js';
+import RollRepetition from './RollRepetition.js';
 import RollResults from './results/RollResults.js';
 import ResultGroup from './results/ResultGroup.js';
 import exportFormats from './utilities/ExportFormats.js';
 
+/**
+ * The name of the engine that produced the rolls
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const engineSymbol = Symbol('engine');
+
+/**
+ * The number generator
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const generatorSymbol = Symbol('generator');
+
+/**
+ * The limits
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const limitsSymbol = Symbol('limits');
+
+/**
+ * The roll hooks
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const hooksSymbol = Symbol('hooks');
+
 /**
  * The notation
  *
@@ -72,6 +116,15 @@ const rollsSymbol = Symbol('rolls');
  */
 const setRollsSymbol = Symbol('set-rolls');
 
+/**
+ * The seed for the number generator
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const seedSymbol = Symbol('seed');
+
 /**
  * The roll total
  *
@@ -81,6 +134,15 @@ const setRollsSymbol = Symbol('set-rolls');
  */
 const totalSymbol = Symbol('total');
 
+/**
+ * The variables referenced in the notation
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const variablesSymbol = Symbol('variables');
+
 /**
  * Calculate the total of all the results, fixed to a max of 2 digits after the decimal point.
  *
@@ -92,6 +154,161 @@ const totalSymbol = Symbol('total');
  */
 const calculateTotal = (results) => toFixed(results.calculationValue, 2);
 
+/**
+ * Return the steps taken to roll the results, including those of any nested results.
+ *
+ * Imported results don't have any steps, so the rolls are listed instead.
+ *
+ * @private
+ *
+ * @param {ResultGroup|RollResults|string|number} results
+ *
+ * @returns {string[]}
+ */
+const explainResults = (results) => {
+  if (results instanceof ResultGroup) {
+    return [...results.results.flatMap(explainResults), ...results.steps];
+  }
+
+  if (results instanceof RollResults) {
+    return [
+      ...[results.qtyResults, results.sidesResults].filter(Boolean).flatMap(explainResults),
+      ...(results.steps.length ? results.steps : [`Rolled ${results}`]),
+    ];
+  }
+
+  return [];
+};
+
+/**
+ * Convert imported roll data to a result object, including any nested results.
+ *
+ * @private
+ *
+ * @param {ResultGroup|RollResults|string|number|{}|Array.<RollResult|number>} roll
+ *
+ * @returns {ResultGroup|RollResults|string|number}
+ */
+const toResult = (roll) => {
+  if ((roll instanceof ResultGroup) || (roll instanceof RollResults)) {
+    // already a result object
+    return roll;
+  }
+
+  // @todo should this be a ResultGroup, or a RollResults?
+  if (Array.isArray(roll)) {
+    // array of values
+    return new RollResults(roll);
+  }
+
+  if (roll && (typeof roll === 'object')) {
+    // a result group
+    if (Array.isArray(roll.results)) {
+      return new ResultGroup(
+        roll.results.map(toResult),
+        roll.modifiers || [],
+        roll.isRollGroup || false,
+        (typeof roll.useInTotal === 'boolean') ? roll.useInTotal : true,
+      );
+    }
+    // roll results
+    if (Array.isArray(roll.rolls)) {
+      const results = new RollResults(roll.rolls);
+
+      // the rolls for dice with a rolled qty or sides (e.g. `(1d4)d6`)
+      if (roll.qtyResults) {
+        results.qtyResults = toResult(roll.qtyResults);
+      }
+
+      if (roll.sidesResults) {
+        results.sidesResults = toResult(roll.sidesResults);
+      }
+
+      return results;
+    }
+  }
+
+  return roll;
+};
+
+/**
+ * Create a number generator, using a `MersenneTwister19937` engine with the given seed.
+ *
+ * @private
+ *
+ * @param {number} seed
+ *
+ * @returns {NumberGenerator}
+ */
+const seededGenerator = (seed) => new NumberGenerator(engines.MersenneTwister19937.seed(seed));
+
+/**
+ * The maximum number of re-rolls and explosions when calculating the min / max totals of a limited
+ * roll.
+ *
+ * The min / max engines re-roll and explode as many times as the modifiers allow, so the roll's
+ * own `maxIterations` is capped to this.
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const maxTotalIterations = 100000;
+
+/**
+ * Return the limits for calculating the min / max totals.
+ *
+ * @private
+ *
+ * @param {Limits|null} limits The roll's limits
+ *
+ * @returns {Limits|null} `null` if the roll is not limited
+ */
+const totalLimits = (limits) => {
+  if (!limits) {
+    return null;
+  }
+
+  const {
+    maxDice, maxIterations, maxSides, timeout,
+  } = limits;
+
+  return new Limits({
+    maxDice,
+    maxIterations: Math.min(maxIterations, maxTotalIterations),
+    maxSides,
+    timeout,
+  });
+};
+
+/**
+ * Roll the dice with the engine, within the total limits, and return the total.
+ *
+ * @private
+ *
+ * @param {DiceRoll} diceRoll
+ * @param {Engine} engine The engine that forces the values (e.g. `engines.max`)
+ *
+ * @returns {number|null} `null` if the roll is limited and the calculation exceeds a limit, or
+ * the forced values leave a die unable to explode or re-roll
+ */
+const forcedTotal = (diceRoll, engine) => {
+  try {
+    return calculateTotal(diceRoll[rollMethodSymbol](
+      new NumberGenerator(engine),
+      totalLimits(diceRoll.limits),
+      // the dice aren't really rolled, so don't call the hooks
+      null,
+    ));
+  } catch (e) {
+    if ((e instanceof LimitError) || (e instanceof DieActionValueError)) {
+      return null;
+    }
+
+    throw e;
+  }
+};
+
 /**
  * A `DiceRoll` handles rolling of a single dice notation and storing the result.
  *
@@ -105,6 +322,8 @@ class DiceRoll {
    * If `notation` is an object, it must contain a `notation` property that defines the notation.
    * It can also have an optional array of `RollResults`, in the `rolls` property.
    *
+   * The `options` argument was added in 5.5.0.
+   *
    * @example <caption>String notation</caption>
    * const roll = new DiceRoll('4d6');
    *
@@ -114,24 +333,148 @@ class DiceRoll {
    *   rolls: ..., // RollResults object or array of roll results
    * });
    *
-   * @param {string|{notation: string, rolls: ResultGroup|Array.<ResultGroup|RollResults|string|number>}} notation The notation to roll
+   * @example <caption>Custom number generator</caption>
+   * const roll = new DiceRoll('4d6', {
+   *   generator: new NumberGenerator(engines.nodeCrypto),
+   * });
+   *
+   * @example <caption>Seeded</caption>
+   * // always rolls the same results for the same seed
+   * const roll = new DiceRoll('4d6dl1', { seed: 1234 });
+   *
+   * @example <caption>Variables</caption>
+   * const roll = new DiceRoll('1d20+@str_mod+@prof', {
+   *   variables: { str_mod: 3, prof: 2 },
+   * });
+   *
+   * @example <caption>Limits</caption>
+   * // throws a LimitError if more than 100 dice are rolled
+   * const roll = new DiceRoll(untrustedNotation, {
+   *   limits: { maxDice: 100 },
+   * });
+   *
+   * @example <caption>Hooks</caption>
+   * // called for each die, in the order they are rolled
+   * const roll = new DiceRoll('4d6!', {
+   *   hooks: { onDieRolled: ({ value }) => console.log(value) },
+   * });
+   *
+   * @example <caption>Compiled notation</caption>
+   * // the notation is only parsed once
+   * const compiled = Parser.compile('1d20+7');
+   * const rolls = [new DiceRoll(compiled), new DiceRoll(compiled)];
+   *
+   * @param {string|CompiledNotation|{notation: string, rolls: ResultGroup|Array.<ResultGroup|RollResults|string|number>, seed: number|null, engine: string|null, variables: Object.<string, number>}} notation The notation to roll
    * @param {string} notation.notation If `notation is an object; the notation to roll
    * @param {ResultGroup|Array.<ResultGroup|RollResults|string|number>} [notation.rolls] If
    * `notation` is an object; the rolls to import
+   * @param {number|null} [notation.seed] If `notation` is an object; the seed that the rolls were
+   * made with
+   * @param {string|null} [notation.engine] If `notation` is an object; the name of the engine that
+   * the imported rolls were made with
+   * @param {Object.<string, number>} [notation.variables] If `notation` is an object; the
+   * variables referenced in the notation
+   * @param {{generator: NumberGenerator, hooks: RollHooks|{}|null, limits: Limits|{}|null, seed: number, variables: Object.<string, number>}} [options={}] The roll options
+   * @param {NumberGenerator|null} [options.generator=null] The number generator to roll with.
+   * Defaults to the shared generator
+   * @param {RollHooks|{}|null} [options.hooks=null] The hooks to call for each die rolled
+   * @param {Limits|{}|null} [options.limits=null] The limits to parse and roll the notation
+   * within
+   * @param {number|null} [options.seed=null] Roll with a `MersenneTwister19937` engine, seeded
+   * with this value. Cannot be used with `options.generator`
+   * @param {Object.<string, number>|null} [options.variables=null] Named values that the notation
+   * can reference, by prefixing their name with `@` (e.g. `1d20+@dex`). Cannot be used with a
+   * `CompiledNotation`, which uses the variables it was compiled with
    *
+   * @throws {LimitError} notation exceeds a limit
    * @throws {NotationError} notation is invalid
    * @throws {RequiredArgumentError} notation is required
    * @throws {TypeError} Rolls must be a valid result object, or an array
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   * @throws {TypeError} hooks must be functions or null
+   * @throws {TypeError} seed must be an integer
+   * @throws {TypeError} generator and seed cannot be used together
+   * @throws {TypeError} variables must be an object of numbers
+   * @throws {TypeError} variables cannot be used with a compiled notation
    */
-  constructor(notation) {
+  constructor(notation, {
+    generator: numberGenerator = null,
+    hooks = null,
+    limits = null,
+    seed = null,
+    variables = null,
+  } = {}) {
     if (!notation) {
       throw new RequiredArgumentError('notation');
     }
 
+    if (numberGenerator && !(numberGenerator instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    // use the seed from the options, falling back to any seed in the imported data
+    const rollSeed = ((seed === null) && (notation instanceof Object) && !Array.isArray(notation))
+      ? notation.seed
+      : seed;
+
+    if ((rollSeed !== null) && (rollSeed !== undefined)) {
+      if (!Number.isInteger(rollSeed)) {
+        throw new TypeError('seed must be an integer');
+      }
+
+      if (numberGenerator) {
+        throw new TypeError('generator and seed cannot be used together');
+      }
+
+      this[seedSymbol] = rollSeed;
+      this[generatorSymbol] = seededGenerator(rollSeed);
+    } else {
+      this[seedSymbol] = null;
+      this[generatorSymbol] = numberGenerator || generator;
+    }
+
+    this[engineSymbol] = null;
+
+    if (!hooks) {
+      this[hooksSymbol] = null;
+    } else {
+      this[hooksSymbol] = (hooks instanceof RollHooks) ? hooks : new RollHooks(hooks);
+    }
+
+    if (!limits) {
+      this[limitsSymbol] = null;
+    } else {
+      this[limitsSymbol] = (limits instanceof Limits) ? limits : new Limits(limits);
+    }
+
+    if ((variables !== null) && (notation instanceof CompiledNotation)) {
+      throw new TypeError('variables cannot be used with a compiled notation');
+    }
+
+    // use the variables from the options, falling back to any variables in the imported data
+    const rollVariables = ((variables === null) && (notation instanceof Object))
+      ? notation.variables || {}
+      : variables || {};
+
+    this[variablesSymbol] = { ...rollVariables };
+
     // initialise the parsed dice array
     this[expressionsSymbol] = [];
 
-    if ((notation instanceof Object) && !Array.isArray(notation)) {
+    if (notation instanceof CompiledNotation) {
+      // store the notation
+      this[notationSymbol] = notation.notation;
+
+      if (this.limits) {
+        notation.checkLimits(this.limits);
+      }
+
+      // the notation has already been parsed
+      this[expressionsSymbol] = notation.expressions;
+
+      // roll the dice
+      this.roll();
+    } else if ((notation instanceof Object) && !Array.isArray(notation)) {
       // validate object
       // @todo see if we can assert that the notation is valid
       if (!notation.notation) {
@@ -142,13 +485,19 @@ class DiceRoll {
       } else if (notation.rolls) {
         // we have rolls - store them
         this[setRollsSymbol](notation.rolls);
+
+        // keep the name of the engine that made the rolls
+        this[engineSymbol] = (typeof notation.engine === 'string') ? notation.engine : null;
       }
 
       // store the notation
       this[notationSymbol] = notation.notation;
 
-      // parse the notation
-      this[expressionsSymbol] = Parser.parse(this.notation);
+      // parse the notation, or use the cached expressions
+      this[expressionsSymbol] = Parser.compile(this.notation, {
+        limits: this.limits,
+        variables: rollVariables,
+      }).expressions;
 
       if (!this.hasRolls()) {
         // no rolls - roll the dice
@@ -159,8 +508,11 @@ class DiceRoll {
       // store the notation
       this[notationSymbol] = notation;
 
-      // parse the notation
-      this[expressionsSymbol] = Parser.parse(this.notation);
+      // parse the notation, or use the cached expressions
+      this[expressionsSymbol] = Parser.compile(this.notation, {
+        limits: this.limits,
+        variables: rollVariables,
+      }).expressions;
 
       // roll the dice
       this.roll();
@@ -175,18 +527,72 @@ class DiceRoll {
    *
    * @since 4.3.0
    *
-   * @returns {number}
+   * @returns {number|null} `null` if the roll is limited and the min or max total exceeds a limit
    */
   get averageTotal() {
-    return (this.maxTotal + this.minTotal) / 2;
+    const { maxTotal, minTotal } = this;
+
+    return ((maxTotal === null) || (minTotal === null)) ? null : (maxTotal + minTotal) / 2;
+  }
+
+  /**
+   * The name of the number generator engine that produced the rolls.
+   *
+   * This is `null` if there are no rolls, or they were imported without an engine name.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link NumberGenerator#engineName}
+   *
+   * @returns {string|null}
+   */
+  get engine() {
+    return this[engineSymbol];
+  }
+
+  /**
+   * The number generator used for rolling the dice.
+   *
+   * @since 5.5.0
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol];
+  }
+
+  /**
+   * The hooks called for each die rolled.
+   *
+   * @since 5.5.0
+   *
+   * @returns {RollHooks|null} `null` if there are no hooks
+   */
+  get hooks() {
+    return this[hooksSymbol];
+  }
+
+  /**
+   * The limits that the notation is parsed and rolled within.
+   *
+   * @since 5.5.0
+   *
+   * @returns {Limits|null} `null` if the roll is not limited
+   */
+  get limits() {
+    return this[limitsSymbol];
   }
 
   /**
    * The maximum possible total for the notation.
    *
+   * If the roll is limited, the calculation is limited by the roll's limits and, as dice are
+   * re-rolled and exploded as many times as possible, by a maximum of 100000 re-rolls and
+   * explosions.
+   *
    * @since 4.3.0
    *
-   * @returns {number}
+   * @returns {number|null} `null` if the roll is limited and the calculation exceeds a limit
    */
   get maxTotal() {
     if (!this.hasExpressions()) {
@@ -194,12 +600,9 @@ class DiceRoll {
     }
 
     // only calculate the total if it has not already been done
-    if (!this[maxTotalSymbol]) {
+    if (this[maxTotalSymbol] === undefined) {
       // roll the dice, forcing values to their maximum
-      const rolls = this[rollMethodSymbol](engines.max);
-
-      // calculate the total
-      this[maxTotalSymbol] = calculateTotal(rolls);
+      this[maxTotalSymbol] = forcedTotal(this, engines.max);
     }
 
     // return the total
@@ -209,9 +612,13 @@ class DiceRoll {
   /**
    * The minimum possible total for the notation.
    *
+   * If the roll is limited, the calculation is limited by the roll's limits and, as dice are
+   * re-rolled and exploded as many times as possible, by a maximum of 100000 re-rolls and
+   * explosions.
+   *
    * @since 4.3.0
    *
-   * @returns {number}
+   * @returns {number|null} `null` if the roll is limited and the calculation exceeds a limit
    */
   get minTotal() {
     if (!this.hasExpressions()) {
@@ -219,12 +626,9 @@ class DiceRoll {
     }
 
     // only calculate the total if it has not already been done
-    if (!this[minTotalSymbol]) {
+    if (this[minTotalSymbol] === undefined) {
       // roll the dice, forcing values to their minimum
-      const rolls = this[rollMethodSymbol](engines.min);
-
-      // calculate the total
-      this[minTotalSymbol] = calculateTotal(rolls);
+      this[minTotalSymbol] = forcedTotal(this, engines.min);
     }
 
     // return the total
@@ -246,13 +650,29 @@ class DiceRoll {
    * @example
    * 2d20+1d6: [20,2]+[2] = 24
    *
+   * @example <caption>Narrative dice</caption>
+   * 2dN.ability+1dN.difficulty: [sa, ss]+[ft] = 2 (2 success)
+   *
+   * @example <caption>Repeated rolls</caption>
+   * 3x4d6dl1: [6, 3, 5, 1d]=14, [4, 2d, 3, 4]=11, [6, 6, 5, 2d]=17
+   *
    * @returns {string}
    */
   get output() {
     let output = `${this.notation}: `;
 
-    if (this.hasRolls()) {
+    if (this.hasRolls() && this.isRepeated()) {
+      output += this.rolls[0].results
+        .map((results) => `${results}=${calculateTotal(results)}`)
+        .join(', ');
+    } else if (this.hasRolls()) {
       output += `${this[rollsSymbol]} = ${this.total}`;
+
+      const symbols = describeSymbols(this.symbols);
+
+      if (symbols) {
+        output += ` (${symbols})`;
+      }
     } else {
       output += 'No dice rolled';
     }
@@ -269,9 +689,58 @@ class DiceRoll {
     return this[rollsSymbol] ? this[rollsSymbol].results : [];
   }
 
+  /**
+   * The seed that the number generator was seeded with.
+   *
+   * This is `null` if the roll was not seeded.
+   *
+   * @since 5.5.0
+   *
+   * @returns {number|null}
+   */
+  get seed() {
+    return this[seedSymbol];
+  }
+
+  /**
+   * The count of each symbol rolled for narrative dice, after opposing symbols have cancelled out.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link ResultGroup#netSymbols}
+   *
+   * @returns {Object.<string, number>|null} `null` if no narrative dice were rolled
+   */
+  get symbols() {
+    return this[rollsSymbol] ? this[rollsSymbol].netSymbols : null;
+  }
+
+  /**
+   * The total of each repetition, for repeated rolls (e.g. `6x4d6dl1`).
+   *
+   * If the roll isn't repeated, this contains only the roll total.
+   *
+   * @since 5.5.0
+   *
+   * @returns {number[]}
+   */
+  get totals() {
+    if (!this.hasRolls()) {
+      return [];
+    }
+
+    if (this.isRepeated()) {
+      return this.rolls[0].results.map((results) => calculateTotal(results));
+    }
+
+    return [this.total];
+  }
+
   /**
    * The roll total
    *
+   * For repeated rolls, this is the sum of all the repetitions.
+   *
    * @returns {number}
    */
   get total() {
@@ -284,6 +753,17 @@ class DiceRoll {
     return this[totalSymbol] || 0;
   }
 
+  /**
+   * The variables that the notation can reference (e.g. `{ dex: 3 }` for `1d20+@dex`).
+   *
+   * @since 5.5.0
+   *
+   * @returns {Object.<string, number>}
+   */
+  get variables() {
+    return { ...this[variablesSymbol] };
+  }
+
   /**
    * Export the object in the given format.
    * If no format is specified, JSON is returned.
@@ -310,6 +790,60 @@ class DiceRoll {
     }
   }
 
+  /**
+   * Return the steps taken to roll the notation, in the order they happened.
+   *
+   * This includes each die rolled, any explosions and re-rolls, which dice were dropped and why,
+   * the success and failure counts, and the final arithmetic.
+   *
+   * @example <caption>`4d6dl1!`</caption>
+   * [
+   *   'Rolled 4d6: [6, 3, 1, 4]',
+   *   'Exploded 6 (!): rolled 2',
+   *   'Dropped the lowest 1 (dl1): 1',
+   *   'Total: 15',
+   * ]
+   *
+   * @example <caption>`{3d6,2d8}kh1`</caption>
+   * [
+   *   'Rolled 3d6: [2, 5, 3]',
+   *   'Rolled 2d8: [7, 1]',
+   *   'Kept the highest 1 (kh1), dropped: 8',
+   *   'Total: 10',
+   * ]
+   *
+   * @since 5.5.0
+   *
+   * @returns {string[]} The steps, or an empty array if there are no rolls
+   */
+  explain() {
+    if (!this.hasRolls()) {
+      return [];
+    }
+
+    let arithmetic;
+
+    if (this.isRepeated()) {
+      arithmetic = this.totals.join('+');
+    } else {
+      arithmetic = this.rolls.map((result) => {
+        if (result instanceof ResultGroup) {
+          return result.useInTotal ? result.calculationValue : 0;
+        }
+
+        if (result instanceof RollResults) {
+          return result.value;
+        }
+
+        return result;
+      }).join('');
+    }
+
+    const total = (arithmetic === `${this.total}`) ? this.total : `${arithmetic} = ${this.total}`;
+
+    return [...explainResults(this[rollsSymbol]), `Total: ${total}`];
+  }
+
   /**
    * Check whether the DiceRoll has expressions or not.
    *
@@ -328,18 +862,41 @@ class DiceRoll {
     return this.hasExpressions() && (this.rolls.length > 0);
   }
 
+  /**
+   * Check whether the notation is a repeated roll (e.g. `6x4d6dl1`).
+   *
+   * @since 5.5.0
+   *
+   * @returns {boolean} `true` if the roll is repeated, `false` otherwise
+   */
+  isRepeated() {
+    return !!this.hasExpressions() && (this[expressionsSymbol][0] instanceof RollRepetition);
+  }
+
   /**
    * Roll the dice for the stored notation.
    *
    * This is called in the constructor, so you'll only need this if you want to re-roll the
    * notation. However, it's usually better to create a new `DiceRoll` instance instead.
    *
+   * If the roll is seeded, the number generator is re-seeded first, so the results are the same
+   * every time.
+   *
    * @returns {RollResults[]} The results of the rolls
+   *
+   * @throws {LimitError} The roll exceeds a limit
    */
   roll() {
     // reset the cached total
     this[totalSymbol] = 0;
 
+    if (this.seed !== null) {
+      // start from the seed, so that the rolls can be reproduced
+      this[generatorSymbol] = seededGenerator(this.seed);
+    }
+
+    this[engineSymbol] = this.generator.engineName;
+
     // save the rolls to the log
     this[rollsSymbol] = this[rollMethodSymbol]();
 
@@ -353,29 +910,42 @@ class DiceRoll {
    * This is called automatically when JSON encoding the object.
    *
    * @returns {{
+   *  averageTotal: number|null,
+   *  engine: string|null,
    *  output: string,
    *  total: number,
-   *  minTotal: number,
-   *  maxTotal: number,
+   *  minTotal: number|null,
+   *  maxTotal: number|null,
    *  notation: string,
    *  rolls: RollResults[],
-   *  type: string
+   *  seed: number|null,
+   *  symbols: Object.<string, number>|null,
+   *  total: number,
+   *  totals: number[],
+   *  type: string,
+   *  variables: Object.<string, number>
    * }}
    */
   toJSON() {
     const {
-      averageTotal, maxTotal, minTotal, notation, output, rolls, total,
+      averageTotal, engine, maxTotal, minTotal, notation, output, rolls, seed, symbols,
+      total, totals, variables,
     } = this;
 
     return {
       averageTotal,
+      engine,
       maxTotal,
       minTotal,
       notation,
       output,
       rolls,
+      seed,
+      symbols,
       total,
+      totals,
       type: 'dice-roll',
+      variables,
     };
   }
 
@@ -400,6 +970,8 @@ class DiceRoll {
    * The object must contain a `notation` property that defines the notation and, optionally, an
    * array of RollResults, in the `rolls` property.
    *
+   * The `options` argument was added in 5.5.0.
+   *
    * @example <caption>Object</caption>
    * DiceRoll.import({
    *   notation: '4d6',
@@ -412,26 +984,39 @@ class DiceRoll {
    * @example <caption>Base64</caption>
    * DiceRoll.import('eyJub3RhdGlvbiI6IjRkNiIsInJvbGxzIjpbXX0=');
    *
+   * @example <caption>Re-roll a seeded roll, to verify it</caption>
+   * const { notation, seed, total } = DiceRoll.import(exported);
+   * new DiceRoll(notation, { seed }).total === total; // true
+   *
    * @param {{notation: string, rolls: RollResults[]}|string} data The data to import
    * @param {string} data.notation If `notation` is an object; the notation to import
    * @param {RollResults[]} [data.rolls] If `notation` is an object; the rolls to import
+   * @param {number|null} [data.seed] If `notation` is an object; the seed the rolls were made with
+   * @param {string|null} [data.engine] If `notation` is an object; the name of the engine that
+   * the rolls were made with
+   * @param {Object.<string, number>} [data.variables] If `notation` is an object; the variables
+   * referenced in the notation
+   * @param {{limits: Limits|{}|null}} [options={}] The import options
+   * @param {Limits|{}|null} [options.limits=null] The limits to parse the notation, and roll any
+   * missing rolls, within
    *
    * @returns {DiceRoll} The new `DiceRoll` instance
    *
    * @throws {DataFormatError} data format is invalid
+   * @throws {LimitError} notation exceeds a limit
    */
-  static import(data) {
+  static import(data, { limits = null } = {}) {
     if (!data) {
       throw new RequiredArgumentError('data');
     } else if (isJson(data)) {
       // data is JSON format - parse and import
-      return DiceRoll.import(JSON.parse(data));
+      return DiceRoll.import(JSON.parse(data), { limits });
     } else if (isBase64(data)) {
       // data is base64 encoded - decode and import
-      return DiceRoll.import(atob(data));
+      return DiceRoll.import(atob(data), { limits });
     } else if (typeof data === 'object') {
       // if data is a `DiceRoll` return it, otherwise build it
-      return new DiceRoll(data);
+      return new DiceRoll(data, { limits });
     } else {
       throw new DataFormatError(data);
     }
@@ -440,44 +1025,57 @@ class DiceRoll {
   /**
    * Roll the dice and return the result.
    *
-   * If the engine is passed, it will be used for the number generation for **this roll only**.
-   * The engine will be reset after use.
+   * If a number generator is passed, it will be used for **this roll only**, otherwise the
+   * roll's own generator is used.
    *
    * @private
    *
-   * @param {{next(): number}} [engine] The RNG engine to use for die rolls
+   * @param {NumberGenerator} [numberGenerator] The number generator to use for die rolls
+   * @param {Limits|null} [limits] The limits to roll within
+   * @param {RollHooks|null} [hooks] The hooks to call for each die rolled
    *
    * @returns {ResultGroup} The result of the rolls
    *
-   * @throws {TypeError} engine must have function `next()`
+   * @throws {LimitError} The roll exceeds a limit
    */
-  [rollMethodSymbol](engine) {
-    let oEngine;
-    if (engine) {
-      // use the selected engine
-      oEngine = generator.engine;
-      generator.engine = engine;
-    }
+  [rollMethodSymbol](numberGenerator = this.generator, limits = this.limits, hooks = this.hooks) {
+    // a new limited generator for each roll, so the counts and timeout start again
+    const rollGenerator = limits
+      ? new LimitedNumberGenerator(numberGenerator, limits)
+      : numberGenerator;
 
     // roll the dice
-    const results = new ResultGroup(this[expressionsSymbol]
+    return new ResultGroup(this[expressionsSymbol]
       .map((expression) => {
-        if ((expression instanceof StandardDice) || (expression instanceof RollGroup)) {
-          // roll the object and return the value
-          return expression.roll();
+        if (
+          (expression instanceof StandardDice)
+          || (expression instanceof DynamicDice)
+          || (expression instanceof RollGroup)
+          || (expression instanceof RollRepetition)
+        ) {
+          // compiled expressions are shared with other rolls of the same notation, so the generator
+          // and hooks are only set while rolling, and the previous ones put back afterwards (e.g.
+          // if a hook rolls the same notation, part way through this roll)
+          const { generator: previousGenerator, hooks: previousHooks } = expression;
+
+          /* eslint-disable no-param-reassign */
+          expression.generator = rollGenerator;
+          expression.hooks = hooks;
+
+          try {
+            // roll the object and return the value
+            return expression.roll();
+          } finally {
+            expression.generator = previousGenerator;
+            expression.hooks = previousHooks;
+          }
+          /* eslint-enable */
         }
 
         return expression;
       })
       // filter out empty values (e.g. whitespace)
       .filter((value) => !!value || (value === 0)));
-
-    if (engine) {
-      // reset the engine
-      generator.engine = oEngine;
-    }
-
-    return results;
   }
 
   /* eslint-disable max-len */
@@ -496,36 +1094,7 @@ class DiceRoll {
     } else if (rolls instanceof RollResults) {
       this[rollsSymbol] = new ResultGroup([rolls]);
     } else if (Array.isArray(rolls)) {
-      this[rollsSymbol] = new ResultGroup(rolls.map((roll) => {
-        if ((roll instanceof ResultGroup) || (roll instanceof RollResults)) {
-          // already a RollResults object
-          return roll;
-        }
-
-        // @todo should this be a ResultGroup, or a RollResults?
-        if (Array.isArray(roll)) {
-          // array of values
-          return new RollResults(roll);
-        }
-
-        if (typeof roll === 'object') {
-          // a result group
-          if (Array.isArray(roll.results)) {
-            return new ResultGroup(
-              roll.results,
-              roll.modifiers || [],
-              roll.isRollGroup || false,
-              (typeof roll.useInTotal === 'boolean') ? roll.useInTotal : true,
-            );
-          }
-          // roll results
-          if (Array.isArray(roll.rolls)) {
-            return new RollResults(roll.rolls);
-          }
-        }
-
-        return roll;
-      }));
+      this[rollsSymbol] = new ResultGroup(rolls.map(toResult));
     } else {
       throw new TypeError('Rolls must be a valid result object, or an array');
     }
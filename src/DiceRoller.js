@@ -1,8 +1,65 @@
 import { DataFormatError, RequiredArgumentError } from './exceptions/index.js';
+import { engines, generator, NumberGenerator } from './utilities/NumberGenerator.js';
 import { isBase64, isJson } from './utilities/utils.js';
 import DiceRoll from './DiceRoll.js';
+import Limits from './Limits.js';
+import RollHooks from './RollHooks.js';
 import exportFormats from './utilities/ExportFormats.js';
 
+/**
+ * The number generator
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const generatorSymbol = Symbol('generator');
+
+/**
+ * The roll hooks
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const hooksSymbol = Symbol('hooks');
+
+/**
+ * The event listeners, keyed by event name
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const listenersSymbol = Symbol('listeners');
+
+/**
+ * The limits
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const limitsSymbol = Symbol('limits');
+
+/**
+ * The session seed
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const seedSymbol = Symbol('seed');
+
+/**
+ * The number generator for the seed of each roll, if the roller is seeded
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const seedsSymbol = Symbol('seeds');
+
 /**
  * history of log rolls
  *
@@ -12,10 +69,94 @@ import exportFormats from './utilities/ExportFormats.js';
  */
 const logSymbol = Symbol('log');
 
+/**
+ * The names of the events that listeners can be added for.
+ *
+ * @type {string[]}
+ *
+ * @private
+ */
+const eventNames = ['clear', 'error', 'import', 'remove', 'roll'];
+
+/**
+ * The largest seed generated for each roll of a seeded roller
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const maxSeed = 2147483647;
+
+/**
+ * Check that the event name and listener are valid.
+ *
+ * @private
+ *
+ * @param {string} event
+ * @param {function|undefined} listener
+ * @param {boolean} [isListenerRequired=true]
+ *
+ * @throws {TypeError} event must be one of the event names
+ * @throws {TypeError} listener must be a function
+ */
+const validateListener = (event, listener, isListenerRequired = true) => {
+  if (!eventNames.includes(event)) {
+    throw new TypeError(`event must be one of ${eventNames.join(', ')}. Received "${event}"`);
+  }
+
+  if ((isListenerRequired || (listener !== undefined)) && (typeof listener !== 'function')) {
+    throw new TypeError('listener must be a function');
+  }
+};
+
+/**
+ * Call each of the roller's listeners for the event, with the payload.
+ *
+ * Errors thrown by listeners don't stop the other listeners, or the change to the log. They are
+ * passed to the `error` listeners, or re-thrown asynchronously if there are none.
+ *
+ * @private
+ *
+ * @param {DiceRoller} roller
+ * @param {string} event
+ * @param {DiceRoll|DiceRoll[]|Error} payload
+ */
+const emit = (roller, event, payload) => {
+  // copy the listeners, so that listeners removed while emitting are still called this time
+  [...roller[listenersSymbol].get(event)].forEach((listener) => {
+    try {
+      listener.call(roller, payload);
+    } catch (e) {
+      if ((event !== 'error') && roller[listenersSymbol].get('error').length) {
+        emit(roller, 'error', e);
+      } else {
+        // report it as an uncaught error, without failing the change to the log
+        queueMicrotask(() => {
+          throw e;
+        });
+      }
+    }
+  });
+};
+
 /**
  * A `DiceRoller` handles dice rolling functionality, keeps a history of rolls and can output logs
  * etc.
  *
+ * Listeners can be added for when rolls are added to, or removed from, the log:
+ *
+ * - `roll` is called with each new `DiceRoll`
+ * - `import` is called with the array of imported `DiceRoll` objects
+ * - `remove` is called with the `DiceRoll` removed by `removeLast()`
+ * - `clear` is called with the array of `DiceRoll` objects that were removed
+ *
+ * Listeners are called after the log has changed. If a listener throws an error, the other
+ * listeners are still called, and the error is passed to the `error` listeners. If there are no
+ * `error` listeners, the error is re-thrown asynchronously, as an uncaught error.
+ *
+ * @example <caption>Events</caption>
+ * diceRoller.on('roll', (diceRoll) => console.log(diceRoll.output));
+ *
  * @see {@link DiceRoll} if you don't need to keep a log history of rolls
  */
 class DiceRoller {
@@ -25,19 +166,139 @@ class DiceRoller {
    * The optional `data` property should be either an array of `DiceRoll` objects, or an object with
    * a `log` property that contains the `DiceRoll` objects.
    *
+   * The `options` argument was added in 5.5.0.
+   *
+   * @example <caption>Custom number generator</caption>
+   * const diceRoller = new DiceRoller(null, {
+   *   generator: new NumberGenerator(engines.nodeCrypto),
+   * });
+   *
+   * @example <caption>Limits</caption>
+   * const diceRoller = new DiceRoller(null, {
+   *   limits: { maxDice: 100, maxIterations: 100, timeout: 50 },
+   * });
+   *
+   * @example <caption>Hooks</caption>
+   * const diceRoller = new DiceRoller(null, {
+   *   hooks: { onDieRolled: ({ die, value }) => tray.throw(die.sides, value) },
+   * });
+   *
+   * @example <caption>Seeded</caption>
+   * // each roll has its own seed, derived from the roller's seed, so it can be verified alone
+   * const diceRoller = new DiceRoller(null, { seed: 1234 });
+   *
    * @param {{log: DiceRoll[]}|DiceRoll[]} [data] The data to import
    * @param {DiceRoll[]} [data.log] If `data` is an object, it must contain an array of `DiceRoll`s
+   * @param {{
+   *  generator: NumberGenerator,
+   *  hooks: RollHooks|{}|null,
+   *  limits: Limits|{}|null,
+   *  seed: number|null
+   * }} [options={}] The roller options
+   * @param {NumberGenerator|null} [options.generator=null] The number generator to roll with.
+   * Defaults to the shared generator
+   * @param {RollHooks|{}|null} [options.hooks=null] The hooks to call for each die rolled
+   * @param {Limits|{}|null} [options.limits=null] The limits that each notation is parsed and
+   * rolled within
+   * @param {number|null} [options.seed=null] Give each roll its own seed, generated by a
+   * `MersenneTwister19937` engine seeded with this
    *
    * @throws {TypeError} if data is an object, it must have a `log[]` property
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   * @throws {TypeError} hooks must be functions or null
+   * @throws {TypeError} seed must be an integer
+   * @throws {TypeError} generator and seed cannot be used together
    */
-  constructor(data) {
+  constructor(data, {
+    generator: numberGenerator = null,
+    hooks = null,
+    limits = null,
+    seed = null,
+  } = {}) {
+    if (numberGenerator && !(numberGenerator instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    if (seed !== null) {
+      if (!Number.isInteger(seed)) {
+        throw new TypeError('seed must be an integer');
+      }
+
+      if (numberGenerator) {
+        throw new TypeError('generator and seed cannot be used together');
+      }
+    }
+
+    this[generatorSymbol] = numberGenerator || generator;
+    this[seedSymbol] = seed;
+    this[seedsSymbol] = (seed === null)
+      ? null
+      : new NumberGenerator(engines.MersenneTwister19937.seed(seed));
+
+    if (!hooks) {
+      this[hooksSymbol] = null;
+    } else {
+      this[hooksSymbol] = (hooks instanceof RollHooks) ? hooks : new RollHooks(hooks);
+    }
+
+    if (!limits) {
+      this[limitsSymbol] = null;
+    } else {
+      this[limitsSymbol] = (limits instanceof Limits) ? limits : new Limits(limits);
+    }
+
     this[logSymbol] = [];
+    this[listenersSymbol] = new Map(eventNames.map((event) => [event, []]));
 
     if (data) {
       this.import(data);
     }
   }
 
+  /**
+   * The number generator used for rolling the dice.
+   *
+   * @since 5.5.0
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol];
+  }
+
+  /**
+   * The hooks called for each die rolled.
+   *
+   * @since 5.5.0
+   *
+   * @returns {RollHooks|null} `null` if there are no hooks
+   */
+  get hooks() {
+    return this[hooksSymbol];
+  }
+
+  /**
+   * The limits that each notation is parsed and rolled within.
+   *
+   * @since 5.5.0
+   *
+   * @returns {Limits|null} `null` if rolls are not limited
+   */
+  get limits() {
+    return this[limitsSymbol];
+  }
+
+  /**
+   * The seed that each roll's seed is generated from.
+   *
+   * @since 5.5.0
+   *
+   * @returns {number|null} `null` if the roller is not seeded
+   */
+  get seed() {
+    return this[seedSymbol];
+  }
+
   /**
    * The list of roll logs.
    *
@@ -76,7 +337,11 @@ class DiceRoller {
    * @see {@link DiceRoller#log}
    */
   clearLog() {
+    const removed = [...this[logSymbol]];
+
     this[logSymbol].length = 0;
+
+    emit(this, 'clear', removed);
   }
 
   /**
@@ -111,6 +376,8 @@ class DiceRoller {
    * `data` can be an array of `DiceRoll` objects, an object with a `log` property that contains
    * `DiceRoll` objects, or a JSON / base64 encoded representation of either.
    *
+   * Each roll is imported within the roller's [limits]{@link DiceRoller#limits}.
+   *
    * @see {@link DiceRoller#log}
    *
    * @param {string|{log: DiceRoll[]}|DiceRoll[]} data The data to import
@@ -119,6 +386,7 @@ class DiceRoller {
    * @returns {DiceRoll[]} The roll log
    *
    * @throws {DataFormatError} data format invalid
+   * @throws {LimitError} a roll's notation exceeds a limit
    * @throws {RequiredArgumentError} data is required
    * @throws {TypeError} log must be an array
    */
@@ -140,10 +408,12 @@ class DiceRoller {
       }
 
       if (log && Array.isArray(log)) {
-        // loop through each log entry and import it
-        log.forEach((roll) => {
-          this[logSymbol].push(DiceRoll.import(roll));
-        });
+        // import each log entry, before adding any, so that nothing is added if one is invalid
+        const rolls = log.map((roll) => DiceRoll.import(roll, { limits: this.limits }));
+
+        this[logSymbol].push(...rolls);
+
+        emit(this, 'import', rolls);
       } else if (log) {
         throw new TypeError('log must be an array');
       }
@@ -154,6 +424,91 @@ class DiceRoller {
     }
   }
 
+  /**
+   * Remove the listener for the event.
+   *
+   * If no listener is given, all the listeners for the event are removed.
+   *
+   * @since 5.5.0
+   *
+   * @param {string} event The event name; `clear`, `error`, `import`, `remove`, or `roll`
+   * @param {function} [listener] The listener to remove
+   *
+   * @returns {DiceRoller} The `DiceRoller`, for chaining
+   *
+   * @throws {TypeError} event must be one of the event names
+   * @throws {TypeError} listener must be a function
+   */
+  off(event, listener) {
+    validateListener(event, listener, false);
+
+    const listeners = this[listenersSymbol].get(event);
+    const index = listeners.lastIndexOf(listener);
+
+    if (listener === undefined) {
+      listeners.length = 0;
+    } else if (index > -1) {
+      listeners.splice(index, 1);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a listener for the event.
+   *
+   * The listener is called with the `DiceRoll` for `roll` and `remove` events, an array of
+   * `DiceRoll` objects for `import` and `clear` events, and the error thrown by another listener
+   * for `error` events.
+   *
+   * @example
+   * diceRoller
+   *   .on('roll', (diceRoll) => animate(diceRoll))
+   *   .on('clear', () => reset())
+   *   .on('error', (error) => console.error(error));
+   *
+   * @since 5.5.0
+   *
+   * @param {string} event The event name; `clear`, `error`, `import`, `remove`, or `roll`
+   * @param {function(DiceRoll|DiceRoll[]|Error)} listener The function to call when the event
+   * happens
+   *
+   * @returns {DiceRoller} The `DiceRoller`, for chaining
+   *
+   * @throws {TypeError} event must be one of the event names
+   * @throws {TypeError} listener must be a function
+   */
+  on(event, listener) {
+    validateListener(event, listener);
+
+    this[listenersSymbol].get(event).push(listener);
+
+    return this;
+  }
+
+  /**
+   * Remove the last roll from the [roll log]{@link DiceRoller#log}.
+   *
+   * @example
+   * diceRoller.roll('4d6');
+   * diceRoller.removeLast(); // the `4d6` roll
+   *
+   * @since 5.5.0
+   *
+   * @returns {DiceRoll|null} The removed roll, or `null` if the log is empty
+   */
+  removeLast() {
+    if (!this[logSymbol].length) {
+      return null;
+    }
+
+    const removed = this[logSymbol].pop();
+
+    emit(this, 'remove', removed);
+
+    return removed;
+  }
+
   /**
    * Roll the given dice notation(s) and return the corresponding `DiceRoll` objects.
    *
@@ -170,6 +525,7 @@ class DiceRoller {
    * @returns {DiceRoll|DiceRoll[]} If a single notation is passed, a single `DiceRoll` is returned,
    * otherwise an array of `DiceRoll` objects is returned
    *
+   * @throws {LimitError} notation exceeds a limit
    * @throws {NotationError} notation is invalid
    * @throws {RequiredArgumentError} notation is required
    */
@@ -181,11 +537,18 @@ class DiceRoller {
     }
 
     const rolls = filteredNotations.map((notation) => {
-      const diceRoll = new DiceRoll(notation);
+      const diceRoll = new DiceRoll(notation, {
+        generator: this[seedsSymbol] ? null : this.generator,
+        hooks: this.hooks,
+        limits: this.limits,
+        seed: this[seedsSymbol] ? this[seedsSymbol].integer(0, maxSeed) : null,
+      });
 
       // add the roll log to our global log
       this[logSymbol].push(diceRoll);
 
+      emit(this, 'roll', diceRoll);
+
       // return the current DiceRoll
       return diceRoll;
     });
@@ -230,6 +593,8 @@ class DiceRoller {
    * `data` can be an array of `DiceRoll` objects, an object with a `log` property that contains the
    * `DiceRoll` objects, or a JSON / base64 encoded representation of either.
    *
+   * Each roll is imported within the roller's [limits]{@link DiceRoller#limits}.
+   *
    * @see instance method {@link DiceRoller#import}
    *
    * @param {string|{log: DiceRoll[]}|DiceRoll[]} data The data to import
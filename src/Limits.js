@@ -0,0 +1,342 @@
+/**
+ * The maximum nesting depth
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxDepthSymbol = Symbol('max-depth');
+
+/**
+ * The maximum number of dice rolled
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxDiceSymbol = Symbol('max-dice');
+
+/**
+ * The maximum number of re-rolls and explosions
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxIterationsSymbol = Symbol('max-iterations');
+
+/**
+ * The maximum notation length
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxNotationLengthSymbol = Symbol('max-notation-length');
+
+/**
+ * The maximum number of sides
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxSidesSymbol = Symbol('max-sides');
+
+/**
+ * The maximum number of dice terms
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxTermsSymbol = Symbol('max-terms');
+
+/**
+ * The time budget for rolling, in milliseconds
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const timeoutSymbol = Symbol('timeout');
+
+/**
+ * Check that the value is a valid limit, and return it.
+ *
+ * `null` means no limit, and is returned as `Infinity`.
+ *
+ * @private
+ *
+ * @param {string} name The name of the limit
+ * @param {number|null} value
+ *
+ * @returns {number}
+ *
+ * @throws {TypeError} value must be an integer, Infinity, or null
+ * @throws {RangeError} value must be zero or greater
+ */
+const toLimit = (name, value) => {
+  if ((value === null) || (value === Infinity)) {
+    return Infinity;
+  }
+
+  if (!Number.isInteger(value)) {
+    throw new TypeError(`${name} must be an integer, Infinity, or null`);
+  }
+
+  if (value < 0) {
+    throw new RangeError(`${name} must be zero or greater`);
+  }
+
+  return value;
+};
+
+/**
+ * `Limits` restrict how much work a notation can cause, for rolling notation from untrusted
+ * sources (e.g. chat users).
+ *
+ * The notation length, terms, depth, and sides are checked when parsing. The dice, sides,
+ * iterations, and timeout are checked while rolling. Exceeding a limit throws a `LimitError`.
+ *
+ * Every limit defaults to `Infinity` (No limit).
+ *
+ * @example
+ * const limits = new Limits({ maxDice: 100, maxIterations: 200, timeout: 50 });
+ *
+ * new DiceRoll('4d6!', { limits });
+ *
+ * @since 5.5.0
+ *
+ * @see {@link LimitError}
+ */
+class Limits {
+  /**
+   * Create a `Limits` instance.
+   *
+   * @param {{
+   *  maxDepth: number|null,
+   *  maxDice: number|null,
+   *  maxIterations: number|null,
+   *  maxNotationLength: number|null,
+   *  maxSides: number|null,
+   *  maxTerms: number|null,
+   *  timeout: number|null
+   * }} [limits={}]
+   * @param {number|null} [limits.maxDepth=Infinity] The maximum nesting depth of roll groups,
+   * parenthesis, functions, and rolled qty / sides
+   * @param {number|null} [limits.maxDice=Infinity] The maximum number of dice rolled, not
+   * including re-rolls and explosions
+   * @param {number|null} [limits.maxIterations=Infinity] The maximum number of re-rolls and
+   * explosions, across all the dice
+   * @param {number|null} [limits.maxNotationLength=Infinity] The maximum notation length
+   * @param {number|null} [limits.maxSides=Infinity] The maximum number of sides a die can have
+   * @param {number|null} [limits.maxTerms=Infinity] The maximum number of dice in the notation
+   * @param {number|null} [limits.timeout=Infinity] The time budget for rolling, in milliseconds
+   *
+   * @throws {TypeError} limits must be integers, Infinity, or null
+   * @throws {RangeError} limits must be zero or greater
+   */
+  constructor({
+    maxDepth = null,
+    maxDice = null,
+    maxIterations = null,
+    maxNotationLength = null,
+    maxSides = null,
+    maxTerms = null,
+    timeout = null,
+  } = {}) {
+    this.maxDepth = maxDepth;
+    this.maxDice = maxDice;
+    this.maxIterations = maxIterations;
+    this.maxNotationLength = maxNotationLength;
+    this.maxSides = maxSides;
+    this.maxTerms = maxTerms;
+    this.timeout = timeout;
+  }
+
+  /**
+   * The maximum nesting depth of roll groups, parenthesis, functions, and rolled qty / sides.
+   *
+   * @returns {number}
+   */
+  get maxDepth() {
+    return this[maxDepthSymbol];
+  }
+
+  /**
+   * Set the maximum nesting depth.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set maxDepth(value) {
+    this[maxDepthSymbol] = toLimit('maxDepth', value);
+  }
+
+  /**
+   * The maximum number of dice rolled, not including re-rolls and explosions.
+   *
+   * @returns {number}
+   */
+  get maxDice() {
+    return this[maxDiceSymbol];
+  }
+
+  /**
+   * Set the maximum number of dice rolled.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set maxDice(value) {
+    this[maxDiceSymbol] = toLimit('maxDice', value);
+  }
+
+  /**
+   * The maximum number of re-rolls and explosions, across all the dice.
+   *
+   * @returns {number}
+   */
+  get maxIterations() {
+    return this[maxIterationsSymbol];
+  }
+
+  /**
+   * Set the maximum number of re-rolls and explosions.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set maxIterations(value) {
+    this[maxIterationsSymbol] = toLimit('maxIterations', value);
+  }
+
+  /**
+   * The maximum notation length.
+   *
+   * @returns {number}
+   */
+  get maxNotationLength() {
+    return this[maxNotationLengthSymbol];
+  }
+
+  /**
+   * Set the maximum notation length.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set maxNotationLength(value) {
+    this[maxNotationLengthSymbol] = toLimit('maxNotationLength', value);
+  }
+
+  /**
+   * The maximum number of sides a die can have.
+   *
+   * @returns {number}
+   */
+  get maxSides() {
+    return this[maxSidesSymbol];
+  }
+
+  /**
+   * Set the maximum number of sides a die can have.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set maxSides(value) {
+    this[maxSidesSymbol] = toLimit('maxSides', value);
+  }
+
+  /**
+   * The maximum number of dice in the notation, including those in roll groups and rolled qty /
+   * sides.
+   *
+   * @returns {number}
+   */
+  get maxTerms() {
+    return this[maxTermsSymbol];
+  }
+
+  /**
+   * Set the maximum number of dice in the notation.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set maxTerms(value) {
+    this[maxTermsSymbol] = toLimit('maxTerms', value);
+  }
+
+  /**
+   * The time budget for rolling, in milliseconds.
+   *
+   * @returns {number}
+   */
+  get timeout() {
+    return this[timeoutSymbol];
+  }
+
+  /**
+   * Set the time budget for rolling, in milliseconds.
+   *
+   * @param {number|null} value
+   *
+   * @throws {TypeError} value must be an integer, Infinity, or null
+   * @throws {RangeError} value must be zero or greater
+   */
+  set timeout(value) {
+    this[timeoutSymbol] = toLimit('timeout', value);
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object. Limits of `Infinity` are
+   * exported as `null`.
+   *
+   * @returns {{
+   *  maxDepth: number|null,
+   *  maxDice: number|null,
+   *  maxIterations: number|null,
+   *  maxNotationLength: number|null,
+   *  maxSides: number|null,
+   *  maxTerms: number|null,
+   *  timeout: number|null,
+   *  type: string
+   * }}
+   */
+  toJSON() {
+    const {
+      maxDepth, maxDice, maxIterations, maxNotationLength, maxSides, maxTerms, timeout,
+    } = this;
+    const toValue = (value) => ((value === Infinity) ? null : value);
+
+    return {
+      maxDepth: toValue(maxDepth),
+      maxDice: toValue(maxDice),
+      maxIterations: toValue(maxIterations),
+      maxNotationLength: toValue(maxNotationLength),
+      maxSides: toValue(maxSides),
+      maxTerms: toValue(maxTerms),
+      timeout: toValue(timeout),
+      type: 'limits',
+    };
+  }
+}
+
+export default Limits;
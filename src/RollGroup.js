@@ -1,10 +1,15 @@
 import { RequiredArgumentError } from './exceptions/index.js';
+import { generator, NumberGenerator } from './utilities/NumberGenerator.js';
 import HasDescription from './traits/HasDescription.js';
 import Modifier from './modifiers/Modifier.js';
+import DynamicDice from './dice/DynamicDice.js';
 import ResultGroup from './results/ResultGroup.js';
+import RollHooks from './RollHooks.js';
 import StandardDice from './dice/StandardDice.js';
 
 const expressionsSymbol = Symbol('expressions');
+const generatorSymbol = Symbol('generator');
+const hooksSymbol = Symbol('hooks');
 const modifiersSymbol = Symbol('modifiers');
 
 /**
@@ -38,7 +43,8 @@ class RollGroup extends HasDescription {
   /**
    * Create a `RollGroup` instance.
    *
-   * @param {Array.<Array.<StandardDice|string|number>>} [expressions=[]] List of sub-rolls
+   * @param {Array.<Array.<StandardDice|DynamicDice|string|number>>} [expressions=[]] List of
+   * sub-rolls
    * @param {Map<string, Modifier>|Modifier[]|{}|null} [modifiers=[]] The modifiers that affect the
    * group
    * @param {Description|string|null} [description=null] The roll description.
@@ -53,7 +59,7 @@ class RollGroup extends HasDescription {
   /**
    * The sub-roll expressions in the group.
    *
-   * @returns {Array.<Array.<StandardDice|string|number>>}
+   * @returns {Array.<Array.<StandardDice|DynamicDice|string|number>>}
    */
   get expressions() {
     return [...(this[expressionsSymbol] || [])];
@@ -62,7 +68,7 @@ class RollGroup extends HasDescription {
   /**
    * Set the sub-roll expressions in the group.
    *
-   * @param {Array.<Array.<StandardDice|string|number>>} expressions
+   * @param {Array.<Array.<StandardDice|DynamicDice|string|number>>} expressions
    *
    * @throws {TypeError} Expressions must be an array of arrays
    * @throws {TypeError} Sub expressions cannot be empty
@@ -88,7 +94,7 @@ class RollGroup extends HasDescription {
         throw new TypeError(`Sub expressions cannot be empty: ${expressions}`);
       }
 
-      if (!expression.every((value) => (value instanceof StandardDice) || (typeof value === 'string') || (typeof value === 'number'))) {
+      if (!expression.every((value) => (value instanceof StandardDice) || (value instanceof DynamicDice) || (typeof value === 'string') || (typeof value === 'number'))) {
         throw new TypeError('Sub expression items must be Dice, numbers, or strings');
       }
 
@@ -96,6 +102,81 @@ class RollGroup extends HasDescription {
     });
   }
 
+  /**
+   * The number generator used for rolling the group's dice.
+   *
+   * @since 5.5.0
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol] || generator;
+  }
+
+  /**
+   * Set the number generator used for rolling the group's dice.
+   *
+   * This is also set on all the dice in the group's expressions. If falsey, the default generator
+   * is used.
+   *
+   * @since 5.5.0
+   *
+   * @param {NumberGenerator|null} value
+   *
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   */
+  set generator(value) {
+    if (value && !(value instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    this[generatorSymbol] = value || null;
+
+    this.expressions.flat().forEach((expression) => {
+      if ((expression instanceof StandardDice) || (expression instanceof DynamicDice)) {
+        // eslint-disable-next-line no-param-reassign
+        expression.generator = value;
+      }
+    });
+  }
+
+  /**
+   * The hooks called for each die rolled in the group.
+   *
+   * @since 5.5.0
+   *
+   * @returns {RollHooks|null} `null` if there are no hooks
+   */
+  get hooks() {
+    return this[hooksSymbol] || null;
+  }
+
+  /**
+   * Set the hooks called for each die rolled in the group.
+   *
+   * This is also set on all the dice in the group's expressions.
+   *
+   * @since 5.5.0
+   *
+   * @param {RollHooks|null} value
+   *
+   * @throws {TypeError} hooks must be an instance of RollHooks
+   */
+  set hooks(value) {
+    if (value && !(value instanceof RollHooks)) {
+      throw new TypeError('hooks must be an instance of RollHooks');
+    }
+
+    this[hooksSymbol] = value || null;
+
+    this.expressions.flat().forEach((expression) => {
+      if ((expression instanceof StandardDice) || (expression instanceof DynamicDice)) {
+        // eslint-disable-next-line no-param-reassign
+        expression.hooks = value;
+      }
+    });
+  }
+
   /**
    * The modifiers that affect the object.
    *
@@ -224,7 +305,7 @@ class RollGroup extends HasDescription {
     const rollResults = new ResultGroup(this.expressions.map((subRoll) => {
       const result = subRoll
         .map((expression) => {
-          if (expression instanceof StandardDice) {
+          if ((expression instanceof StandardDice) || (expression instanceof DynamicDice)) {
             // roll the object and return the value
             return expression.roll();
           }
@@ -255,7 +336,7 @@ class RollGroup extends HasDescription {
    *  notation: string,
    *  modifiers: (Map<string, Modifier>|null),
    *  type: string,
-   *  expressions: Array.<Array.<StandardDice|string|number>>
+   *  expressions: Array.<Array.<StandardDice|DynamicDice|string|number>>
    * }}
    */
   toJSON() {
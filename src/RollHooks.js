@@ -0,0 +1,233 @@
+/**
+ * The hook names
+ *
+ * @type {string[]}
+ *
+ * @private
+ */
+const hookNames = ['onDieDropped', 'onDieExploded', 'onDieRerolled', 'onDieRolled'];
+
+/**
+ * The hook functions, keyed by hook name
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const hooksSymbol = Symbol('hooks');
+
+/**
+ * Check that the value is a valid hook, and return it.
+ *
+ * @private
+ *
+ * @param {string} name The name of the hook
+ * @param {function|null} value
+ *
+ * @returns {function|null}
+ *
+ * @throws {TypeError} value must be a function or null
+ */
+const toHook = (name, value) => {
+  if ((value !== null) && (value !== undefined) && (typeof value !== 'function')) {
+    throw new TypeError(`${name} must be a function or null`);
+  }
+
+  return value || null;
+};
+
+/**
+ * `RollHooks` are called for each individual die as it is rolled, so that each die can be shown
+ * (e.g. animated in a 3D dice tray) in the order the results were decided, before the total is
+ * known.
+ *
+ * Each physical throw of a die calls exactly one hook:
+ *
+ * - `onDieRolled` for the initial roll of each die
+ * - `onDieExploded` for each extra die rolled by an explode modifier, including compounded and
+ * penetrating rolls
+ * - `onDieRerolled` for each re-roll, by a re-roll or unique modifier
+ *
+ * `onDieDropped` is called for each die that a keep or drop modifier excludes from the total,
+ * including each die in a dropped roll group sub-roll.
+ *
+ * Each hook is called with an event object:
+ *
+ * - `die` The `StandardDice` (or subclass) that was rolled
+ * - `value` The face value rolled (or the value of the dropped die)
+ * - `reason` `roll` for initial rolls, otherwise the name of the modifier (e.g. `explode`,
+ * `re-roll`, `drop-l`)
+ * - `modifier` The `Modifier` that caused the event, or `null` for initial rolls
+ * - `result` The `RollResult` for the die
+ * - `previous` For `onDieRerolled` only; the value that was re-rolled
+ *
+ * Hooks are not called when calculating the min / max totals.
+ *
+ * @example
+ * const hooks = new RollHooks({
+ *   onDieRolled: ({ die, value }) => tray.throw(die.sides, value),
+ *   onDieExploded: ({ die, value }) => tray.throw(die.sides, value, { glow: true }),
+ * });
+ *
+ * new DiceRoll('4d6!', { hooks });
+ *
+ * @since 5.5.0
+ */
+class RollHooks {
+  /**
+   * Create a `RollHooks` instance.
+   *
+   * @param {{
+   *  onDieDropped: function|null,
+   *  onDieExploded: function|null,
+   *  onDieRerolled: function|null,
+   *  onDieRolled: function|null
+   * }} [hooks={}]
+   * @param {function|null} [hooks.onDieDropped=null] Called for each die that is dropped
+   * @param {function|null} [hooks.onDieExploded=null] Called for each die rolled by exploding
+   * @param {function|null} [hooks.onDieRerolled=null] Called for each die that is re-rolled
+   * @param {function|null} [hooks.onDieRolled=null] Called for the initial roll of each die
+   *
+   * @throws {TypeError} hooks must be functions or null
+   */
+  constructor({
+    onDieDropped = null,
+    onDieExploded = null,
+    onDieRerolled = null,
+    onDieRolled = null,
+  } = {}) {
+    this[hooksSymbol] = {};
+
+    this.onDieDropped = onDieDropped;
+    this.onDieExploded = onDieExploded;
+    this.onDieRerolled = onDieRerolled;
+    this.onDieRolled = onDieRolled;
+  }
+
+  /**
+   * The hook called for each die that is dropped.
+   *
+   * @returns {function|null}
+   */
+  get onDieDropped() {
+    return this[hooksSymbol].onDieDropped;
+  }
+
+  /**
+   * Set the hook called for each die that is dropped.
+   *
+   * @param {function|null} value
+   *
+   * @throws {TypeError} value must be a function or null
+   */
+  set onDieDropped(value) {
+    this[hooksSymbol].onDieDropped = toHook('onDieDropped', value);
+  }
+
+  /**
+   * The hook called for each die rolled by exploding.
+   *
+   * @returns {function|null}
+   */
+  get onDieExploded() {
+    return this[hooksSymbol].onDieExploded;
+  }
+
+  /**
+   * Set the hook called for each die rolled by exploding.
+   *
+   * @param {function|null} value
+   *
+   * @throws {TypeError} value must be a function or null
+   */
+  set onDieExploded(value) {
+    this[hooksSymbol].onDieExploded = toHook('onDieExploded', value);
+  }
+
+  /**
+   * The hook called for each die that is re-rolled.
+   *
+   * @returns {function|null}
+   */
+  get onDieRerolled() {
+    return this[hooksSymbol].onDieRerolled;
+  }
+
+  /**
+   * Set the hook called for each die that is re-rolled.
+   *
+   * @param {function|null} value
+   *
+   * @throws {TypeError} value must be a function or null
+   */
+  set onDieRerolled(value) {
+    this[hooksSymbol].onDieRerolled = toHook('onDieRerolled', value);
+  }
+
+  /**
+   * The hook called for the initial roll of each die.
+   *
+   * @returns {function|null}
+   */
+  get onDieRolled() {
+    return this[hooksSymbol].onDieRolled;
+  }
+
+  /**
+   * Set the hook called for the initial roll of each die.
+   *
+   * @param {function|null} value
+   *
+   * @throws {TypeError} value must be a function or null
+   */
+  set onDieRolled(value) {
+    this[hooksSymbol].onDieRolled = toHook('onDieRolled', value);
+  }
+
+  /**
+   * Call the hook, if it is set.
+   *
+   * @example
+   * hooks.trigger('onDieRolled', { die, value: 4, reason: 'roll', modifier: null, result });
+   *
+   * @param {string} name The name of the hook
+   * @param {{
+   *  die: StandardDice,
+   *  modifier: Modifier|null,
+   *  previous: number|undefined,
+   *  reason: string,
+   *  result: RollResult,
+   *  value: number
+   * }} event The event to pass to the hook
+   *
+   * @throws {TypeError} name must be a valid hook name
+   */
+  trigger(name, event) {
+    if (!hookNames.includes(name)) {
+      throw new TypeError(`name must be one of: ${hookNames.join(', ')}`);
+    }
+
+    const hook = this[name];
+
+    if (hook) {
+      hook(event);
+    }
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object. Only the names of the hooks that
+   * are set are exported, as functions cannot be serialised.
+   *
+   * @returns {{hooks: string[], type: string}}
+   */
+  toJSON() {
+    return {
+      hooks: hookNames.filter((name) => this[name] !== null),
+      type: 'roll-hooks',
+    };
+  }
+}
+
+export default RollHooks;
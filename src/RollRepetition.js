@@ -0,0 +1,235 @@
+import { RequiredArgumentError } from './exceptions/index.js';
+import { isNumeric } from './utilities/math.js';
+import { generator, NumberGenerator } from './utilities/NumberGenerator.js';
+import ResultGroup from './results/ResultGroup.js';
+import DynamicDice from './dice/DynamicDice.js';
+import RollGroup from './RollGroup.js';
+import RollHooks from './RollHooks.js';
+import StandardDice from './dice/StandardDice.js';
+
+const countSymbol = Symbol('count');
+const expressionsSymbol = Symbol('expressions');
+const generatorSymbol = Symbol('generator');
+const hooksSymbol = Symbol('hooks');
+
+/**
+ * Check if the expression is an object that can be rolled.
+ *
+ * @private
+ *
+ * @param {*} expression
+ *
+ * @returns {boolean}
+ */
+const isRollable = (expression) => (
+  (expression instanceof StandardDice)
+  || (expression instanceof DynamicDice)
+  || (expression instanceof RollGroup)
+);
+
+/**
+ * A `RollRepetition` rolls the same expression multiple times, keeping each total separate.
+ *
+ * @example <caption>`6x4d6dl1`</caption>
+ * const repetition = new RollRepetition(6, [
+ *   new StandardDice(6, 4, [new DropModifier('l', 1)]),
+ * ]);
+ *
+ * @since 5.5.0
+ */
+class RollRepetition {
+  /**
+   * Create a `RollRepetition` instance.
+   *
+   * @param {number} count The number of times to roll the expression
+   * @param {Array.<StandardDice|DynamicDice|RollGroup|string|number>} expressions The expression
+   * to roll
+   *
+   * @throws {RequiredArgumentError} count and expressions are required
+   * @throws {RangeError} count must be between 1 and 999
+   * @throws {TypeError} count must be an integer, and expressions must be valid
+   */
+  constructor(count, expressions) {
+    if (!count && (count !== 0)) {
+      throw new RequiredArgumentError('count');
+    } else if (!isNumeric(count) || !Number.isInteger(Number(count))) {
+      throw new TypeError('count must be a positive integer');
+    } else if ((count < 1) || (count > 999)) {
+      throw new RangeError('count must be between 1 and 999');
+    }
+
+    if (!expressions) {
+      throw new RequiredArgumentError('expressions');
+    } else if (!Array.isArray(expressions) || !expressions.length) {
+      throw new TypeError('expressions must be a non-empty array');
+    } else if (!expressions.every((value) => isRollable(value) || (typeof value === 'string') || (typeof value === 'number'))) {
+      throw new TypeError('Expression items must be Dice, RollGroups, numbers, or strings');
+    }
+
+    this[countSymbol] = Number(count);
+    this[expressionsSymbol] = [...expressions];
+  }
+
+  /**
+   * The number of times to roll the expression.
+   *
+   * @returns {number}
+   */
+  get count() {
+    return this[countSymbol];
+  }
+
+  /**
+   * The expression to roll.
+   *
+   * @returns {Array.<StandardDice|DynamicDice|RollGroup|string|number>}
+   */
+  get expressions() {
+    return [...this[expressionsSymbol]];
+  }
+
+  /**
+   * The number generator used for rolling the dice.
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol] || generator;
+  }
+
+  /**
+   * Set the number generator used for rolling the dice.
+   *
+   * This is also set on all the dice and groups in the expression. If falsey, the default
+   * generator is used.
+   *
+   * @param {NumberGenerator|null} value
+   *
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   */
+  set generator(value) {
+    if (value && !(value instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    this[generatorSymbol] = value || null;
+
+    this.expressions.filter(isRollable).forEach((expression) => {
+      // eslint-disable-next-line no-param-reassign
+      expression.generator = value;
+    });
+  }
+
+  /**
+   * The hooks called for each die rolled.
+   *
+   * @returns {RollHooks|null} `null` if there are no hooks
+   */
+  get hooks() {
+    return this[hooksSymbol] || null;
+  }
+
+  /**
+   * Set the hooks called for each die rolled.
+   *
+   * This is also set on all the dice and groups in the expression.
+   *
+   * @param {RollHooks|null} value
+   *
+   * @throws {TypeError} hooks must be an instance of RollHooks
+   */
+  set hooks(value) {
+    if (value && !(value instanceof RollHooks)) {
+      throw new TypeError('hooks must be an instance of RollHooks');
+    }
+
+    this[hooksSymbol] = value || null;
+
+    this.expressions.filter(isRollable).forEach((expression) => {
+      // eslint-disable-next-line no-param-reassign
+      expression.hooks = value;
+    });
+  }
+
+  /**
+   * The repetition notation. e.g. `6x4d6dl1`.
+   *
+   * @returns {string}
+   */
+  get notation() {
+    return `${this.count}x${this.expressions.reduce((acc, e) => acc + e, '')}`;
+  }
+
+  /**
+   * Roll the expression for each repetition.
+   *
+   * @example <caption>`2x4d6dl1`</caption>
+   * ResultGroup {
+   *   results: [
+   *     // repetition 1
+   *     ResultGroup {
+   *       results: [
+   *         RollResults {...},
+   *       ],
+   *     },
+   *     // repetition 2
+   *     ResultGroup {
+   *       results: [
+   *         RollResults {...},
+   *       ],
+   *     },
+   *   ],
+   * }
+   *
+   * @returns {ResultGroup} A group containing the results of each repetition
+   */
+  roll() {
+    const repetitions = [];
+
+    for (let i = 0; i < this.count; i++) {
+      repetitions.push(new ResultGroup(this.expressions.map((expression) => (
+        isRollable(expression) ? expression.roll() : expression
+      ))));
+    }
+
+    return new ResultGroup(repetitions);
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  count: number,
+   *  expressions: Array.<StandardDice|DynamicDice|RollGroup|string|number>,
+   *  notation: string,
+   *  type: string
+   * }}
+   */
+  toJSON() {
+    const { count, expressions, notation } = this;
+
+    return {
+      count,
+      expressions,
+      notation,
+      type: 'repetition',
+    };
+  }
+
+  /**
+   * Return the String representation of the object.
+   *
+   * This is called automatically when casting the object to a string.
+   *
+   * @see {@link RollRepetition#notation}
+   *
+   * @returns {string}
+   */
+  toString() {
+    return this.notation;
+  }
+}
+
+export default RollRepetition;
@@ -0,0 +1,191 @@
+import { generator, NumberGenerator } from './utilities/NumberGenerator.js';
+import DiceRoll from './DiceRoll.js';
+import Limits from './Limits.js';
+import Parser from './parser/Parser.js';
+
+/**
+ * The compiled notation
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const compiledSymbol = Symbol('compiled');
+
+/**
+ * The number generator
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const generatorSymbol = Symbol('generator');
+
+/**
+ * The limits
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const limitsSymbol = Symbol('limits');
+
+/**
+ * A `RollTemplate` parses a notation once, and rolls it as many times as needed.
+ *
+ * Each roll returns a new `DiceRoll`, without parsing the notation again.
+ *
+ * @example
+ * const attack = new RollTemplate('1d20+@str', { variables: { str: 7 } });
+ *
+ * attack.roll().total; // 1d20+7
+ * attack.roll({ seed: 1234 }).total; // the same total every time
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Parser.compile}
+ */
+class RollTemplate {
+  /**
+   * Create a `RollTemplate` instance.
+   *
+   * @param {string} notation The notation to roll
+   * @param {{
+   *  generator: NumberGenerator,
+   *  limits: Limits|{}|null,
+   *  variables: Object.<string, number>
+   * }} [options={}] The options used for every roll
+   * @param {NumberGenerator|null} [options.generator=null] The number generator to roll with.
+   * Defaults to the shared generator
+   * @param {Limits|{}|null} [options.limits=null] The limits to parse and roll the notation
+   * within
+   * @param {Object.<string, number>} [options.variables={}] Named values that the notation can
+   * reference
+   *
+   * @throws {LimitError} notation exceeds a limit
+   * @throws {NotationError} notation is invalid
+   * @throws {RequiredArgumentError} notation is required
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   * @throws {TypeError} variables must be an object of numbers
+   */
+  constructor(notation, {
+    generator: numberGenerator = null,
+    limits = null,
+    variables = {},
+  } = {}) {
+    if (numberGenerator && !(numberGenerator instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    this[generatorSymbol] = numberGenerator || generator;
+
+    if (!limits) {
+      this[limitsSymbol] = null;
+    } else {
+      this[limitsSymbol] = (limits instanceof Limits) ? limits : new Limits(limits);
+    }
+
+    this[compiledSymbol] = Parser.compile(notation, { limits: this.limits, variables });
+  }
+
+  /**
+   * The compiled notation.
+   *
+   * @returns {CompiledNotation}
+   */
+  get compiled() {
+    return this[compiledSymbol];
+  }
+
+  /**
+   * The number generator used for rolling the dice.
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol];
+  }
+
+  /**
+   * The limits that the notation is rolled within.
+   *
+   * @returns {Limits|null} `null` if the rolls are not limited
+   */
+  get limits() {
+    return this[limitsSymbol];
+  }
+
+  /**
+   * The notation.
+   *
+   * @returns {string}
+   */
+  get notation() {
+    return this.compiled.notation;
+  }
+
+  /**
+   * The variables that the notation references.
+   *
+   * @returns {Object.<string, number>}
+   */
+  get variables() {
+    return this.compiled.variables;
+  }
+
+  /**
+   * Roll the notation, and return the result.
+   *
+   * @param {{seed: number|null}} [options={}] The options for this roll
+   * @param {number|null} [options.seed=null] Roll with a `MersenneTwister19937` engine, seeded
+   * with this value, instead of the template's generator
+   *
+   * @returns {DiceRoll}
+   *
+   * @throws {LimitError} The roll exceeds a limit
+   * @throws {TypeError} seed must be an integer
+   */
+  roll({ seed = null } = {}) {
+    return new DiceRoll(this.compiled, {
+      generator: (seed === null) ? this.generator : null,
+      limits: this.limits,
+      seed,
+    });
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  limits: Limits|null,
+   *  notation: string,
+   *  type: string,
+   *  variables: Object.<string, number>
+   * }}
+   */
+  toJSON() {
+    const { limits, notation, variables } = this;
+
+    return {
+      limits,
+      notation,
+      type: 'roll-template',
+      variables,
+    };
+  }
+
+  /**
+   * Return the String representation of the object.
+   *
+   * This is called automatically when casting the object to a string.
+   *
+   * @returns {string}
+   */
+  toString() {
+    return this.notation;
+  }
+}
+
+export default RollTemplate;
@@ -0,0 +1,401 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { RequiredArgumentError } from '../exceptions/index.js';
+import AnsiRenderer from '../renderers/AnsiRenderer.js';
+import DiceRoller from '../DiceRoller.js';
+import Repl from './Repl.js';
+import exportFormats from '../utilities/ExportFormats.js';
+
+/**
+ * The options that don't take a value, keyed by flag, with the option name they set.
+ *
+ * @type {Object.<string, string>}
+ *
+ * @private
+ */
+const flags = {
+  '-b': 'base64',
+  '--base64': 'base64',
+  '-h': 'help',
+  '--help': 'help',
+  '-i': 'interactive',
+  '--interactive': 'interactive',
+  '-j': 'json',
+  '--json': 'json',
+  '--no-color': 'noColor',
+  '--stats': 'stats',
+};
+
+/**
+ * The options that take a value, keyed by flag, with the option name they set.
+ *
+ * @type {Object.<string, string>}
+ *
+ * @private
+ */
+const valueOptions = {
+  '-l': 'log',
+  '--log': 'log',
+  '-r': 'repeat',
+  '--repeat': 'repeat',
+  '-s': 'seed',
+  '--seed': 'seed',
+};
+
+/**
+ * The most times that each notation can be repeated.
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const maxRepeat = 1000;
+
+/**
+ * Read the notations from the stream, one per line.
+ *
+ * Blank lines are ignored.
+ *
+ * @private
+ *
+ * @param {AsyncIterable<string|Buffer>} stream
+ *
+ * @returns {Promise<string[]>}
+ */
+const readNotations = async (stream) => {
+  let input = '';
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of stream) {
+    input += chunk;
+  }
+
+  return input.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Read the roll log from the file, if it exists.
+ *
+ * @private
+ *
+ * @param {string} file The file path
+ *
+ * @returns {DiceRoller}
+ *
+ * @throws {DataFormatError} The file contents are invalid
+ */
+const readLog = (file) => {
+  const roller = new DiceRoller();
+
+  if (existsSync(file)) {
+    const data = readFileSync(file, 'utf8').trim();
+
+    if (data) {
+      roller.import(data);
+    }
+  }
+
+  return roller;
+};
+
+/**
+ * Create the dice roller, seeded if the `seed` option is set.
+ *
+ * Each roll is given its own seed, generated from the session seed, so that exported rolls can be
+ * verified one at a time.
+ *
+ * @private
+ *
+ * @param {{seed: number|null}} options The parsed arguments
+ *
+ * @returns {DiceRoller}
+ */
+const createRoller = ({ seed }) => new DiceRoller(null, { seed });
+
+/**
+ * Create the renderer for the output.
+ *
+ * Colours are only used for terminals, unless disabled with `--no-color` or the `NO_COLOR`
+ * environment variable.
+ *
+ * @private
+ *
+ * @param {{noColor: boolean}} options The parsed arguments
+ * @param {{isTTY: boolean}} stdout The stream the output is written to
+ *
+ * @returns {AnsiRenderer}
+ */
+const createRenderer = ({ noColor }, stdout) => new AnsiRenderer({
+  color: !noColor && !!stdout.isTTY && !process.env.NO_COLOR,
+});
+
+/**
+ * The `rpg-dice` command line interface.
+ *
+ * Rolls the notations given as arguments, or read from stdin (One per line), with a `DiceRoller`.
+ *
+ * @example
+ * rpg-dice 4d6dl1 --repeat 6
+ * rpg-dice --json --seed 1234 "1d20+5" "2d6"
+ * echo "4d6" | rpg-dice --log rolls.json
+ * rpg-dice --interactive --log session.json
+ *
+ * @since 5.5.0
+ */
+class Cli {
+  /**
+   * The usage instructions.
+   *
+   * @returns {string}
+   */
+  static get usage() {
+    return [
+      'Usage: rpg-dice [options] [notation...]',
+      '       rpg-dice --interactive [options]',
+      '',
+      'Rolls each notation. If no notations are given, they are read from stdin, one per line.',
+      '',
+      'Options:',
+      '  -j, --json          Output the rolls as JSON',
+      '  -b, --base64        Output the rolls as base64 encoded JSON',
+      '  -s, --seed <n>      Seed the rolls, so they can be repeated and verified',
+      `  -r, --repeat <n>    Roll each notation <n> times, up to ${maxRepeat}`,
+      '      --stats         Output the min, max, and average totals for each notation, as text',
+      '  -l, --log <file>    Import the roll log from the file, and save the new rolls to it',
+      '  -i, --interactive   Start an interactive prompt, with the commands listed by :help',
+      '      --no-color      Do not colour the output',
+      '  -h, --help          Output the usage instructions',
+    ].join('\n');
+  }
+
+  /**
+   * Parse the command line arguments.
+   *
+   * @example
+   * Cli.parseArguments(['4d6', '--repeat', '2', '--json']);
+   * // {
+   * //   format: exportFormats.JSON,
+   * //   help: false,
+   * //   interactive: false,
+   * //   log: null,
+   * //   noColor: false,
+   * //   notations: ['4d6'],
+   * //   repeat: 2,
+   * //   seed: null,
+   * //   stats: false,
+   * // }
+   *
+   * @param {string[]} args The arguments, excluding the node and script paths
+   *
+   * @returns {{
+   *  format: exportFormats|null,
+   *  help: boolean,
+   *  interactive: boolean,
+   *  log: string|null,
+   *  noColor: boolean,
+   *  notations: string[],
+   *  repeat: number,
+   *  seed: number|null,
+   *  stats: boolean
+   * }}
+   *
+   * @throws {TypeError} An option is unknown, or is missing its value
+   * @throws {TypeError} stats can't be used with the JSON or base64 output
+   * @throws {TypeError} seed must be an integer
+   * @throws {RangeError} repeat must be an integer between 1 and 1000
+   */
+  static parseArguments(args) {
+    const options = {
+      format: null,
+      help: false,
+      interactive: false,
+      log: null,
+      noColor: false,
+      notations: [],
+      repeat: 1,
+      seed: null,
+      stats: false,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+
+      if (arg === '--') {
+        // everything after a double dash is a notation
+        options.notations.push(...args.slice(i + 1));
+        break;
+      } else if (Object.hasOwn(flags, flag) && (inlineValue === undefined)) {
+        const name = flags[flag];
+
+        if (name === 'json') {
+          options.format = exportFormats.JSON;
+        } else if (name === 'base64') {
+          options.format = exportFormats.BASE_64;
+        } else {
+          options[name] = true;
+        }
+      } else if (Object.hasOwn(valueOptions, flag)) {
+        let value = inlineValue;
+
+        if (value === undefined) {
+          i += 1;
+          value = args[i];
+        }
+
+        if ((value === undefined) || (value === '')) {
+          throw new TypeError(`Option "${flag}" requires a value`);
+        }
+
+        options[valueOptions[flag]] = value;
+      } else if (arg.startsWith('-') && (arg.length > 1)) {
+        throw new TypeError(`Unknown option "${arg}"`);
+      } else {
+        options.notations.push(arg);
+      }
+    }
+
+    if (options.stats && (options.format !== null)) {
+      throw new TypeError('Option "--stats" cannot be used with "--json" or "--base64"');
+    }
+
+    if (options.seed !== null) {
+      options.seed = Number(options.seed);
+
+      if (!Number.isInteger(options.seed)) {
+        throw new TypeError('seed must be an integer');
+      }
+    }
+
+    options.repeat = Number(options.repeat);
+
+    if (!Number.isInteger(options.repeat) || (options.repeat < 1) || (options.repeat > maxRepeat)) {
+      throw new RangeError(`repeat must be an integer between 1 and ${maxRepeat}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Start the interactive prompt.
+   *
+   * If the `log` option is set, the prompt starts with the rolls from the file, and the log is
+   * saved to it when the prompt ends.
+   *
+   * @param {{log: string|null, noColor: boolean, seed: number|null}} options The parsed arguments
+   * @param {{stdin: NodeJS.ReadableStream, stdout: NodeJS.WritableStream}} io The streams to read
+   * from and write to
+   * @param {NodeJS.ReadableStream} io.stdin The stream to read the input from
+   * @param {NodeJS.WritableStream} io.stdout The stream to write the output to
+   *
+   * @returns {Promise<void>} Resolves when the prompt ends
+   *
+   * @throws {DataFormatError} The log file contents are invalid
+   */
+  static async startRepl(options, { stdin, stdout }) {
+    const roller = createRoller(options);
+
+    if (options.log) {
+      roller.import(readLog(options.log).log);
+    }
+
+    stdout.write('Type a notation to roll it, or :help for the commands\n');
+
+    await new Repl({ roller, renderer: createRenderer(options, stdout) })
+      .start({ input: stdin, output: stdout });
+
+    if (options.log) {
+      writeFileSync(options.log, roller.export(exportFormats.JSON));
+    }
+  }
+
+  /**
+   * Run the command line interface.
+   *
+   * Errors are written to stderr, instead of being thrown.
+   *
+   * @param {string[]} args The arguments, excluding the node and script paths
+   * @param {{
+   *  stdin: AsyncIterable<string|Buffer>,
+   *  stdout: {write: function(string), isTTY: boolean},
+   *  stderr: {write: function(string)}
+   * }} [io={}] The streams to read from and write to
+   * @param {AsyncIterable<string|Buffer>} [io.stdin=process.stdin] The stream to read the
+   * notations from, if there are none in the arguments
+   * @param {{write: function(string), isTTY: boolean}} [io.stdout=process.stdout] The stream to
+   * write the output to
+   * @param {{write: function(string)}} [io.stderr=process.stderr] The stream to write errors to
+   *
+   * @returns {Promise<number>} The exit code; `0` on success, `1` on error
+   */
+  static async run(args, {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {}) {
+    try {
+      const options = Cli.parseArguments(args);
+
+      if (options.help) {
+        stdout.write(`${Cli.usage}\n`);
+
+        return 0;
+      }
+
+      if (options.interactive) {
+        await Cli.startRepl(options, { stdin, stdout });
+
+        return 0;
+      }
+
+      let { notations } = options;
+
+      if (!notations.length && !stdin.isTTY) {
+        notations = await readNotations(stdin);
+      }
+
+      if (!notations.length) {
+        throw new RequiredArgumentError('notations');
+      }
+
+      // read the log first, so we don't roll anything if it's invalid
+      const log = options.log ? readLog(options.log) : null;
+      const roller = createRoller(options);
+      const renderer = createRenderer(options, stdout);
+
+      const output = notations.map((notation) => {
+        const rolls = Array.from({ length: options.repeat }, () => roller.roll(notation));
+        const lines = rolls.map((roll) => renderer.render(roll));
+
+        if (options.stats) {
+          const { averageTotal, maxTotal, minTotal } = rolls[0];
+
+          lines.push(`  min: ${minTotal}, max: ${maxTotal}, average: ${averageTotal}`);
+        }
+
+        return lines;
+      }).flat();
+
+      if (options.format !== null) {
+        stdout.write(`${roller.export(options.format)}\n`);
+      } else {
+        stdout.write(`${output.join('\n')}\n`);
+      }
+
+      if (log) {
+        log.import(roller.export(exportFormats.OBJECT));
+
+        writeFileSync(options.log, log.export(exportFormats.JSON));
+      }
+
+      return 0;
+    } catch (e) {
+      stderr.write(`rpg-dice: ${e.message}\n`);
+
+      return 1;
+    }
+  }
+}
+
+export default Cli;
@@ -0,0 +1,363 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { NotationError } from '../exceptions/index.js';
+import DiceRoller from '../DiceRoller.js';
+import Limits from '../Limits.js';
+import Probability from '../probability/Probability.js';
+import Renderer from '../renderers/Renderer.js';
+import exportFormats from '../utilities/ExportFormats.js';
+
+/**
+ * The dice roller
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const rollerSymbol = Symbol('roller');
+
+/**
+ * The renderer
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const rendererSymbol = Symbol('renderer');
+
+/**
+ * The widest bar in the `:stats` chart, in characters.
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const chartWidth = 40;
+
+/**
+ * The limits for calculating the exact `:stats` probabilities, after which they are estimated
+ * instead.
+ *
+ * @type {Limits}
+ *
+ * @private
+ */
+const statsLimits = new Limits({ maxIterations: 1000000, timeout: 100 });
+
+/**
+ * The limits for estimating the `:stats` probabilities, if they can't be calculated exactly.
+ *
+ * @type {Limits}
+ *
+ * @private
+ */
+const estimateLimits = new Limits({ maxIterations: 1000000, timeout: 5000 });
+
+/**
+ * Format the probability as a percentage.
+ *
+ * @private
+ *
+ * @param {number} probability
+ *
+ * @returns {string}
+ */
+const toPercent = (probability) => `${(probability * 100).toFixed(2)}%`;
+
+/**
+ * Return the command argument, or throw an error if it is empty.
+ *
+ * @private
+ *
+ * @param {string} command The command name
+ * @param {string} argument The command argument
+ *
+ * @returns {string}
+ *
+ * @throws {TypeError} The argument is empty
+ */
+const requireArgument = (command, argument) => {
+  if (!argument) {
+    throw new TypeError(`:${command} requires an argument`);
+  }
+
+  return argument;
+};
+
+/**
+ * Return the probability of each possible total for the notation, with a bar chart.
+ *
+ * If the probabilities cannot be calculated exactly (e.g. exploding dice), or it would take too
+ * much work (e.g. large dice pools), they are estimated by rolling the notation many times.
+ *
+ * @private
+ *
+ * @param {string} notation
+ *
+ * @returns {string}
+ *
+ * @throws {LimitError} The estimate exceeds a limit
+ * @throws {NotationError} notation is invalid
+ */
+const getStats = (notation) => {
+  let distribution;
+  let title = notation;
+
+  try {
+    distribution = Probability.distribution(notation, { limits: statsLimits });
+  } catch (e) {
+    if (e instanceof NotationError) {
+      throw e;
+    }
+
+    distribution = Probability.simulate(notation, { limits: estimateLimits });
+    title += ` (estimated from ${distribution.iterations} rolls)`;
+  }
+
+  const {
+    max, mean, min, probabilities, standardDeviation,
+  } = distribution;
+  const highest = Math.max(...probabilities.values());
+  const width = Math.max(...distribution.values.map((value) => `${value}`.length));
+
+  return [
+    title,
+    `min: ${min}, max: ${max}, mean: ${mean.toFixed(2)}, standard deviation: ${standardDeviation.toFixed(2)}`,
+    ...[...probabilities].map(([value, probability]) => [
+      `${value}`.padStart(width),
+      toPercent(probability).padStart(7),
+      '#'.repeat(Math.round((probability / highest) * chartWidth)),
+    ].join(' ').trimEnd()),
+  ].join('\n');
+};
+
+/**
+ * Remove the last roll from the roller's log.
+ *
+ * @private
+ *
+ * @param {DiceRoller} roller
+ *
+ * @returns {string}
+ */
+const undo = (roller) => {
+  const removed = roller.removeLast();
+
+  if (!removed) {
+    return 'The log is empty';
+  }
+
+  return `Removed ${removed}`;
+};
+
+/**
+ * A `Repl` is an interactive prompt for rolling dice, with a persistent `DiceRoller`.
+ *
+ * Each line is either a notation to roll, or a command, starting with a colon (e.g. `:log`). Any
+ * errors, such as invalid notation, are displayed without ending the session.
+ *
+ * @example
+ * const repl = new Repl({ renderer: new AnsiRenderer() });
+ *
+ * await repl.start();
+ *
+ * @since 5.5.0
+ */
+class Repl {
+  /**
+   * Create a `Repl` instance.
+   *
+   * @param {{roller: DiceRoller, renderer: Renderer}} [options={}]
+   * @param {DiceRoller} [options.roller=new DiceRoller()] The dice roller to roll with, and keep
+   * the log of rolls in
+   * @param {Renderer} [options.renderer=new Renderer()] The renderer for the roll output
+   *
+   * @throws {TypeError} roller must be an instance of DiceRoller
+   * @throws {TypeError} renderer must be an instance of Renderer
+   */
+  constructor({ roller = new DiceRoller(), renderer = new Renderer() } = {}) {
+    this.roller = roller;
+    this.renderer = renderer;
+  }
+
+  /**
+   * The usage instructions for the commands.
+   *
+   * @returns {string}
+   */
+  static get usage() {
+    return [
+      'Type a notation to roll it (e.g. 4d6dl1), or one of the commands:',
+      '',
+      '  :log                 Output the roll log',
+      '  :total               Output the total of all the rolls in the log',
+      '  :undo                Remove the last roll from the log',
+      '  :save <file>         Save the roll log to the file',
+      '  :load <file>         Add the rolls in the file to the log',
+      '  :stats <notation>    Output the probability of each total for the notation',
+      '  :help                Output the usage instructions',
+      '  :quit                End the session',
+    ].join('\n');
+  }
+
+  /**
+   * The renderer for the roll output.
+   *
+   * @returns {Renderer}
+   */
+  get renderer() {
+    return this[rendererSymbol];
+  }
+
+  /**
+   * Set the renderer for the roll output.
+   *
+   * @param {Renderer} value
+   *
+   * @throws {TypeError} renderer must be an instance of Renderer
+   */
+  set renderer(value) {
+    if (!(value instanceof Renderer)) {
+      throw new TypeError('renderer must be an instance of Renderer');
+    }
+
+    this[rendererSymbol] = value;
+  }
+
+  /**
+   * The dice roller, that keeps the log of rolls.
+   *
+   * @returns {DiceRoller}
+   */
+  get roller() {
+    return this[rollerSymbol];
+  }
+
+  /**
+   * Set the dice roller.
+   *
+   * @param {DiceRoller} value
+   *
+   * @throws {TypeError} roller must be an instance of DiceRoller
+   */
+  set roller(value) {
+    if (!(value instanceof DiceRoller)) {
+      throw new TypeError('roller must be an instance of DiceRoller');
+    }
+
+    this[rollerSymbol] = value;
+  }
+
+  /**
+   * Evaluate the line of input, and return the output.
+   *
+   * Errors are returned as the output, instead of being thrown. Invalid notation also includes
+   * the notation, with a caret pointing at the error position.
+   *
+   * @example
+   * repl.evaluate('4d6dl1'); // 4d6dl1: [6, 3, 1d, 4] = 13
+   * repl.evaluate(':total'); // 13
+   *
+   * @param {string} line
+   *
+   * @returns {string|null} The output, or `null` if there is nothing to output
+   */
+  evaluate(line) {
+    const input = `${line}`.trim();
+
+    if (!input) {
+      return null;
+    }
+
+    try {
+      if (!input.startsWith(':')) {
+        return this.renderer.render(this.roller.roll(input));
+      }
+
+      const [, command, argument] = input.match(/^:(\S*)\s*(.*)$/);
+
+      switch (command) {
+        case 'help':
+          return Repl.usage;
+        case 'load':
+          this.roller.import(readFileSync(requireArgument(command, argument), 'utf8').trim());
+
+          return `Loaded "${argument}"`;
+        case 'log':
+          return this.roller.output || 'The log is empty';
+        case 'save':
+          writeFileSync(requireArgument(command, argument), this.roller.export(exportFormats.JSON));
+
+          return `Saved ${this.roller.log.length} roll(s) to "${argument}"`;
+        case 'stats':
+          return getStats(requireArgument(command, argument));
+        case 'total':
+          return `${this.roller.total}`;
+        case 'undo':
+          return undo(this.roller);
+        default:
+          throw new TypeError(`Unknown command ":${command}". Type :help for the commands`);
+      }
+    } catch (e) {
+      if ((e instanceof NotationError) && e.snippet) {
+        return `${e.snippet}\n${e.message}`;
+      }
+
+      return e.message;
+    }
+  }
+
+  /**
+   * Start the interactive prompt.
+   *
+   * The prompt ends when the input ends, or the `:quit` command is entered.
+   *
+   * @param {{input: NodeJS.ReadableStream, output: NodeJS.WritableStream}} [io={}]
+   * @param {NodeJS.ReadableStream} [io.input=process.stdin] The stream to read the input from
+   * @param {NodeJS.WritableStream} [io.output=process.stdout] The stream to write the output to
+   *
+   * @returns {Promise<void>} Resolves when the prompt ends
+   */
+  start({ input = process.stdin, output = process.stdout } = {}) {
+    return new Promise((resolve) => {
+      const readline = createInterface({
+        input,
+        output,
+        prompt: 'rpg-dice> ',
+        terminal: !!output.isTTY,
+      });
+
+      let isClosed = false;
+
+      readline.on('line', (line) => {
+        // lines that were already read are still emitted after closing
+        if (isClosed) {
+          return;
+        }
+
+        if ([':exit', ':q', ':quit'].includes(line.trim())) {
+          readline.close();
+
+          return;
+        }
+
+        const result = this.evaluate(line);
+
+        if (result !== null) {
+          output.write(`${result}\n`);
+        }
+
+        readline.prompt();
+      });
+
+      readline.on('close', () => {
+        isClosed = true;
+        resolve();
+      });
+
+      readline.prompt();
+    });
+  }
+}
+
+export default Repl;
@@ -0,0 +1,153 @@
+import { RequiredArgumentError } from '../exceptions/index.js';
+import { isNumeric, isSafeNumber } from '../utilities/math.js';
+import RollResult from '../results/RollResult.js';
+import StandardDice from './StandardDice.js';
+
+const facesSymbol = Symbol('faces');
+const sortedFacesSymbol = Symbol('sorted-faces');
+
+/**
+ * Represents a die with a custom list of numerical faces.
+ *
+ * Faces can be any number, including negatives, and can be repeated.
+ *
+ * @example <caption>Fibonacci die</caption>
+ * const die = new CustomDice([1, 1, 2, 3, 5, 8]);
+ *
+ * @since 5.5.0
+ *
+ * @extends StandardDice
+ */
+class CustomDice extends StandardDice {
+  /**
+   * Create a `CustomDice` instance.
+   *
+   * @param {number[]} faces The value of each face on the die (e.g. `[1, 1, 2, 3, 5, 8]`)
+   * @param {number} [qty=1] The number of dice to roll (e.g. `4`)
+   * @param {Map<string, Modifier>|Modifier[]|{}|null} [modifiers] The modifiers that affect the die
+   * @param {Description|string|null} [description=null] The roll description.
+   *
+   * @throws {RequiredArgumentError} faces is required
+   * @throws {TypeError} faces must be an array of numbers
+   * @throws {RangeError} faces must be finite numbers
+   * @throws {TypeError} qty must be a positive integer, and modifiers must be valid
+   */
+  constructor(faces, qty = 1, modifiers = null, description = null) {
+    if (!faces) {
+      throw new RequiredArgumentError('faces');
+    } else if (!Array.isArray(faces) || !faces.length) {
+      throw new TypeError('faces must be an array of numbers');
+    } else if (faces.some((face) => Math.abs(face) === Infinity)) {
+      throw new RangeError('faces must be finite numbers');
+    } else if (faces.some((face) => !isNumeric(face))) {
+      throw new TypeError('faces must be an array of numbers');
+    } else if (faces.some((face) => !isSafeNumber(face))) {
+      throw new RangeError('faces must be finite numbers');
+    }
+
+    super(faces.length, qty, modifiers, null, null, description);
+
+    this[facesSymbol] = faces.map((face) => Number(face));
+    this[sortedFacesSymbol] = [...this[facesSymbol]].sort((a, b) => a - b);
+  }
+
+  /**
+   * The average value that the die can roll (Excluding modifiers).
+   *
+   * @returns {number}
+   */
+  get average() {
+    return this.faces.reduce((acc, face) => acc + face, 0) / this.faces.length;
+  }
+
+  /**
+   * The value of each face on the die, in the order they were defined.
+   *
+   * @returns {number[]}
+   */
+  get faces() {
+    return [...this[facesSymbol]];
+  }
+
+  /**
+   * The highest face value on the die, excluding modifiers.
+   *
+   * @returns {number}
+   */
+  get max() {
+    return this[sortedFacesSymbol][this[sortedFacesSymbol].length - 1];
+  }
+
+  /**
+   * The lowest face value on the die, excluding modifiers.
+   *
+   * @returns {number}
+   */
+  get min() {
+    return this[sortedFacesSymbol][0];
+  }
+
+  /* eslint-disable class-methods-use-this */
+  /**
+   * The name of the die.
+   *
+   * @returns {string} 'custom'
+   */
+  get name() {
+    return 'custom';
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * The faces of the die, in notation form.
+   *
+   * @returns {string} e.g. `{1,1,2,3,5,8}`
+   */
+  get sides() {
+    return `{${this.faces.join(',')}}`;
+  }
+
+  /**
+   * Roll a single die and return the value.
+   *
+   * @returns {RollResult} The value rolled
+   */
+  rollOnce() {
+    // pick from the sorted faces, so the min / max engines return the lowest / highest face
+    const index = this.generator.integer(0, this[sortedFacesSymbol].length - 1);
+    const result = new RollResult(this[sortedFacesSymbol][index]);
+    result.dice = this;
+    return result;
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  average: number,
+   *  faces: number[],
+   *  min: number,
+   *  max: number,
+   *  notation: string,
+   *  qty: number,
+   *  name: string,
+   *  sides: string,
+   *  modifiers: (Map<string, Modifier>|null),
+   *  type: string
+   * }}
+   */
+  toJSON() {
+    const { faces } = this;
+
+    return Object.assign(
+      super.toJSON(),
+      {
+        faces,
+      },
+    );
+  }
+}
+
+export default CustomDice;
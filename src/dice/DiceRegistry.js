@@ -0,0 +1,212 @@
+import StandardDice from './StandardDice.js';
+import cache from '../parser/cache.js';
+
+/**
+ * The notation tokens used by the built-in dice. Registered tokens cannot start with, or be the
+ * start of, any of these.
+ *
+ * @type {string[]}
+ *
+ * @private
+ */
+const reservedTokens = ['F', 'N'];
+
+/**
+ * Check if either token starts with the other, so that one would be matched in place of the other.
+ *
+ * @private
+ *
+ * @param {string} token
+ * @param {string} other
+ *
+ * @returns {boolean}
+ */
+const overlaps = (token, other) => token.startsWith(other) || other.startsWith(token);
+
+/**
+ * The registered dice definitions, keyed by name.
+ *
+ * @type {Map<string, {argument: string|null, dice: Function, name: string, token: string}>}
+ *
+ * @private
+ */
+const definitions = new Map();
+
+/**
+ * The definition name and argument used to create each registered die.
+ *
+ * @type {WeakMap<StandardDice, {argument: number|undefined, name: string}>}
+ *
+ * @private
+ */
+const created = new WeakMap();
+
+/**
+ * The `DiceRegistry` allows custom die types to be used in notation, without changing the library.
+ *
+ * Dice are created with `new DiceClass(qty)`, or `new DiceClass(qty, argument)` if an argument
+ * follows the token in the notation. The die's `sides` should be the token and argument (e.g.
+ * `C`), so that its notation can be parsed again.
+ *
+ * @example <caption>A coin that rolls 0 or 1, used as `4dC`</caption>
+ * class CoinDice extends StandardDice {
+ *   constructor(qty = 1) {
+ *     super('C', qty, null, 0, 1);
+ *   }
+ *
+ *   get name() {
+ *     return 'coin';
+ *   }
+ * }
+ *
+ * DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+ *
+ * @since 5.5.0
+ */
+class DiceRegistry {
+  /**
+   * Register a custom die type.
+   *
+   * @param {{argument: string|null, dice: Function, name: string, token: string}} definition
+   * @param {string} definition.name The die name, as returned by the die's `name`
+   * @param {string} definition.token The notation token, that follows the `d` (e.g. `C` for
+   * `4dC`). Must only contain letters, and must not start with, or be the start of, a built-in
+   * die token
+   * @param {Function} definition.dice The die class, which must extend `StandardDice`
+   * @param {string|null} [definition.argument=null] The type of argument that can follow the
+   * token; `number` (e.g. `dS8`), or `null` for none
+   *
+   * @throws {TypeError} The definition is invalid, or the name or token is already registered
+   */
+  static register({
+    argument = null,
+    dice,
+    name,
+    token,
+  } = {}) {
+    if (!name || (typeof name !== 'string')) {
+      throw new TypeError('name must be a non-empty string');
+    } else if (definitions.has(name)) {
+      throw new TypeError(`A die named "${name}" is already registered`);
+    }
+
+    if ((typeof token !== 'string') || !/^[a-z]+$/i.test(token)) {
+      throw new TypeError('token must only contain letters');
+    } else if (reservedTokens.some((reserved) => overlaps(token, reserved))) {
+      throw new TypeError(`The token "${token}" overlaps a built-in dice token`);
+    } else if ([...definitions.values()].some((definition) => definition.token === token)) {
+      throw new TypeError(`The token "${token}" is already in use`);
+    }
+
+    if ((typeof dice !== 'function') || !(dice.prototype instanceof StandardDice)) {
+      throw new TypeError('dice must be a class that extends StandardDice');
+    }
+
+    if ((argument !== null) && (argument !== 'number')) {
+      throw new TypeError('argument must be "number", or null');
+    }
+
+    definitions.set(name, {
+      argument,
+      dice,
+      name,
+      token,
+    });
+
+    // notation that was cached may now parse differently
+    cache.clear();
+  }
+
+  /**
+   * Remove a registered die type.
+   *
+   * @param {string} name
+   *
+   * @returns {boolean} `true` if the die was registered, `false` otherwise
+   */
+  static unregister(name) {
+    if (!definitions.delete(name)) {
+      return false;
+    }
+
+    cache.clear();
+
+    return true;
+  }
+
+  /**
+   * Check if a die type is registered.
+   *
+   * @param {string} name
+   *
+   * @returns {boolean}
+   */
+  static has(name) {
+    return definitions.has(name);
+  }
+
+  /**
+   * Create an instance of a registered die type.
+   *
+   * @param {string} name The die name
+   * @param {number} [qty=1] The number of dice
+   * @param {number} [argument] The argument from the notation
+   *
+   * @returns {StandardDice}
+   *
+   * @throws {TypeError} The die is not registered
+   */
+  static create(name, qty = 1, argument = undefined) {
+    if (!definitions.has(name)) {
+      throw new TypeError(`No die named "${name}" is registered`);
+    }
+
+    const { dice: DiceClass } = definitions.get(name);
+    const die = (argument === undefined) ? new DiceClass(qty) : new DiceClass(qty, argument);
+
+    created.set(die, { argument, name });
+
+    return die;
+  }
+
+  /**
+   * Create a copy of a die that was created by the registry, with a different qty.
+   *
+   * The modifiers and description are not copied.
+   *
+   * @param {StandardDice} die
+   * @param {number} qty
+   *
+   * @returns {StandardDice|null} `null` if the die was not created by the registry
+   */
+  static recreate(die, qty) {
+    if (!created.has(die)) {
+      return null;
+    }
+
+    const { argument, name } = created.get(die);
+
+    return DiceRegistry.create(name, qty, argument);
+  }
+
+  /**
+   * Find the registered die whose token is at the position in the notation.
+   *
+   * If more than one token matches, the longest is used.
+   *
+   * @param {string} notation
+   * @param {number} [offset=0]
+   *
+   * @returns {{argument: string|null, name: string, token: string}|null} The matching die
+   * definition, or `null` if there isn't one
+   */
+  static match(notation, offset = 0) {
+    return [...definitions.values()]
+      .filter(({ token }) => notation.startsWith(token, offset))
+      .reduce((longest, definition) => (
+        (!longest || (definition.token.length > longest.token.length)) ? definition : longest
+      ), null);
+  }
+}
+
+export default DiceRegistry;
@@ -0,0 +1,445 @@
+import { RequiredArgumentError } from '../exceptions/index.js';
+import { isSafeNumber } from '../utilities/math.js';
+import { generator, NumberGenerator } from '../utilities/NumberGenerator.js';
+import { ExplodeModifier, ReRollModifier, UniqueModifier } from '../modifiers/index.js';
+import CustomDice from './CustomDice.js';
+import DiceRegistry from './DiceRegistry.js';
+import FudgeDice from './FudgeDice.js';
+import PercentileDice from './PercentileDice.js';
+import ResultGroup from '../results/ResultGroup.js';
+import RollHooks from '../RollHooks.js';
+import RollResults from '../results/RollResults.js';
+import StandardDice from './StandardDice.js';
+import SymbolDice from './SymbolDice.js';
+
+const dieSymbol = Symbol('die');
+const generatorSymbol = Symbol('generator');
+const hooksSymbol = Symbol('hooks');
+const qtyExpressionSymbol = Symbol('qty-expression');
+const sidesExpressionSymbol = Symbol('sides-expression');
+
+/**
+ * The maximum number of dice that can be rolled at once
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const maxQty = 999;
+
+/**
+ * Modifiers that need a die to have more than one possible value.
+ *
+ * @type {Function[]}
+ *
+ * @private
+ */
+const multipleValueModifiers = [ExplodeModifier, ReRollModifier, UniqueModifier];
+
+/**
+ * Check if the expression is an object that can be rolled.
+ *
+ * @private
+ *
+ * @param {*} expression
+ *
+ * @returns {boolean}
+ */
+const isRollable = (expression) => (
+  // eslint-disable-next-line no-use-before-define
+  (expression instanceof StandardDice) || (expression instanceof DynamicDice)
+);
+
+/**
+ * Check that the value is a valid qty or sides expression.
+ *
+ * @private
+ *
+ * @param {*} expression
+ *
+ * @returns {boolean}
+ */
+const isExpression = (expression) => Array.isArray(expression)
+  && (expression.length > 0)
+  && expression.every((value) => isRollable(value) || (typeof value === 'string') || (typeof value === 'number'));
+
+/**
+ * Roll all the dice in the expression.
+ *
+ * @private
+ *
+ * @param {Array.<StandardDice|DynamicDice|string|number>} expression
+ *
+ * @returns {ResultGroup}
+ */
+const rollExpression = (expression) => new ResultGroup(expression.map((value) => (
+  isRollable(value) ? value.roll() : value
+)));
+
+/**
+ * Create a copy of the modifier, so that any defaults it sets (e.g. an explode compare point that
+ * matches the die's max value) only apply to a single die.
+ *
+ * @private
+ *
+ * @param {Modifier} modifier
+ *
+ * @returns {Modifier}
+ */
+const copyModifier = (modifier) => Object.assign(
+  Object.create(Object.getPrototypeOf(modifier)),
+  modifier,
+);
+
+/**
+ * A die whose quantity, or number of sides, is determined by rolling another expression first.
+ *
+ * @example <caption>`(1d4)d6`</caption>
+ * const die = new DynamicDice(new StandardDice(6), [new StandardDice(4)]);
+ *
+ * @example <caption>`2d(1d6+2)`</caption>
+ * const die = new DynamicDice(new StandardDice(1, 2), null, [new StandardDice(6), '+', 2]);
+ *
+ * @since 5.5.0
+ */
+class DynamicDice {
+  /**
+   * Create a `DynamicDice` instance.
+   *
+   * @param {StandardDice} die The die to roll. Its quantity and sides are used if the
+   * corresponding expression is not set
+   * @param {Array.<StandardDice|DynamicDice|string|number>|null} [qtyExpression=null] The
+   * expression to roll for the number of dice
+   * @param {Array.<StandardDice|DynamicDice|string|number>|null} [sidesExpression=null]
+   * The expression to roll for the number of sides. Only supported for standard numerical dice
+   *
+   * @throws {RequiredArgumentError} die is required
+   * @throws {TypeError} die must be an instance of StandardDice
+   * @throws {TypeError} expressions must be arrays of dice, numbers, or strings
+   * @throws {TypeError} at least one of the expressions is required
+   */
+  constructor(die, qtyExpression = null, sidesExpression = null) {
+    if (!die) {
+      throw new RequiredArgumentError('die');
+    } else if (!(die instanceof StandardDice)) {
+      throw new TypeError('die must be an instance of StandardDice');
+    }
+
+    if (!qtyExpression && !sidesExpression) {
+      throw new TypeError('qty or sides expression is required');
+    } else if (
+      (qtyExpression && !isExpression(qtyExpression))
+      || (sidesExpression && !isExpression(sidesExpression))
+    ) {
+      throw new TypeError('expressions must be non-empty arrays of Dice, numbers, or strings');
+    } else if (sidesExpression && (die.constructor !== StandardDice)) {
+      throw new TypeError(`sides expression cannot be used for ${die.name} dice`);
+    }
+
+    this[dieSymbol] = die;
+    this[qtyExpressionSymbol] = qtyExpression ? [...qtyExpression] : null;
+    this[sidesExpressionSymbol] = sidesExpression ? [...sidesExpression] : null;
+  }
+
+  /**
+   * The die that is rolled.
+   *
+   * @returns {StandardDice}
+   */
+  get die() {
+    return this[dieSymbol];
+  }
+
+  /**
+   * The roll description.
+   *
+   * @returns {Description|null}
+   */
+  get description() {
+    return this.die.description;
+  }
+
+  /**
+   * Set the roll description.
+   *
+   * @param {Description|string|null} value
+   *
+   * @throws {TypeError} description is invalid
+   */
+  set description(value) {
+    this.die.description = value;
+  }
+
+  /**
+   * The number generator used for rolling the dice.
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol] || generator;
+  }
+
+  /**
+   * Set the number generator used for rolling the dice.
+   *
+   * This is also set on all the dice in the qty and sides expressions. If falsey, the default
+   * generator is used.
+   *
+   * @param {NumberGenerator|null} value
+   *
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   */
+  set generator(value) {
+    if (value && !(value instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    this[generatorSymbol] = value || null;
+
+    [...(this.qtyExpression || []), ...(this.sidesExpression || [])]
+      .filter(isRollable)
+      .forEach((expression) => {
+        // eslint-disable-next-line no-param-reassign
+        expression.generator = value;
+      });
+  }
+
+  /**
+   * The hooks called for each die rolled.
+   *
+   * @returns {RollHooks|null} `null` if there are no hooks
+   */
+  get hooks() {
+    return this[hooksSymbol] || null;
+  }
+
+  /**
+   * Set the hooks called for each die rolled.
+   *
+   * This is also set on all the dice in the qty and sides expressions.
+   *
+   * @param {RollHooks|null} value
+   *
+   * @throws {TypeError} hooks must be an instance of RollHooks
+   */
+  set hooks(value) {
+    if (value && !(value instanceof RollHooks)) {
+      throw new TypeError('hooks must be an instance of RollHooks');
+    }
+
+    this[hooksSymbol] = value || null;
+
+    [...(this.qtyExpression || []), ...(this.sidesExpression || [])]
+      .filter(isRollable)
+      .forEach((expression) => {
+        // eslint-disable-next-line no-param-reassign
+        expression.hooks = value;
+      });
+  }
+
+  /**
+   * The modifiers that affect the die.
+   *
+   * @returns {Map<string, Modifier>|null}
+   */
+  get modifiers() {
+    return this.die.modifiers;
+  }
+
+  /**
+   * Set the modifiers that affect the die.
+   *
+   * @param {Map<string, Modifier>|Modifier[]|{}|null} value
+   *
+   * @throws {TypeError} Modifiers should be a Map, array of Modifiers, or an Object
+   */
+  set modifiers(value) {
+    this.die.modifiers = value;
+  }
+
+  /* eslint-disable class-methods-use-this */
+  /**
+   * The name of the die.
+   *
+   * @returns {string} 'dynamic'
+   */
+  get name() {
+    return 'dynamic';
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * The dice notation. e.g. `(1d4)d6!`.
+   *
+   * @returns {string}
+   */
+  get notation() {
+    const { die, qtyExpression, sidesExpression } = this;
+    const qty = qtyExpression ? `(${qtyExpression.join('')})` : die.qty;
+    const sides = sidesExpression ? `(${sidesExpression.join('')})` : die.sides;
+
+    // the die's notation, without its qty and sides, is the modifiers
+    return `${qty}d${sides}${die.notation.slice(`${die.qty}d${die.sides}`.length)}`;
+  }
+
+  /**
+   * The expression rolled for the number of dice.
+   *
+   * @returns {Array.<StandardDice|DynamicDice|string|number>|null} `null` if the die's
+   * qty is used
+   */
+  get qtyExpression() {
+    return this[qtyExpressionSymbol] ? [...this[qtyExpressionSymbol]] : null;
+  }
+
+  /**
+   * The expression rolled for the number of sides.
+   *
+   * @returns {Array.<StandardDice|DynamicDice|string|number>|null} `null` if the die's
+   * sides are used
+   */
+  get sidesExpression() {
+    return this[sidesExpressionSymbol] ? [...this[sidesExpressionSymbol]] : null;
+  }
+
+  /**
+   * Create a die of the same type, with the given qty and sides.
+   *
+   * If the sides are rolled, and there is only one, the die can't explode or re-roll, so those
+   * modifiers are left off.
+   *
+   * @param {number} [qty] The number of dice. Defaults to the die's qty
+   * @param {number} [sides] The number of sides. Defaults to the die's sides
+   *
+   * @returns {StandardDice}
+   *
+   * @throws {RangeError} qty must be between 1 and 999, and sides must be positive
+   */
+  createDie(qty = this.die.qty, sides = this.die.sides) {
+    const { die } = this;
+    const isSingleSided = !!this.sidesExpression && (sides === 1);
+    const modifiers = [...(die.modifiers || new Map()).values()]
+      .filter((modifier) => !isSingleSided
+        || !multipleValueModifiers.some((type) => modifier instanceof type))
+      .map(copyModifier);
+    let newDie = DiceRegistry.recreate(die, qty);
+
+    if (newDie) {
+      newDie.modifiers = modifiers;
+      newDie.description = die.description;
+    } else if (die instanceof SymbolDice) {
+      newDie = new SymbolDice(
+        { name: die.variant, faces: die.symbolFaces },
+        qty,
+        modifiers,
+        die.description,
+      );
+    } else if (die instanceof CustomDice) {
+      newDie = new CustomDice(die.faces, qty, modifiers, die.description);
+    } else if (die instanceof FudgeDice) {
+      newDie = new FudgeDice(die.nonBlanks, qty, modifiers, die.description);
+    } else if (die instanceof PercentileDice) {
+      newDie = new PercentileDice(qty, modifiers, die.sidesAsNumber, die.description);
+    } else {
+      newDie = new StandardDice(sides, qty, modifiers, null, null, die.description);
+    }
+
+    newDie.generator = this[generatorSymbol];
+    newDie.hooks = this.hooks;
+
+    return newDie;
+  }
+
+  /**
+   * Return the qty and sides of the dice to roll, from the values of the qty and sides expressions.
+   *
+   * Rolled values are rounded down to whole numbers. If the qty or sides are less than one, no dice
+   * are rolled. A qty over 999 is capped at 999.
+   *
+   * @param {number} qty The qty value
+   * @param {number|string} sides The sides value
+   *
+   * @returns {{qty: number, sides: number|string}|null} `null` if no dice are rolled
+   */
+  resolve(qty, sides) {
+    const rolledQty = this.qtyExpression ? Math.floor(qty) : qty;
+    const rolledSides = this.sidesExpression ? Math.floor(sides) : sides;
+
+    const isSidesValid = !this.sidesExpression || ((rolledSides >= 1) && isSafeNumber(rolledSides));
+
+    if ((rolledQty < 1) || !isSidesValid) {
+      return null;
+    }
+
+    return { qty: Math.min(rolledQty, maxQty), sides: rolledSides };
+  }
+
+  /**
+   * Roll the qty and sides expressions, then roll the dice.
+   *
+   * @see {@link DynamicDice#resolve} for how the rolled qty and sides are used
+   *
+   * @returns {RollResults} The results of the dice, including the qty and sides rolls
+   */
+  roll() {
+    const qtyResults = this.qtyExpression ? rollExpression(this.qtyExpression) : null;
+    const sidesResults = this.sidesExpression ? rollExpression(this.sidesExpression) : null;
+    const resolved = this.resolve(
+      qtyResults ? qtyResults.value : this.die.qty,
+      sidesResults ? sidesResults.value : this.die.sides,
+    );
+
+    const results = resolved
+      ? this.createDie(resolved.qty, resolved.sides).roll()
+      : new RollResults();
+
+    results.qtyResults = qtyResults;
+    results.sidesResults = sidesResults;
+
+    return results;
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  die: StandardDice,
+   *  name: string,
+   *  notation: string,
+   *  qtyExpression: Array.<StandardDice|DynamicDice|string|number>|null,
+   *  sidesExpression: Array.<StandardDice|DynamicDice|string|number>|null,
+   *  type: string
+   * }}
+   */
+  toJSON() {
+    const {
+      die, name, notation, qtyExpression, sidesExpression,
+    } = this;
+
+    return {
+      die,
+      name,
+      notation,
+      qtyExpression,
+      sidesExpression,
+      type: 'die',
+    };
+  }
+
+  /**
+   * Return the String representation of the object.
+   *
+   * This is called automatically when casting the object to a string.
+   *
+   * @see {@link DynamicDice#notation}
+   *
+   * @returns {string}
+   */
+  toString() {
+    return `${this.notation}${this.description ? ` ${this.description}` : ''}`;
+  }
+}
+
+export default DynamicDice;
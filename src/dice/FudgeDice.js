@@ -1,4 +1,3 @@
-import { generator } from '../utilities/NumberGenerator.js';
 import RollResult from '../results/RollResult.js';
 import StandardDice from './StandardDice.js';
 
@@ -70,11 +69,11 @@ class FudgeDice extends StandardDice {
 
     if (this.nonBlanks === 2) {
       // default fudge (2 of each non-blank) = 1d3 - 2
-      total = generator.integer(1, 3) - 2;
+      total = this.generator.integer(1, 3) - 2;
     } else if (this.nonBlanks === 1) {
       // only 1 of each non-blank
       // on 1d6 a roll of 1 = -1, 6 = +1, others = 0
-      const num = generator.integer(1, 6);
+      const num = this.generator.integer(1, 6);
       if (num === 1) {
         total = -1;
       } else if (num === 6) {
@@ -1,11 +1,15 @@
 import { RequiredArgumentError } from '../exceptions/index.js';
 import { isNumeric, isSafeNumber } from '../utilities/math.js';
-import { generator } from '../utilities/NumberGenerator.js';
+import { generator, NumberGenerator } from '../utilities/NumberGenerator.js';
+import LimitedNumberGenerator from '../utilities/LimitedNumberGenerator.js';
 import HasDescription from '../traits/HasDescription.js';
 import Modifier from '../modifiers/Modifier.js';
 import RollResult from '../results/RollResult.js';
 import RollResults from '../results/RollResults.js';
+import RollHooks from '../RollHooks.js';
 
+const generatorSymbol = Symbol('generator');
+const hooksSymbol = Symbol('hooks');
 const modifiersSymbol = Symbol('modifiers');
 const qtySymbol = Symbol('qty');
 const sidesSymbol = Symbol('sides');
@@ -86,6 +90,64 @@ class StandardDice extends HasDescription {
     return (this.min + this.max) / 2;
   }
 
+  /**
+   * The number generator used for rolling the die.
+   *
+   * @since 5.5.0
+   *
+   * @returns {NumberGenerator}
+   */
+  get generator() {
+    return this[generatorSymbol] || generator;
+  }
+
+  /**
+   * Set the number generator used for rolling the die.
+   *
+   * If falsey, the default generator is used.
+   *
+   * @since 5.5.0
+   *
+   * @param {NumberGenerator|null} value
+   *
+   * @throws {TypeError} generator must be an instance of NumberGenerator
+   */
+  set generator(value) {
+    if (value && !(value instanceof NumberGenerator)) {
+      throw new TypeError('generator must be an instance of NumberGenerator');
+    }
+
+    this[generatorSymbol] = value || null;
+  }
+
+  /**
+   * The hooks called for each die rolled.
+   *
+   * @since 5.5.0
+   *
+   * @returns {RollHooks|null} `null` if there are no hooks
+   */
+  get hooks() {
+    return this[hooksSymbol] || null;
+  }
+
+  /**
+   * Set the hooks called for each die rolled.
+   *
+   * @since 5.5.0
+   *
+   * @param {RollHooks|null} value
+   *
+   * @throws {TypeError} hooks must be an instance of RollHooks
+   */
+  set hooks(value) {
+    if (value && !(value instanceof RollHooks)) {
+      throw new TypeError('hooks must be an instance of RollHooks');
+    }
+
+    this[hooksSymbol] = value || null;
+  }
+
   /**
    * The modifiers that affect this die roll.
    *
@@ -195,18 +257,53 @@ class StandardDice extends HasDescription {
   /**
    * Roll the dice for the specified quantity and apply any modifiers.
    *
+   * If the die has hooks, `onDieRolled` is called for each die, as it is rolled.
+   *
    * @returns {RollResults} The result of the roll
+   *
+   * @throws {LimitError} The roll exceeds the generator's limits
    */
   roll() {
+    if (this.generator instanceof LimitedNumberGenerator) {
+      // check the limits before rolling anything
+      this.generator.addDice(this);
+    }
+
     // create a result object to hold the rolls
     const rollResult = new RollResults();
 
     // loop for the quantity and roll the die
     for (let i = 0; i < this.qty; i++) {
+      const result = this.rollOnce();
+
       // add the rolls to the list
-      rollResult.addRoll(this.rollOnce());
+      rollResult.addRoll(result);
+
+      // the hook is called here, rather than in `rollOnce()`, because modifiers also call
+      // `rollOnce()`, and call their own hooks for those rolls
+      if (this.hooks) {
+        this.hooks.trigger('onDieRolled', {
+          die: this,
+          modifier: null,
+          reason: 'roll',
+          result,
+          value: result.initialValue,
+        });
+      }
     }
 
+    const { qty, sides } = this;
+    const { rolls } = rollResult;
+
+    rollResult.addStep(() => {
+      // list the values as they were rolled, before any modifiers changed them
+      const rolled = new RollResults(rolls.map(({ initialValue, symbols }) => (
+        new RollResult({ initialValue, symbols })
+      )));
+
+      return `Rolled ${qty}d${sides}: ${rolled}`;
+    });
+
     // loop through each modifier and carry out its actions
     (this.modifiers || []).forEach((modifier) => {
       modifier.run(rollResult, this);
@@ -221,7 +318,7 @@ class StandardDice extends HasDescription {
    * @returns {RollResult} The value rolled
    */
   rollOnce() {
-    const result = new RollResult(generator.integer(this.min, this.max));
+    const result = new RollResult(this.generator.integer(this.min, this.max));
     result.dice = this;
     return result;
   }
@@ -0,0 +1,195 @@
+import { RequiredArgumentError } from '../exceptions/index.js';
+import { isSymbols, parseSymbols, symbolsValue } from '../utilities/symbols.js';
+import CustomDice from './CustomDice.js';
+import RollResult from '../results/RollResult.js';
+
+const symbolFacesSymbol = Symbol('symbol-faces');
+const sortedSymbolFacesSymbol = Symbol('sorted-symbol-faces');
+const variantSymbol = Symbol('variant');
+
+/**
+ * Represents a narrative die, with symbols on its faces instead of numbers (e.g. Genesys).
+ *
+ * Each face is a list of symbol counts. The numerical value of a face is its number of successes,
+ * minus its number of failures, so totals represent the net successes.
+ *
+ * @example <caption>Built-in die</caption>
+ * const die = new SymbolDice('ability', 2);
+ *
+ * @example <caption>Custom die</caption>
+ * const die = new SymbolDice({
+ *   name: 'luck',
+ *   faces: ['', 's', 'a', { success: 1, advantage: 2 }],
+ * });
+ *
+ * @since 5.5.0
+ *
+ * @see {@link https://genesysrpg.com}
+ *
+ * @extends CustomDice
+ */
+class SymbolDice extends CustomDice {
+  /**
+   * The built-in dice, and their faces, using symbol abbreviations.
+   *
+   * @see {@link abbreviations}
+   *
+   * @type {Object.<string, string[]>}
+   */
+  static types = {
+    ability: ['', 's', 's', 'ss', 'a', 'a', 'sa', 'aa'],
+    boost: ['', '', 's', 'sa', 'aa', 'a'],
+    challenge: ['', 'f', 'f', 'ff', 'ff', 't', 't', 'ft', 'ft', 'tt', 'tt', 'D'],
+    difficulty: ['', 'f', 'ff', 't', 't', 't', 'tt', 'ft'],
+    proficiency: ['', 's', 's', 'ss', 'ss', 'a', 'sa', 'sa', 'sa', 'aa', 'aa', 'T'],
+    setback: ['', '', 'f', 'f', 't', 't'],
+  };
+
+  /**
+   * Create a `SymbolDice` instance.
+   *
+   * Faces can be an object of symbol counts (e.g. `{ success: 2 }`), or a string of symbol
+   * abbreviations (e.g. `ss`).
+   *
+   * @param {string|{name: string, faces: Array.<string|Object.<string, number>>}} variant The name
+   * of a built-in die, or a custom die definition
+   * @param {number} [qty=1] The number of dice to roll (e.g. `4`)
+   * @param {Map<string, Modifier>|Modifier[]|{}|null} [modifiers] The modifiers that affect the die
+   * @param {Description|string|null} [description=null] The roll description.
+   *
+   * @throws {RequiredArgumentError} variant is required
+   * @throws {RangeError} variant must be a built-in die
+   * @throws {TypeError} faces must be an array of symbols
+   * @throws {TypeError} qty must be a positive integer, and modifiers must be valid
+   */
+  constructor(variant, qty = 1, modifiers = null, description = null) {
+    if (!variant) {
+      throw new RequiredArgumentError('variant');
+    }
+
+    let name = variant;
+    let faces;
+
+    if (typeof variant === 'string') {
+      if (!Object.hasOwn(SymbolDice.types, variant)) {
+        throw new RangeError(`Unknown symbol die "${variant}"`);
+      }
+
+      faces = SymbolDice.types[variant];
+    } else if (
+      (typeof variant.name === 'string')
+      && /^[a-z]+$/.test(variant.name)
+      && Array.isArray(variant.faces)
+      && variant.faces.length
+    ) {
+      ({ name, faces } = variant);
+    } else {
+      throw new TypeError('variant must be a built-in die name, or an object with a name and faces');
+    }
+
+    const symbolFaces = faces.map((face) => {
+      if (typeof face === 'string') {
+        return parseSymbols(face);
+      }
+
+      if (!isSymbols(face)) {
+        throw new TypeError('faces must be strings or objects of symbol counts');
+      }
+
+      return { ...face };
+    });
+
+    super(symbolFaces.map((face) => symbolsValue(face)), qty, modifiers, description);
+
+    this[variantSymbol] = name;
+    this[symbolFacesSymbol] = symbolFaces;
+    this[sortedSymbolFacesSymbol] = [...symbolFaces]
+      .sort((a, b) => symbolsValue(a) - symbolsValue(b));
+  }
+
+  /* eslint-disable class-methods-use-this */
+  /**
+   * The name of the die.
+   *
+   * @returns {string} 'symbol'
+   */
+  get name() {
+    return 'symbol';
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * The number of sides the die has.
+   *
+   * @returns {string} e.g. `N.ability`
+   */
+  get sides() {
+    return `N.${this.variant}`;
+  }
+
+  /**
+   * The symbols on each face of the die.
+   *
+   * @returns {Array.<Object.<string, number>>}
+   */
+  get symbolFaces() {
+    return this[symbolFacesSymbol].map((face) => ({ ...face }));
+  }
+
+  /**
+   * The die variant (e.g. `ability`, `difficulty`).
+   *
+   * @returns {string}
+   */
+  get variant() {
+    return this[variantSymbol];
+  }
+
+  /**
+   * Roll a single die and return the value.
+   *
+   * @returns {RollResult} The value rolled
+   */
+  rollOnce() {
+    // faces are ordered by value, so the min / max engines return the lowest / highest face
+    const index = this.generator.integer(0, this[sortedSymbolFacesSymbol].length - 1);
+    const symbols = this[sortedSymbolFacesSymbol][index];
+    const result = new RollResult({ value: symbolsValue(symbols), symbols });
+    result.dice = this;
+    return result;
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  average: number,
+   *  faces: number[],
+   *  min: number,
+   *  max: number,
+   *  notation: string,
+   *  qty: number,
+   *  name: string,
+   *  sides: string,
+   *  symbolFaces: Array.<Object.<string, number>>,
+   *  modifiers: (Map<string, Modifier>|null),
+   *  type: string,
+   *  variant: string
+   * }}
+   */
+  toJSON() {
+    const { symbolFaces, variant } = this;
+
+    return Object.assign(
+      super.toJSON(),
+      {
+        symbolFaces,
+        variant,
+      },
+    );
+  }
+}
+
+export default SymbolDice;
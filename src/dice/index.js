@@ -1,5 +1,11 @@
 import StandardDice from './StandardDice.js';
+import CustomDice from './CustomDice.js';
+import DiceRegistry from './DiceRegistry.js';
+import DynamicDice from './DynamicDice.js';
 import FudgeDice from './FudgeDice.js';
 import PercentileDice from './PercentileDice.js';
+import SymbolDice from './SymbolDice.js';
 
-export { FudgeDice, PercentileDice, StandardDice };
+export {
+  CustomDice, DiceRegistry, DynamicDice, FudgeDice, PercentileDice, StandardDice, SymbolDice,
+};
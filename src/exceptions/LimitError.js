@@ -0,0 +1,32 @@
+/**
+ * An error thrown when a notation exceeds one of the configured roll limits
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Limits}
+ */
+class LimitError extends Error {
+  /**
+   * Create a `LimitError`
+   *
+   * @param {string} limit The name of the limit that was exceeded (e.g. `maxDice`)
+   * @param {number} max The value of the limit
+   * @param {number|null} [value=null] The value that exceeded the limit
+   */
+  constructor(limit, max, value = null) {
+    super(`Notation exceeds the "${limit}" limit of ${max}`);
+
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, LimitError);
+    }
+
+    this.name = 'LimitError';
+
+    this.limit = limit;
+    this.max = max;
+    this.value = value;
+  }
+}
+
+export default LimitError;
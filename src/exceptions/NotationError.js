@@ -5,10 +5,47 @@ class NotationError extends Error {
   /**
    * Create a `NotationError`
    *
+   * The `details` argument was added in 5.5.0.
+   *
    * @param {*} notation The invalid notation
+   * @param {{
+   *  expected: string[],
+   *  found: string|null,
+   *  location: {start: {offset: number, line: number, column: number}}|null,
+   *  reason: string|null,
+   *  suggestions: string[]
+   * }} [details={}] Details of where, and why, the notation is invalid
+   * @param {string[]} [details.expected=[]] Descriptions of the tokens that were expected
+   * @param {string|null} [details.found=null] The text that was found instead, or `null` for the
+   * end of the notation
+   * @param {{start: {offset: number, line: number, column: number}}|null} [details.location=null]
+   * The position of the error in the notation
+   * @param {string|null} [details.reason=null] Why the notation is invalid
+   * @param {string[]} [details.suggestions=[]] Valid notations that were possibly intended
    */
-  constructor(notation) {
-    super(`Notation "${notation}" is invalid`);
+  constructor(notation, {
+    expected = [],
+    found = null,
+    location = null,
+    reason = null,
+    suggestions = [],
+  } = {}) {
+    const { offset = null, line = null, column = null } = (location && location.start) || {};
+    let message = `Notation "${notation}" is invalid`;
+
+    if (line !== null) {
+      message += ` at line ${line}, column ${column}`;
+    }
+
+    if (reason) {
+      message += `: ${reason.replace(/\.$/, '')}`;
+    }
+
+    if (suggestions.length) {
+      message += `. Did you mean ${suggestions.map((suggestion) => `"${suggestion}"`).join(' or ')}?`;
+    }
+
+    super(message);
 
     // Maintains proper stack trace for where our error was thrown (only available on V8)
     if (Error.captureStackTrace) {
@@ -18,6 +55,35 @@ class NotationError extends Error {
     this.name = 'NotationError';
 
     this.notation = notation;
+
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+    this.expected = [...expected];
+    this.found = found;
+    this.reason = reason;
+    this.suggestions = [...suggestions];
+  }
+
+  /**
+   * The line of notation that the error is on, with a caret pointing at the error position.
+   *
+   * @example <caption>`2d6+`</caption>
+   * // 2d6+
+   * //     ^
+   *
+   * @since 5.5.0
+   *
+   * @returns {string|null} `null` if the position is unknown
+   */
+  get snippet() {
+    if ((this.line === null) || (typeof this.notation !== 'string')) {
+      return null;
+    }
+
+    const lineText = this.notation.split('\n')[this.line - 1];
+
+    return `${lineText}\n${' '.repeat(this.column - 1)}^`;
   }
 }
 
@@ -1,6 +1,7 @@
 import CompareOperatorError from './CompareOperatorError.js';
 import DataFormatError from './DataFormatError.js';
 import DieActionValueError from './DieActionValueError.js';
+import LimitError from './LimitError.js';
 import NotationError from './NotationError.js';
 import RequiredArgumentError from './RequiredArgumentError.js';
 
@@ -8,6 +9,7 @@ export {
   CompareOperatorError,
   DataFormatError,
   DieActionValueError,
+  LimitError,
   NotationError,
   RequiredArgumentError,
 };
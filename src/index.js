@@ -1,13 +1,21 @@
 import * as Dice from './dice/index.js';
 import * as Exceptions from './exceptions/index.js';
 import * as Modifiers from './modifiers/index.js';
+import * as Renderers from './renderers/index.js';
 import * as Results from './results/index.js';
 import * as NumberGenerator from './utilities/NumberGenerator.js';
 import DiceRoll from './DiceRoll.js';
 import DiceRoller from './DiceRoller.js';
+import Distribution from './probability/Distribution.js';
 import ComparePoint from './ComparePoint.js';
+import Limits from './Limits.js';
 import Parser from './parser/Parser.js';
+import Probability from './probability/Probability.js';
 import RollGroup from './RollGroup.js';
+import RollHooks from './RollHooks.js';
+import RollRepetition from './RollRepetition.js';
+import RollTemplate from './RollTemplate.js';
+import Simulation from './probability/Simulation.js';
 import exportFormats from './utilities/ExportFormats.js';
 
 export {
@@ -15,11 +23,19 @@ export {
   Dice,
   DiceRoll,
   DiceRoller,
+  Distribution,
   Exceptions,
   exportFormats,
+  Limits,
   Modifiers,
   NumberGenerator,
   Parser,
+  Probability,
+  Renderers,
   Results,
   RollGroup,
+  RollHooks,
+  RollRepetition,
+  RollTemplate,
+  Simulation,
 };
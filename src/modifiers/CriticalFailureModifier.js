@@ -73,16 +73,23 @@ class CriticalFailureModifier extends ComparisonModifier {
   run(results, _context) {
     super.run(results, _context);
 
+    const criticals = [];
+
     results.rolls
       .forEach((roll) => {
         // add the modifier flag
         if (this.isComparePoint(roll.value)) {
           roll.modifiers.add('critical-failure');
+          criticals.push(roll.value);
         }
 
         return roll;
       });
 
+    if (criticals.length) {
+      results.addStep(() => `Critical failure${(criticals.length === 1) ? '' : 's'} (${this.notation}): ${criticals.join(', ')}`);
+    }
+
     return results;
   }
 }
@@ -73,17 +73,24 @@ class CriticalSuccessModifier extends ComparisonModifier {
   run(results, _context) {
     super.run(results, _context);
 
+    const criticals = [];
+
     // loop through each roll and see if it's a critical success
     results.rolls
       .forEach((roll) => {
         // add the modifier flag
         if (this.isComparePoint(roll.value)) {
           roll.modifiers.add('critical-success');
+          criticals.push(roll.value);
         }
 
         return roll;
       });
 
+    if (criticals.length) {
+      results.addStep(() => `Critical success${(criticals.length === 1) ? '' : 'es'} (${this.notation}): ${criticals.join(', ')}`);
+    }
+
     return results;
   }
 }
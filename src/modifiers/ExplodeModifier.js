@@ -90,6 +90,8 @@ class ExplodeModifier extends ComparisonModifier {
   /**
    * Run the modifier on the results.
    *
+   * If the die has hooks, `onDieExploded` is called for each extra die rolled.
+   *
    * @param {RollResults} results The results to run the modifier against
    * @param {StandardDice|RollGroup} _context The object that the modifier is attached to
    *
@@ -113,6 +115,7 @@ class ExplodeModifier extends ComparisonModifier {
         // explode if the value matches the compare point, and we haven't reached the max iterations
         for (let i = 0; (i < this.maxIterations) && this.isComparePoint(compareValue); i++) {
           const prevRoll = subRolls[subRolls.length - 1];
+          const explodedValue = compareValue;
           // roll the dice
           const rollResult = _context.rollOnce();
 
@@ -126,6 +129,25 @@ class ExplodeModifier extends ComparisonModifier {
           if (this.penetrate) {
             prevRoll.modifiers.add('penetrate');
             rollResult.value -= 1;
+
+            const { value } = rollResult;
+            const rolledValue = compareValue;
+
+            results.addStep(() => `Exploded ${explodedValue} (${this.notation}): rolled ${rolledValue}, minus 1 for penetrating = ${value}`);
+          } else {
+            const rolledValue = compareValue;
+
+            results.addStep(() => `Exploded ${explodedValue} (${this.notation}): rolled ${rolledValue}`);
+          }
+
+          if (_context.hooks) {
+            _context.hooks.trigger('onDieExploded', {
+              die: _context,
+              modifier: this,
+              reason: this.name,
+              result: rollResult,
+              value: rollResult.initialValue,
+            });
           }
 
           // add the rolls to the list
@@ -135,8 +157,10 @@ class ExplodeModifier extends ComparisonModifier {
         // return the rolls (Compounded if necessary)
         /* eslint-disable  no-param-reassign */
         if (this.compound && (subRolls.length > 1)) {
+          const values = subRolls.map((result) => result.value);
+
           // update the roll value and modifiers
-          roll.value = sumArray(subRolls.map((result) => result.value));
+          roll.value = sumArray(values);
           roll.modifiers = [
             'explode',
             'compound',
@@ -146,6 +170,10 @@ class ExplodeModifier extends ComparisonModifier {
             roll.modifiers.add('penetrate');
           }
 
+          const { value } = roll;
+
+          results.addStep(() => `Compounded ${values.join('+')} (${this.notation}) = ${value}`);
+
           return roll;
         }
         /* eslint-enable */
@@ -1,11 +1,34 @@
 import { isNumeric } from '../utilities/math.js';
 import Modifier from './Modifier.js';
 import ResultGroup from '../results/ResultGroup.js';
+import RollResult from '../results/RollResult.js';
 import RollResults from '../results/RollResults.js';
 
 const endSymbol = Symbol('end');
 const qtySymbol = Symbol('qty');
 
+/**
+ * Return the dice results in the result, including those in nested results, that are used in the
+ * total.
+ *
+ * @private
+ *
+ * @param {ResultGroup|RollResults|RollResult|string|number} result
+ *
+ * @returns {RollResult[]}
+ */
+const usedDice = (result) => {
+  if (result instanceof ResultGroup) {
+    return result.results.flatMap(usedDice);
+  }
+
+  if (result instanceof RollResults) {
+    return result.rolls.flatMap(usedDice);
+  }
+
+  return ((result instanceof RollResult) && result.useInTotal) ? [result] : [];
+};
+
 /**
  * A `KeepModifier` will "keep" dice from a roll, dropping (Remove from total calculations) all
  * others.
@@ -126,6 +149,8 @@ class KeepModifier extends Modifier {
   /**
    * Run the modifier on the results.
    *
+   * If the dice have hooks, `onDieDropped` is called for each die dropped.
+   *
    * @param {ResultGroup|RollResults} results The results to run the modifier against
    * @param {StandardDice|RollGroup} _context The object that the modifier is attached to
    *
@@ -178,7 +203,7 @@ class KeepModifier extends Modifier {
       .slice(...this.rangeToDrop(rollIndexes));
 
     // loop through all of our dice to drop and flag them as such
-    rollIndexes.forEach((rollIndex) => {
+    const dropped = rollIndexes.map((rollIndex) => {
       let roll;
 
       if (Array.isArray(rollIndex)) {
@@ -188,8 +213,33 @@ class KeepModifier extends Modifier {
         roll = modifiedRolls[rollIndex];
       }
 
+      // the hook is called for each die, including those in a dropped sub-roll, unless they were
+      // already dropped
+      const dice = _context.hooks ? usedDice(roll) : [];
+
       roll.modifiers.add('drop');
       roll.useInTotal = false;
+
+      dice.forEach((result) => {
+        _context.hooks.trigger('onDieDropped', {
+          die: result.dice || _context,
+          modifier: this,
+          reason: this.name,
+          result,
+          value: result.value,
+        });
+      });
+
+      return roll;
+    });
+
+    results.addStep(() => {
+      const end = (this.end === 'h') ? 'highest' : 'lowest';
+      const droppedValues = dropped.length ? dropped.map((roll) => roll.value).join(', ') : 'none';
+
+      return this.name.startsWith('drop')
+        ? `Dropped the ${end} ${this.qty} (${this.notation}): ${droppedValues}`
+        : `Kept the ${end} ${this.qty} (${this.notation}), dropped: ${droppedValues}`;
     });
 
     return results;
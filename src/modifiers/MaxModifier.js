@@ -92,6 +92,10 @@ class MaxModifier extends Modifier {
       const parsedRoll = roll;
 
       if (roll.value > this.max) {
+        const { value } = roll;
+
+        results.addStep(() => `Decreased ${value} to ${this.max} (${this.notation})`);
+
         parsedRoll.value = this.max;
         parsedRoll.modifiers.add('max');
       }
@@ -92,6 +92,10 @@ class MinModifier extends Modifier {
       const parsedRoll = roll;
 
       if (roll.value < this.min) {
+        const { value } = roll;
+
+        results.addStep(() => `Increased ${value} to ${this.min} (${this.notation})`);
+
         parsedRoll.value = this.min;
         parsedRoll.modifiers.add('min');
       }
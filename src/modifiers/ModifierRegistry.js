@@ -0,0 +1,252 @@
+import Modifier from './Modifier.js';
+import cache from '../parser/cache.js';
+
+/**
+ * The notation tokens used by the built-in modifiers. Registered tokens cannot start with, or be
+ * the start of, any of these.
+ *
+ * @type {string[]}
+ *
+ * @private
+ */
+const reservedTokens = [
+  'cf', 'cs', 'd', 'dh', 'dl', 'f', 'k', 'kh', 'kl', 'max', 'min', 'p', 'r', 'ro', 's', 'sa', 'sd',
+  'u', 'uo',
+];
+
+/**
+ * The types of argument that a modifier can accept in the notation.
+ *
+ * @type {string[]}
+ *
+ * @private
+ */
+const argumentTypes = ['compare-point', 'number'];
+
+/**
+ * Check if either token starts with the other, so that one would be matched in place of the other.
+ *
+ * @private
+ *
+ * @param {string} token
+ * @param {string} other
+ *
+ * @returns {boolean}
+ */
+const overlaps = (token, other) => token.startsWith(other) || other.startsWith(token);
+
+/**
+ * The registered modifier definitions, keyed by name.
+ *
+ * @type {Map<string, {
+ *  argument: string|null,
+ *  flags: Object.<string, string>,
+ *  modifier: Function,
+ *  name: string,
+ *  order: number|null,
+ *  token: string
+ * }>}
+ *
+ * @private
+ */
+const definitions = new Map();
+
+/**
+ * The `ModifierRegistry` allows custom modifiers to be used in notation, without changing the
+ * library.
+ *
+ * @example <caption>A modifier that re-rolls ones, used as `4d6ag`</caption>
+ * class RollAgainModifier extends Modifier {
+ *   get name() {
+ *     return 'roll-again';
+ *   }
+ *
+ *   get notation() {
+ *     return 'ag';
+ *   }
+ *
+ *   run(results, context) {
+ *     // modify the results
+ *     return results;
+ *   }
+ * }
+ *
+ * ModifierRegistry.register({
+ *   name: 'roll-again',
+ *   token: 'ag',
+ *   modifier: RollAgainModifier,
+ *   flags: { 'roll-again': '@' },
+ * });
+ *
+ * @since 5.5.0
+ */
+class ModifierRegistry {
+  /**
+   * Register a custom modifier.
+   *
+   * The modifier is created by calling its constructor with the notation argument (If any).
+   *
+   * @param {{
+   *  argument: string|null,
+   *  flags: Object.<string, string>,
+   *  modifier: Function,
+   *  name: string,
+   *  order: number|null,
+   *  token: string
+   * }} definition
+   * @param {string} definition.name The modifier name, as returned by the modifier's `name`
+   * @param {string} definition.token The notation token (e.g. `ag`). Must only contain
+   * letters, and must not start with, or be the start of, a built-in modifier token
+   * @param {Function} definition.modifier The modifier class, which must extend `Modifier`
+   * @param {string|null} [definition.argument=null] The type of argument that can follow the
+   * token; `compare-point` (e.g. `ag<3`), `number` (e.g. `ag3`), or `null` for none
+   * @param {number|null} [definition.order=null] The execution order, if different from the
+   * modifier class' `order`
+   * @param {Object.<string, string>} [definition.flags={}] The result flag symbols, keyed by the
+   * names that the modifier adds to roll results
+   *
+   * @throws {TypeError} The definition is invalid, or the name or token is already registered
+   */
+  static register({
+    argument = null,
+    flags = {},
+    modifier,
+    name,
+    order = null,
+    token,
+  } = {}) {
+    if (!name || (typeof name !== 'string')) {
+      throw new TypeError('name must be a non-empty string');
+    } else if (definitions.has(name)) {
+      throw new TypeError(`A modifier named "${name}" is already registered`);
+    }
+
+    if ((typeof token !== 'string') || !/^[a-z]+$/i.test(token)) {
+      throw new TypeError('token must only contain letters');
+    } else if (reservedTokens.some((reserved) => overlaps(token, reserved))) {
+      throw new TypeError(`The token "${token}" overlaps a built-in modifier token`);
+    } else if ([...definitions.values()].some((definition) => definition.token === token)) {
+      throw new TypeError(`The token "${token}" is already in use`);
+    }
+
+    if ((typeof modifier !== 'function') || !(modifier.prototype instanceof Modifier)) {
+      throw new TypeError('modifier must be a class that extends Modifier');
+    }
+
+    if ((argument !== null) && !argumentTypes.includes(argument)) {
+      throw new TypeError(`argument must be one of ${argumentTypes.join(', ')}, or null`);
+    }
+
+    if ((order !== null) && !Number.isFinite(order)) {
+      throw new TypeError('order must be a number');
+    }
+
+    if (
+      !flags
+      || (typeof flags !== 'object')
+      || !Object.values(flags).every((flag) => flag && (typeof flag === 'string'))
+    ) {
+      throw new TypeError('flags must be an object of strings');
+    }
+
+    definitions.set(name, {
+      argument,
+      flags: { ...flags },
+      modifier,
+      name,
+      order,
+      token,
+    });
+
+    // notation that was cached may now parse differently
+    cache.clear();
+  }
+
+  /**
+   * Remove a registered modifier.
+   *
+   * @param {string} name
+   *
+   * @returns {boolean} `true` if the modifier was registered, `false` otherwise
+   */
+  static unregister(name) {
+    if (!definitions.delete(name)) {
+      return false;
+    }
+
+    cache.clear();
+
+    return true;
+  }
+
+  /**
+   * Check if a modifier is registered.
+   *
+   * @param {string} name
+   *
+   * @returns {boolean}
+   */
+  static has(name) {
+    return definitions.has(name);
+  }
+
+  /**
+   * Create an instance of a registered modifier.
+   *
+   * @param {string} name The modifier name
+   * @param {ComparePoint|number} [argument] The argument from the notation
+   *
+   * @returns {Modifier}
+   *
+   * @throws {TypeError} The modifier is not registered
+   */
+  static create(name, argument) {
+    if (!definitions.has(name)) {
+      throw new TypeError(`No modifier named "${name}" is registered`);
+    }
+
+    const { modifier: ModifierClass, order } = definitions.get(name);
+    const modifier = (argument === undefined) ? new ModifierClass() : new ModifierClass(argument);
+
+    if (order !== null) {
+      modifier.order = order;
+    }
+
+    return modifier;
+  }
+
+  /**
+   * Return the registered result flag for the name.
+   *
+   * @param {string} name The name that the modifier added to the roll result
+   *
+   * @returns {string|null} `null` if no modifier has registered the flag
+   */
+  static flag(name) {
+    const definition = [...definitions.values()]
+      .find(({ flags }) => Object.hasOwn(flags, name));
+
+    return definition ? definition.flags[name] : null;
+  }
+
+  /**
+   * Find the registered modifier whose token is at the position in the notation.
+   *
+   * If more than one token matches, the longest is used.
+   *
+   * @param {string} notation
+   * @param {number} [offset=0]
+   *
+   * @returns {{argument: string|null, name: string, token: string}|null} The matching modifier
+   * definition, or `null` if there isn't one
+   */
+  static match(notation, offset = 0) {
+    return [...definitions.values()]
+      .filter(({ token }) => notation.startsWith(token, offset))
+      .reduce((longest, definition) => (
+        (!longest || (definition.token.length > longest.token.length)) ? definition : longest
+      ), null);
+  }
+}
+
+export default ModifierRegistry;
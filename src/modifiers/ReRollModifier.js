@@ -85,6 +85,8 @@ class ReRollModifier extends ComparisonModifier {
   /**
    * Run the modifier on the results.
    *
+   * If the die has hooks, `onDieRerolled` is called for each re-roll.
+   *
    * @param {RollResults} results The results to run the modifier against
    * @param {StandardDice|RollGroup} _context The object that the modifier is attached to
    *
@@ -103,8 +105,12 @@ class ReRollModifier extends ComparisonModifier {
         // re-roll if the value matches the compare point, and we haven't hit the max iterations,
         // unless we're only rolling once and have already re-rolled
         for (let i = 0; (i < this.maxIterations) && this.isComparePoint(roll.value); i++) {
+          const previous = roll.value;
           // re-roll the dice
           const rollResult = _context.rollOnce();
+          const { value } = rollResult;
+
+          results.addStep(() => `Re-rolled ${previous} (${this.notation}): rolled ${value}`);
 
           // update the roll value (Unlike exploding, the original value is not kept)
           // eslint-disable-next-line no-param-reassign
@@ -113,6 +119,17 @@ class ReRollModifier extends ComparisonModifier {
           // add the re-roll modifier flag
           roll.modifiers.add(`re-roll${this.once ? '-once' : ''}`);
 
+          if (_context.hooks) {
+            _context.hooks.trigger('onDieRerolled', {
+              die: _context,
+              modifier: this,
+              previous,
+              reason: this.name,
+              result: roll,
+              value: rollResult.initialValue,
+            });
+          }
+
           // stop the loop if we're only re-rolling once
           if (this.once) {
             break;
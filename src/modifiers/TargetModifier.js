@@ -175,14 +175,19 @@ class TargetModifier extends ComparisonModifier {
       rolls = results.rolls;
     }
 
+    let successes = 0;
+    let failures = 0;
+
     // loop through each roll and see if it matches the target
     rolls
       .forEach((roll) => {
         // add the modifier flag
         if (this.isSuccess(roll.value)) {
           roll.modifiers.add('target-success');
+          successes += 1;
         } else if (this.isFailure(roll.value)) {
           roll.modifiers.add('target-failure');
+          failures += 1;
         }
 
         // set the value to the success state value
@@ -190,6 +195,16 @@ class TargetModifier extends ComparisonModifier {
         roll.calculationValue = this.getStateValue(roll.value);
       });
 
+    results.addStep(() => {
+      let step = `Counted ${successes} success${(successes === 1) ? '' : 'es'}`;
+
+      if (this.failureComparePoint) {
+        step += ` and ${failures} failure${(failures === 1) ? '' : 's'}`;
+      }
+
+      return `${step} (${this.notation})`;
+    });
+
     return results;
   }
 
@@ -75,6 +75,8 @@ class UniqueModifier extends ComparisonModifier {
   /**
    * Run the modifier on the results.
    *
+   * If the die has hooks, `onDieRerolled` is called for each re-roll.
+   *
    * @param {RollResults} results The results to run the modifier against
    * @param {StandardDice|RollGroup} _context The object that the modifier is attached to
    *
@@ -102,8 +104,12 @@ class UniqueModifier extends ComparisonModifier {
           );
           i++
         ) {
+          const previous = roll.value;
           // re-roll the dice
           const rollResult = _context.rollOnce();
+          const { value } = rollResult;
+
+          results.addStep(() => `Re-rolled duplicate ${previous} (${this.notation}): rolled ${value}`);
 
           // eslint-disable-next-line no-param-reassign
           roll.value = rollResult.value;
@@ -111,6 +117,17 @@ class UniqueModifier extends ComparisonModifier {
           // add the re-roll modifier flag
           roll.modifiers.add(`unique${this.once ? '-once' : ''}`);
 
+          if (_context.hooks) {
+            _context.hooks.trigger('onDieRerolled', {
+              die: _context,
+              modifier: this,
+              previous,
+              reason: this.name,
+              result: roll,
+              value: rollResult.initialValue,
+            });
+          }
+
           if (this.once) {
             break;
           }
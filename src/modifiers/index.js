@@ -7,6 +7,7 @@ import KeepModifier from './KeepModifier.js';
 import MaxModifier from './MaxModifier.js';
 import MinModifier from './MinModifier.js';
 import Modifier from './Modifier.js';
+import ModifierRegistry from './ModifierRegistry.js';
 import ReRollModifier from './ReRollModifier.js';
 import SortingModifier from './SortingModifier.js';
 import TargetModifier from './TargetModifier.js';
@@ -22,6 +23,7 @@ export {
   MaxModifier,
   MinModifier,
   Modifier,
+  ModifierRegistry,
   ReRollModifier,
   SortingModifier,
   TargetModifier,
@@ -1,4 +1,5 @@
 import Modifier from './Modifier.js';
+import ModifierRegistry from './ModifierRegistry.js';
 
 const flags = {
   compound: '!',
@@ -35,7 +36,7 @@ const getModifierFlags = (...modifiers) => (
       name = modifier;
     }
 
-    return acc + (flags[name] || name);
+    return acc + (flags[name] || ModifierRegistry.flag(name) || name);
   }, '')
 );
 
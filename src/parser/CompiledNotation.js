@@ -0,0 +1,209 @@
+import { LimitError } from '../exceptions/index.js';
+import { isNumeric } from '../utilities/math.js';
+
+/**
+ * The root AST node
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const astSymbol = Symbol('ast');
+
+/**
+ * The parsed expressions
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const expressionsSymbol = Symbol('expressions');
+
+/**
+ * The notation
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const notationSymbol = Symbol('notation');
+
+/**
+ * The variables
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const variablesSymbol = Symbol('variables');
+
+/**
+ * The AST node types that nest their child nodes a level deeper.
+ *
+ * @private
+ *
+ * @type {string[]}
+ */
+const nestingTypes = ['function', 'group', 'parenthesis'];
+
+/**
+ * Return the child nodes of an AST node.
+ *
+ * @private
+ *
+ * @param {{type: string}} node
+ *
+ * @returns {Array.<{type: string}>}
+ */
+const childNodes = (node) => [
+  node.left,
+  node.right,
+  node.argument,
+  node.expression,
+  node.qty,
+  node.sides,
+  ...(node.args || []),
+  ...(node.expressions || []),
+].filter((child) => child && (typeof child === 'object') && child.type);
+
+/**
+ * A `CompiledNotation` is a notation that has been parsed once, so that it can be rolled many
+ * times without parsing it again.
+ *
+ * The expressions are shared by every roll of the notation, so they should not be changed.
+ *
+ * @example
+ * const compiled = Parser.compile('1d20+7');
+ *
+ * new DiceRoll(compiled);
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Parser.compile}
+ */
+class CompiledNotation {
+  /**
+   * Create a `CompiledNotation` instance.
+   *
+   * @param {string} notation The notation
+   * @param {Object.<string, number>} variables The variables that the notation was parsed with
+   * @param {Array} expressions The parsed expressions
+   * @param {{type: string}} ast The root AST node
+   */
+  constructor(notation, variables, expressions, ast) {
+    this[notationSymbol] = notation;
+    this[variablesSymbol] = { ...variables };
+    this[expressionsSymbol] = [...expressions];
+    this[astSymbol] = ast;
+  }
+
+  /**
+   * The root AST node.
+   *
+   * @see {@link Parser.parseAst}
+   *
+   * @returns {{type: string, location: {start: {}, end: {}}}}
+   */
+  get ast() {
+    return this[astSymbol];
+  }
+
+  /**
+   * The parsed expressions.
+   *
+   * @returns {Array}
+   */
+  get expressions() {
+    return [...this[expressionsSymbol]];
+  }
+
+  /**
+   * The notation.
+   *
+   * @returns {string}
+   */
+  get notation() {
+    return this[notationSymbol];
+  }
+
+  /**
+   * The variables that the notation was parsed with.
+   *
+   * @returns {Object.<string, number>}
+   */
+  get variables() {
+    return { ...this[variablesSymbol] };
+  }
+
+  /**
+   * Check that the notation is within the notation length, terms, depth, and sides limits.
+   *
+   * @param {Limits} limits
+   *
+   * @throws {LimitError} The notation exceeds a limit
+   */
+  checkLimits(limits) {
+    const {
+      maxDepth, maxNotationLength, maxSides, maxTerms,
+    } = limits;
+    let terms = 0;
+
+    if (this.notation.length > maxNotationLength) {
+      throw new LimitError('maxNotationLength', maxNotationLength, this.notation.length);
+    }
+
+    const check = (node, depth) => {
+      if (depth > maxDepth) {
+        throw new LimitError('maxDepth', maxDepth, depth);
+      }
+
+      if (node.type === 'dice') {
+        terms += 1;
+
+        if (terms > maxTerms) {
+          throw new LimitError('maxTerms', maxTerms, terms);
+        }
+
+        if (isNumeric(node.value.sides) && (node.value.sides > maxSides)) {
+          throw new LimitError('maxSides', maxSides, node.value.sides);
+        }
+      }
+
+      const childDepth = nestingTypes.includes(node.type) ? depth + 1 : depth;
+
+      childNodes(node).forEach((child) => check(child, childDepth));
+    };
+
+    check(this.ast, 0);
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{notation: string, type: string, variables: Object.<string, number>}}
+   */
+  toJSON() {
+    const { notation, variables } = this;
+
+    return {
+      notation,
+      type: 'compiled-notation',
+      variables,
+    };
+  }
+
+  /**
+   * Return the String representation of the object.
+   *
+   * This is called automatically when casting the object to a string.
+   *
+   * @returns {string}
+   */
+  toString() {
+    return this.notation;
+  }
+}
+
+export default CompiledNotation;
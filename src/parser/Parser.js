@@ -1,5 +1,199 @@
-import { RequiredArgumentError } from '../exceptions/index.js';
+import { LimitError, NotationError, RequiredArgumentError } from '../exceptions/index.js';
+import { isNumeric } from '../utilities/math.js';
+import * as Modifiers from '../modifiers/index.js';
 import * as parser from './grammars/grammar.js';
+import cache from './cache.js';
+import CompiledNotation from './CompiledNotation.js';
+import Limits from '../Limits.js';
+
+/**
+ * Check that the notation and variables are valid for parsing.
+ *
+ * @private
+ *
+ * @param {*} notation
+ * @param {*} variables
+ *
+ * @throws {RequiredArgumentError} Notation is required
+ * @throws {TypeError} Notation must be a string
+ * @throws {TypeError} variables must be an object of numbers
+ */
+const validate = (notation, variables) => {
+  if (!notation) {
+    throw new RequiredArgumentError('notation');
+  }
+
+  if (typeof notation !== 'string') {
+    throw new TypeError('Notation must be a string');
+  }
+
+  if (
+    !variables
+    || (typeof variables !== 'object')
+    || Array.isArray(variables)
+    || !Object.values(variables).every((value) => isNumeric(value) && (typeof value === 'number'))
+  ) {
+    throw new TypeError('variables must be an object of numbers');
+  }
+};
+
+/**
+ * Corrections for common notation mistakes. Each returns a list of possibly corrected notations.
+ *
+ * @private
+ *
+ * @type {Array.<function(string, number): string[]>}
+ */
+const corrections = [
+  // keep / drop modifiers without a qty (e.g. `4d6kh` -> `4d6kh1`)
+  (notation, offset) => (
+    /(?:k[hl]?|d[hl])$/.test(notation.slice(0, offset))
+      ? [`${notation.slice(0, offset)}1${notation.slice(offset)}`]
+      : []
+  ),
+  // repeated percentile symbol (e.g. `d%%` -> `d%`)
+  (notation) => [notation.replace(/d%{2,}/g, 'd%')],
+  // trailing operator (e.g. `2d6+` -> `2d6`)
+  (notation) => [notation.replace(/\s*(?:\*\*|[-+*/^%])\s*$/, '')],
+];
+
+/**
+ * Return a readable description of a token that the parser expected.
+ *
+ * @private
+ *
+ * @param {{type: string, text: string, parts: Array, description: string}} expected
+ *
+ * @returns {string}
+ */
+const describeExpected = (expected) => {
+  switch (expected.type) {
+    case 'literal':
+      return `"${expected.text}"`;
+    case 'class':
+      return `[${expected.inverted ? '^' : ''}${expected.parts.map((part) => (Array.isArray(part) ? part.join('-') : part)).join('')}]`;
+    case 'any':
+      return 'any character';
+    case 'end':
+      return 'end of input';
+    default:
+      return expected.description;
+  }
+};
+
+/**
+ * Parse the notation, converting any syntax errors to a `NotationError`.
+ *
+ * @private
+ *
+ * @param {string} notation
+ * @param {{variables: Object.<string, number>}} options
+ *
+ * @returns {Array}
+ *
+ * @throws {NotationError} The notation syntax is invalid, or it uses an undefined variable
+ */
+const parseNotation = (notation, options) => {
+  try {
+    return parser.parse(notation, options);
+  } catch (e) {
+    if (!(e instanceof parser.SyntaxError)) {
+      throw e;
+    }
+
+    const suggestions = corrections
+      .flatMap((correct) => correct(notation, e.location.start.offset))
+      .filter((suggestion, index, list) => {
+        if (!suggestion || (suggestion === notation) || (list.indexOf(suggestion) !== index)) {
+          return false;
+        }
+
+        try {
+          parser.parse(suggestion, { variables: options.variables });
+        } catch {
+          return false;
+        }
+
+        return true;
+      });
+
+    throw new NotationError(notation, {
+      expected: [...new Set((e.expected || []).map(describeExpected))],
+      found: e.found,
+      location: e.location,
+      reason: e.message,
+      suggestions,
+    });
+  }
+};
+
+/**
+ * Parse the notation, and return it with its expressions and AST.
+ *
+ * @private
+ *
+ * @param {string} notation
+ * @param {Object.<string, number>} variables
+ *
+ * @returns {CompiledNotation}
+ *
+ * @throws {NotationError} The notation syntax is invalid, or it uses an undefined variable
+ */
+const compileNotation = (notation, variables) => {
+  const nodes = new WeakMap();
+  const expressions = parseNotation(notation, { nodes, variables });
+
+  return new CompiledNotation(notation, variables, expressions, nodes.get(expressions));
+};
+
+/**
+ * Check that the notation isn't too long, before it is parsed.
+ *
+ * @private
+ *
+ * @param {string} notation
+ * @param {Limits|{}} limits
+ *
+ * @returns {Limits} The limits, as a `Limits` instance
+ *
+ * @throws {LimitError} The notation is too long
+ */
+const checkLength = (notation, limits) => {
+  const parseLimits = (limits instanceof Limits) ? limits : new Limits(limits);
+
+  if (notation.length > parseLimits.maxNotationLength) {
+    throw new LimitError('maxNotationLength', parseLimits.maxNotationLength, notation.length);
+  }
+
+  return parseLimits;
+};
+
+/**
+ * The built-in modifier classes.
+ *
+ * @private
+ *
+ * @type {Function[]}
+ */
+const modifierClasses = Object.values(Modifiers)
+  .filter((value) => value.prototype instanceof Modifiers.Modifier);
+
+/**
+ * Return the cache key for the notation and variables.
+ *
+ * @private
+ *
+ * @param {string} notation
+ * @param {Object.<string, number>} variables
+ *
+ * @returns {string}
+ */
+const cacheKey = (notation, variables) => JSON.stringify([
+  notation,
+  Object.entries(variables).sort(([a], [b]) => a.localeCompare(b)),
+  // modifiers are created with their class' current order, which can be changed
+  modifierClasses.map((ModifierClass) => ModifierClass.order),
+]);
 
 /**
  * The `Parser` takes a notation string and parses it into objects.
@@ -14,25 +208,181 @@ class Parser {
   /**
    * Parses the given dice notation and returns a list of dice and modifiers found
    *
+   * Variables can be used anywhere that a number is allowed, by prefixing their name with `@`.
+   *
+   * The `options` argument was added in 5.5.0.
+   *
+   * @example <caption>Variables</caption>
+   * Parser.parse('1d20+@dex', { variables: { dex: 3 } });
+   *
+   * @example <caption>Limits</caption>
+   * Parser.parse('{1d6, 1d8}', { limits: { maxTerms: 1 } }); // throws LimitError
+   *
    * @param {string} notation The notation to parse
+   * @param {{limits: Limits|{}|null, variables: Object.<string, number>}} [options={}] The
+   * parsing options
+   * @param {Limits|{}|null} [options.limits=null] The notation length, terms, depth, and sides
+   * limits
+   * @param {Object.<string, number>} [options.variables={}] Named values that can be referenced in
+   * the notation
    *
    * @returns {Array}
    *
+   * @throws {LimitError} The notation exceeds a limit
+   * @throws {NotationError} The notation syntax is invalid, or it uses an undefined variable
    * @throws {RequiredArgumentError} Notation is required
-   * @throws {SyntaxError} The notation syntax is invalid
    * @throws {TypeError} Notation must be a string
+   * @throws {TypeError} variables must be an object of numbers
    */
-  static parse(notation) {
-    if (!notation) {
-      throw new RequiredArgumentError('notation');
+  static parse(notation, { limits = null, variables = {} } = {}) {
+    validate(notation, variables);
+
+    if (!limits) {
+      // parse the notation
+      return parseNotation(notation, { variables });
     }
 
-    if (typeof notation !== 'string') {
-      throw new TypeError('Notation must be a string');
+    // check the length before parsing, so long notations aren't parsed
+    const parseLimits = checkLength(notation, limits);
+    const compiled = compileNotation(notation, variables);
+
+    compiled.checkLimits(parseLimits);
+
+    return compiled.expressions;
+  }
+
+  /**
+   * Parse the notation once, so that it can be rolled many times.
+   *
+   * The compiled notations are cached, so compiling the same notation and variables again
+   * doesn't parse it again. The least recently used are removed when the cache is full.
+   *
+   * @example
+   * const compiled = Parser.compile('1d20+7');
+   *
+   * // neither of these parse the notation
+   * new DiceRoll(compiled);
+   * new DiceRoll(compiled);
+   *
+   * @since 5.5.0
+   *
+   * @see {@link RollTemplate} to roll a compiled notation with the same options
+   *
+   * @param {string} notation The notation to compile
+   * @param {{limits: Limits|{}|null, variables: Object.<string, number>}} [options={}] The
+   * parsing options
+   * @param {Limits|{}|null} [options.limits=null] The notation length, terms, depth, and sides
+   * limits. These are checked even if the notation is cached
+   * @param {Object.<string, number>} [options.variables={}] Named values that can be referenced in
+   * the notation
+   *
+   * @returns {CompiledNotation}
+   *
+   * @throws {LimitError} The notation exceeds a limit
+   * @throws {NotationError} The notation syntax is invalid, or it uses an undefined variable
+   * @throws {RequiredArgumentError} Notation is required
+   * @throws {TypeError} Notation must be a string
+   * @throws {TypeError} variables must be an object of numbers
+   */
+  static compile(notation, { limits = null, variables = {} } = {}) {
+    validate(notation, variables);
+
+    // check the length before parsing, so long notations aren't parsed
+    const parseLimits = limits ? checkLength(notation, limits) : null;
+    const key = cacheKey(notation, variables);
+    let compiled = cache.get(key);
+
+    if (!compiled) {
+      compiled = compileNotation(notation, variables);
+
+      cache.set(key, compiled);
     }
 
-    // parse the notation
-    return parser.parse(notation);
+    if (parseLimits) {
+      compiled.checkLimits(parseLimits);
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Remove all the compiled notations from the cache.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link Parser.compile}
+   */
+  static clearCache() {
+    cache.clear();
+  }
+
+  /**
+   * Parses the given dice notation and returns it as a tree of nodes.
+   *
+   * Every node has a `type`, and a `location` with the `start` and `end` position (`offset`,
+   * `line`, and `column`) of the notation it was parsed from.
+   *
+   * The node types are:
+   * - `binary` - A mathematical operation, with `operator`, `left`, and `right` nodes
+   * - `unary` - A negated `argument` node (e.g. `-2^2`)
+   * - `function` - A math function call, with its `name` and `args` nodes
+   * - `parenthesis` - An `expression` node wrapped in parenthesis
+   * - `number` - A number `value`
+   * - `variable` - A variable, with its `name` and `value`
+   * - `dice` - A die `value`, with its `modifiers` and `description` nodes. If the qty or sides
+   * are rolled, their nodes are in `qty` and `sides`
+   * - `group` - A `RollGroup` `value`, with its sub-roll `expressions`, `modifiers`, and
+   * `description` nodes
+   * - `repetition` - A `RollRepetition` `value`, with its `count` and `expression` node
+   * - `modifier` - A modifier `value`
+   * - `description` - A `Description` `value`
+   *
+   * The dice, groups, and modifiers are the same objects that {@link Parser.parse} returns.
+   *
+   * @example <caption>`1d6+2`</caption>
+   * Parser.parseAst('1d6+2');
+   * // {
+   * //   type: 'binary',
+   * //   operator: '+',
+   * //   left: {
+   * //     type: 'dice',
+   * //     value: StandardDice {...},
+   * //     qty: null,
+   * //     sides: null,
+   * //     modifiers: [],
+   * //     description: null,
+   * //     location: {
+   * //       start: { offset: 0, line: 1, column: 1 },
+   * //       end: { offset: 3, line: 1, column: 4 },
+   * //     },
+   * //   },
+   * //   right: { type: 'number', value: 2, location: {...} },
+   * //   location: {
+   * //     start: { offset: 0, line: 1, column: 1 },
+   * //     end: { offset: 5, line: 1, column: 6 },
+   * //   },
+   * // }
+   *
+   * @since 5.5.0
+   *
+   * @param {string} notation The notation to parse
+   * @param {{variables: Object.<string, number>}} [options={}] The parsing options
+   * @param {Object.<string, number>} [options.variables={}] Named values that can be referenced in
+   * the notation
+   *
+   * @returns {{type: string, location: {start: {}, end: {}}}} The root node
+   *
+   * @throws {NotationError} The notation syntax is invalid, or it uses an undefined variable
+   * @throws {RequiredArgumentError} Notation is required
+   * @throws {TypeError} Notation must be a string
+   * @throws {TypeError} variables must be an object of numbers
+   */
+  static parseAst(notation, { variables = {} } = {}) {
+    validate(notation, variables);
+
+    const nodes = new WeakMap();
+
+    return nodes.get(parseNotation(notation, { nodes, variables }));
   }
 }
 
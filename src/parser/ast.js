@@ -0,0 +1,107 @@
+import { precedence } from '../utilities/expression.js';
+
+/**
+ * Return the start and end positions of a parser location.
+ *
+ * @param {{start: {offset: number, line: number, column: number}, end: {}}} location
+ *
+ * @returns {{
+ *  start: {offset: number, line: number, column: number},
+ *  end: {offset: number, line: number, column: number}
+ * }}
+ */
+const locationOf = ({ start, end }) => ({ start, end });
+
+/**
+ * Return a location that spans from the start of one location, to the end of another.
+ *
+ * @param {{start: {}, end: {}}} from
+ * @param {{start: {}, end: {}}} to
+ *
+ * @returns {{start: {}, end: {}}}
+ */
+const span = (from, to) => ({ start: from.start, end: to.end });
+
+/**
+ * Build the AST node for an expression, from its operand nodes and the operators between them.
+ *
+ * Operators are nested by precedence, so that the tree matches how the expression is calculated.
+ *
+ * @example <caption>`2d6+4*2`</caption>
+ * expressionNode([diceNode, fourNode, twoNode], ['+', '*']);
+ * // {
+ * //   type: 'binary',
+ * //   operator: '+',
+ * //   left: diceNode,
+ * //   right: { type: 'binary', operator: '*', left: fourNode, right: twoNode, location },
+ * //   location,
+ * // }
+ *
+ * @param {Array.<{type: string, location: {}}>} operands
+ * @param {string[]} operators
+ *
+ * @returns {{type: string, location: {}}} The root node
+ */
+const expressionNode = (operands, operators) => {
+  let position = 0;
+  let parseExpression;
+
+  const parseOperations = (initial, minPrecedence) => {
+    let left = initial;
+
+    while ((position < operators.length) && (precedence[operators[position]] >= minPrecedence)) {
+      const operator = operators[position];
+
+      position += 1;
+
+      // exponents are right associative, everything else is left associative
+      const right = parseExpression((operator === '^') ? precedence[operator] : precedence[operator] + 1);
+
+      left = {
+        type: 'binary',
+        operator,
+        left,
+        right,
+        location: span(left.location, right.location),
+      };
+    }
+
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const operand = operands[position];
+
+    if ((operand.type === 'number') && (operand.value < 0) && (operators[position] === '^')) {
+      // a negative number binds looser than the exponent (e.g. `-2^2 = -4`)
+      const { start, end } = operand.location;
+      const argument = parseOperations({
+        type: 'number',
+        value: -operand.value,
+        location: {
+          start: { ...start, offset: start.offset + 1, column: start.column + 1 },
+          end,
+        },
+      }, precedence['^']);
+
+      return {
+        type: 'unary',
+        operator: '-',
+        argument,
+        location: span(operand.location, argument.location),
+      };
+    }
+
+    return operand;
+  };
+
+  parseExpression = (minPrecedence) => parseOperations(parsePrimary(), minPrecedence);
+
+  return parseExpression(0);
+};
+
+export {
+  expressionNode,
+  locationOf,
+  span,
+};
@@ -0,0 +1,15 @@
+import LruCache from '../utilities/LruCache.js';
+
+/**
+ * The compiled notations, keyed by the notation and variables.
+ *
+ * This is cleared when dice or modifiers are registered, as they can change how notation is
+ * parsed.
+ *
+ * @since 5.5.0
+ *
+ * @type {LruCache}
+ */
+const cache = new LruCache(100);
+
+export default cache;
@@ -2,13 +2,22 @@
 //
 // https://peggyjs.org/
 
-import { evaluate } from "../../utilities/math.js";
+import * as Ast from "../ast.js";
+import { evaluate } from "../../utilities/expression.js";
 import * as Dice from "../../dice/index.js";
 import * as Modifiers from "../../modifiers/index.js";
+import ModifierRegistry from "../../modifiers/ModifierRegistry.js";
 import ComparePoint from "../../ComparePoint.js";
 import RollGroup from "../../RollGroup.js";
+import RollRepetition from "../../RollRepetition.js";
 import Description from "../../Description.js";
 
+
+  // the static qty of the die, if it isn't rolled
+  function staticQty(qty) {
+    return (qty && !Array.isArray(qty)) ? qty : 1;
+  }
+
 function peg$subclass(child, parent) {
   function C() { this.constructor = child; }
   C.prototype = parent.prototype;
@@ -181,243 +190,370 @@ function peg$parse(input, options) {
   var peg$startRuleFunctions = { Main: peg$parseMain };
   var peg$startRuleFunction = peg$parseMain;
 
-  var peg$c0 = "{";
-  var peg$c1 = ",";
-  var peg$c2 = "}";
-  var peg$c3 = "d";
-  var peg$c4 = "d%";
-  var peg$c5 = "dF";
-  var peg$c6 = ".";
-  var peg$c7 = "!";
-  var peg$c8 = "p";
-  var peg$c9 = "k";
-  var peg$c10 = "max";
-  var peg$c11 = "min";
-  var peg$c12 = "r";
-  var peg$c13 = "o";
-  var peg$c14 = "u";
-  var peg$c15 = "cs";
-  var peg$c16 = "cf";
-  var peg$c17 = "s";
-  var peg$c18 = "a";
-  var peg$c19 = "f";
-  var peg$c20 = "!=";
-  var peg$c21 = "<=";
-  var peg$c22 = ">=";
-  var peg$c23 = "=";
-  var peg$c24 = "<>";
-  var peg$c25 = ">";
-  var peg$c26 = "<";
-  var peg$c27 = "(";
-  var peg$c28 = ")";
-  var peg$c29 = "abs";
-  var peg$c30 = "ceil";
-  var peg$c31 = "cos";
-  var peg$c32 = "exp";
-  var peg$c33 = "floor";
-  var peg$c34 = "log";
-  var peg$c35 = "round";
-  var peg$c36 = "sign";
-  var peg$c37 = "sin";
-  var peg$c38 = "sqrt";
-  var peg$c39 = "tan";
-  var peg$c40 = "pow";
-  var peg$c41 = "-";
-  var peg$c42 = "**";
-  var peg$c43 = "*";
-  var peg$c44 = "^";
-  var peg$c45 = "%";
-  var peg$c46 = "/";
-  var peg$c47 = "+";
-  var peg$c48 = "/*";
-  var peg$c49 = "*/";
-  var peg$c50 = "[";
-  var peg$c51 = "]";
-  var peg$c52 = "//";
-  var peg$c53 = "#";
+  var peg$c0 = "x";
+  var peg$c1 = "{";
+  var peg$c2 = ",";
+  var peg$c3 = "}";
+  var peg$c4 = "d";
+  var peg$c5 = "d{";
+  var peg$c6 = "d%";
+  var peg$c7 = "dF";
+  var peg$c8 = ".";
+  var peg$c9 = "dN.";
+  var peg$c10 = "proficiency";
+  var peg$c11 = "difficulty";
+  var peg$c12 = "challenge";
+  var peg$c13 = "setback";
+  var peg$c14 = "ability";
+  var peg$c15 = "boost";
+  var peg$c16 = "@";
+  var peg$c17 = "(";
+  var peg$c18 = ")";
+  var peg$c19 = "!";
+  var peg$c20 = "p";
+  var peg$c21 = "k";
+  var peg$c22 = "max";
+  var peg$c23 = "min";
+  var peg$c24 = "r";
+  var peg$c25 = "o";
+  var peg$c26 = "u";
+  var peg$c27 = "cs";
+  var peg$c28 = "cf";
+  var peg$c29 = "s";
+  var peg$c30 = "a";
+  var peg$c31 = "f";
+  var peg$c32 = "!=";
+  var peg$c33 = "<=";
+  var peg$c34 = ">=";
+  var peg$c35 = "=";
+  var peg$c36 = "<>";
+  var peg$c37 = ">";
+  var peg$c38 = "<";
+  var peg$c39 = "abs";
+  var peg$c40 = "ceil";
+  var peg$c41 = "cos";
+  var peg$c42 = "exp";
+  var peg$c43 = "floor";
+  var peg$c44 = "log";
+  var peg$c45 = "round";
+  var peg$c46 = "sign";
+  var peg$c47 = "sin";
+  var peg$c48 = "sqrt";
+  var peg$c49 = "tan";
+  var peg$c50 = "pow";
+  var peg$c51 = "-";
+  var peg$c52 = "**";
+  var peg$c53 = "*";
+  var peg$c54 = "^";
+  var peg$c55 = "%";
+  var peg$c56 = "/";
+  var peg$c57 = "+";
+  var peg$c58 = "/*";
+  var peg$c59 = "*/";
+  var peg$c60 = "[";
+  var peg$c61 = "]";
+  var peg$c62 = "//";
+  var peg$c63 = "#";
 
   var peg$r0 = /^[12]/;
   var peg$r1 = /^[lh]/;
-  var peg$r2 = /^[.]/;
-  var peg$r3 = /^[1-9]/;
-  var peg$r4 = /^[0-9]/;
-  var peg$r5 = /^[^\]]/;
-  var peg$r6 = /^[\n\r\u2028\u2029]/;
-  var peg$r7 = /^[ \t\n\r]/;
-
-  var peg$e0 = peg$literalExpectation("{", false);
-  var peg$e1 = peg$literalExpectation(",", false);
-  var peg$e2 = peg$literalExpectation("}", false);
-  var peg$e3 = peg$literalExpectation("d", false);
-  var peg$e4 = peg$literalExpectation("d%", false);
-  var peg$e5 = peg$literalExpectation("dF", false);
-  var peg$e6 = peg$literalExpectation(".", false);
-  var peg$e7 = peg$classExpectation(["1", "2"], false, false);
-  var peg$e8 = peg$literalExpectation("!", false);
-  var peg$e9 = peg$literalExpectation("p", false);
-  var peg$e10 = peg$classExpectation(["l", "h"], false, false);
-  var peg$e11 = peg$literalExpectation("k", false);
-  var peg$e12 = peg$literalExpectation("max", false);
-  var peg$e13 = peg$literalExpectation("min", false);
-  var peg$e14 = peg$literalExpectation("r", false);
-  var peg$e15 = peg$literalExpectation("o", false);
-  var peg$e16 = peg$literalExpectation("u", false);
-  var peg$e17 = peg$literalExpectation("cs", false);
-  var peg$e18 = peg$literalExpectation("cf", false);
-  var peg$e19 = peg$literalExpectation("s", false);
-  var peg$e20 = peg$literalExpectation("a", false);
-  var peg$e21 = peg$literalExpectation("f", false);
-  var peg$e22 = peg$literalExpectation("!=", false);
-  var peg$e23 = peg$literalExpectation("<=", false);
-  var peg$e24 = peg$literalExpectation(">=", false);
-  var peg$e25 = peg$literalExpectation("=", false);
-  var peg$e26 = peg$literalExpectation("<>", false);
-  var peg$e27 = peg$literalExpectation(">", false);
-  var peg$e28 = peg$literalExpectation("<", false);
-  var peg$e29 = peg$literalExpectation("(", false);
-  var peg$e30 = peg$literalExpectation(")", false);
-  var peg$e31 = peg$literalExpectation("abs", false);
-  var peg$e32 = peg$literalExpectation("ceil", false);
-  var peg$e33 = peg$literalExpectation("cos", false);
-  var peg$e34 = peg$literalExpectation("exp", false);
-  var peg$e35 = peg$literalExpectation("floor", false);
-  var peg$e36 = peg$literalExpectation("log", false);
-  var peg$e37 = peg$literalExpectation("round", false);
-  var peg$e38 = peg$literalExpectation("sign", false);
-  var peg$e39 = peg$literalExpectation("sin", false);
-  var peg$e40 = peg$literalExpectation("sqrt", false);
-  var peg$e41 = peg$literalExpectation("tan", false);
-  var peg$e42 = peg$literalExpectation("pow", false);
-  var peg$e43 = peg$literalExpectation("-", false);
-  var peg$e44 = peg$classExpectation(["."], false, false);
-  var peg$e45 = peg$classExpectation([["1", "9"]], false, false);
-  var peg$e46 = peg$classExpectation([["0", "9"]], false, false);
-  var peg$e47 = peg$literalExpectation("**", false);
-  var peg$e48 = peg$literalExpectation("*", false);
-  var peg$e49 = peg$literalExpectation("^", false);
-  var peg$e50 = peg$literalExpectation("%", false);
-  var peg$e51 = peg$literalExpectation("/", false);
-  var peg$e52 = peg$literalExpectation("+", false);
-  var peg$e53 = peg$otherExpectation("comment");
-  var peg$e54 = peg$literalExpectation("/*", false);
-  var peg$e55 = peg$literalExpectation("*/", false);
-  var peg$e56 = peg$anyExpectation();
-  var peg$e57 = peg$literalExpectation("[", false);
-  var peg$e58 = peg$classExpectation(["]"], true, false);
-  var peg$e59 = peg$literalExpectation("]", false);
-  var peg$e60 = peg$literalExpectation("//", false);
-  var peg$e61 = peg$literalExpectation("#", false);
-  var peg$e62 = peg$classExpectation(["\n", "\r", "\u2028", "\u2029"], false, false);
-  var peg$e63 = peg$otherExpectation("whitespace");
-  var peg$e64 = peg$classExpectation([" ", "\t", "\n", "\r"], false, false);
-  var peg$e65 = peg$otherExpectation("whitespace or comment");
-
-  var peg$f0 = function(expr, exprs, modifiers, descriptions) {
-    return new RollGroup(
-      [
-        expr,
-        ...exprs.map(v => v[3])
-      ],
+  var peg$r2 = /^[a-zA-Z_]/;
+  var peg$r3 = /^[a-zA-Z0-9_]/;
+  var peg$r4 = /^[.]/;
+  var peg$r5 = /^[1-9]/;
+  var peg$r6 = /^[0-9]/;
+  var peg$r7 = /^[^\]]/;
+  var peg$r8 = /^[\n\r\u2028\u2029]/;
+  var peg$r9 = /^[ \t\n\r]/;
+
+  var peg$e0 = peg$literalExpectation("x", false);
+  var peg$e1 = peg$literalExpectation("{", false);
+  var peg$e2 = peg$literalExpectation(",", false);
+  var peg$e3 = peg$literalExpectation("}", false);
+  var peg$e4 = peg$literalExpectation("d", false);
+  var peg$e5 = peg$literalExpectation("d{", false);
+  var peg$e6 = peg$literalExpectation("d%", false);
+  var peg$e7 = peg$literalExpectation("dF", false);
+  var peg$e8 = peg$literalExpectation(".", false);
+  var peg$e9 = peg$classExpectation(["1", "2"], false, false);
+  var peg$e10 = peg$literalExpectation("dN.", false);
+  var peg$e11 = peg$otherExpectation("symbol die type");
+  var peg$e12 = peg$literalExpectation("proficiency", false);
+  var peg$e13 = peg$literalExpectation("difficulty", false);
+  var peg$e14 = peg$literalExpectation("challenge", false);
+  var peg$e15 = peg$literalExpectation("setback", false);
+  var peg$e16 = peg$literalExpectation("ability", false);
+  var peg$e17 = peg$literalExpectation("boost", false);
+  var peg$e18 = peg$otherExpectation("registered die");
+  var peg$e19 = peg$anyExpectation();
+  var peg$e20 = peg$otherExpectation("variable");
+  var peg$e21 = peg$literalExpectation("@", false);
+  var peg$e22 = peg$literalExpectation("(", false);
+  var peg$e23 = peg$literalExpectation(")", false);
+  var peg$e24 = peg$otherExpectation("custom modifier");
+  var peg$e25 = peg$literalExpectation("!", false);
+  var peg$e26 = peg$literalExpectation("p", false);
+  var peg$e27 = peg$classExpectation(["l", "h"], false, false);
+  var peg$e28 = peg$literalExpectation("k", false);
+  var peg$e29 = peg$literalExpectation("max", false);
+  var peg$e30 = peg$literalExpectation("min", false);
+  var peg$e31 = peg$literalExpectation("r", false);
+  var peg$e32 = peg$literalExpectation("o", false);
+  var peg$e33 = peg$literalExpectation("u", false);
+  var peg$e34 = peg$literalExpectation("cs", false);
+  var peg$e35 = peg$literalExpectation("cf", false);
+  var peg$e36 = peg$literalExpectation("s", false);
+  var peg$e37 = peg$literalExpectation("a", false);
+  var peg$e38 = peg$literalExpectation("f", false);
+  var peg$e39 = peg$literalExpectation("!=", false);
+  var peg$e40 = peg$literalExpectation("<=", false);
+  var peg$e41 = peg$literalExpectation(">=", false);
+  var peg$e42 = peg$literalExpectation("=", false);
+  var peg$e43 = peg$literalExpectation("<>", false);
+  var peg$e44 = peg$literalExpectation(">", false);
+  var peg$e45 = peg$literalExpectation("<", false);
+  var peg$e46 = peg$literalExpectation("abs", false);
+  var peg$e47 = peg$literalExpectation("ceil", false);
+  var peg$e48 = peg$literalExpectation("cos", false);
+  var peg$e49 = peg$literalExpectation("exp", false);
+  var peg$e50 = peg$literalExpectation("floor", false);
+  var peg$e51 = peg$literalExpectation("log", false);
+  var peg$e52 = peg$literalExpectation("round", false);
+  var peg$e53 = peg$literalExpectation("sign", false);
+  var peg$e54 = peg$literalExpectation("sin", false);
+  var peg$e55 = peg$literalExpectation("sqrt", false);
+  var peg$e56 = peg$literalExpectation("tan", false);
+  var peg$e57 = peg$literalExpectation("pow", false);
+  var peg$e58 = peg$classExpectation([["a", "z"], ["A", "Z"], "_"], false, false);
+  var peg$e59 = peg$classExpectation([["a", "z"], ["A", "Z"], ["0", "9"], "_"], false, false);
+  var peg$e60 = peg$literalExpectation("-", false);
+  var peg$e61 = peg$classExpectation(["."], false, false);
+  var peg$e62 = peg$classExpectation([["1", "9"]], false, false);
+  var peg$e63 = peg$classExpectation([["0", "9"]], false, false);
+  var peg$e64 = peg$literalExpectation("**", false);
+  var peg$e65 = peg$literalExpectation("*", false);
+  var peg$e66 = peg$literalExpectation("^", false);
+  var peg$e67 = peg$literalExpectation("%", false);
+  var peg$e68 = peg$literalExpectation("/", false);
+  var peg$e69 = peg$literalExpectation("+", false);
+  var peg$e70 = peg$otherExpectation("comment");
+  var peg$e71 = peg$literalExpectation("/*", false);
+  var peg$e72 = peg$literalExpectation("*/", false);
+  var peg$e73 = peg$literalExpectation("[", false);
+  var peg$e74 = peg$classExpectation(["]"], true, false);
+  var peg$e75 = peg$literalExpectation("]", false);
+  var peg$e76 = peg$literalExpectation("//", false);
+  var peg$e77 = peg$literalExpectation("#", false);
+  var peg$e78 = peg$classExpectation(["\n", "\r", "\u2028", "\u2029"], false, false);
+  var peg$e79 = peg$otherExpectation("whitespace");
+  var peg$e80 = peg$classExpectation([" ", "\t", "\n", "\r"], false, false);
+  var peg$e81 = peg$otherExpectation("whitespace or comment");
+
+  var peg$f0 = function(qty, expr) {
+    const count = integerOf(qty);
+    const repetition = new RollRepetition(count, expr);
+
+    return track([repetition], () => ({
+      type: 'repetition',
+      value: repetition,
+      count,
+      expression: nodeOf(expr),
+    }));
+  };
+  var peg$f1 = function(group, descriptions) { return describe(group, descriptions) };
+  var peg$f2 = function(expr, exprs, modifiers) {
+    const expressions = [expr, ...exprs.map(v => v[3])];
+    const group = new RollGroup(
+      expressions,
       Object.assign({}, ...modifiers.map(item => {
         return {[item.name]: item};
-      })),
-      descriptions.find((o) => o instanceof Description)
+      }))
     );
+
+    return track(group, () => ({
+      type: 'group',
+      value: group,
+      expressions: expressions.map(nodeOf),
+      modifiers: modifiers.map(nodeOf),
+      description: null,
+    }));
   };
-  var peg$f1 = function(die, modifiers, descriptions) {
+  var peg$f3 = function(die, descriptions) { return describe(die, descriptions) };
+  var peg$f4 = function(die, modifiers) {
   die.modifiers = Object.assign({}, ...modifiers.map(item => {
     return {[item.name]: item};
   }));
 
-  die.description = descriptions.find((o) => o instanceof Description);
-
-  return die;
+  return track(die, () => ({
+    ...nodeOf(die),
+    location: Ast.locationOf(location()),
+    modifiers: modifiers.map(nodeOf),
+  }));
 };
-  var peg$f2 = function(qty, sides) {
-    return new Dice.StandardDice(sides, qty || 1)
+  var peg$f5 = function(dieQty, dieSides) {
+    const qty = qtyOf(dieQty);
+    const sides = integerOf(dieSides);
+
+    // rolled sides are replaced when rolling
+    return dynamicDice(new Dice.StandardDice(Array.isArray(sides) ? 1 : sides, staticQty(qty)), qty, sides);
+  };
+  var peg$f6 = function(dieQty, head, tail) {
+    const qty = qtyOf(dieQty);
+
+    return dynamicDice(new Dice.CustomDice([head, ...tail.map(v => v[3])], staticQty(qty)), qty);
+  };
+  var peg$f7 = function(dieQty) {
+    const qty = qtyOf(dieQty);
+
+    return dynamicDice(new Dice.PercentileDice(staticQty(qty)), qty);
+  };
+  var peg$f8 = function(dieQty, sides) {
+    const qty = qtyOf(dieQty);
+
+    return dynamicDice(new Dice.FudgeDice(sides ? parseInt(sides[1], 10) : 2, staticQty(qty)), qty);
   };
-  var peg$f3 = function(qty) {
-    return new Dice.PercentileDice(qty || 1);
+  var peg$f9 = function(dieQty, variant) {
+    const qty = qtyOf(dieQty);
+
+    return dynamicDice(new Dice.SymbolDice(variant, staticQty(qty)), qty);
+  };
+  var peg$f10 = function(dieQty, definition) { return definition.argument === 'number' };
+  var peg$f11 = function(dieQty, definition, value) { return value };
+  var peg$f12 = function(dieQty, definition, argument) {
+    const qty = qtyOf(dieQty);
+
+    return dynamicDice(
+      Dice.DiceRegistry.create(definition.name, staticQty(qty), (argument === null) ? undefined : integerOf(argument)),
+      qty
+    );
+  };
+  var peg$f13 = function() { registeredDie = Dice.DiceRegistry.match(input, offset()); return !!registeredDie };
+  var peg$f14 = function() { return registeredDie.token.length - 1 };
+  var peg$f15 = function() { return registeredDie };
+  var peg$f16 = function(name) { return uncheckedInteger(options.variables[name]) };
+  var peg$f17 = function() { qtyVariable = matchQtyVariable(offset()); return !!qtyVariable };
+  var peg$f18 = function() { return qtyVariable.length };
+  var peg$f19 = function() { return qtyVariable };
+  var peg$f20 = function(expr) {
+    return track([...expr], () => ({ type: 'parenthesis', expression: nodeOf(expr) }));
   };
-  var peg$f4 = function(qty, sides) {
-    return new Dice.FudgeDice(sides ? parseInt(sides[1], 10) : 2, qty || 1);
+  var peg$f21 = function(modifier) {
+    return track(modifier, () => ({ type: 'modifier', value: modifier }));
   };
-  var peg$f5 = function(compound, penetrate, comparePoint) {
+  var peg$f22 = function(definition) { return definition.argument === 'compare-point' };
+  var peg$f23 = function(definition, comparePoint) { return comparePoint };
+  var peg$f24 = function(definition) { return definition.argument === 'number' };
+  var peg$f25 = function(definition, value) { return value };
+  var peg$f26 = function(definition, argument) {
+    return ModifierRegistry.create(definition.name, (argument === null) ? undefined : argument);
+  };
+  var peg$f27 = function() { customModifier = ModifierRegistry.match(input, offset()); return !!customModifier };
+  var peg$f28 = function() { return customModifier.token.length - 1 };
+  var peg$f29 = function() { return customModifier };
+  var peg$f30 = function(compound, penetrate, comparePoint) {
     return new Modifiers.ExplodeModifier(comparePoint, !!compound, !!penetrate);
   };
-  var peg$f6 = function(successCP, failureCP) {
+  var peg$f31 = function(successCP, failureCP) {
     return new Modifiers.TargetModifier(successCP, failureCP);
   };
-  var peg$f7 = function(end, qty) {
-    return new Modifiers.DropModifier(end || 'l', qty);
+  var peg$f32 = function(end, qty) {
+    return new Modifiers.DropModifier(end || 'l', integerOf(qty));
   };
-  var peg$f8 = function(end, qty) {
-    return new Modifiers.KeepModifier(end || 'h', qty);
+  var peg$f33 = function(end, qty) {
+    return new Modifiers.KeepModifier(end || 'h', integerOf(qty));
   };
-  var peg$f9 = function(max) {
+  var peg$f34 = function(max) {
     return new Modifiers.MaxModifier(max);
   };
-  var peg$f10 = function(min) {
+  var peg$f35 = function(min) {
     return new Modifiers.MinModifier(min);
   };
-  var peg$f11 = function(once, comparePoint) {
+  var peg$f36 = function(once, comparePoint) {
     return new Modifiers.ReRollModifier(!!once, comparePoint);
   };
-  var peg$f12 = function(once, comparePoint) {
+  var peg$f37 = function(once, comparePoint) {
     return new Modifiers.UniqueModifier(!!once, comparePoint);
   };
-  var peg$f13 = function(comparePoint) {
+  var peg$f38 = function(comparePoint) {
     return new Modifiers.CriticalSuccessModifier(comparePoint);
   };
-  var peg$f14 = function(comparePoint) {
+  var peg$f39 = function(comparePoint) {
     return new Modifiers.CriticalFailureModifier(comparePoint);
   };
-  var peg$f15 = function(dir) {
+  var peg$f40 = function(dir) {
     return new Modifiers.SortingModifier(dir || 'a');
   };
-  var peg$f16 = function(comparePoint) { return comparePoint };
-  var peg$f17 = function(operator, value) {
+  var peg$f41 = function(comparePoint) { return comparePoint };
+  var peg$f42 = function(operator, value) {
     return new ComparePoint(operator, value);
   };
-  var peg$f18 = function(l, expr, r) { return evaluate(text()) };
-  var peg$f19 = function(head, tail) {
-    head = Array.isArray(head) ? head : [head];
-
-    return [
-      ...head,
-      ...tail
-        .map(([, value, , factor]) => {
-          return [
-            value,
-            factor
-          ];
-        }).flat(2)
-    ]
+  var peg$f43 = function(head, tail) {
+    return evaluate([head, ...tail.flatMap(([, operator, , value]) => [operator, value])]);
+  };
+  var peg$f44 = function(value) { return uncheckedInteger(value) };
+  var peg$f45 = function(head, tail) {
+    return track(
+      [
+        ...head,
+        ...tail.flatMap(([, operator, , factor]) => [operator, ...factor]),
+      ],
+      () => Ast.expressionNode(
+        [head, ...tail.map(v => v[3])].map(nodeOf),
+        tail.map(v => v[1])
+      )
+    );
+  };
+  var peg$f46 = function(dice) { return track([dice], () => nodeOf(dice)) };
+  var peg$f47 = function(value) {
+    return track([value], () => (
+      text().startsWith('@')
+        ? { type: 'variable', name: text().slice(1), value }
+        : { type: 'number', value }
+    ));
+  };
+  var peg$f48 = function(l, expr, r) {
+    return track([l, ...expr, r], () => ({ type: 'parenthesis', expression: nodeOf(expr) }));
+  };
+  var peg$f49 = function(group) { return track([group], () => nodeOf(group)) };
+  var peg$f50 = function(func, expr) {
+    return track(
+      [
+        `${func}(`,
+        ...expr,
+        ')',
+      ],
+      () => ({ type: 'function', name: func, args: [nodeOf(expr)] })
+    );
   };
-  var peg$f20 = function(l, expr, r) { return [l, ...expr, r] };
-  var peg$f21 = function(func, expr) {
-    return [
-      `${func}(`,
-      ...expr,
-      ')',
-    ];
+  var peg$f51 = function(func, expr1, expr2) {
+    return track(
+      [
+        `${func}(`,
+        ...expr1,
+        ',',
+        ...expr2,
+        ')',
+      ],
+      () => ({ type: 'function', name: func, args: [nodeOf(expr1), nodeOf(expr2)] })
+    );
   };
-  var peg$f22 = function(func, expr1, expr2) {
-    return [
-      `${func}(`,
-      ...expr1,
-      ',',
-      ...expr2,
-      ')',
-    ];
+  var peg$f52 = function(name) {
+    const variables = options.variables || {};
+
+    if (!Object.hasOwn(variables, name)) {
+      error(`Undefined variable "@${name}"`);
+    }
+
+    return variables[name];
   };
-  var peg$f23 = function() { return parseFloat(text()) };
-  var peg$f24 = function() { return parseInt(text(), 10) };
-  var peg$f25 = function() { return parseInt(text(), 10) };
-  var peg$f26 = function() { return "^" };
-  var peg$f27 = function(text) { return new Description(text.flat().join(''), Description.types.MULTILINE) };
-  var peg$f28 = function(text) { return new Description(text.flat().join(''), Description.types.MULTILINE) };
-  var peg$f29 = function(text) { return new Description(text.flat().join(''), Description.types.INLINE) };
+  var peg$f53 = function(value) { return uncheckedInteger(value) };
+  var peg$f54 = function() { return parseFloat(text()) };
+  var peg$f55 = function() { return parseInt(text(), 10) };
+  var peg$f56 = function() { return parseInt(text(), 10) };
+  var peg$f57 = function() { return "^" };
+  var peg$f58 = function(text) { return createDescription(text, Description.types.MULTILINE) };
+  var peg$f59 = function(text) { return createDescription(text, Description.types.MULTILINE) };
+  var peg$f60 = function(text) { return createDescription(text, Description.types.INLINE) };
   var peg$currPos = 0;
   var peg$savedPos = 0;
   var peg$posDetailsCache = [{ line: 1, column: 1 }];
@@ -425,6 +561,8 @@ function peg$parse(input, options) {
   var peg$maxFailExpected = [];
   var peg$silentFails = 0;
 
+  var peg$resultsCache = {};
+
   var peg$result;
 
   if ("startRule" in options) {
@@ -581,21 +719,118 @@ function peg$parse(input, options) {
   function peg$parseMain() {
     var s0;
 
-    s0 = peg$parseExpression();
+    var key = peg$currPos * 53 + 0;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$parseRepetition();
+    if (s0 === peg$FAILED) {
+      s0 = peg$parseExpression();
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseRepetition() {
+    var s0, s1, s2, s3, s4;
+
+    var key = peg$currPos * 53 + 1;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseIntegerOrExpression();
+    if (s1 !== peg$FAILED) {
+      if (input.charCodeAt(peg$currPos) === 120) {
+        s2 = peg$c0;
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$e0); }
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = peg$parse_();
+        s4 = peg$parseExpression();
+        if (s4 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s0 = peg$f0(s1, s4);
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
 
     return s0;
   }
 
   function peg$parseRollGroup() {
+    var s0, s1, s2;
+
+    var key = peg$currPos * 53 + 2;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseRollGroupBody();
+    if (s1 !== peg$FAILED) {
+      s2 = peg$parse__();
+      peg$savedPos = s0;
+      s0 = peg$f1(s1, s2);
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseRollGroupBody() {
     var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
 
+    var key = peg$currPos * 53 + 3;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 123) {
-      s1 = peg$c0;
+      s1 = peg$c1;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e0); }
+      if (peg$silentFails === 0) { peg$fail(peg$e1); }
     }
     if (s1 !== peg$FAILED) {
       s2 = peg$parse_();
@@ -605,11 +840,11 @@ function peg$parse(input, options) {
         s5 = peg$currPos;
         s6 = peg$parse_();
         if (input.charCodeAt(peg$currPos) === 44) {
-          s7 = peg$c1;
+          s7 = peg$c2;
           peg$currPos++;
         } else {
           s7 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e1); }
+          if (peg$silentFails === 0) { peg$fail(peg$e2); }
         }
         if (s7 !== peg$FAILED) {
           s8 = peg$parse_();
@@ -630,11 +865,11 @@ function peg$parse(input, options) {
           s5 = peg$currPos;
           s6 = peg$parse_();
           if (input.charCodeAt(peg$currPos) === 44) {
-            s7 = peg$c1;
+            s7 = peg$c2;
             peg$currPos++;
           } else {
             s7 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e1); }
+            if (peg$silentFails === 0) { peg$fail(peg$e2); }
           }
           if (s7 !== peg$FAILED) {
             s8 = peg$parse_();
@@ -653,11 +888,11 @@ function peg$parse(input, options) {
         }
         s5 = peg$parse_();
         if (input.charCodeAt(peg$currPos) === 125) {
-          s6 = peg$c2;
+          s6 = peg$c3;
           peg$currPos++;
         } else {
           s6 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e2); }
+          if (peg$silentFails === 0) { peg$fail(peg$e3); }
         }
         if (s6 !== peg$FAILED) {
           s7 = [];
@@ -666,9 +901,8 @@ function peg$parse(input, options) {
             s7.push(s8);
             s8 = peg$parseModifier();
           }
-          s8 = peg$parse__();
           peg$savedPos = s0;
-          s0 = peg$f0(s3, s4, s7, s8);
+          s0 = peg$f2(s3, s4, s7);
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -682,18 +916,66 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseDice() {
+    var s0, s1, s2;
+
+    var key = peg$currPos * 53 + 4;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseDiceBody();
+    if (s1 !== peg$FAILED) {
+      s2 = peg$parse__();
+      peg$savedPos = s0;
+      s0 = peg$f3(s1, s2);
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseDiceBody() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 5;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    s1 = peg$parseStandardDie();
+    s1 = peg$parseRegisteredDie();
     if (s1 === peg$FAILED) {
-      s1 = peg$parsePercentileDie();
+      s1 = peg$parseCustomDie();
       if (s1 === peg$FAILED) {
-        s1 = peg$parseFudgeDie();
+        s1 = peg$parseStandardDie();
+        if (s1 === peg$FAILED) {
+          s1 = peg$parsePercentileDie();
+          if (s1 === peg$FAILED) {
+            s1 = peg$parseFudgeDie();
+            if (s1 === peg$FAILED) {
+              s1 = peg$parseSymbolDie();
+            }
+          }
+        }
       }
     }
     if (s1 !== peg$FAILED) {
@@ -703,37 +985,157 @@ function peg$parse(input, options) {
         s2.push(s3);
         s3 = peg$parseModifier();
       }
-      s3 = peg$parse__();
       peg$savedPos = s0;
-      s0 = peg$f1(s1, s2, s3);
+      s0 = peg$f4(s1, s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseStandardDie() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 6;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    s1 = peg$parseIntegerOrExpression();
+    s1 = peg$parseDieQty();
     if (s1 === peg$FAILED) {
       s1 = null;
     }
     if (input.charCodeAt(peg$currPos) === 100) {
-      s2 = peg$c3;
+      s2 = peg$c4;
       peg$currPos++;
     } else {
       s2 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e3); }
+      if (peg$silentFails === 0) { peg$fail(peg$e4); }
     }
     if (s2 !== peg$FAILED) {
       s3 = peg$parseIntegerOrExpression();
+      if (s3 === peg$FAILED) {
+        s3 = peg$parseRollExpression();
+      }
       if (s3 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f2(s1, s3);
+        s0 = peg$f5(s1, s3);
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseCustomDie() {
+    var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
+
+    var key = peg$currPos * 53 + 7;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseDieQty();
+    if (s1 === peg$FAILED) {
+      s1 = null;
+    }
+    if (input.substr(peg$currPos, 2) === peg$c5) {
+      s2 = peg$c5;
+      peg$currPos += 2;
+    } else {
+      s2 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e5); }
+    }
+    if (s2 !== peg$FAILED) {
+      s3 = peg$parse_();
+      s4 = peg$parseFloatOrVariable();
+      if (s4 !== peg$FAILED) {
+        s5 = [];
+        s6 = peg$currPos;
+        s7 = peg$parse_();
+        if (input.charCodeAt(peg$currPos) === 44) {
+          s8 = peg$c2;
+          peg$currPos++;
+        } else {
+          s8 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e2); }
+        }
+        if (s8 !== peg$FAILED) {
+          s9 = peg$parse_();
+          s10 = peg$parseFloatOrVariable();
+          if (s10 !== peg$FAILED) {
+            s7 = [s7, s8, s9, s10];
+            s6 = s7;
+          } else {
+            peg$currPos = s6;
+            s6 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s6;
+          s6 = peg$FAILED;
+        }
+        while (s6 !== peg$FAILED) {
+          s5.push(s6);
+          s6 = peg$currPos;
+          s7 = peg$parse_();
+          if (input.charCodeAt(peg$currPos) === 44) {
+            s8 = peg$c2;
+            peg$currPos++;
+          } else {
+            s8 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$e2); }
+          }
+          if (s8 !== peg$FAILED) {
+            s9 = peg$parse_();
+            s10 = peg$parseFloatOrVariable();
+            if (s10 !== peg$FAILED) {
+              s7 = [s7, s8, s9, s10];
+              s6 = s7;
+            } else {
+              peg$currPos = s6;
+              s6 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s6;
+            s6 = peg$FAILED;
+          }
+        }
+        s6 = peg$parse_();
+        if (input.charCodeAt(peg$currPos) === 125) {
+          s7 = peg$c3;
+          peg$currPos++;
+        } else {
+          s7 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e3); }
+        }
+        if (s7 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s0 = peg$f6(s1, s4, s5);
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -743,58 +1145,80 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parsePercentileDie() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 8;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    s1 = peg$parseIntegerOrExpression();
+    s1 = peg$parseDieQty();
     if (s1 === peg$FAILED) {
       s1 = null;
     }
-    if (input.substr(peg$currPos, 2) === peg$c4) {
-      s2 = peg$c4;
+    if (input.substr(peg$currPos, 2) === peg$c6) {
+      s2 = peg$c6;
       peg$currPos += 2;
     } else {
       s2 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e4); }
+      if (peg$silentFails === 0) { peg$fail(peg$e6); }
     }
     if (s2 !== peg$FAILED) {
       peg$savedPos = s0;
-      s0 = peg$f3(s1);
+      s0 = peg$f7(s1);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseFudgeDie() {
     var s0, s1, s2, s3, s4, s5;
 
+    var key = peg$currPos * 53 + 9;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    s1 = peg$parseIntegerOrExpression();
+    s1 = peg$parseDieQty();
     if (s1 === peg$FAILED) {
       s1 = null;
     }
-    if (input.substr(peg$currPos, 2) === peg$c5) {
-      s2 = peg$c5;
+    if (input.substr(peg$currPos, 2) === peg$c7) {
+      s2 = peg$c7;
       peg$currPos += 2;
     } else {
       s2 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e5); }
+      if (peg$silentFails === 0) { peg$fail(peg$e7); }
     }
     if (s2 !== peg$FAILED) {
       s3 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 46) {
-        s4 = peg$c6;
+        s4 = peg$c8;
         peg$currPos++;
       } else {
         s4 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e6); }
+        if (peg$silentFails === 0) { peg$fail(peg$e8); }
       }
       if (s4 !== peg$FAILED) {
         if (peg$r0.test(input.charAt(peg$currPos))) {
@@ -802,7 +1226,7 @@ function peg$parse(input, options) {
           peg$currPos++;
         } else {
           s5 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e7); }
+          if (peg$silentFails === 0) { peg$fail(peg$e9); }
         }
         if (s5 !== peg$FAILED) {
           s4 = [s4, s5];
@@ -819,81 +1243,750 @@ function peg$parse(input, options) {
         s3 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f4(s1, s3);
+      s0 = peg$f8(s1, s3);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
-  function peg$parseModifier() {
-    var s0;
+  function peg$parseSymbolDie() {
+    var s0, s1, s2, s3;
 
-    s0 = peg$parseExplodeModifier();
-    if (s0 === peg$FAILED) {
-      s0 = peg$parseTargetModifier();
-      if (s0 === peg$FAILED) {
-        s0 = peg$parseDropModifier();
-        if (s0 === peg$FAILED) {
-          s0 = peg$parseKeepModifier();
-          if (s0 === peg$FAILED) {
-            s0 = peg$parseReRollModifier();
-            if (s0 === peg$FAILED) {
-              s0 = peg$parseUniqueModifier();
-              if (s0 === peg$FAILED) {
-                s0 = peg$parseCriticalSuccessModifier();
-                if (s0 === peg$FAILED) {
-                  s0 = peg$parseCriticalFailureModifier();
-                  if (s0 === peg$FAILED) {
-                    s0 = peg$parseSortingModifier();
-                    if (s0 === peg$FAILED) {
-                      s0 = peg$parseMaxModifier();
-                      if (s0 === peg$FAILED) {
-                        s0 = peg$parseMinModifier();
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
+    var key = peg$currPos * 53 + 10;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseDieQty();
+    if (s1 === peg$FAILED) {
+      s1 = null;
+    }
+    if (input.substr(peg$currPos, 3) === peg$c9) {
+      s2 = peg$c9;
+      peg$currPos += 3;
+    } else {
+      s2 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e10); }
+    }
+    if (s2 !== peg$FAILED) {
+      s3 = peg$parseSymbolDieVariant();
+      if (s3 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s0 = peg$f9(s1, s3);
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseSymbolDieVariant() {
+    var s0, s1;
+
+    var key = peg$currPos * 53 + 11;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    peg$silentFails++;
+    if (input.substr(peg$currPos, 11) === peg$c10) {
+      s0 = peg$c10;
+      peg$currPos += 11;
+    } else {
+      s0 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e12); }
+    }
+    if (s0 === peg$FAILED) {
+      if (input.substr(peg$currPos, 10) === peg$c11) {
+        s0 = peg$c11;
+        peg$currPos += 10;
+      } else {
+        s0 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$e13); }
+      }
+      if (s0 === peg$FAILED) {
+        if (input.substr(peg$currPos, 9) === peg$c12) {
+          s0 = peg$c12;
+          peg$currPos += 9;
+        } else {
+          s0 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e14); }
+        }
+        if (s0 === peg$FAILED) {
+          if (input.substr(peg$currPos, 7) === peg$c13) {
+            s0 = peg$c13;
+            peg$currPos += 7;
+          } else {
+            s0 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$e15); }
+          }
+          if (s0 === peg$FAILED) {
+            if (input.substr(peg$currPos, 7) === peg$c14) {
+              s0 = peg$c14;
+              peg$currPos += 7;
+            } else {
+              s0 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$e16); }
+            }
+            if (s0 === peg$FAILED) {
+              if (input.substr(peg$currPos, 5) === peg$c15) {
+                s0 = peg$c15;
+                peg$currPos += 5;
+              } else {
+                s0 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$e17); }
+              }
+            }
+          }
+        }
+      }
+    }
+    peg$silentFails--;
+    if (s0 === peg$FAILED) {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e11); }
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseRegisteredDie() {
+    var s0, s1, s2, s3, s4, s5, s6;
+
+    var key = peg$currPos * 53 + 12;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseDieQty();
+    if (s1 === peg$FAILED) {
+      s1 = null;
+    }
+    if (input.charCodeAt(peg$currPos) === 100) {
+      s2 = peg$c4;
+      peg$currPos++;
+    } else {
+      s2 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e4); }
+    }
+    if (s2 !== peg$FAILED) {
+      s3 = peg$parseRegisteredDieToken();
+      if (s3 !== peg$FAILED) {
+        s4 = peg$currPos;
+        peg$savedPos = peg$currPos;
+        s5 = peg$f10(s1, s3);
+        if (s5) {
+          s5 = undefined;
+        } else {
+          s5 = peg$FAILED;
+        }
+        if (s5 !== peg$FAILED) {
+          s6 = peg$parseIntegerOrVariable();
+          if (s6 !== peg$FAILED) {
+            peg$savedPos = s4;
+            s4 = peg$f11(s1, s3, s6);
+          } else {
+            peg$currPos = s4;
+            s4 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s4;
+          s4 = peg$FAILED;
+        }
+        if (s4 === peg$FAILED) {
+          s4 = null;
+        }
+        peg$savedPos = s0;
+        s0 = peg$f12(s1, s3, s4);
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseRegisteredDieToken() {
+    var s0, s1, s2, s3, s4, s5, s6;
+
+    var key = peg$currPos * 53 + 13;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    peg$silentFails++;
+    s0 = peg$currPos;
+    peg$savedPos = peg$currPos;
+    s1 = peg$f13();
+    if (s1) {
+      s1 = undefined;
+    } else {
+      s1 = peg$FAILED;
+    }
+    if (s1 !== peg$FAILED) {
+      if (input.length > peg$currPos) {
+        s2 = input.charAt(peg$currPos);
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$e19); }
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = peg$f14();
+        s4 = peg$currPos;
+        s5 = [];
+        if (s5.length >= (s3|0)) {
+          s6 = peg$FAILED;
+        } else {
+          if (input.length > peg$currPos) {
+            s6 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s6 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$e19); }
+          }
+        }
+        while (s6 !== peg$FAILED) {
+          s5.push(s6);
+          if (s5.length >= (s3|0)) {
+            s6 = peg$FAILED;
+          } else {
+            if (input.length > peg$currPos) {
+              s6 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s6 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$e19); }
+            }
+          }
+        }
+        if (s5.length < (s3|0)) {
+          peg$currPos = s4;
+          s4 = peg$FAILED;
+        } else {
+          s4 = s5;
+        }
+        s3 = s4;
+        if (s3 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s0 = peg$f15();
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+    peg$silentFails--;
+    if (s0 === peg$FAILED) {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e18); }
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseDieQty() {
+    var s0;
+
+    var key = peg$currPos * 53 + 14;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$parseQtyVariable();
+    if (s0 === peg$FAILED) {
+      s0 = peg$parseIntegerOrExpression();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseRollExpression();
+      }
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseQtyVariable() {
+    var s0, s1, s2;
+
+    var key = peg$currPos * 53 + 15;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    peg$silentFails++;
+    s0 = peg$currPos;
+    if (input.charCodeAt(peg$currPos) === 64) {
+      s1 = peg$c16;
+      peg$currPos++;
+    } else {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e21); }
+    }
+    if (s1 !== peg$FAILED) {
+      s2 = peg$parseQtyVariableName();
+      if (s2 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s0 = peg$f16(s2);
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+    peg$silentFails--;
+    if (s0 === peg$FAILED) {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e20); }
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseQtyVariableName() {
+    var s0, s1, s2, s3, s4, s5;
+
+    var key = peg$currPos * 53 + 16;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    peg$savedPos = peg$currPos;
+    s1 = peg$f17();
+    if (s1) {
+      s1 = undefined;
+    } else {
+      s1 = peg$FAILED;
+    }
+    if (s1 !== peg$FAILED) {
+      s2 = peg$f18();
+      s3 = peg$currPos;
+      s4 = [];
+      if (s4.length >= (s2|0)) {
+        s5 = peg$FAILED;
+      } else {
+        if (input.length > peg$currPos) {
+          s5 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s5 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e19); }
+        }
+      }
+      while (s5 !== peg$FAILED) {
+        s4.push(s5);
+        if (s4.length >= (s2|0)) {
+          s5 = peg$FAILED;
+        } else {
+          if (input.length > peg$currPos) {
+            s5 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s5 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$e19); }
+          }
+        }
+      }
+      if (s4.length < (s2|0)) {
+        peg$currPos = s3;
+        s3 = peg$FAILED;
+      } else {
+        s3 = s4;
+      }
+      s2 = s3;
+      if (s2 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s0 = peg$f19();
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseRollExpression() {
+    var s0, s1, s2, s3, s4, s5;
+
+    var key = peg$currPos * 53 + 17;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    if (input.charCodeAt(peg$currPos) === 40) {
+      s1 = peg$c17;
+      peg$currPos++;
+    } else {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e22); }
+    }
+    if (s1 !== peg$FAILED) {
+      s2 = peg$parse_();
+      s3 = peg$parseExpression();
+      if (s3 !== peg$FAILED) {
+        s4 = peg$parse_();
+        if (input.charCodeAt(peg$currPos) === 41) {
+          s5 = peg$c18;
+          peg$currPos++;
+        } else {
+          s5 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e23); }
+        }
+        if (s5 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s0 = peg$f20(s3);
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseModifier() {
+    var s0, s1;
+
+    var key = peg$currPos * 53 + 18;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseCustomModifier();
+    if (s1 === peg$FAILED) {
+      s1 = peg$parseExplodeModifier();
+      if (s1 === peg$FAILED) {
+        s1 = peg$parseTargetModifier();
+        if (s1 === peg$FAILED) {
+          s1 = peg$parseDropModifier();
+          if (s1 === peg$FAILED) {
+            s1 = peg$parseKeepModifier();
+            if (s1 === peg$FAILED) {
+              s1 = peg$parseReRollModifier();
+              if (s1 === peg$FAILED) {
+                s1 = peg$parseUniqueModifier();
+                if (s1 === peg$FAILED) {
+                  s1 = peg$parseCriticalSuccessModifier();
+                  if (s1 === peg$FAILED) {
+                    s1 = peg$parseCriticalFailureModifier();
+                    if (s1 === peg$FAILED) {
+                      s1 = peg$parseSortingModifier();
+                      if (s1 === peg$FAILED) {
+                        s1 = peg$parseMaxModifier();
+                        if (s1 === peg$FAILED) {
+                          s1 = peg$parseMinModifier();
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    if (s1 !== peg$FAILED) {
+      peg$savedPos = s0;
+      s1 = peg$f21(s1);
+    }
+    s0 = s1;
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseCustomModifier() {
+    var s0, s1, s2, s3, s4;
+
+    var key = peg$currPos * 53 + 19;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$currPos;
+    s1 = peg$parseCustomModifierToken();
+    if (s1 !== peg$FAILED) {
+      s2 = peg$currPos;
+      peg$savedPos = peg$currPos;
+      s3 = peg$f22(s1);
+      if (s3) {
+        s3 = undefined;
+      } else {
+        s3 = peg$FAILED;
+      }
+      if (s3 !== peg$FAILED) {
+        s4 = peg$parseComparePoint();
+        if (s4 !== peg$FAILED) {
+          peg$savedPos = s2;
+          s2 = peg$f23(s1, s4);
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s2;
+        s2 = peg$FAILED;
+      }
+      if (s2 === peg$FAILED) {
+        s2 = peg$currPos;
+        peg$savedPos = peg$currPos;
+        s3 = peg$f24(s1);
+        if (s3) {
+          s3 = undefined;
+        } else {
+          s3 = peg$FAILED;
+        }
+        if (s3 !== peg$FAILED) {
+          s4 = peg$parseFloatOrVariable();
+          if (s4 !== peg$FAILED) {
+            peg$savedPos = s2;
+            s2 = peg$f25(s1, s4);
+          } else {
+            peg$currPos = s2;
+            s2 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+      }
+      if (s2 === peg$FAILED) {
+        s2 = null;
+      }
+      peg$savedPos = s0;
+      s0 = peg$f26(s1, s2);
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseCustomModifierToken() {
+    var s0, s1, s2, s3, s4, s5, s6;
+
+    var key = peg$currPos * 53 + 20;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    peg$silentFails++;
+    s0 = peg$currPos;
+    peg$savedPos = peg$currPos;
+    s1 = peg$f27();
+    if (s1) {
+      s1 = undefined;
+    } else {
+      s1 = peg$FAILED;
+    }
+    if (s1 !== peg$FAILED) {
+      if (input.length > peg$currPos) {
+        s2 = input.charAt(peg$currPos);
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$e19); }
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = peg$f28();
+        s4 = peg$currPos;
+        s5 = [];
+        if (s5.length >= (s3|0)) {
+          s6 = peg$FAILED;
+        } else {
+          if (input.length > peg$currPos) {
+            s6 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s6 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$e19); }
+          }
+        }
+        while (s6 !== peg$FAILED) {
+          s5.push(s6);
+          if (s5.length >= (s3|0)) {
+            s6 = peg$FAILED;
+          } else {
+            if (input.length > peg$currPos) {
+              s6 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s6 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$e19); }
+            }
+          }
+        }
+        if (s5.length < (s3|0)) {
+          peg$currPos = s4;
+          s4 = peg$FAILED;
+        } else {
+          s4 = s5;
+        }
+        s3 = s4;
+        if (s3 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s0 = peg$f29();
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
         }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
       }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+    peg$silentFails--;
+    if (s0 === peg$FAILED) {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e24); }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseExplodeModifier() {
     var s0, s1, s2, s3, s4;
 
+    var key = peg$currPos * 53 + 21;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 33) {
-      s1 = peg$c7;
+      s1 = peg$c19;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e8); }
+      if (peg$silentFails === 0) { peg$fail(peg$e25); }
     }
     if (s1 !== peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 33) {
-        s2 = peg$c7;
+        s2 = peg$c19;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e8); }
+        if (peg$silentFails === 0) { peg$fail(peg$e25); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
       }
       if (input.charCodeAt(peg$currPos) === 112) {
-        s3 = peg$c8;
+        s3 = peg$c20;
         peg$currPos++;
       } else {
         s3 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e9); }
+        if (peg$silentFails === 0) { peg$fail(peg$e26); }
       }
       if (s3 === peg$FAILED) {
         s3 = null;
@@ -903,18 +1996,29 @@ function peg$parse(input, options) {
         s4 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f5(s2, s3, s4);
+      s0 = peg$f30(s2, s3, s4);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseTargetModifier() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 22;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     s1 = peg$parseComparePoint();
     if (s1 !== peg$FAILED) {
@@ -923,25 +2027,36 @@ function peg$parse(input, options) {
         s2 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f6(s1, s2);
+      s0 = peg$f31(s1, s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseDropModifier() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 23;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 100) {
-      s1 = peg$c3;
+      s1 = peg$c4;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e3); }
+      if (peg$silentFails === 0) { peg$fail(peg$e4); }
     }
     if (s1 !== peg$FAILED) {
       if (peg$r1.test(input.charAt(peg$currPos))) {
@@ -949,15 +2064,15 @@ function peg$parse(input, options) {
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e10); }
+        if (peg$silentFails === 0) { peg$fail(peg$e27); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
       }
-      s3 = peg$parseIntegerNumber();
+      s3 = peg$parseIntegerOrVariable();
       if (s3 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f7(s2, s3);
+        s0 = peg$f32(s2, s3);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -967,19 +2082,30 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseKeepModifier() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 24;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 107) {
-      s1 = peg$c9;
+      s1 = peg$c21;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e11); }
+      if (peg$silentFails === 0) { peg$fail(peg$e28); }
     }
     if (s1 !== peg$FAILED) {
       if (peg$r1.test(input.charAt(peg$currPos))) {
@@ -987,15 +2113,15 @@ function peg$parse(input, options) {
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e10); }
+        if (peg$silentFails === 0) { peg$fail(peg$e27); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
       }
-      s3 = peg$parseIntegerNumber();
+      s3 = peg$parseIntegerOrVariable();
       if (s3 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f8(s2, s3);
+        s0 = peg$f33(s2, s3);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -1005,25 +2131,36 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseMaxModifier() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 25;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 3) === peg$c10) {
-      s1 = peg$c10;
+    if (input.substr(peg$currPos, 3) === peg$c22) {
+      s1 = peg$c22;
       peg$currPos += 3;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e12); }
+      if (peg$silentFails === 0) { peg$fail(peg$e29); }
     }
     if (s1 !== peg$FAILED) {
-      s2 = peg$parseFloatNumber();
+      s2 = peg$parseFloatOrVariable();
       if (s2 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f9(s2);
+        s0 = peg$f34(s2);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -1033,25 +2170,36 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseMinModifier() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 26;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 3) === peg$c11) {
-      s1 = peg$c11;
+    if (input.substr(peg$currPos, 3) === peg$c23) {
+      s1 = peg$c23;
       peg$currPos += 3;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e13); }
+      if (peg$silentFails === 0) { peg$fail(peg$e30); }
     }
     if (s1 !== peg$FAILED) {
-      s2 = peg$parseFloatNumber();
+      s2 = peg$parseFloatOrVariable();
       if (s2 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f10(s2);
+        s0 = peg$f35(s2);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -1061,27 +2209,38 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseReRollModifier() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 27;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 114) {
-      s1 = peg$c12;
+      s1 = peg$c24;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e14); }
+      if (peg$silentFails === 0) { peg$fail(peg$e31); }
     }
     if (s1 !== peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 111) {
-        s2 = peg$c13;
+        s2 = peg$c25;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e15); }
+        if (peg$silentFails === 0) { peg$fail(peg$e32); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
@@ -1091,33 +2250,44 @@ function peg$parse(input, options) {
         s3 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f11(s2, s3);
+      s0 = peg$f36(s2, s3);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseUniqueModifier() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 28;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 117) {
-      s1 = peg$c14;
+      s1 = peg$c26;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e16); }
+      if (peg$silentFails === 0) { peg$fail(peg$e33); }
     }
     if (s1 !== peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 111) {
-        s2 = peg$c13;
+        s2 = peg$c25;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e15); }
+        if (peg$silentFails === 0) { peg$fail(peg$e32); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
@@ -1127,25 +2297,36 @@ function peg$parse(input, options) {
         s3 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f12(s2, s3);
+      s0 = peg$f37(s2, s3);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseCriticalSuccessModifier() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 29;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 2) === peg$c15) {
-      s1 = peg$c15;
+    if (input.substr(peg$currPos, 2) === peg$c27) {
+      s1 = peg$c27;
       peg$currPos += 2;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e17); }
+      if (peg$silentFails === 0) { peg$fail(peg$e34); }
     }
     if (s1 !== peg$FAILED) {
       s2 = peg$parseComparePoint();
@@ -1153,25 +2334,36 @@ function peg$parse(input, options) {
         s2 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f13(s2);
+      s0 = peg$f38(s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseCriticalFailureModifier() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 30;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 2) === peg$c16) {
-      s1 = peg$c16;
+    if (input.substr(peg$currPos, 2) === peg$c28) {
+      s1 = peg$c28;
       peg$currPos += 2;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e18); }
+      if (peg$silentFails === 0) { peg$fail(peg$e35); }
     }
     if (s1 !== peg$FAILED) {
       s2 = peg$parseComparePoint();
@@ -1179,72 +2371,94 @@ function peg$parse(input, options) {
         s2 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f14(s2);
+      s0 = peg$f39(s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseSortingModifier() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 31;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 115) {
-      s1 = peg$c17;
+      s1 = peg$c29;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e19); }
+      if (peg$silentFails === 0) { peg$fail(peg$e36); }
     }
     if (s1 !== peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 97) {
-        s2 = peg$c18;
+        s2 = peg$c30;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e20); }
+        if (peg$silentFails === 0) { peg$fail(peg$e37); }
       }
       if (s2 === peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 100) {
-          s2 = peg$c3;
+          s2 = peg$c4;
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e3); }
+          if (peg$silentFails === 0) { peg$fail(peg$e4); }
         }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f15(s2);
+      s0 = peg$f40(s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseFailComparePoint() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 32;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 102) {
-      s1 = peg$c19;
+      s1 = peg$c31;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e21); }
+      if (peg$silentFails === 0) { peg$fail(peg$e38); }
     }
     if (s1 !== peg$FAILED) {
       s2 = peg$parseComparePoint();
       if (s2 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f16(s2);
+        s0 = peg$f41(s2);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -1254,19 +2468,30 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseComparePoint() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 33;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     s1 = peg$parseCompareOperator();
     if (s1 !== peg$FAILED) {
-      s2 = peg$parseFloatNumber();
+      s2 = peg$parseFloatOrVariable();
       if (s2 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f17(s1, s2);
+        s0 = peg$f42(s1, s2);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -1276,66 +2501,77 @@ function peg$parse(input, options) {
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseCompareOperator() {
     var s0;
 
-    if (input.substr(peg$currPos, 2) === peg$c20) {
-      s0 = peg$c20;
+    var key = peg$currPos * 53 + 34;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    if (input.substr(peg$currPos, 2) === peg$c32) {
+      s0 = peg$c32;
       peg$currPos += 2;
     } else {
       s0 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e22); }
+      if (peg$silentFails === 0) { peg$fail(peg$e39); }
     }
     if (s0 === peg$FAILED) {
-      if (input.substr(peg$currPos, 2) === peg$c21) {
-        s0 = peg$c21;
+      if (input.substr(peg$currPos, 2) === peg$c33) {
+        s0 = peg$c33;
         peg$currPos += 2;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e23); }
+        if (peg$silentFails === 0) { peg$fail(peg$e40); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 2) === peg$c22) {
-          s0 = peg$c22;
+        if (input.substr(peg$currPos, 2) === peg$c34) {
+          s0 = peg$c34;
           peg$currPos += 2;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e24); }
+          if (peg$silentFails === 0) { peg$fail(peg$e41); }
         }
         if (s0 === peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 61) {
-            s0 = peg$c23;
+            s0 = peg$c35;
             peg$currPos++;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e25); }
+            if (peg$silentFails === 0) { peg$fail(peg$e42); }
           }
           if (s0 === peg$FAILED) {
-            if (input.substr(peg$currPos, 2) === peg$c24) {
-              s0 = peg$c24;
+            if (input.substr(peg$currPos, 2) === peg$c36) {
+              s0 = peg$c36;
               peg$currPos += 2;
             } else {
               s0 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$e26); }
+              if (peg$silentFails === 0) { peg$fail(peg$e43); }
             }
             if (s0 === peg$FAILED) {
               if (input.charCodeAt(peg$currPos) === 62) {
-                s0 = peg$c25;
+                s0 = peg$c37;
                 peg$currPos++;
               } else {
                 s0 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$e27); }
+                if (peg$silentFails === 0) { peg$fail(peg$e44); }
               }
               if (s0 === peg$FAILED) {
                 if (input.charCodeAt(peg$currPos) === 60) {
-                  s0 = peg$c26;
+                  s0 = peg$c38;
                   peg$currPos++;
                 } else {
                   s0 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$e28); }
+                  if (peg$silentFails === 0) { peg$fail(peg$e45); }
                 }
               }
             }
@@ -1344,92 +2580,135 @@ function peg$parse(input, options) {
       }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseIntegerOrExpression() {
-    var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
+    var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
 
-    s0 = peg$parseIntegerNumber();
+    var key = peg$currPos * 53 + 35;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$parseIntegerOrVariable();
     if (s0 === peg$FAILED) {
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 40) {
-        s1 = peg$c27;
+        s1 = peg$c17;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e29); }
+        if (peg$silentFails === 0) { peg$fail(peg$e22); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
-        s3 = peg$currPos;
-        s4 = peg$parseFloatNumber();
-        if (s4 !== peg$FAILED) {
-          s5 = [];
-          s6 = peg$currPos;
-          s7 = peg$parse_();
-          s8 = peg$parseOperator();
-          if (s8 !== peg$FAILED) {
-            s9 = peg$parse_();
-            s10 = peg$parseFloatNumber();
-            if (s10 !== peg$FAILED) {
-              s7 = [s7, s8, s9, s10];
-              s6 = s7;
+        s3 = peg$parseFloatOrVariable();
+        if (s3 !== peg$FAILED) {
+          s4 = [];
+          s5 = peg$currPos;
+          s6 = peg$parse_();
+          s7 = peg$parseOperator();
+          if (s7 !== peg$FAILED) {
+            s8 = peg$parse_();
+            s9 = peg$parseFloatOrVariable();
+            if (s9 !== peg$FAILED) {
+              s6 = [s6, s7, s8, s9];
+              s5 = s6;
             } else {
-              peg$currPos = s6;
-              s6 = peg$FAILED;
+              peg$currPos = s5;
+              s5 = peg$FAILED;
             }
           } else {
-            peg$currPos = s6;
-            s6 = peg$FAILED;
+            peg$currPos = s5;
+            s5 = peg$FAILED;
           }
-          if (s6 !== peg$FAILED) {
-            while (s6 !== peg$FAILED) {
-              s5.push(s6);
-              s6 = peg$currPos;
-              s7 = peg$parse_();
-              s8 = peg$parseOperator();
-              if (s8 !== peg$FAILED) {
-                s9 = peg$parse_();
-                s10 = peg$parseFloatNumber();
-                if (s10 !== peg$FAILED) {
-                  s7 = [s7, s8, s9, s10];
-                  s6 = s7;
+          if (s5 !== peg$FAILED) {
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$currPos;
+              s6 = peg$parse_();
+              s7 = peg$parseOperator();
+              if (s7 !== peg$FAILED) {
+                s8 = peg$parse_();
+                s9 = peg$parseFloatOrVariable();
+                if (s9 !== peg$FAILED) {
+                  s6 = [s6, s7, s8, s9];
+                  s5 = s6;
                 } else {
-                  peg$currPos = s6;
-                  s6 = peg$FAILED;
+                  peg$currPos = s5;
+                  s5 = peg$FAILED;
                 }
               } else {
-                peg$currPos = s6;
-                s6 = peg$FAILED;
+                peg$currPos = s5;
+                s5 = peg$FAILED;
               }
             }
           } else {
-            s5 = peg$FAILED;
+            s4 = peg$FAILED;
           }
-          if (s5 !== peg$FAILED) {
-            s4 = [s4, s5];
-            s3 = s4;
+          if (s4 !== peg$FAILED) {
+            s5 = peg$parse_();
+            if (input.charCodeAt(peg$currPos) === 41) {
+              s6 = peg$c18;
+              peg$currPos++;
+            } else {
+              s6 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$e23); }
+            }
+            if (s6 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s0 = peg$f43(s3, s4);
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
-            peg$currPos = s3;
-            s3 = peg$FAILED;
+            peg$currPos = s0;
+            s0 = peg$FAILED;
           }
         } else {
-          peg$currPos = s3;
-          s3 = peg$FAILED;
+          peg$currPos = s0;
+          s0 = peg$FAILED;
         }
-        if (s3 !== peg$FAILED) {
-          s4 = peg$parse_();
-          if (input.charCodeAt(peg$currPos) === 41) {
-            s5 = peg$c28;
-            peg$currPos++;
-          } else {
-            s5 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e30); }
-          }
-          if (s5 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s0 = peg$f18(s1, s3, s5);
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 40) {
+          s1 = peg$c17;
+          peg$currPos++;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e22); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parse_();
+          s3 = peg$parseFloatOrVariable();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (input.charCodeAt(peg$currPos) === 41) {
+              s5 = peg$c18;
+              peg$currPos++;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$e23); }
+            }
+            if (s5 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s0 = peg$f44(s3);
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -1438,18 +2717,26 @@ function peg$parse(input, options) {
           peg$currPos = s0;
           s0 = peg$FAILED;
         }
-      } else {
-        peg$currPos = s0;
-        s0 = peg$FAILED;
       }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseExpression() {
     var s0, s1, s2, s3, s4, s5, s6, s7;
 
+    var key = peg$currPos * 53 + 36;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     s1 = peg$parseFactor();
     if (s1 !== peg$FAILED) {
@@ -1492,31 +2779,54 @@ function peg$parse(input, options) {
         }
       }
       peg$savedPos = s0;
-      s0 = peg$f19(s1, s2);
+      s0 = peg$f45(s1, s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseFactor() {
     var s0, s1, s2, s3, s4, s5;
 
+    var key = peg$currPos * 53 + 37;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$parseMathFunction();
     if (s0 === peg$FAILED) {
-      s0 = peg$parseDice();
+      s0 = peg$currPos;
+      s1 = peg$parseDice();
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$f46(s1);
+      }
+      s0 = s1;
       if (s0 === peg$FAILED) {
-        s0 = peg$parseFloatNumber();
+        s0 = peg$currPos;
+        s1 = peg$parseFloatOrVariable();
+        if (s1 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$f47(s1);
+        }
+        s0 = s1;
         if (s0 === peg$FAILED) {
           s0 = peg$currPos;
           if (input.charCodeAt(peg$currPos) === 40) {
-            s1 = peg$c27;
+            s1 = peg$c17;
             peg$currPos++;
           } else {
             s1 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e29); }
+            if (peg$silentFails === 0) { peg$fail(peg$e22); }
           }
           if (s1 !== peg$FAILED) {
             s2 = peg$parse_();
@@ -1524,15 +2834,15 @@ function peg$parse(input, options) {
             if (s3 !== peg$FAILED) {
               s4 = peg$parse_();
               if (input.charCodeAt(peg$currPos) === 41) {
-                s5 = peg$c28;
+                s5 = peg$c18;
                 peg$currPos++;
               } else {
                 s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$e30); }
+                if (peg$silentFails === 0) { peg$fail(peg$e23); }
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s0 = peg$f20(s1, s3, s5);
+                s0 = peg$f48(s1, s3, s5);
               } else {
                 peg$currPos = s0;
                 s0 = peg$FAILED;
@@ -1546,105 +2856,122 @@ function peg$parse(input, options) {
             s0 = peg$FAILED;
           }
           if (s0 === peg$FAILED) {
-            s0 = peg$parseRollGroup();
+            s0 = peg$currPos;
+            s1 = peg$parseRollGroup();
+            if (s1 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$f49(s1);
+            }
+            s0 = s1;
           }
         }
       }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseMathFunction() {
     var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
 
+    var key = peg$currPos * 53 + 38;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 3) === peg$c29) {
-      s1 = peg$c29;
+    if (input.substr(peg$currPos, 3) === peg$c39) {
+      s1 = peg$c39;
       peg$currPos += 3;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e31); }
+      if (peg$silentFails === 0) { peg$fail(peg$e46); }
     }
     if (s1 === peg$FAILED) {
-      if (input.substr(peg$currPos, 4) === peg$c30) {
-        s1 = peg$c30;
+      if (input.substr(peg$currPos, 4) === peg$c40) {
+        s1 = peg$c40;
         peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e32); }
+        if (peg$silentFails === 0) { peg$fail(peg$e47); }
       }
       if (s1 === peg$FAILED) {
-        if (input.substr(peg$currPos, 3) === peg$c31) {
-          s1 = peg$c31;
+        if (input.substr(peg$currPos, 3) === peg$c41) {
+          s1 = peg$c41;
           peg$currPos += 3;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e33); }
+          if (peg$silentFails === 0) { peg$fail(peg$e48); }
         }
         if (s1 === peg$FAILED) {
-          if (input.substr(peg$currPos, 3) === peg$c32) {
-            s1 = peg$c32;
+          if (input.substr(peg$currPos, 3) === peg$c42) {
+            s1 = peg$c42;
             peg$currPos += 3;
           } else {
             s1 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e34); }
+            if (peg$silentFails === 0) { peg$fail(peg$e49); }
           }
           if (s1 === peg$FAILED) {
-            if (input.substr(peg$currPos, 5) === peg$c33) {
-              s1 = peg$c33;
+            if (input.substr(peg$currPos, 5) === peg$c43) {
+              s1 = peg$c43;
               peg$currPos += 5;
             } else {
               s1 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$e35); }
+              if (peg$silentFails === 0) { peg$fail(peg$e50); }
             }
             if (s1 === peg$FAILED) {
-              if (input.substr(peg$currPos, 3) === peg$c34) {
-                s1 = peg$c34;
+              if (input.substr(peg$currPos, 3) === peg$c44) {
+                s1 = peg$c44;
                 peg$currPos += 3;
               } else {
                 s1 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$e36); }
+                if (peg$silentFails === 0) { peg$fail(peg$e51); }
               }
               if (s1 === peg$FAILED) {
-                if (input.substr(peg$currPos, 5) === peg$c35) {
-                  s1 = peg$c35;
+                if (input.substr(peg$currPos, 5) === peg$c45) {
+                  s1 = peg$c45;
                   peg$currPos += 5;
                 } else {
                   s1 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$e37); }
+                  if (peg$silentFails === 0) { peg$fail(peg$e52); }
                 }
                 if (s1 === peg$FAILED) {
-                  if (input.substr(peg$currPos, 4) === peg$c36) {
-                    s1 = peg$c36;
+                  if (input.substr(peg$currPos, 4) === peg$c46) {
+                    s1 = peg$c46;
                     peg$currPos += 4;
                   } else {
                     s1 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$e38); }
+                    if (peg$silentFails === 0) { peg$fail(peg$e53); }
                   }
                   if (s1 === peg$FAILED) {
-                    if (input.substr(peg$currPos, 3) === peg$c37) {
-                      s1 = peg$c37;
+                    if (input.substr(peg$currPos, 3) === peg$c47) {
+                      s1 = peg$c47;
                       peg$currPos += 3;
                     } else {
                       s1 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$e39); }
+                      if (peg$silentFails === 0) { peg$fail(peg$e54); }
                     }
                     if (s1 === peg$FAILED) {
-                      if (input.substr(peg$currPos, 4) === peg$c38) {
-                        s1 = peg$c38;
+                      if (input.substr(peg$currPos, 4) === peg$c48) {
+                        s1 = peg$c48;
                         peg$currPos += 4;
                       } else {
                         s1 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$e40); }
+                        if (peg$silentFails === 0) { peg$fail(peg$e55); }
                       }
                       if (s1 === peg$FAILED) {
-                        if (input.substr(peg$currPos, 3) === peg$c39) {
-                          s1 = peg$c39;
+                        if (input.substr(peg$currPos, 3) === peg$c49) {
+                          s1 = peg$c49;
                           peg$currPos += 3;
                         } else {
                           s1 = peg$FAILED;
-                          if (peg$silentFails === 0) { peg$fail(peg$e41); }
+                          if (peg$silentFails === 0) { peg$fail(peg$e56); }
                         }
                       }
                     }
@@ -1658,11 +2985,11 @@ function peg$parse(input, options) {
     }
     if (s1 !== peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 40) {
-        s2 = peg$c27;
+        s2 = peg$c17;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e29); }
+        if (peg$silentFails === 0) { peg$fail(peg$e22); }
       }
       if (s2 !== peg$FAILED) {
         s3 = peg$parse_();
@@ -1670,15 +2997,15 @@ function peg$parse(input, options) {
         if (s4 !== peg$FAILED) {
           s5 = peg$parse_();
           if (input.charCodeAt(peg$currPos) === 41) {
-            s6 = peg$c28;
+            s6 = peg$c18;
             peg$currPos++;
           } else {
             s6 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e30); }
+            if (peg$silentFails === 0) { peg$fail(peg$e23); }
           }
           if (s6 !== peg$FAILED) {
             peg$savedPos = s0;
-            s0 = peg$f21(s1, s4);
+            s0 = peg$f50(s1, s4);
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -1697,38 +3024,38 @@ function peg$parse(input, options) {
     }
     if (s0 === peg$FAILED) {
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 3) === peg$c40) {
-        s1 = peg$c40;
+      if (input.substr(peg$currPos, 3) === peg$c50) {
+        s1 = peg$c50;
         peg$currPos += 3;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e42); }
+        if (peg$silentFails === 0) { peg$fail(peg$e57); }
       }
       if (s1 === peg$FAILED) {
-        if (input.substr(peg$currPos, 3) === peg$c10) {
-          s1 = peg$c10;
+        if (input.substr(peg$currPos, 3) === peg$c22) {
+          s1 = peg$c22;
           peg$currPos += 3;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e12); }
+          if (peg$silentFails === 0) { peg$fail(peg$e29); }
         }
         if (s1 === peg$FAILED) {
-          if (input.substr(peg$currPos, 3) === peg$c11) {
-            s1 = peg$c11;
+          if (input.substr(peg$currPos, 3) === peg$c23) {
+            s1 = peg$c23;
             peg$currPos += 3;
           } else {
             s1 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e13); }
+            if (peg$silentFails === 0) { peg$fail(peg$e30); }
           }
         }
       }
       if (s1 !== peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 40) {
-          s2 = peg$c27;
+          s2 = peg$c17;
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e29); }
+          if (peg$silentFails === 0) { peg$fail(peg$e22); }
         }
         if (s2 !== peg$FAILED) {
           s3 = peg$parse_();
@@ -1736,11 +3063,11 @@ function peg$parse(input, options) {
           if (s4 !== peg$FAILED) {
             s5 = peg$parse_();
             if (input.charCodeAt(peg$currPos) === 44) {
-              s6 = peg$c1;
+              s6 = peg$c2;
               peg$currPos++;
             } else {
               s6 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$e1); }
+              if (peg$silentFails === 0) { peg$fail(peg$e2); }
             }
             if (s6 !== peg$FAILED) {
               s7 = peg$parse_();
@@ -1748,15 +3075,15 @@ function peg$parse(input, options) {
               if (s8 !== peg$FAILED) {
                 s9 = peg$parse_();
                 if (input.charCodeAt(peg$currPos) === 41) {
-                  s10 = peg$c28;
+                  s10 = peg$c18;
                   peg$currPos++;
                 } else {
                   s10 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$e30); }
+                  if (peg$silentFails === 0) { peg$fail(peg$e23); }
                 }
                 if (s10 !== peg$FAILED) {
                   peg$savedPos = s0;
-                  s0 = peg$f22(s1, s4, s8);
+                  s0 = peg$f51(s1, s4, s8);
                 } else {
                   peg$currPos = s0;
                   s0 = peg$FAILED;
@@ -1783,19 +3110,178 @@ function peg$parse(input, options) {
       }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseVariable() {
+    var s0, s1, s2, s3, s4, s5, s6, s7;
+
+    var key = peg$currPos * 53 + 39;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    peg$silentFails++;
+    s0 = peg$currPos;
+    if (input.charCodeAt(peg$currPos) === 64) {
+      s1 = peg$c16;
+      peg$currPos++;
+    } else {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e21); }
+    }
+    if (s1 !== peg$FAILED) {
+      s2 = peg$currPos;
+      peg$silentFails++;
+      s3 = peg$parseQtyVariableName();
+      peg$silentFails--;
+      if (s3 === peg$FAILED) {
+        s2 = undefined;
+      } else {
+        peg$currPos = s2;
+        s2 = peg$FAILED;
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = peg$currPos;
+        s4 = peg$currPos;
+        if (peg$r2.test(input.charAt(peg$currPos))) {
+          s5 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s5 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$e58); }
+        }
+        if (s5 !== peg$FAILED) {
+          s6 = [];
+          if (peg$r3.test(input.charAt(peg$currPos))) {
+            s7 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s7 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$e59); }
+          }
+          while (s7 !== peg$FAILED) {
+            s6.push(s7);
+            if (peg$r3.test(input.charAt(peg$currPos))) {
+              s7 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s7 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$e59); }
+            }
+          }
+          s5 = [s5, s6];
+          s4 = s5;
+        } else {
+          peg$currPos = s4;
+          s4 = peg$FAILED;
+        }
+        if (s4 !== peg$FAILED) {
+          s3 = input.substring(s3, peg$currPos);
+        } else {
+          s3 = s4;
+        }
+        if (s3 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s0 = peg$f52(s3);
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+    } else {
+      peg$currPos = s0;
+      s0 = peg$FAILED;
+    }
+    peg$silentFails--;
+    if (s0 === peg$FAILED) {
+      s1 = peg$FAILED;
+      if (peg$silentFails === 0) { peg$fail(peg$e20); }
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseFloatOrVariable() {
+    var s0;
+
+    var key = peg$currPos * 53 + 40;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$parseFloatNumber();
+    if (s0 === peg$FAILED) {
+      s0 = peg$parseVariable();
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+    return s0;
+  }
+
+  function peg$parseIntegerOrVariable() {
+    var s0, s1;
+
+    var key = peg$currPos * 53 + 41;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    s0 = peg$parseIntegerNumber();
+    if (s0 === peg$FAILED) {
+      s0 = peg$currPos;
+      s1 = peg$parseVariable();
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$f53(s1);
+      }
+      s0 = s1;
+    }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseFloatNumber() {
     var s0, s1, s2, s3, s4, s5;
 
+    var key = peg$currPos * 53 + 42;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     if (input.charCodeAt(peg$currPos) === 45) {
-      s1 = peg$c41;
+      s1 = peg$c51;
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e43); }
+      if (peg$silentFails === 0) { peg$fail(peg$e60); }
     }
     if (s1 === peg$FAILED) {
       s1 = null;
@@ -1803,12 +3289,12 @@ function peg$parse(input, options) {
     s2 = peg$parseNumber();
     if (s2 !== peg$FAILED) {
       s3 = peg$currPos;
-      if (peg$r2.test(input.charAt(peg$currPos))) {
+      if (peg$r4.test(input.charAt(peg$currPos))) {
         s4 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s4 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e44); }
+        if (peg$silentFails === 0) { peg$fail(peg$e61); }
       }
       if (s4 !== peg$FAILED) {
         s5 = peg$parseNumber();
@@ -1827,76 +3313,98 @@ function peg$parse(input, options) {
         s3 = null;
       }
       peg$savedPos = s0;
-      s0 = peg$f23();
+      s0 = peg$f54();
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseIntegerNumber() {
     var s0, s1, s2, s3;
 
+    var key = peg$currPos * 53 + 43;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (peg$r3.test(input.charAt(peg$currPos))) {
+    if (peg$r5.test(input.charAt(peg$currPos))) {
       s1 = input.charAt(peg$currPos);
       peg$currPos++;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e45); }
+      if (peg$silentFails === 0) { peg$fail(peg$e62); }
     }
     if (s1 !== peg$FAILED) {
       s2 = [];
-      if (peg$r4.test(input.charAt(peg$currPos))) {
+      if (peg$r6.test(input.charAt(peg$currPos))) {
         s3 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s3 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e46); }
+        if (peg$silentFails === 0) { peg$fail(peg$e63); }
       }
       while (s3 !== peg$FAILED) {
         s2.push(s3);
-        if (peg$r4.test(input.charAt(peg$currPos))) {
+        if (peg$r6.test(input.charAt(peg$currPos))) {
           s3 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e46); }
+          if (peg$silentFails === 0) { peg$fail(peg$e63); }
         }
       }
       peg$savedPos = s0;
-      s0 = peg$f24();
+      s0 = peg$f55();
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseNumber() {
     var s0, s1, s2;
 
+    var key = peg$currPos * 53 + 44;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
     s1 = [];
-    if (peg$r4.test(input.charAt(peg$currPos))) {
+    if (peg$r6.test(input.charAt(peg$currPos))) {
       s2 = input.charAt(peg$currPos);
       peg$currPos++;
     } else {
       s2 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e46); }
+      if (peg$silentFails === 0) { peg$fail(peg$e63); }
     }
     if (s2 !== peg$FAILED) {
       while (s2 !== peg$FAILED) {
         s1.push(s2);
-        if (peg$r4.test(input.charAt(peg$currPos))) {
+        if (peg$r6.test(input.charAt(peg$currPos))) {
           s2 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e46); }
+          if (peg$silentFails === 0) { peg$fail(peg$e63); }
         }
       }
     } else {
@@ -1904,76 +3412,87 @@ function peg$parse(input, options) {
     }
     if (s1 !== peg$FAILED) {
       peg$savedPos = s0;
-      s1 = peg$f25();
+      s1 = peg$f56();
     }
     s0 = s1;
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseOperator() {
     var s0, s1;
 
+    var key = peg$currPos * 53 + 45;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 2) === peg$c42) {
-      s1 = peg$c42;
+    if (input.substr(peg$currPos, 2) === peg$c52) {
+      s1 = peg$c52;
       peg$currPos += 2;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e47); }
+      if (peg$silentFails === 0) { peg$fail(peg$e64); }
     }
     if (s1 !== peg$FAILED) {
       peg$savedPos = s0;
-      s1 = peg$f26();
+      s1 = peg$f57();
     }
     s0 = s1;
     if (s0 === peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 42) {
-        s0 = peg$c43;
+        s0 = peg$c53;
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e48); }
+        if (peg$silentFails === 0) { peg$fail(peg$e65); }
       }
       if (s0 === peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 94) {
-          s0 = peg$c44;
+          s0 = peg$c54;
           peg$currPos++;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e49); }
+          if (peg$silentFails === 0) { peg$fail(peg$e66); }
         }
         if (s0 === peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 37) {
-            s0 = peg$c45;
+            s0 = peg$c55;
             peg$currPos++;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e50); }
+            if (peg$silentFails === 0) { peg$fail(peg$e67); }
           }
           if (s0 === peg$FAILED) {
             if (input.charCodeAt(peg$currPos) === 47) {
-              s0 = peg$c46;
+              s0 = peg$c56;
               peg$currPos++;
             } else {
               s0 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$e51); }
+              if (peg$silentFails === 0) { peg$fail(peg$e68); }
             }
             if (s0 === peg$FAILED) {
               if (input.charCodeAt(peg$currPos) === 43) {
-                s0 = peg$c47;
+                s0 = peg$c57;
                 peg$currPos++;
               } else {
                 s0 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$e52); }
+                if (peg$silentFails === 0) { peg$fail(peg$e69); }
               }
               if (s0 === peg$FAILED) {
                 if (input.charCodeAt(peg$currPos) === 45) {
-                  s0 = peg$c41;
+                  s0 = peg$c51;
                   peg$currPos++;
                 } else {
                   s0 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$e43); }
+                  if (peg$silentFails === 0) { peg$fail(peg$e60); }
                 }
               }
             }
@@ -1982,12 +3501,23 @@ function peg$parse(input, options) {
       }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseComment() {
     var s0, s1;
 
+    var key = peg$currPos * 53 + 46;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     peg$silentFails++;
     s0 = peg$parseMultiLineComment();
     if (s0 === peg$FAILED) {
@@ -1996,34 +3526,45 @@ function peg$parse(input, options) {
     peg$silentFails--;
     if (s0 === peg$FAILED) {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e53); }
+      if (peg$silentFails === 0) { peg$fail(peg$e70); }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseMultiLineComment() {
     var s0, s1, s2, s3, s4, s5;
 
+    var key = peg$currPos * 53 + 47;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 2) === peg$c48) {
-      s1 = peg$c48;
+    if (input.substr(peg$currPos, 2) === peg$c58) {
+      s1 = peg$c58;
       peg$currPos += 2;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e54); }
+      if (peg$silentFails === 0) { peg$fail(peg$e71); }
     }
     if (s1 !== peg$FAILED) {
       s2 = [];
       s3 = peg$currPos;
       s4 = peg$currPos;
       peg$silentFails++;
-      if (input.substr(peg$currPos, 2) === peg$c49) {
-        s5 = peg$c49;
+      if (input.substr(peg$currPos, 2) === peg$c59) {
+        s5 = peg$c59;
         peg$currPos += 2;
       } else {
         s5 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e55); }
+        if (peg$silentFails === 0) { peg$fail(peg$e72); }
       }
       peg$silentFails--;
       if (s5 === peg$FAILED) {
@@ -2038,7 +3579,7 @@ function peg$parse(input, options) {
           peg$currPos++;
         } else {
           s5 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e56); }
+          if (peg$silentFails === 0) { peg$fail(peg$e19); }
         }
         if (s5 !== peg$FAILED) {
           s4 = [s4, s5];
@@ -2056,12 +3597,12 @@ function peg$parse(input, options) {
         s3 = peg$currPos;
         s4 = peg$currPos;
         peg$silentFails++;
-        if (input.substr(peg$currPos, 2) === peg$c49) {
-          s5 = peg$c49;
+        if (input.substr(peg$currPos, 2) === peg$c59) {
+          s5 = peg$c59;
           peg$currPos += 2;
         } else {
           s5 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e55); }
+          if (peg$silentFails === 0) { peg$fail(peg$e72); }
         }
         peg$silentFails--;
         if (s5 === peg$FAILED) {
@@ -2076,7 +3617,7 @@ function peg$parse(input, options) {
             peg$currPos++;
           } else {
             s5 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e56); }
+            if (peg$silentFails === 0) { peg$fail(peg$e19); }
           }
           if (s5 !== peg$FAILED) {
             s4 = [s4, s5];
@@ -2090,16 +3631,16 @@ function peg$parse(input, options) {
           s3 = peg$FAILED;
         }
       }
-      if (input.substr(peg$currPos, 2) === peg$c49) {
-        s3 = peg$c49;
+      if (input.substr(peg$currPos, 2) === peg$c59) {
+        s3 = peg$c59;
         peg$currPos += 2;
       } else {
         s3 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e55); }
+        if (peg$silentFails === 0) { peg$fail(peg$e72); }
       }
       if (s3 !== peg$FAILED) {
         peg$savedPos = s0;
-        s0 = peg$f27(s2);
+        s0 = peg$f58(s2);
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
@@ -2111,41 +3652,41 @@ function peg$parse(input, options) {
     if (s0 === peg$FAILED) {
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 91) {
-        s1 = peg$c50;
+        s1 = peg$c60;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e57); }
+        if (peg$silentFails === 0) { peg$fail(peg$e73); }
       }
       if (s1 !== peg$FAILED) {
         s2 = [];
-        if (peg$r5.test(input.charAt(peg$currPos))) {
+        if (peg$r7.test(input.charAt(peg$currPos))) {
           s3 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e58); }
+          if (peg$silentFails === 0) { peg$fail(peg$e74); }
         }
         while (s3 !== peg$FAILED) {
           s2.push(s3);
-          if (peg$r5.test(input.charAt(peg$currPos))) {
+          if (peg$r7.test(input.charAt(peg$currPos))) {
             s3 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e58); }
+            if (peg$silentFails === 0) { peg$fail(peg$e74); }
           }
         }
         if (input.charCodeAt(peg$currPos) === 93) {
-          s3 = peg$c51;
+          s3 = peg$c61;
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e59); }
+          if (peg$silentFails === 0) { peg$fail(peg$e75); }
         }
         if (s3 !== peg$FAILED) {
           peg$savedPos = s0;
-          s0 = peg$f28(s2);
+          s0 = peg$f59(s2);
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -2156,27 +3697,38 @@ function peg$parse(input, options) {
       }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseSingleLineComment() {
     var s0, s1, s2, s3, s4, s5;
 
+    var key = peg$currPos * 53 + 48;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = peg$currPos;
-    if (input.substr(peg$currPos, 2) === peg$c52) {
-      s1 = peg$c52;
+    if (input.substr(peg$currPos, 2) === peg$c62) {
+      s1 = peg$c62;
       peg$currPos += 2;
     } else {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e60); }
+      if (peg$silentFails === 0) { peg$fail(peg$e76); }
     }
     if (s1 === peg$FAILED) {
       if (input.charCodeAt(peg$currPos) === 35) {
-        s1 = peg$c53;
+        s1 = peg$c63;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$e61); }
+        if (peg$silentFails === 0) { peg$fail(peg$e77); }
       }
     }
     if (s1 !== peg$FAILED) {
@@ -2198,7 +3750,7 @@ function peg$parse(input, options) {
           peg$currPos++;
         } else {
           s5 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$e56); }
+          if (peg$silentFails === 0) { peg$fail(peg$e19); }
         }
         if (s5 !== peg$FAILED) {
           s4 = [s4, s5];
@@ -2230,7 +3782,7 @@ function peg$parse(input, options) {
             peg$currPos++;
           } else {
             s5 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$e56); }
+            if (peg$silentFails === 0) { peg$fail(peg$e19); }
           }
           if (s5 !== peg$FAILED) {
             s4 = [s4, s5];
@@ -2245,52 +3797,85 @@ function peg$parse(input, options) {
         }
       }
       peg$savedPos = s0;
-      s0 = peg$f29(s2);
+      s0 = peg$f60(s2);
     } else {
       peg$currPos = s0;
       s0 = peg$FAILED;
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseLineTerminator() {
     var s0;
 
-    if (peg$r6.test(input.charAt(peg$currPos))) {
+    var key = peg$currPos * 53 + 49;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
+    if (peg$r8.test(input.charAt(peg$currPos))) {
       s0 = input.charAt(peg$currPos);
       peg$currPos++;
     } else {
       s0 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e62); }
+      if (peg$silentFails === 0) { peg$fail(peg$e78); }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parseWhiteSpace() {
     var s0, s1;
 
+    var key = peg$currPos * 53 + 50;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     peg$silentFails++;
-    if (peg$r7.test(input.charAt(peg$currPos))) {
+    if (peg$r9.test(input.charAt(peg$currPos))) {
       s0 = input.charAt(peg$currPos);
       peg$currPos++;
     } else {
       s0 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e64); }
+      if (peg$silentFails === 0) { peg$fail(peg$e80); }
     }
     peg$silentFails--;
     if (s0 === peg$FAILED) {
       s1 = peg$FAILED;
-      if (peg$silentFails === 0) { peg$fail(peg$e63); }
+      if (peg$silentFails === 0) { peg$fail(peg$e79); }
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parse_() {
     var s0, s1;
 
+    var key = peg$currPos * 53 + 51;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     s0 = [];
     s1 = peg$parseWhiteSpace();
     while (s1 !== peg$FAILED) {
@@ -2298,12 +3883,23 @@ function peg$parse(input, options) {
       s1 = peg$parseWhiteSpace();
     }
 
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
     return s0;
   }
 
   function peg$parse__() {
     var s0, s1;
 
+    var key = peg$currPos * 53 + 52;
+    var cached = peg$resultsCache[key];
+
+    if (cached) {
+      peg$currPos = cached.nextPos;
+
+      return cached.result;
+    }
+
     peg$silentFails++;
     s0 = [];
     s1 = peg$parseWhiteSpace();
@@ -2319,11 +3915,133 @@ function peg$parse(input, options) {
     }
     peg$silentFails--;
     s1 = peg$FAILED;
-    if (peg$silentFails === 0) { peg$fail(peg$e65); }
+    if (peg$silentFails === 0) { peg$fail(peg$e81); }
+
+    peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
 
     return s0;
   }
 
+
+  // AST nodes, keyed by the parsed value. Only recorded when requested by `Parser.parseAst`
+  const nodes = options.nodes;
+
+  // the registered custom modifier that was last matched
+  let customModifier = null;
+
+  // the registered die that was last matched
+  let registeredDie = null;
+
+  // the name of the variable dice qty that was last matched
+  let qtyVariable = null;
+
+  // the longest defined variable name, at the offset, that is followed by a die (e.g. `n` in
+  // `@nd6`). Variable names can contain a `d`, so the whole name is used if it is defined
+  function matchQtyVariable(start) {
+    const variables = options.variables || {};
+    const [name] = input.slice(start).match(/^[a-zA-Z_][a-zA-Z0-9_]*/) || [''];
+
+    if (Object.hasOwn(variables, name)) {
+      return null;
+    }
+
+    return Object.keys(variables)
+      .filter((key) => key && name.startsWith(key) && (name[key.length] === 'd'))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+
+  // a variable, or a single value within parenthesis, that must be an integer. It is checked by
+  // `integerOf` once the rule that uses it has matched, as rules can be tried and then discarded
+  // (e.g. `@n` is tried as a die qty in `@n+1`)
+  function uncheckedInteger(value) {
+    return { unchecked: value, text: text(), location: location() };
+  }
+
+  function isUnchecked(value) {
+    return !!value && Object.hasOwn(value, 'unchecked');
+  }
+
+  // the value, checking that it is an integer of at least the minimum, if it is unchecked
+  function integerOf(value, min = 1) {
+    if (!isUnchecked(value)) {
+      return value;
+    }
+
+    if (!Number.isInteger(value.unchecked) || (value.unchecked < min)) {
+      error(`"${value.text}" must be an integer of at least ${min}`, value.location);
+    }
+
+    return value.unchecked;
+  }
+
+  // the die qty. An unchecked qty of zero (e.g. `@nd6`, where `n` is 0) is rolled, like a rolled
+  // qty, so that no dice are rolled
+  function qtyOf(qty) {
+    const value = integerOf(qty, 0);
+
+    return (isUnchecked(qty) && (value === 0)) ? [value] : value;
+  }
+
+  // the AST node for the parsed value, if there is one
+  function nodeOf(value) {
+    return (nodes && nodes.get(value)) || null;
+  }
+
+  // record the AST node for the parsed value. It defaults to the location of the current rule
+  function track(value, build) {
+    if (nodes) {
+      nodes.set(value, { location: Ast.locationOf(location()), ...build() });
+    }
+
+    return value;
+  }
+
+  // set the description, and extend the value's AST node to include it
+  function describe(value, descriptions) {
+    const description = descriptions.find((o) => o instanceof Description);
+    const node = nodeOf(value);
+
+    value.description = description;
+
+    if (node && description) {
+      node.description = nodeOf(description);
+      node.location = Ast.span(node.location, node.description.location);
+    }
+
+    return value;
+  }
+
+  // create a description from the comment text
+  function createDescription(text, type) {
+    const description = new Description(text.flat().join(''), type);
+
+    return track(description, () => ({ type: 'description', value: description }));
+  }
+
+  // wrap dice that have a rolled qty or sides (e.g. `(1d4)d6`), so they're rolled first
+  function dynamicDice(die, qty, sides = null) {
+    if ([qty, sides].some((value) => Array.isArray(value) && value.some((v) => v instanceof RollGroup))) {
+      error('Roll groups cannot be used for the dice qty or sides');
+    }
+
+    const dice = (!Array.isArray(qty) && !Array.isArray(sides))
+      ? die
+      : new Dice.DynamicDice(
+        die,
+        Array.isArray(qty) ? qty : null,
+        Array.isArray(sides) ? sides : null
+      );
+
+    return track(dice, () => ({
+      type: 'dice',
+      value: dice,
+      qty: nodeOf(qty),
+      sides: nodeOf(sides),
+      modifiers: [],
+      description: null,
+    }));
+  }
+
   peg$result = peg$startRuleFunction();
 
   if (peg$result !== peg$FAILED && peg$currPos === input.length) {
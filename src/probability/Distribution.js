@@ -0,0 +1,201 @@
+import { compareNumbers, isNumeric } from '../utilities/math.js';
+import ComparePoint from '../ComparePoint.js';
+
+const probabilitiesSymbol = Symbol('probabilities');
+
+/**
+ * A `Distribution` holds the probability of each possible total for a notation.
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Probability}
+ */
+class Distribution {
+  /**
+   * Create a `Distribution` instance.
+   *
+   * @example
+   * const distribution = new Distribution(new Map([[1, 0.5], [2, 0.5]]));
+   *
+   * @param {Map<number, number>|Object.<number, number>|Array.<number[]>} probabilities The
+   * probability of each value
+   *
+   * @throws {TypeError} probabilities must be a Map, object or array of value / probability pairs
+   */
+  constructor(probabilities) {
+    let entries;
+
+    if (probabilities instanceof Map) {
+      entries = [...probabilities.entries()];
+    } else if (Array.isArray(probabilities)) {
+      entries = probabilities;
+    } else if (probabilities && (typeof probabilities === 'object')) {
+      entries = Object.entries(probabilities);
+    } else {
+      throw new TypeError('probabilities must be a Map, object, or an array of value / probability pairs');
+    }
+
+    this[probabilitiesSymbol] = new Map(entries
+      .map(([value, probability]) => [Number(value), Number(probability)])
+      .filter(([, probability]) => probability > 0)
+      .sort((a, b) => a[0] - b[0]));
+  }
+
+  /**
+   * The highest possible value.
+   *
+   * @returns {number}
+   */
+  get max() {
+    return this.values.length ? Math.max(...this.values) : 0;
+  }
+
+  /**
+   * The expected (mean) value.
+   *
+   * @returns {number}
+   */
+  get mean() {
+    return [...this.probabilities].reduce((acc, [value, probability]) => (
+      acc + (value * probability)
+    ), 0);
+  }
+
+  /**
+   * The lowest possible value.
+   *
+   * @returns {number}
+   */
+  get min() {
+    return this.values.length ? Math.min(...this.values) : 0;
+  }
+
+  /**
+   * The probability of each possible value, ordered by value ascending.
+   *
+   * @returns {Map<number, number>}
+   */
+  get probabilities() {
+    return new Map(this[probabilitiesSymbol]);
+  }
+
+  /**
+   * The standard deviation.
+   *
+   * @returns {number}
+   */
+  get standardDeviation() {
+    return Math.sqrt(this.variance);
+  }
+
+  /**
+   * The possible values, ordered ascending.
+   *
+   * @returns {number[]}
+   */
+  get values() {
+    return [...this[probabilitiesSymbol].keys()];
+  }
+
+  /**
+   * The variance.
+   *
+   * @returns {number}
+   */
+  get variance() {
+    const { mean } = this;
+
+    return [...this.probabilities].reduce((acc, [value, probability]) => (
+      acc + (((value - mean) ** 2) * probability)
+    ), 0);
+  }
+
+  /**
+   * The probability of rolling a value that matches the comparison.
+   *
+   * @example <caption>Chance of rolling exactly 7</caption>
+   * distribution.probabilityOf(7);
+   *
+   * @example <caption>Chance of rolling at least 15</caption>
+   * distribution.probabilityOf(15, '>=');
+   * distribution.probabilityOf(new ComparePoint('>=', 15));
+   *
+   * @param {number|ComparePoint} value The value to compare against
+   * @param {string} [operator='='] The comparison operator
+   *
+   * @returns {number} The probability, between `0` and `1`
+   */
+  probabilityOf(value, operator = '=') {
+    const comparePoint = (value instanceof ComparePoint) ? value : null;
+
+    return [...this.probabilities].reduce((acc, [total, probability]) => {
+      const isMatch = comparePoint
+        ? comparePoint.isMatch(total)
+        : compareNumbers(total, value, operator);
+
+      return acc + (isMatch ? probability : 0);
+    }, 0);
+  }
+
+  /**
+   * The lowest value that the given percentage of totals are less than or equal to.
+   *
+   * @example <caption>Median</caption>
+   * distribution.percentile(50);
+   *
+   * @param {number} percent The percentile, between `0` and `100`
+   *
+   * @returns {number}
+   *
+   * @throws {RangeError} percent must be between 0 and 100
+   */
+  percentile(percent) {
+    if (!isNumeric(percent) || (percent < 0) || (percent > 100)) {
+      throw new RangeError('percent must be a number between 0 and 100');
+    }
+
+    let cumulative = 0;
+    const entries = [...this.probabilities];
+    // allow for rounding errors when summing the probabilities
+    const found = entries.find(([, probability]) => {
+      cumulative += probability;
+
+      return cumulative >= ((percent / 100) - 1e-9);
+    });
+
+    return found ? found[0] : this.max;
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  max: number,
+   *  mean: number,
+   *  min: number,
+   *  probabilities: Object.<number, number>,
+   *  standardDeviation: number,
+   *  type: string,
+   *  variance: number
+   * }}
+   */
+  toJSON() {
+    const {
+      max, mean, min, probabilities, standardDeviation, variance,
+    } = this;
+
+    return {
+      max,
+      mean,
+      min,
+      probabilities: Object.fromEntries(probabilities),
+      standardDeviation,
+      type: 'distribution',
+      variance,
+    };
+  }
+}
+
+export default Distribution;
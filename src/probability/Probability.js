@@ -0,0 +1,625 @@
+import {
+  CustomDice, DynamicDice, FudgeDice, StandardDice,
+} from '../dice/index.js';
+import { DieActionValueError, LimitError } from '../exceptions/index.js';
+import {
+  CriticalFailureModifier,
+  CriticalSuccessModifier,
+  KeepModifier,
+  MaxModifier,
+  MinModifier,
+  ReRollModifier,
+  SortingModifier,
+  TargetModifier,
+} from '../modifiers/index.js';
+import {
+  functions, operators, reduceExpressionTree, toExpressionTree,
+} from '../utilities/expression.js';
+import { isNumeric, toFixed } from '../utilities/math.js';
+import { engines, NumberGenerator } from '../utilities/NumberGenerator.js';
+import DiceRoll from '../DiceRoll.js';
+import Distribution from './Distribution.js';
+import Limits from '../Limits.js';
+import Parser from '../parser/Parser.js';
+import RollGroup from '../RollGroup.js';
+import RollRepetition from '../RollRepetition.js';
+import Simulation from './Simulation.js';
+
+/**
+ * Modifiers that only flag or re-order results, and so don't affect the total.
+ *
+ * @type {Function[]}
+ *
+ * @private
+ */
+const cosmeticModifiers = [CriticalFailureModifier, CriticalSuccessModifier, SortingModifier];
+
+/**
+ * The limits that distributions are calculated within, unless others are given.
+ *
+ * @type {Object.<string, number>}
+ *
+ * @private
+ */
+const defaultLimits = {
+  maxIterations: 10000000,
+};
+
+/**
+ * The limits of the distribution being calculated, and the number of probabilities added so far.
+ *
+ * @type {{count: number, limits: Limits, start: number}|null}
+ *
+ * @private
+ */
+let work = null;
+
+/**
+ * Add the probability to the value in the list.
+ *
+ * @private
+ *
+ * @param {Map<number, number>} probabilities
+ * @param {number} value
+ * @param {number} probability
+ *
+ * @throws {LimitError} The calculation exceeds the `maxIterations` or `timeout` limit
+ */
+const addProbability = (probabilities, value, probability) => {
+  probabilities.set(value, (probabilities.get(value) || 0) + probability);
+
+  if (work) {
+    work.count += 1;
+
+    if (work.count > work.limits.maxIterations) {
+      throw new LimitError('maxIterations', work.limits.maxIterations, work.count);
+    }
+
+    // only check the time occasionally, as this is called very often
+    if ((work.count % 1000) === 0) {
+      const elapsed = Date.now() - work.start;
+
+      if (elapsed > work.limits.timeout) {
+        throw new LimitError('timeout', work.limits.timeout, elapsed);
+      }
+    }
+  }
+};
+
+/**
+ * Combine two independent probability lists, using the callback to combine each pair of values.
+ *
+ * @private
+ *
+ * @param {Map<number, number>} a
+ * @param {Map<number, number>} b
+ * @param {function(number, number): number} callback
+ *
+ * @returns {Map<number, number>}
+ */
+const combine = (a, b, callback) => {
+  const probabilities = new Map();
+
+  a.forEach((probA, valueA) => {
+    b.forEach((probB, valueB) => {
+      addProbability(probabilities, callback(valueA, valueB), probA * probB);
+    });
+  });
+
+  return probabilities;
+};
+
+/**
+ * Map each value in the probability list, merging any values that end up the same.
+ *
+ * @private
+ *
+ * @param {Map<number, number>} probabilities
+ * @param {function(number): number} callback
+ *
+ * @returns {Map<number, number>}
+ */
+const transform = (probabilities, callback) => {
+  const transformed = new Map();
+
+  probabilities.forEach((probability, value) => {
+    addProbability(transformed, callback(value), probability);
+  });
+
+  return transformed;
+};
+
+/**
+ * Return the natural log of the binomial coefficient `n choose k`.
+ *
+ * @private
+ *
+ * @param {number} n
+ * @param {number} k
+ *
+ * @returns {number}
+ */
+const logBinomial = (n, k) => {
+  let result = 0;
+
+  for (let i = 1; i <= k; i++) {
+    result += Math.log(n - k + i) - Math.log(i);
+  }
+
+  return result;
+};
+
+/**
+ * Return the error for notation that can't have its probabilities calculated exactly.
+ *
+ * @private
+ *
+ * @param {string} name The name of the unsupported feature
+ *
+ * @returns {TypeError}
+ */
+const unsupportedError = (name) => new TypeError(`Exact probabilities cannot be calculated for "${name}"`);
+
+/**
+ * The probability of each face of a single die, excluding modifiers.
+ *
+ * @private
+ *
+ * @param {StandardDice} die
+ *
+ * @returns {Map<number, number>}
+ */
+const faceProbabilities = (die) => {
+  if (die instanceof CustomDice) {
+    // each face is equally likely, but faces can be repeated
+    const probabilities = new Map();
+
+    die.faces.forEach((face) => addProbability(probabilities, face, 1 / die.faces.length));
+
+    return new Map([...probabilities].sort((a, b) => a[0] - b[0]));
+  }
+
+  if (die instanceof FudgeDice) {
+    // 1 of each non-blank is rolled as a d6, 2 of each is rolled as a d3
+    const nonBlank = (die.nonBlanks === 1) ? 1 / 6 : 1 / 3;
+
+    return new Map([[-1, nonBlank], [0, 1 - (nonBlank * 2)], [1, nonBlank]]);
+  }
+
+  const probabilities = new Map();
+  const probability = 1 / (die.max - die.min + 1);
+
+  for (let value = die.min; value <= die.max; value++) {
+    probabilities.set(value, probability);
+  }
+
+  return probabilities;
+};
+
+/**
+ * Apply a re-roll modifier to the probability list.
+ *
+ * @private
+ *
+ * @param {Map<number, number>} current The probabilities before re-rolling
+ * @param {Map<number, number>} faces The probabilities of a fresh roll of the die
+ * @param {ReRollModifier} modifier
+ *
+ * @returns {Map<number, number>}
+ */
+const reRoll = (current, faces, modifier) => {
+  const probabilities = new Map();
+  let matchProbability = 0;
+
+  current.forEach((probability, value) => {
+    if (modifier.isComparePoint(value)) {
+      matchProbability += probability;
+    } else {
+      addProbability(probabilities, value, probability);
+    }
+  });
+
+  let replacement = faces;
+  if (!modifier.once) {
+    // re-rolls repeat until the value doesn't match
+    const misses = [...faces].filter(([value]) => !modifier.isComparePoint(value));
+    const missProbability = misses.reduce((acc, [, probability]) => acc + probability, 0);
+
+    if (missProbability > 0) {
+      replacement = new Map(misses.map(([value, probability]) => [
+        value,
+        probability / missProbability,
+      ]));
+    }
+  }
+
+  replacement.forEach((probability, value) => {
+    addProbability(probabilities, value, probability * matchProbability);
+  });
+
+  return probabilities;
+};
+
+/**
+ * Sum the values of the kept dice, where each die's face probabilities are the same.
+ *
+ * Dice are considered in ascending order of value, so `kept[0]` is whether the lowest value is
+ * kept, and so on.
+ *
+ * @private
+ *
+ * @param {Map<number, number>} faces The probability of each die value
+ * @param {function(number): number} contribution The amount that each value adds to the total
+ * @param {boolean[]} kept Whether each die, ordered by value ascending, is kept
+ *
+ * @returns {Map<number, number>}
+ */
+const sumKept = (faces, contribution, kept) => {
+  const qty = kept.length;
+
+  if (kept.every(Boolean)) {
+    const single = transform(faces, contribution);
+    let probabilities = new Map([[0, 1]]);
+
+    for (let i = 0; i < qty; i++) {
+      probabilities = combine(probabilities, single, (a, b) => a + b);
+    }
+
+    return probabilities;
+  }
+
+  // number of kept dice before each sorted position
+  const keptBefore = kept.reduce((acc, isKept, index) => (
+    [...acc, acc[index] + (isKept ? 1 : 0)]
+  ), [0]);
+  const sortedFaces = [...faces].sort((a, b) => a[0] - b[0]);
+
+  // assign dice to each face in turn, from lowest to highest, tracking how many dice have been
+  // assigned and the sum of the kept ones
+  let states = [new Map([[0, 1]])];
+
+  sortedFaces.forEach(([value, faceProbability], faceIndex) => {
+    const isLastFace = faceIndex === (sortedFaces.length - 1);
+    const nextStates = [];
+
+    states.forEach((sums, assigned) => {
+      const remaining = qty - assigned;
+
+      for (let count = isLastFace ? remaining : 0; count <= remaining; count++) {
+        const weight = Math.exp(
+          logBinomial(remaining, count) + (count * Math.log(faceProbability)),
+        );
+        const keptCount = keptBefore[assigned + count] - keptBefore[assigned];
+        const next = nextStates[assigned + count] || new Map();
+
+        sums.forEach((probability, sum) => {
+          addProbability(next, sum + (keptCount * contribution(value)), probability * weight);
+        });
+
+        nextStates[assigned + count] = next;
+      }
+    });
+
+    states = nextStates;
+  });
+
+  return states[qty] || new Map();
+};
+
+let expressionProbabilities;
+
+/**
+ * The probability of each possible total for the dice, including modifiers.
+ *
+ * @private
+ *
+ * @param {StandardDice} die
+ *
+ * @returns {Map<number, number>}
+ *
+ * @throws {TypeError} the dice have modifiers that cannot be calculated
+ */
+const diceProbabilities = (die) => {
+  const faces = faceProbabilities(die);
+  const kept = new Array(die.qty).fill(true);
+  let probabilities = faces;
+  let contribution = (value) => value;
+
+  (die.modifiers || new Map()).forEach((modifier) => {
+    modifier.useDefaultsIfNeeded(die);
+
+    if (modifier instanceof MinModifier) {
+      probabilities = transform(probabilities, (value) => Math.max(value, modifier.min));
+    } else if (modifier instanceof MaxModifier) {
+      probabilities = transform(probabilities, (value) => Math.min(value, modifier.max));
+    } else if (modifier instanceof ReRollModifier) {
+      if (die.min === die.max) {
+        throw new DieActionValueError(die, 're-roll');
+      }
+
+      probabilities = reRoll(probabilities, faces, modifier);
+    } else if (modifier instanceof KeepModifier) {
+      // flag the same sorted positions as dropped, as the modifier would
+      const positions = [...kept.keys()];
+
+      positions.slice(...modifier.rangeToDrop(positions)).forEach((position) => {
+        kept[position] = false;
+      });
+    } else if (modifier instanceof TargetModifier) {
+      contribution = (value) => modifier.getStateValue(value);
+    } else if (!cosmeticModifiers.some((type) => modifier instanceof type)) {
+      throw unsupportedError(modifier.notation);
+    }
+  });
+
+  return sumKept(probabilities, contribution, kept);
+};
+
+/**
+ * The probability of each possible total for a die with a rolled qty or sides.
+ *
+ * Each possible qty and sides is weighted by the chance of rolling it.
+ *
+ * @private
+ *
+ * @param {DynamicDice} dice
+ *
+ * @returns {Map<number, number>}
+ */
+const dynamicProbabilities = (dice) => {
+  const { die, qtyExpression, sidesExpression } = dice;
+  const qtys = qtyExpression ? expressionProbabilities(qtyExpression) : new Map([[die.qty, 1]]);
+  const sides = sidesExpression
+    ? expressionProbabilities(sidesExpression)
+    : new Map([[die.sides, 1]]);
+  const probabilities = new Map();
+
+  qtys.forEach((qtyProbability, qty) => {
+    sides.forEach((sidesProbability, side) => {
+      // use the same qty and sides as rolling would
+      const resolved = dice.resolve(qty, side);
+      const totals = resolved
+        ? diceProbabilities(dice.createDie(resolved.qty, resolved.sides))
+        : new Map([[0, 1]]);
+
+      totals.forEach((probability, total) => {
+        addProbability(probabilities, total, probability * qtyProbability * sidesProbability);
+      });
+    });
+  });
+
+  return probabilities;
+};
+
+/**
+ * The probability of each possible total for the roll group.
+ *
+ * @private
+ *
+ * @param {RollGroup} group
+ *
+ * @returns {Map<number, number>}
+ *
+ * @throws {TypeError} the group has modifiers that cannot be calculated
+ */
+const groupProbabilities = (group) => {
+  (group.modifiers || new Map()).forEach((modifier) => {
+    if (!cosmeticModifiers.some((type) => modifier instanceof type)) {
+      throw unsupportedError(group.notation);
+    }
+  });
+
+  return group.expressions
+    .map((expression) => expressionProbabilities(expression))
+    .reduce(
+      (acc, probabilities) => combine(acc, probabilities, (a, b) => a + b),
+      new Map([[0, 1]]),
+    );
+};
+
+/**
+ * The probability of each possible total for the list of expressions.
+ *
+ * @private
+ *
+ * @param {Array.<StandardDice|DynamicDice|RollGroup|RollRepetition|string|number>} expressions
+ *
+ * @returns {Map<number, number>}
+ */
+expressionProbabilities = (expressions) => {
+  // filter out empty values (e.g. whitespace)
+  const tree = toExpressionTree(expressions.filter((value) => !!value || (value === 0)));
+
+  if (!tree) {
+    return new Map([[0, 1]]);
+  }
+
+  return reduceExpressionTree(tree, {
+    value: (value) => {
+      if (value instanceof StandardDice) {
+        return diceProbabilities(value);
+      }
+
+      if (value instanceof DynamicDice) {
+        return dynamicProbabilities(value);
+      }
+
+      if (value instanceof RollGroup) {
+        return groupProbabilities(value);
+      }
+
+      if (value instanceof RollRepetition) {
+        // the total is the sum of each independent repetition
+        const repetition = expressionProbabilities(value.expressions);
+        let probabilities = repetition;
+
+        for (let i = 1; i < value.count; i++) {
+          probabilities = combine(probabilities, repetition, operators['+']);
+        }
+
+        return probabilities;
+      }
+
+      return new Map([[value, 1]]);
+    },
+    operation: (operator, left, right) => combine(left, right, operators[operator]),
+    // functions take either one argument (e.g. `floor`), or two (e.g. `pow`)
+    function: (name, args) => ((args.length > 1)
+      ? combine(args[0], args[1], functions[name])
+      : transform(args[0], functions[name])),
+  });
+};
+
+/**
+ * The `Probability` calculates the chances of rolling each possible total for a notation.
+ *
+ * @since 5.5.0
+ */
+class Probability {
+  /**
+   * Calculate the exact probability distribution for the notation's total.
+   *
+   * Exploding (`!`) and unique (`u`) dice, and roll groups with modifiers that affect the total
+   * (e.g. `{2d6, 1d10}k1`), are not supported.
+   *
+   * Large dice pools can take a lot of work to calculate. The work can be bounded with `limits`;
+   * `maxIterations` is the maximum number of probabilities calculated, and `timeout` the time
+   * budget in milliseconds. The notation length, terms, depth, and sides limits are checked when
+   * parsing. Unless other limits are given, the calculation is limited to 10,000,000
+   * probabilities, so that notation such as `999d999` throws a `LimitError` instead of running
+   * indefinitely. Pass `null` to calculate without limits.
+   *
+   * @example <caption>Chance of rolling at least 15</caption>
+   * Probability.distribution('1d20+5').probabilityOf(15, '>=');
+   *
+   * @example <caption>Mean total</caption>
+   * Probability.distribution('4d6dl1').mean;
+   *
+   * @example <caption>Limited</caption>
+   * // throws a LimitError if it takes longer than 50ms
+   * Probability.distribution(untrustedNotation, { limits: { timeout: 50 } });
+   *
+   * @param {string|DiceRoll} notation The notation to calculate
+   * @param {{limits: Limits|{}|null, variables: Object.<string, number>}} [options={}] The
+   * calculation options
+   * @param {Limits|{}|null} [options.limits] The limits to calculate within. Defaults to a
+   * maximum of 10,000,000 probabilities
+   * @param {Object.<string, number>|null} [options.variables=null] The variables referenced in the
+   * notation. Defaults to the variables of the `DiceRoll`, if one is given
+   *
+   * @returns {Distribution}
+   *
+   * @throws {LimitError} The notation or calculation exceeds a limit
+   * @throws {NotationError} notation is invalid
+   * @throws {RequiredArgumentError} notation is required
+   * @throws {TypeError} the notation cannot be calculated exactly
+   * @throws {TypeError} variables must be an object of numbers
+   */
+  static distribution(notation, { limits = defaultLimits, variables = null } = {}) {
+    const expressions = (notation instanceof DiceRoll)
+      ? Parser.parse(notation.notation, { limits, variables: variables || notation.variables })
+      : Parser.parse(notation, { limits, variables: variables || {} });
+
+    work = limits ? {
+      count: 0,
+      limits: (limits instanceof Limits) ? limits : new Limits(limits),
+      start: Date.now(),
+    } : null;
+
+    try {
+      // totals are rounded in the same way as `DiceRoll` totals
+      return new Distribution(
+        transform(expressionProbabilities(expressions), (value) => toFixed(value, 2)),
+      );
+    } finally {
+      work = null;
+    }
+  }
+
+  /**
+   * Estimate the probability distribution for the notation's total, by rolling it many times.
+   *
+   * Use this for notation that cannot be calculated exactly, such as exploding dice. The notation
+   * is only parsed once, and re-rolled for each iteration.
+   *
+   * If a `seed` is given, the rolls use a seeded engine, so the results are reproducible.
+   *
+   * The work can be bounded with `limits`. Each roll is checked against them, in the same way as a
+   * limited `DiceRoll`, and `timeout` is also the time budget for the whole simulation.
+   *
+   * @example
+   * const simulation = Probability.simulate('4d6!', { iterations: 100000, seed: 1234 });
+   *
+   * simulation.percentile(50);
+   * simulation.confidenceInterval(0.95);
+   *
+   * @example <caption>Limited</caption>
+   * // throws a LimitError if it takes longer than 500ms
+   * Probability.simulate(untrustedNotation, { limits: { timeout: 500 } });
+   *
+   * @param {string|DiceRoll} notation The notation to roll
+   * @param {{
+   *  iterations: number,
+   *  limits: Limits|{}|null,
+   *  seed: number,
+   *  variables: Object.<string, number>
+   * }} [options={}] The simulation options
+   * @param {number} [options.iterations=10000] The number of times to roll the notation
+   * @param {Limits|{}|null} [options.limits=null] The limits to roll within
+   * @param {number|null} [options.seed=null] The seed to use for the random number engine
+   * @param {Object.<string, number>|null} [options.variables=null] The variables referenced in the
+   * notation. Defaults to the variables of the `DiceRoll`, if one is given
+   *
+   * @returns {Simulation}
+   *
+   * @throws {LimitError} The notation or rolls exceed a limit
+   * @throws {NotationError} notation is invalid
+   * @throws {RangeError} iterations must be a positive integer
+   * @throws {RequiredArgumentError} notation is required
+   * @throws {TypeError} seed must be a number
+   * @throws {TypeError} variables must be an object of numbers
+   */
+  static simulate(notation, {
+    iterations = 10000, limits = null, seed = null, variables = null,
+  } = {}) {
+    if (!isNumeric(iterations) || (iterations < 1) || !Number.isInteger(Number(iterations))) {
+      throw new RangeError('iterations must be a positive integer');
+    }
+
+    if ((seed !== null) && !isNumeric(seed)) {
+      throw new TypeError('seed must be a number');
+    }
+
+    const start = Date.now();
+    const histogram = new Map();
+    const numberGenerator = (seed !== null)
+      ? new NumberGenerator(engines.MersenneTwister19937.seed(Number(seed)))
+      : null;
+    const diceRoll = (notation instanceof DiceRoll)
+      ? new DiceRoll(notation.notation, {
+        generator: numberGenerator,
+        limits,
+        variables: variables || notation.variables,
+      })
+      : new DiceRoll(notation, { generator: numberGenerator, limits, variables });
+
+    for (let i = 0; i < iterations; i++) {
+      // each roll has its own time budget, so check the total time as well
+      if (diceRoll.limits) {
+        const elapsed = Date.now() - start;
+
+        if (elapsed > diceRoll.limits.timeout) {
+          throw new LimitError('timeout', diceRoll.limits.timeout, elapsed);
+        }
+      }
+
+      diceRoll.roll();
+
+      histogram.set(diceRoll.total, (histogram.get(diceRoll.total) || 0) + 1);
+    }
+
+    return new Simulation(histogram);
+  }
+}
+
+export default Probability;
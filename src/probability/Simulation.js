@@ -0,0 +1,168 @@
+import { isNumeric } from '../utilities/math.js';
+import Distribution from './Distribution.js';
+
+const histogramSymbol = Symbol('histogram');
+const iterationsSymbol = Symbol('iterations');
+
+/**
+ * Return the value below which the given proportion of a standard normal distribution falls.
+ *
+ * Uses Acklam's rational approximation, which is accurate to around 1e-9.
+ *
+ * @private
+ *
+ * @param {number} p The proportion, between `0` and `1` (Exclusive)
+ *
+ * @returns {number}
+ */
+const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269,
+    -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972,
+    -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734,
+    4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+
+    return (((((((c[0] * q) + c[1]) * q) + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((((d[0] * q) + d[1]) * q) + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > (1 - low)) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+
+  return ((((((((a[0] * r) + a[1]) * r) + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q)
+    / ((((((((b[0] * r) + b[1]) * r) + b[2]) * r + b[3]) * r + b[4]) * r) + 1);
+};
+
+/**
+ * A `Simulation` is an empirical distribution, built from rolling a notation many times.
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Probability.simulate}
+ *
+ * @extends Distribution
+ */
+class Simulation extends Distribution {
+  /**
+   * Create a `Simulation` instance.
+   *
+   * @example
+   * const simulation = new Simulation(new Map([[1, 48], [2, 52]]));
+   *
+   * @param {Map<number, number>} histogram The number of times that each total was rolled
+   *
+   * @throws {TypeError} histogram must be a Map of totals and counts
+   */
+  constructor(histogram) {
+    if (!(histogram instanceof Map)) {
+      throw new TypeError('histogram must be a Map of totals and counts');
+    }
+
+    const iterations = [...histogram.values()].reduce((acc, count) => acc + count, 0);
+
+    super(new Map([...histogram].map(([total, count]) => [total, count / iterations])));
+
+    this[histogramSymbol] = new Map([...histogram].sort((a, b) => a[0] - b[0]));
+    this[iterationsSymbol] = iterations;
+  }
+
+  /**
+   * The number of times that each total was rolled, ordered by total ascending.
+   *
+   * @returns {Map<number, number>}
+   */
+  get histogram() {
+    return new Map(this[histogramSymbol]);
+  }
+
+  /**
+   * The number of rolls in the simulation.
+   *
+   * @returns {number}
+   */
+  get iterations() {
+    return this[iterationsSymbol];
+  }
+
+  /**
+   * The standard error of the mean.
+   *
+   * @returns {number}
+   */
+  get standardError() {
+    return this.iterations ? this.standardDeviation / Math.sqrt(this.iterations) : 0;
+  }
+
+  /**
+   * The range that the true mean falls within, to the given confidence level.
+   *
+   * @example <caption>95% confidence</caption>
+   * simulation.confidenceInterval(0.95); // [12.21, 12.27]
+   *
+   * @param {number} [level=0.95] The confidence level, between `0` and `1` (Exclusive)
+   *
+   * @returns {number[]} The lower and upper bounds
+   *
+   * @throws {RangeError} level must be between 0 and 1
+   */
+  confidenceInterval(level = 0.95) {
+    if (!isNumeric(level) || (level <= 0) || (level >= 1)) {
+      throw new RangeError('level must be a number between 0 and 1');
+    }
+
+    const margin = normalQuantile((1 + Number(level)) / 2) * this.standardError;
+
+    return [this.mean - margin, this.mean + margin];
+  }
+
+  /**
+   * Return an object for JSON serialising.
+   *
+   * This is called automatically when JSON encoding the object.
+   *
+   * @returns {{
+   *  confidenceInterval: number[],
+   *  histogram: Object.<number, number>,
+   *  iterations: number,
+   *  max: number,
+   *  mean: number,
+   *  min: number,
+   *  percentiles: Object.<number, number>,
+   *  probabilities: Object.<number, number>,
+   *  standardDeviation: number,
+   *  standardError: number,
+   *  type: string,
+   *  variance: number
+   * }}
+   */
+  toJSON() {
+    const { histogram, iterations, standardError } = this;
+
+    return Object.assign(
+      super.toJSON(),
+      {
+        confidenceInterval: this.confidenceInterval(),
+        histogram: Object.fromEntries(histogram),
+        iterations,
+        percentiles: Object.fromEntries([5, 25, 50, 75, 95].map((percent) => [
+          percent,
+          this.percentile(percent),
+        ])),
+        standardError,
+        type: 'simulation',
+      },
+    );
+  }
+}
+
+export default Simulation;
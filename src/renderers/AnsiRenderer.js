@@ -0,0 +1,143 @@
+import Renderer from './Renderer.js';
+
+/**
+ * Whether to output colours
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const colorSymbol = Symbol('color');
+
+/**
+ * The ANSI escape codes to open and close the style for each modifier, keyed by modifier name.
+ *
+ * The styles are applied in order, from the innermost, so the critical colours come first, to
+ * override the explode colour.
+ *
+ * @type {Object.<string, {open: string, close: string}>}
+ *
+ * @private
+ */
+const styles = {
+  // green
+  'critical-success': { open: '\u001b[32m', close: '\u001b[39m' },
+  // red
+  'critical-failure': { open: '\u001b[31m', close: '\u001b[39m' },
+  // bold and yellow
+  explode: { open: '\u001b[1;33m', close: '\u001b[22;39m' },
+  // dim and strikethrough
+  drop: { open: '\u001b[2;9m', close: '\u001b[22;29m' },
+};
+
+/**
+ * Matches the close codes of the styles.
+ *
+ * A close code resets its attributes, even if an outer style also set them, so the outer style is
+ * reapplied after each close code in its content.
+ *
+ * @type {RegExp}
+ *
+ * @private
+ */
+const closeCodePattern = new RegExp(
+  Object.values(styles).map(({ close }) => close.replace('[', '\\[')).join('|'),
+  'g',
+);
+
+/**
+ * The ANSI escape codes for bold text.
+ *
+ * @type {{open: string, close: string}}
+ *
+ * @private
+ */
+const bold = { open: '\u001b[1m', close: '\u001b[22m' };
+
+/**
+ * An `AnsiRenderer` turns a `DiceRoll` into text for terminals, using ANSI escape codes to colour
+ * the results.
+ *
+ * Critical successes are green, critical failures are red, dropped results are dimmed and struck
+ * through, exploded results are bold and yellow (or green or red, if they are also critical), and
+ * the total is bold.
+ *
+ * If colour is disabled, the output is the same as `DiceRoll.output`.
+ *
+ * @example
+ * const renderer = new AnsiRenderer({ color: process.stdout.isTTY });
+ *
+ * console.log(renderer.render(new DiceRoll('4d6dl1')));
+ *
+ * @since 5.5.0
+ *
+ * @extends Renderer
+ */
+class AnsiRenderer extends Renderer {
+  /**
+   * Create an `AnsiRenderer` instance.
+   *
+   * @param {{color: boolean}} [options={}]
+   * @param {boolean} [options.color=true] Whether to output colours
+   */
+  constructor({ color = true } = {}) {
+    super();
+
+    this.color = color;
+  }
+
+  /**
+   * Whether to output colours.
+   *
+   * @returns {boolean}
+   */
+  get color() {
+    return this[colorSymbol];
+  }
+
+  /**
+   * Set whether to output colours.
+   *
+   * @param {boolean} value
+   */
+  set color(value) {
+    this[colorSymbol] = !!value;
+  }
+
+  /**
+   * Wrap the rendered result in the styles for each of the modifiers.
+   *
+   * @param {string} content The rendered result
+   * @param {Set<string>} modifiers The names of the modifiers that affect the result
+   *
+   * @returns {string}
+   */
+  decorate(content, modifiers) {
+    if (!this.color) {
+      return content;
+    }
+
+    return Object.entries(styles)
+      .filter(([name]) => modifiers.has(name))
+      .reduce((output, [, { open, close }]) => (
+        `${open}${output.replace(closeCodePattern, `$&${open}`)}${close}`
+      ), content);
+  }
+
+  /**
+   * Render the roll total, in bold.
+   *
+   * @param {number} total
+   *
+   * @returns {string}
+   */
+  renderTotal(total) {
+    if (!this.color) {
+      return super.renderTotal(total);
+    }
+
+    return `${bold.open}${super.renderTotal(total)}${bold.close}`;
+  }
+}
+
+export default AnsiRenderer;
@@ -0,0 +1,192 @@
+import getModifierFlags from '../modifiers/modifier-flags.js';
+import Renderer from './Renderer.js';
+
+/**
+ * The CSS class prefix
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const classPrefixSymbol = Symbol('class-prefix');
+
+/**
+ * The text alternatives for the modifier flags, keyed by modifier name.
+ *
+ * @type {Object.<string, string>}
+ *
+ * @private
+ */
+const descriptions = {
+  compound: 'compounded',
+  'critical-failure': 'critical failure',
+  'critical-success': 'critical success',
+  drop: 'dropped',
+  explode: 'exploded',
+  max: 'maximum',
+  min: 'minimum',
+  penetrate: 'penetrating',
+  're-roll': 're-rolled',
+  're-roll-once': 're-rolled once',
+  'target-failure': 'failure',
+  'target-success': 'success',
+  unique: 'unique',
+  'unique-once': 'unique once',
+};
+
+/**
+ * The characters that must be escaped in HTML, and their entities.
+ *
+ * @type {Object.<string, string>}
+ *
+ * @private
+ */
+const entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * An `HtmlRenderer` turns a `DiceRoll` into HTML.
+ *
+ * Each result has a CSS class for every modifier that affects it (e.g.
+ * `rpg-dice__result--critical-success`), dropped results are wrapped in a `<del>` element, so they
+ * are struck through without any CSS, and the modifier flags are `<abbr>` elements, with a text
+ * alternative as the title.
+ *
+ * @example
+ * const renderer = new HtmlRenderer();
+ *
+ * renderer.render(new DiceRoll('2d6dl1'));
+ * // <span class="rpg-dice"><span class="rpg-dice__notation">2d6dl1</span>: [
+ * // <span class="rpg-dice__result">5</span>, <span class="rpg-dice__result
+ * // rpg-dice__result--drop"><del>2<abbr class="rpg-dice__flag" title="dropped">d</abbr></del>
+ * // </span>] = <strong class="rpg-dice__total">5</strong></span>
+ *
+ * @since 5.5.0
+ *
+ * @extends Renderer
+ */
+class HtmlRenderer extends Renderer {
+  /**
+   * Create an `HtmlRenderer` instance.
+   *
+   * @param {{classPrefix: string}} [options={}]
+   * @param {string} [options.classPrefix='rpg-dice'] The prefix for the CSS class names
+   *
+   * @throws {TypeError} classPrefix must be a non-empty string
+   */
+  constructor({ classPrefix = 'rpg-dice' } = {}) {
+    super();
+
+    this.classPrefix = classPrefix;
+  }
+
+  /**
+   * The prefix for the CSS class names.
+   *
+   * @returns {string}
+   */
+  get classPrefix() {
+    return this[classPrefixSymbol];
+  }
+
+  /**
+   * Set the prefix for the CSS class names.
+   *
+   * @param {string} value
+   *
+   * @throws {TypeError} classPrefix must be a non-empty string
+   */
+  set classPrefix(value) {
+    if (!value || (typeof value !== 'string')) {
+      throw new TypeError('classPrefix must be a non-empty string');
+    }
+
+    this[classPrefixSymbol] = value;
+  }
+
+  /**
+   * Wrap the rendered result in an element with a class for each of the modifiers.
+   *
+   * @param {string} content The rendered result
+   * @param {Set<string>} modifiers The names of the modifiers that affect the result
+   * @param {string} type The type of result (`result` for a single die, or `group`)
+   *
+   * @returns {string}
+   */
+  decorate(content, modifiers, type) {
+    const className = `${this.classPrefix}__${type}`;
+    const classNames = [className, ...[...modifiers].map((name) => `${className}--${name}`)];
+
+    return `<span class="${this.escape(classNames.join(' '))}">${modifiers.has('drop') ? `<del>${content}</del>` : content}</span>`;
+  }
+
+  /* eslint-disable class-methods-use-this */
+  /**
+   * Escape the HTML special characters in the text.
+   *
+   * @param {string|number} text
+   *
+   * @returns {string}
+   */
+  escape(text) {
+    return `${text}`.replace(/[&<>"']/g, (character) => entities[character]);
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Render each of the modifier flags as an abbreviation, with a text alternative.
+   *
+   * @param {Set<string>} modifiers The names of the modifiers
+   *
+   * @returns {string}
+   */
+  renderFlags(modifiers) {
+    return [...modifiers]
+      .map((name) => {
+        const flag = getModifierFlags(name);
+
+        return `<abbr class="${this.escape(`${this.classPrefix}__flag`)}" title="${this.escape(descriptions[name] || name)}">${this.escape(flag)}</abbr>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Render the notation.
+   *
+   * @param {string} notation
+   *
+   * @returns {string}
+   */
+  renderNotation(notation) {
+    return `<span class="${this.escape(`${this.classPrefix}__notation`)}">${this.escape(notation)}</span>`;
+  }
+
+  /**
+   * Wrap the complete output.
+   *
+   * @param {string} output
+   *
+   * @returns {string}
+   */
+  renderOutput(output) {
+    return `<span class="${this.escape(this.classPrefix)}">${output}</span>`;
+  }
+
+  /**
+   * Render the roll total.
+   *
+   * @param {number} total
+   *
+   * @returns {string}
+   */
+  renderTotal(total) {
+    return `<strong class="${this.escape(`${this.classPrefix}__total`)}">${this.escape(total)}</strong>`;
+  }
+}
+
+export default HtmlRenderer;
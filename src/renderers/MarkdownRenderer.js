@@ -0,0 +1,88 @@
+import Renderer from './Renderer.js';
+
+/**
+ * A `MarkdownRenderer` turns a `DiceRoll` into Markdown, that can be posted to chat apps like
+ * Discord.
+ *
+ * The notation is shown as inline code, critical successes and failures are bold, dropped results
+ * are struck through, and the total is bold. The modifier flags are escaped, so that they are
+ * displayed as they are in `DiceRoll.output`.
+ *
+ * @example
+ * const renderer = new MarkdownRenderer();
+ *
+ * renderer.render(new DiceRoll('2d20kh1cs=20'));
+ * // `2d20kh1cs=20`: [**20\*\***, ~~7d~~] = **20**
+ *
+ * @since 5.5.0
+ *
+ * @extends Renderer
+ */
+class MarkdownRenderer extends Renderer {
+  /* eslint-disable class-methods-use-this */
+  /**
+   * Wrap the rendered result in bold or strikethrough, depending on the modifiers.
+   *
+   * @param {string} content The rendered result
+   * @param {Set<string>} modifiers The names of the modifiers that affect the result
+   *
+   * @returns {string}
+   */
+  decorate(content, modifiers) {
+    let output = content;
+
+    if (modifiers.has('critical-success') || modifiers.has('critical-failure')) {
+      output = `**${output}**`;
+    }
+
+    if (modifiers.has('drop')) {
+      output = `~~${output}~~`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Escape the Markdown formatting characters in the text.
+   *
+   * @param {string|number} text
+   *
+   * @returns {string}
+   */
+  escape(text) {
+    return `${text}`.replace(/[\\`*_~|]/g, '\\$&');
+  }
+
+  /**
+   * Render the notation as inline code.
+   *
+   * Backticks can't be escaped in inline code, so if the notation contains any (e.g. in a
+   * description), it is wrapped in a longer run of backticks, padded with spaces.
+   *
+   * @param {string} notation
+   *
+   * @returns {string}
+   */
+  renderNotation(notation) {
+    const runs = `${notation}`.match(/`+/g) || [];
+    const longestRun = Math.max(0, ...runs.map(({ length }) => length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = longestRun ? ' ' : '';
+
+    return `${fence}${padding}${notation}${padding}${fence}`;
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Render the roll total in bold.
+   *
+   * @param {number} total
+   *
+   * @returns {string}
+   */
+  renderTotal(total) {
+    return `**${this.escape(total)}**`;
+  }
+}
+
+export default MarkdownRenderer;
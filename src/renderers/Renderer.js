@@ -0,0 +1,182 @@
+import { ResultGroup, RollResult, RollResults } from '../results/index.js';
+import { describeSymbols, symbolsToString } from '../utilities/symbols.js';
+import DiceRoll from '../DiceRoll.js';
+import getModifierFlags from '../modifiers/modifier-flags.js';
+
+/**
+ * A `Renderer` turns a `DiceRoll` into a string, in the same format as `DiceRoll.output`.
+ *
+ * It is the base for the other renderers, which override the methods for escaping text,
+ * decorating results, and rendering the modifier flags, notation, and total.
+ *
+ * @example
+ * const renderer = new Renderer();
+ *
+ * renderer.render(new DiceRoll('4d6dl1')); // 4d6dl1: [6, 3, 1d, 4] = 13
+ *
+ * @since 5.5.0
+ *
+ * @see {@link DiceRoll#output}
+ */
+class Renderer {
+  /* eslint-disable class-methods-use-this */
+  /**
+   * Wrap the rendered result, based on the modifiers that affect it.
+   *
+   * @param {string} content The rendered result
+   * @param {Set<string>} _modifiers The names of the modifiers that affect the result
+   * @param {string} _type The type of result (`result` for a single die, or `group`)
+   *
+   * @returns {string}
+   */
+  decorate(content, _modifiers, _type) {
+    return content;
+  }
+
+  /**
+   * Escape the text, so that it is displayed as-is.
+   *
+   * @param {string|number} text
+   *
+   * @returns {string}
+   */
+  escape(text) {
+    return `${text}`;
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Render the dice roll.
+   *
+   * @param {DiceRoll} diceRoll
+   *
+   * @returns {string}
+   *
+   * @throws {TypeError} diceRoll must be an instance of DiceRoll
+   */
+  render(diceRoll) {
+    if (!(diceRoll instanceof DiceRoll)) {
+      throw new TypeError('diceRoll must be an instance of DiceRoll');
+    }
+
+    let output = `${this.renderNotation(diceRoll.notation)}: `;
+
+    if (diceRoll.hasRolls() && diceRoll.isRepeated()) {
+      const { totals } = diceRoll;
+
+      output += diceRoll.rolls[0].results
+        .map((results, index) => `${this.renderResults(results)}=${this.renderTotal(totals[index])}`)
+        .join(', ');
+    } else if (diceRoll.hasRolls()) {
+      output += `${diceRoll.rolls.map((result) => this.renderResults(result)).join('')} = ${this.renderTotal(diceRoll.total)}`;
+
+      const symbols = describeSymbols(diceRoll.symbols);
+
+      if (symbols) {
+        output += ` (${this.escape(symbols)})`;
+      }
+    } else {
+      output += this.escape('No dice rolled');
+    }
+
+    return this.renderOutput(output);
+  }
+
+  /**
+   * Render the flags for the modifiers.
+   *
+   * @param {Set<string>} modifiers The names of the modifiers
+   *
+   * @returns {string}
+   */
+  renderFlags(modifiers) {
+    return this.escape(getModifierFlags(...modifiers));
+  }
+
+  /**
+   * Render the notation.
+   *
+   * @param {string} notation
+   *
+   * @returns {string}
+   */
+  renderNotation(notation) {
+    return this.escape(notation);
+  }
+
+  /* eslint-disable class-methods-use-this */
+  /**
+   * Wrap the complete output.
+   *
+   * @param {string} output
+   *
+   * @returns {string}
+   */
+  renderOutput(output) {
+    return output;
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Render the results, including any nested results.
+   *
+   * Operators and plain numbers are escaped, and returned as-is.
+   *
+   * @param {ResultGroup|RollResults|RollResult|string|number} results
+   *
+   * @returns {string}
+   */
+  renderResults(results) {
+    if (results instanceof ResultGroup) {
+      const rendered = results.results.map((result) => this.renderResults(result));
+      let output = results.isRollGroup ? `{${rendered.join(', ')}}` : rendered.join('');
+
+      if (results.modifiers.size) {
+        output = this.decorate(
+          `(${output})${this.renderFlags(results.modifiers)}`,
+          results.modifiers,
+          'group',
+        );
+      }
+
+      return output;
+    }
+
+    if (results instanceof RollResults) {
+      const qty = results.qtyResults ? `(${this.renderResults(results.qtyResults)})` : '';
+      const sides = results.sidesResults ? `(${this.renderResults(results.sidesResults)})` : '';
+
+      return `${qty}${sides}[${results.rolls.map((roll) => this.renderResults(roll)).join(', ')}]`;
+    }
+
+    if (results instanceof RollResult) {
+      let value = this.escape(results.symbols ? symbolsToString(results.symbols) : results.value);
+
+      // keep the flags apart from the symbol abbreviations, as `RollResult.toString` does
+      if (results.symbols && results.modifiers.size) {
+        value = `(${value})`;
+      }
+
+      return this.decorate(
+        `${value}${this.renderFlags(results.modifiers)}`,
+        results.modifiers,
+        'result',
+      );
+    }
+
+    return this.escape(results);
+  }
+
+  /**
+   * Render the roll total.
+   *
+   * @param {number} total
+   *
+   * @returns {string}
+   */
+  renderTotal(total) {
+    return this.escape(total);
+  }
+}
+
+export default Renderer;
@@ -0,0 +1,11 @@
+import AnsiRenderer from './AnsiRenderer.js';
+import HtmlRenderer from './HtmlRenderer.js';
+import MarkdownRenderer from './MarkdownRenderer.js';
+import Renderer from './Renderer.js';
+
+export {
+  AnsiRenderer,
+  HtmlRenderer,
+  MarkdownRenderer,
+  Renderer,
+};
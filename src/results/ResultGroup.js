@@ -1,4 +1,6 @@
-import { evaluate, isNumeric } from '../utilities/math.js';
+import { evaluate } from '../utilities/expression.js';
+import { isNumeric } from '../utilities/math.js';
+import { addSymbols, netSymbols } from '../utilities/symbols.js';
 import getModifierFlags from '../modifiers/modifier-flags.js';
 import RollResults from './RollResults.js';
 
@@ -6,6 +8,7 @@ const calculationValueSymbol = Symbol('calculation-value');
 const isRollGroupSymbol = Symbol('is-roll-group');
 const modifiersSymbol = Symbol('modifiers');
 const resultsSymbol = Symbol('results');
+const stepsSymbol = Symbol('steps');
 const useInTotalSymbol = Symbol('use-in-total');
 
 /**
@@ -60,6 +63,7 @@ class ResultGroup {
     this.modifiers = modifiers;
     this.results = results;
     this.useInTotal = useInTotal;
+    this[stepsSymbol] = [];
   }
 
   /**
@@ -161,6 +165,19 @@ class ResultGroup {
     }
   }
 
+  /**
+   * The count of each symbol rolled for narrative dice, after opposing symbols have cancelled out.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link ResultGroup#symbols}
+   *
+   * @returns {Object.<string, number>|null} `null` if none of the results have symbols
+   */
+  get netSymbols() {
+    return netSymbols(this.symbols);
+  }
+
   /**
    * List of results.
    *
@@ -190,6 +207,47 @@ class ResultGroup {
     });
   }
 
+  /**
+   * The steps taken by the modifiers when rolling, in the order they happened.
+   *
+   * These are only recorded when the results are rolled, not when they are imported.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link DiceRoll#explain}
+   *
+   * @returns {string[]}
+   */
+  get steps() {
+    // steps are described when they are read, so rolling doesn't build strings that aren't used
+    return this[stepsSymbol].map((step) => ((typeof step === 'function') ? step() : step));
+  }
+
+  /**
+   * The total count of each symbol rolled for narrative dice, before any cancelling out.
+   *
+   * Results that aren't used in the total are ignored.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link ResultGroup#netSymbols}
+   *
+   * @returns {Object.<string, number>|null} `null` if none of the results have symbols
+   */
+  get symbols() {
+    return addSymbols(...this.results.map((result) => {
+      if (result instanceof ResultGroup) {
+        return result.useInTotal ? result.symbols : null;
+      }
+
+      if (result instanceof RollResults) {
+        return result.symbols;
+      }
+
+      return null;
+    }));
+  }
+
   /**
    * Whether to use the value in total calculations or not.
    *
@@ -218,28 +276,29 @@ class ResultGroup {
       return 0;
     }
 
-    // loop through the results
-    // - get the values of result objects and add any operators and plain numbers
-    // we'll either end up with a numerical total (If all results are result objects or numbers)
-    // or a string equation (If there are operators)
-    const value = this.results.reduce((v, result) => {
-      let val = result;
-
+    // get the values of result objects, and keep any operators and plain numbers
+    const values = this.results.map((result) => {
       if (result instanceof ResultGroup) {
-        val = result.useInTotal ? result.calculationValue : 0;
-      } else if (result instanceof RollResults) {
-        val = result.value;
+        return result.useInTotal ? result.calculationValue : 0;
       }
 
-      return v + val;
-    }, (typeof this.results[0] === 'string') ? '' : 0);
+      if (result instanceof RollResults) {
+        return result.value;
+      }
 
-    // if value is a string that means operators were included, so we need to evaluate the equation
-    if (typeof value === 'string') {
-      return evaluate(value);
+      if ((typeof result === 'string') && isNumeric(result)) {
+        return Number(result);
+      }
+
+      return result;
+    });
+
+    // if there are operators, we need to evaluate the expression, otherwise just add the values
+    if (values.some((value) => typeof value === 'string')) {
+      return evaluate(values);
     }
 
-    return value;
+    return values.reduce((total, value) => total + value, 0);
   }
 
   /**
@@ -266,6 +325,24 @@ class ResultGroup {
     this[resultsSymbol].push(val);
   }
 
+  /**
+   * Add a step to the end of the list.
+   *
+   * @since 5.5.0
+   *
+   * @param {string|function(): string} step The human-readable description of the step, or a
+   * function that returns it when the steps are read
+   *
+   * @throws {TypeError} step must be a string or function
+   */
+  addStep(step) {
+    if ((typeof step !== 'string') && (typeof step !== 'function')) {
+      throw new TypeError('step must be a string or function');
+    }
+
+    this[stepsSymbol].push(step);
+  }
+
   /**
    * Return an object for JSON serialising.
    *
@@ -274,7 +351,9 @@ class ResultGroup {
    * @returns {{
    *  modifierFlags: string,
    *  modifiers: string[],
+   *  netSymbols: Object.<string, number>|undefined,
    *  results: Array<ResultGroup|RollResults|number|string>,
+   *  symbols: Object.<string, number>|undefined,
    *  type: string,
    *  useInTotal: boolean,
    *  value: number
@@ -282,7 +361,7 @@ class ResultGroup {
    */
   toJSON() {
     const {
-      calculationValue, isRollGroup, modifierFlags, modifiers, results, useInTotal, value,
+      calculationValue, isRollGroup, modifierFlags, modifiers, results, symbols, useInTotal, value,
     } = this;
 
     return {
@@ -290,6 +369,8 @@ class ResultGroup {
       isRollGroup,
       modifierFlags,
       modifiers: [...modifiers],
+      // symbols are only included for narrative dice
+      ...(symbols ? { netSymbols: netSymbols(symbols), symbols } : {}),
       results,
       type: 'result-group',
       useInTotal,
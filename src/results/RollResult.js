@@ -1,9 +1,11 @@
 import { isNumeric } from '../utilities/math.js';
+import { isSymbols, symbolsToString } from '../utilities/symbols.js';
 import getModifierFlags from '../modifiers/modifier-flags.js';
 
 const calculationValueSymbol = Symbol('calculation-value');
 const modifiersSymbol = Symbol('modifiers');
 const initialValueSymbol = Symbol('initial-value');
+const symbolsSymbol = Symbol('symbols');
 const useInTotalSymbol = Symbol('use-in-total');
 const valueSymbol = Symbol('value');
 const diceSymbol = Symbol('dice');
@@ -39,11 +41,18 @@ class RollResult {
    * @example <caption>With modifiers</caption>
    * const result = new RollResult(4, ['explode', 'critical-success']);
    *
+   * @example <caption>With symbols</caption>
+   * const result = new RollResult({
+   *   value: 1,
+   *   symbols: { success: 1, advantage: 1 },
+   * });
+   *
    * @param {number|{value: number, initialValue: number, calculationValue: number}} value The value
    * rolled
    * @param {number} [value.value] The value with modifiers applied
    * @param {number} [value.initialValue] The initial, unmodified value rolled
    * @param {number} [value.calculationValue] The value used in calculations
+   * @param {Object.<string, number>} [value.symbols] The symbols rolled, for narrative dice
    * @param {string[]|Set<string>} [modifiers=[]] List of modifier names that affect this roll
    * @param {boolean} [useInTotal=true] Whether to include the roll value when calculating totals
    *
@@ -78,6 +87,10 @@ class RollResult {
         this.calculationValue = value.calculationValue;
       }
 
+      if (value.symbols) {
+        this.symbols = value.symbols;
+      }
+
       this.modifiers = value.modifiers || modifiers || [];
       this.useInTotal = (typeof value.useInTotal === 'boolean') ? value.useInTotal : (useInTotal || false);
     } else if (value === Infinity) {
@@ -179,6 +192,39 @@ class RollResult {
     throw new TypeError(`modifiers must be a Set or array of modifier names: ${value}`);
   }
 
+  /**
+   * The count of each symbol rolled, for narrative dice.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link SymbolDice}
+   *
+   * @returns {Object.<string, number>|null} `null` if the roll has no symbols
+   */
+  get symbols() {
+    return this[symbolsSymbol] ? { ...this[symbolsSymbol] } : null;
+  }
+
+  /**
+   * Set the count of each symbol rolled.
+   *
+   * @example
+   * rollResult.symbols = { success: 2, threat: 1 };
+   *
+   * @since 5.5.0
+   *
+   * @param {Object.<string, number>|null} value
+   *
+   * @throws {TypeError} symbols must be an object of symbol counts
+   */
+  set symbols(value) {
+    if (value && !isSymbols(value)) {
+      throw new TypeError('symbols must be an object of symbol names and counts');
+    }
+
+    this[symbolsSymbol] = value ? { ...value } : null;
+  }
+
   /**
    * Whether to use the value in total calculations or not.
    *
@@ -244,13 +290,14 @@ class RollResult {
    *  modifiers: string[],
    *  type: string,
    *  initialValue: number,
+   *  symbols: Object.<string, number>|undefined,
    *  useInTotal: boolean,
    *  value: number
    * }}
    */
   toJSON() {
     const {
-      calculationValue, initialValue, modifierFlags, modifiers, useInTotal, value,
+      calculationValue, initialValue, modifierFlags, modifiers, symbols, useInTotal, value,
     } = this;
 
     return {
@@ -258,6 +305,8 @@ class RollResult {
       initialValue,
       modifierFlags,
       modifiers: [...modifiers],
+      // symbols are only included for narrative dice
+      ...(symbols ? { symbols } : {}),
       type: 'result',
       useInTotal,
       value,
@@ -269,9 +318,18 @@ class RollResult {
    *
    * This is called automatically when casting the object to a string.
    *
+   * Symbols are wrapped in parentheses if there are modifier flags, so that the flags can't be
+   * mistaken for symbol abbreviations (e.g. `(a)d` for a dropped advantage).
+   *
    * @returns {string}
    */
   toString() {
+    if (this.symbols) {
+      const symbols = symbolsToString(this.symbols);
+
+      return this.modifierFlags ? `(${symbols})${this.modifierFlags}` : symbols;
+    }
+
     return this.value + this.modifierFlags;
   }
 }
@@ -1,6 +1,25 @@
+import { addSymbols } from '../utilities/symbols.js';
 import RollResult from './RollResult.js';
 
+const qtyResultsSymbol = Symbol('qty-results');
 const rollsSymbol = Symbol('rolls');
+const sidesResultsSymbol = Symbol('sides-results');
+const stepsSymbol = Symbol('steps');
+
+/**
+ * Check if the value is a group of results.
+ *
+ * `ResultGroup` isn't imported, as it depends on this class.
+ *
+ * @private
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+const isResultGroup = (value) => !!value
+  && (typeof value === 'object')
+  && Array.isArray(value.results);
 
 /**
  * A collection of die roll results
@@ -37,6 +56,7 @@ class RollResults {
    */
   constructor(rolls = []) {
     this.rolls = rolls;
+    this[stepsSymbol] = [];
   }
 
   /**
@@ -48,6 +68,34 @@ class RollResults {
     return this.rolls.length || 0;
   }
 
+  /**
+   * The results of the roll that determined the number of dice (e.g. the `1d4` in `(1d4)d6`).
+   *
+   * @since 5.5.0
+   *
+   * @returns {ResultGroup|null} `null` if the qty wasn't rolled
+   */
+  get qtyResults() {
+    return this[qtyResultsSymbol] || null;
+  }
+
+  /**
+   * Set the results of the roll that determined the number of dice.
+   *
+   * @since 5.5.0
+   *
+   * @param {ResultGroup|null} value
+   *
+   * @throws {TypeError} value must be a ResultGroup or null
+   */
+  set qtyResults(value) {
+    if (value && !isResultGroup(value)) {
+      throw new TypeError('qtyResults must be a ResultGroup or null');
+    }
+
+    this[qtyResultsSymbol] = value || null;
+  }
+
   /**
    * List of roll results.
    *
@@ -77,6 +125,66 @@ class RollResults {
     });
   }
 
+  /**
+   * The results of the roll that determined the number of sides (e.g. the `1d6+2` in
+   * `2d(1d6+2)`).
+   *
+   * @since 5.5.0
+   *
+   * @returns {ResultGroup|null} `null` if the sides weren't rolled
+   */
+  get sidesResults() {
+    return this[sidesResultsSymbol] || null;
+  }
+
+  /**
+   * Set the results of the roll that determined the number of sides.
+   *
+   * @since 5.5.0
+   *
+   * @param {ResultGroup|null} value
+   *
+   * @throws {TypeError} value must be a ResultGroup or null
+   */
+  set sidesResults(value) {
+    if (value && !isResultGroup(value)) {
+      throw new TypeError('sidesResults must be a ResultGroup or null');
+    }
+
+    this[sidesResultsSymbol] = value || null;
+  }
+
+  /**
+   * The steps taken when rolling, in the order they happened (e.g. `Rolled 4d6: [3, 6, 1, 4]`).
+   *
+   * These are only recorded when the results are rolled, not when they are imported.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link DiceRoll#explain}
+   *
+   * @returns {string[]}
+   */
+  get steps() {
+    // steps are described when they are read, so rolling doesn't build strings that aren't used
+    return this[stepsSymbol].map((step) => ((typeof step === 'function') ? step() : step));
+  }
+
+  /**
+   * The total count of each symbol rolled, for narrative dice.
+   *
+   * Rolls that aren't used in the total (e.g. dropped dice) are ignored.
+   *
+   * @since 5.5.0
+   *
+   * @returns {Object.<string, number>|null} `null` if none of the rolls have symbols
+   */
+  get symbols() {
+    return addSymbols(...this.rolls
+      .filter((roll) => roll.useInTotal)
+      .map((roll) => roll.symbols));
+  }
+
   /**
    * The total value of all the rolls after modifiers have been applied.
    *
@@ -97,18 +205,50 @@ class RollResults {
     this[rollsSymbol].push(result);
   }
 
+  /**
+   * Add a step to the end of the list.
+   *
+   * @since 5.5.0
+   *
+   * @param {string|function(): string} step The human-readable description of the step, or a
+   * function that returns it when the steps are read
+   *
+   * @throws {TypeError} step must be a string or function
+   */
+  addStep(step) {
+    if ((typeof step !== 'string') && (typeof step !== 'function')) {
+      throw new TypeError('step must be a string or function');
+    }
+
+    this[stepsSymbol].push(step);
+  }
+
   /**
    * Return an object for JSON serialising.
    *
    * This is called automatically when JSON encoding the object.
    *
-   * @returns {{rolls: RollResult[], value: number}}
+   * @returns {{
+   *  qtyResults: ResultGroup|undefined,
+   *  rolls: RollResult[],
+   *  sidesResults: ResultGroup|undefined,
+   *  symbols: Object.<string, number>|undefined,
+   *  type: string,
+   *  value: number
+   * }}
    */
   toJSON() {
-    const { rolls, value } = this;
+    const {
+      qtyResults, rolls, sidesResults, symbols, value,
+    } = this;
 
     return {
+      // qty and sides results are only included for dice with rolled qty or sides
+      ...(qtyResults ? { qtyResults } : {}),
       rolls,
+      ...(sidesResults ? { sidesResults } : {}),
+      // symbols are only included for narrative dice
+      ...(symbols ? { symbols } : {}),
       type: 'roll-results',
       value,
     };
@@ -122,7 +262,10 @@ class RollResults {
    * @returns {string}
    */
   toString() {
-    return `[${this.rolls.join(', ')}]`;
+    const qty = this.qtyResults ? `(${this.qtyResults})` : '';
+    const sides = this.sidesResults ? `(${this.sidesResults})` : '';
+
+    return `${qty}${sides}[${this.rolls.join(', ')}]`;
   }
 }
 
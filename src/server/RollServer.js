@@ -0,0 +1,962 @@
+import { createServer, STATUS_CODES } from 'node:http';
+import {
+  DataFormatError, LimitError, NotationError, RequiredArgumentError,
+} from '../exceptions/index.js';
+import DiceRoller from '../DiceRoller.js';
+import Limits from '../Limits.js';
+import WebSocketConnection from './WebSocketConnection.js';
+import exportFormats from '../utilities/ExportFormats.js';
+
+/**
+ * The limits for each room's roller
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const limitsSymbol = Symbol('limits');
+
+/**
+ * The maximum request body size
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxBodySizeSymbol = Symbol('max-body-size');
+
+/**
+ * The maximum number of rolls in each room's log
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxLogLengthSymbol = Symbol('max-log-length');
+
+/**
+ * The maximum number of rooms
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxRoomsSymbol = Symbol('max-rooms');
+
+/**
+ * Remove the idle rooms
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const removeIdleRoomsSymbol = Symbol('remove-idle-rooms');
+
+/**
+ * How long a room without subscribers can be unused for, before it is removed
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const roomTimeoutSymbol = Symbol('room-timeout');
+
+/**
+ * The identity of whoever made the roll that is being added by a request
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const rollerSymbol = Symbol('roller');
+
+/**
+ * The dice roller for each room, keyed by room name
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const roomsSymbol = Symbol('rooms');
+
+/**
+ * When each room was last used, keyed by room name
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const roomsUsedSymbol = Symbol('rooms-used');
+
+/**
+ * The WebSocket connections subscribed to each room, keyed by room name
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const subscribersSymbol = Symbol('subscribers');
+
+/**
+ * The HTTP server, when listening
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const serverSymbol = Symbol('server');
+
+/**
+ * The limits that notation from requests is rolled within, unless others are given.
+ *
+ * @type {Object.<string, number>}
+ *
+ * @private
+ */
+const defaultLimits = {
+  maxDepth: 10,
+  maxDice: 1000,
+  maxIterations: 1000,
+  maxNotationLength: 1000,
+  maxSides: 10000,
+  maxTerms: 100,
+  timeout: 100,
+};
+
+/**
+ * The name of the room used for requests without a room in the path.
+ *
+ * @type {string}
+ *
+ * @private
+ */
+const defaultRoom = 'default';
+
+/**
+ * The allowed methods for each endpoint.
+ *
+ * @type {Object.<string, string[]>}
+ *
+ * @private
+ */
+const routes = {
+  export: ['GET'],
+  import: ['POST'],
+  log: ['GET', 'DELETE'],
+  roll: ['POST'],
+  ws: ['GET'],
+};
+
+/**
+ * The export formats, keyed by the `format` query parameter value.
+ *
+ * @type {Object.<string, exportFormats>}
+ *
+ * @private
+ */
+const formats = {
+  base64: exportFormats.BASE_64,
+  json: exportFormats.JSON,
+};
+
+/**
+ * The WebSocket close code for when the server is shutting down.
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const goingAwayCode = 1001;
+
+/**
+ * The WebSocket close code for when the server can't send a message.
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const internalErrorCode = 1011;
+
+/**
+ * Check that the room name is valid, and return it.
+ *
+ * @private
+ *
+ * @param {string} name
+ *
+ * @returns {string}
+ *
+ * @throws {TypeError} name must be 1 to 64 letters, numbers, underscores, or hyphens
+ */
+const toRoomName = (name) => {
+  if ((typeof name !== 'string') || !/^[\w-]{1,64}$/.test(name)) {
+    throw new TypeError('Room name must be 1 to 64 letters, numbers, underscores, or hyphens');
+  }
+
+  return name;
+};
+
+/**
+ * Create the WebSocket message with the room's roll log.
+ *
+ * @private
+ *
+ * @param {string} room The room name
+ * @param {DiceRoller} roller The room's dice roller
+ *
+ * @returns {{event: string, log: object, room: string}}
+ */
+const createLogMessage = (room, roller) => ({
+  event: 'log',
+  log: roller.export(exportFormats.OBJECT),
+  room,
+});
+
+/**
+ * Reject the upgrade request with an HTTP error response, and close the socket.
+ *
+ * @private
+ *
+ * @param {Duplex} socket
+ * @param {number} status The HTTP status code
+ * @param {string} statusText The HTTP status text
+ */
+const rejectUpgrade = (socket, status, statusText) => {
+  socket.end(`HTTP/1.1 ${status} ${statusText}\r\nConnection: close\r\n\r\n`);
+};
+
+/**
+ * Create an error with the HTTP status code to respond with.
+ *
+ * @private
+ *
+ * @param {number} status The HTTP status code
+ * @param {string} message
+ * @param {Object.<string, string>} [headers={}] Additional response headers
+ *
+ * @returns {Error}
+ */
+const createHttpError = (status, message, headers = {}) => (
+  Object.assign(new Error(message), { headers, status })
+);
+
+/**
+ * Return the HTTP status code for the error.
+ *
+ * Errors caused by the request data are client errors, anything else is a server error.
+ *
+ * @private
+ *
+ * @param {Error} error
+ *
+ * @returns {number}
+ */
+const getErrorStatus = (error) => {
+  if (error.status) {
+    return error.status;
+  }
+
+  if (error instanceof LimitError) {
+    return 422;
+  }
+
+  if (
+    (error instanceof DataFormatError)
+    || (error instanceof NotationError)
+    || (error instanceof RequiredArgumentError)
+    || (error instanceof RangeError)
+    || (error instanceof TypeError)
+    || (error instanceof URIError)
+  ) {
+    return 400;
+  }
+
+  return 500;
+};
+
+/**
+ * Check that the value is a positive integer, and return it.
+ *
+ * @private
+ *
+ * @param {string} name The option name
+ * @param {number} value
+ *
+ * @returns {number}
+ *
+ * @throws {RangeError} value must be a positive integer
+ */
+const toPositiveInteger = (name, value) => {
+  if (!Number.isInteger(value) || (value < 1)) {
+    throw new RangeError(`${name} must be a positive integer`);
+  }
+
+  return value;
+};
+
+/**
+ * Check that the room's roll log has space for the number of rolls.
+ *
+ * @private
+ *
+ * @param {DiceRoller} roller The room's dice roller
+ * @param {number} count The number of rolls to add
+ * @param {number} maxLength The maximum number of rolls in the log
+ *
+ * @throws {Error} The log would exceed the maximum length
+ */
+const checkLogLength = (roller, count, maxLength) => {
+  if ((roller.log.length + count) > maxLength) {
+    throw createHttpError(409, `The roll log cannot have more than ${maxLength} rolls`);
+  }
+};
+
+/**
+ * Send the response.
+ *
+ * Objects are sent as JSON, strings as plain text.
+ *
+ * @private
+ *
+ * @param {ServerResponse} response
+ * @param {number} status The HTTP status code
+ * @param {object|string|null} [body=null]
+ * @param {Object.<string, string>} [headers={}] Additional response headers
+ */
+const send = (response, status, body = null, headers = {}) => {
+  if (body === null) {
+    response.writeHead(status, headers);
+    response.end();
+
+    return;
+  }
+
+  const isText = typeof body === 'string';
+  const content = isText ? body : JSON.stringify(body);
+
+  response.writeHead(status, {
+    'Content-Length': Buffer.byteLength(content),
+    'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+    ...headers,
+  });
+  response.end(content);
+};
+
+/**
+ * Read the request body, as a string.
+ *
+ * @private
+ *
+ * @param {IncomingMessage} request
+ * @param {number} maxSize The maximum size, in bytes
+ *
+ * @returns {Promise<string>}
+ *
+ * @throws {Error} The body is larger than the maximum size
+ */
+const readBody = async (request, maxSize) => {
+  const chunks = [];
+  let size = 0;
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of request) {
+    size += chunk.length;
+
+    if (size > maxSize) {
+      throw createHttpError(413, `Request body exceeds the limit of ${maxSize} bytes`);
+    }
+
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Return the notation, and the identity of the roller, from the `POST /roll` request body.
+ *
+ * The body can either be a JSON object with a `notation` property, and an optional `roller`
+ * property, or the notation as plain text.
+ *
+ * @private
+ *
+ * @param {string} body
+ * @param {string} [contentType='']
+ *
+ * @returns {{notation: string, roller: string|null}}
+ *
+ * @throws {Error} The body is invalid JSON
+ * @throws {RequiredArgumentError} notation is required
+ * @throws {TypeError} roller must be a string of 1 to 64 characters
+ */
+const parseRoll = (body, contentType = '') => {
+  let notation = body;
+  let roller = null;
+
+  if (contentType.includes('json')) {
+    try {
+      ({ notation, roller = null } = JSON.parse(body) || {});
+    } catch (e) {
+      throw createHttpError(400, 'Request body must be valid JSON');
+    }
+  }
+
+  if (!notation || (typeof notation !== 'string') || !notation.trim()) {
+    throw new RequiredArgumentError('notation');
+  }
+
+  if (
+    (roller !== null)
+    && ((typeof roller !== 'string') || !roller.trim() || (roller.trim().length > 64))
+  ) {
+    throw new TypeError('roller must be a string of 1 to 64 characters');
+  }
+
+  return {
+    notation: notation.trim(),
+    roller: roller && roller.trim(),
+  };
+};
+
+/**
+ * A `RollServer` is an HTTP service for rolling dice, with a shared roll log for each named room.
+ *
+ * Each room has its own `DiceRoller`, which is created when a roll is first added to the room.
+ * Requests can be prefixed with `/rooms/{name}` to use a room, otherwise the `default` room is
+ * used. Reading a room that doesn't exist responds with an empty log. Rooms without subscribers
+ * are removed once they have been unused for the room timeout, when a new room is created.
+ *
+ * | Endpoint | Description |
+ * | --- | --- |
+ * | `POST /roll` | Roll the notation in the body, and respond with the `DiceRoll` |
+ * | `GET /log` | Respond with the room's `DiceRoller` |
+ * | `DELETE /log` | Clear the room's roll log |
+ * | `POST /import` | Import the data in the body into the room's roll log |
+ * | `GET /export?format=base64` | Export the room's `DiceRoller`, as `json` (default) or `base64` |
+ * | `GET /ws` | Subscribe to the room's rolls, over a WebSocket |
+ *
+ * Notation from requests, including imported rolls, is rolled within the limits, to stop requests
+ * using too much CPU. The number of rooms, and the number of rolls that requests can add to each
+ * room's log, are also limited, to stop requests using too much memory.
+ *
+ * WebSocket subscribers are sent a JSON message for each change to the room's roll log, whether
+ * it is changed by a request, or by using the room's `DiceRoller` directly. Each message has the
+ * `event`, and the `room` name that identifies the roller:
+ *
+ * - `{event: 'log', room, log}` is sent when subscribing, and when the log is imported or cleared.
+ * `log` is the same structure that `DiceRoller.export()` produces
+ * - `{event: 'roll', room, roll, roller}` is sent for each new roll, where `roll` is the `DiceRoll`
+ * JSON, and `roller` is the identity given with the `POST /roll` request, or `null`
+ *
+ * If a message can't be sent, the subscribers are disconnected with the `1011` close code, as
+ * their copy of the log would be incomplete.
+ *
+ * @example
+ * const server = new RollServer({ limits: { maxDice: 100 } });
+ *
+ * await server.listen(8080);
+ *
+ * // curl -X POST http://localhost:8080/rooms/my-game/roll -d '4d6dl1'
+ * // curl -X POST http://localhost:8080/rooms/my-game/roll -H 'Content-Type: application/json' \
+ * //   -d '{"notation": "4d6dl1", "roller": "Alice"}'
+ *
+ * @example <caption>Subscribe in the browser</caption>
+ * const socket = new WebSocket('ws://localhost:8080/rooms/my-game/ws');
+ *
+ * socket.addEventListener('message', ({ data }) => console.log(JSON.parse(data)));
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Limits}
+ */
+class RollServer {
+  /**
+   * Create a `RollServer` instance.
+   *
+   * @param {{
+   *  limits: Limits|{},
+   *  maxBodySize: number,
+   *  maxLogLength: number,
+   *  maxRooms: number,
+   *  roomTimeout: number
+   * }} [options={}]
+   * @param {Limits|{}} [options.limits] The limits that notation is parsed and rolled within.
+   * Defaults to a maximum of 1000 dice, 1000 re-rolls / explosions, 10000 sides, 100 terms, a
+   * depth of 10, a notation length of 1000, and a timeout of 100ms
+   * @param {number} [options.maxBodySize=1048576] The maximum request body size, in bytes
+   * @param {number} [options.maxLogLength=1000] The maximum number of rolls that requests can add
+   * to each room's log
+   * @param {number} [options.maxRooms=1000] The maximum number of rooms
+   * @param {number} [options.roomTimeout=3600000] How long a room without subscribers can be
+   * unused for, in milliseconds, before it can be removed
+   *
+   * @throws {RangeError} maxBodySize, maxLogLength, maxRooms, and roomTimeout must be positive
+   * integers
+   * @throws {TypeError} limits must be integers, Infinity, or null
+   */
+  constructor({
+    limits = defaultLimits,
+    maxBodySize = 1048576,
+    maxLogLength = 1000,
+    maxRooms = 1000,
+    roomTimeout = 3600000,
+  } = {}) {
+    this[maxBodySizeSymbol] = toPositiveInteger('maxBodySize', maxBodySize);
+    this[maxLogLengthSymbol] = toPositiveInteger('maxLogLength', maxLogLength);
+    this[maxRoomsSymbol] = toPositiveInteger('maxRooms', maxRooms);
+    this[roomTimeoutSymbol] = toPositiveInteger('roomTimeout', roomTimeout);
+    this[limitsSymbol] = (limits instanceof Limits) ? limits : new Limits(limits || {});
+    this[rollerSymbol] = null;
+    this[roomsSymbol] = new Map();
+    this[roomsUsedSymbol] = new Map();
+    this[serverSymbol] = null;
+    this[subscribersSymbol] = new Map();
+  }
+
+  /**
+   * The limits that notation is parsed and rolled within.
+   *
+   * @returns {Limits}
+   */
+  get limits() {
+    return this[limitsSymbol];
+  }
+
+  /**
+   * The maximum request body size, in bytes.
+   *
+   * @returns {number}
+   */
+  get maxBodySize() {
+    return this[maxBodySizeSymbol];
+  }
+
+  /**
+   * The maximum number of rolls that requests can add to each room's log.
+   *
+   * @returns {number}
+   */
+  get maxLogLength() {
+    return this[maxLogLengthSymbol];
+  }
+
+  /**
+   * The maximum number of rooms.
+   *
+   * @returns {number}
+   */
+  get maxRooms() {
+    return this[maxRoomsSymbol];
+  }
+
+  /**
+   * How long a room without subscribers can be unused for, in milliseconds, before it can be
+   * removed.
+   *
+   * @returns {number}
+   */
+  get roomTimeout() {
+    return this[roomTimeoutSymbol];
+  }
+
+  /**
+   * The dice roller for each room, keyed by room name.
+   *
+   * @returns {Map<string, DiceRoller>}
+   */
+  get rooms() {
+    return new Map(this[roomsSymbol]);
+  }
+
+  /**
+   * The HTTP server, if it is listening.
+   *
+   * @returns {Server|null}
+   */
+  get server() {
+    return this[serverSymbol];
+  }
+
+  /**
+   * The WebSocket connections subscribed to each room, keyed by room name.
+   *
+   * @returns {Map<string, WebSocketConnection[]>}
+   */
+  get subscribers() {
+    return new Map([...this[subscribersSymbol]]
+      .map(([room, connections]) => [room, [...connections]]));
+  }
+
+  /**
+   * Send the message to every WebSocket connection subscribed to the room.
+   *
+   * @param {string} room The room name
+   * @param {object} message The message, which is sent as JSON
+   */
+  broadcast(room, message) {
+    (this[subscribersSymbol].get(room) || []).forEach((connection) => {
+      connection.send(message);
+    });
+  }
+
+  /**
+   * Stop listening for requests, and close the WebSocket connections.
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this[serverSymbol];
+
+    this[subscribersSymbol].forEach((connections) => {
+      connections.forEach((connection) => connection.close(goingAwayCode, 'Server is closing'));
+    });
+
+    if (!server) {
+      return Promise.resolve();
+    }
+
+    this[serverSymbol] = null;
+
+    return new Promise((resolve, reject) => {
+      server.close((error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Return the dice roller for the room, if it exists.
+   *
+   * @param {string} [name='default'] The room name; letters, numbers, `_`, and `-` only
+   *
+   * @returns {DiceRoller|null} `null` if the room doesn't exist
+   *
+   * @throws {TypeError} name must be 1 to 64 letters, numbers, underscores, or hyphens
+   */
+  findRoom(name = defaultRoom) {
+    const roller = this[roomsSymbol].get(toRoomName(name)) || null;
+
+    if (roller) {
+      this[roomsUsedSymbol].set(name, Date.now());
+    }
+
+    return roller;
+  }
+
+  /**
+   * Return the dice roller for the room, creating it if it doesn't exist.
+   *
+   * Rooms without subscribers, that haven't been used within the room timeout, are removed before
+   * a new room is created.
+   *
+   * @param {string} [name='default'] The room name; letters, numbers, `_`, and `-` only
+   *
+   * @returns {DiceRoller}
+   *
+   * @throws {Error} The maximum number of rooms already exist
+   * @throws {TypeError} name must be 1 to 64 letters, numbers, underscores, or hyphens
+   */
+  getRoom(name = defaultRoom) {
+    if (!this.findRoom(name)) {
+      this[removeIdleRoomsSymbol]();
+
+      if (this[roomsSymbol].size >= this.maxRooms) {
+        throw createHttpError(503, `There cannot be more than ${this.maxRooms} rooms`);
+      }
+
+      const roller = new DiceRoller(null, { limits: this.limits });
+      const broadcaster = (createMessage) => (...args) => {
+        try {
+          this.broadcast(name, createMessage(...args));
+        } catch (e) {
+          // without the message, the subscribers' rolls would be incomplete
+          (this[subscribersSymbol].get(name) || []).forEach((connection) => {
+            connection.close(internalErrorCode, 'The roll log could not be sent');
+          });
+        }
+      };
+      const broadcastLog = broadcaster(() => createLogMessage(name, roller));
+
+      // broadcast every change to the log, including those not made by requests
+      roller
+        .on('clear', broadcastLog)
+        .on('import', broadcastLog)
+        .on('remove', broadcastLog)
+        .on('roll', broadcaster((roll) => ({
+          event: 'roll',
+          roll: roll.toJSON(),
+          room: name,
+          roller: this[rollerSymbol],
+        })));
+
+      this[roomsSymbol].set(name, roller);
+      this[roomsUsedSymbol].set(name, Date.now());
+    }
+
+    return this[roomsSymbol].get(name);
+  }
+
+  /**
+   * Handle the HTTP request.
+   *
+   * This can be used as the request listener for an existing server.
+   *
+   * @example
+   * http.createServer((request, response) => rollServer.handleRequest(request, response));
+   *
+   * @param {IncomingMessage} request
+   * @param {ServerResponse} response
+   *
+   * @returns {Promise<void>} Resolves when the response has been sent
+   */
+  async handleRequest(request, response) {
+    try {
+      const url = new URL(request.url, 'http://localhost');
+      const [, encodedName = defaultRoom, endpoint] = url.pathname
+        .match(/^(?:\/rooms\/([^/]+))?\/([^/]+)$/) || [];
+
+      if (!Object.hasOwn(routes, endpoint || '')) {
+        throw createHttpError(404, `Not found: ${url.pathname}`);
+      }
+
+      if (!routes[endpoint].includes(request.method)) {
+        throw createHttpError(405, `Method ${request.method} is not allowed`, {
+          Allow: routes[endpoint].join(', '),
+        });
+      }
+
+      const name = decodeURIComponent(encodedName);
+      // only rolls and imports create the room, reading an unknown room uses an empty log
+      const roller = this.findRoom(name) || new DiceRoller();
+
+      switch (`${request.method} ${endpoint}`) {
+        case 'DELETE log':
+          roller.clearLog();
+
+          send(response, 204);
+          break;
+        case 'GET export': {
+          const format = url.searchParams.get('format') || 'json';
+
+          if (!Object.hasOwn(formats, format)) {
+            throw createHttpError(400, `Invalid export format "${format}"`);
+          }
+
+          if (formats[format] === exportFormats.JSON) {
+            send(response, 200, roller);
+          } else {
+            send(response, 200, roller.export(formats[format]));
+          }
+          break;
+        }
+        case 'GET log':
+          send(response, 200, roller);
+          break;
+        case 'POST import': {
+          const data = (await readBody(request, this.maxBodySize)).trim();
+
+          if (!data) {
+            throw new RequiredArgumentError('data');
+          }
+
+          // import into a separate roller first, so that nothing is added if the data is invalid
+          const { log } = new DiceRoller(data, { limits: this.limits });
+
+          checkLogLength(roller, log.length, this.maxLogLength);
+
+          const room = this.getRoom(name);
+
+          room.import(log);
+
+          send(response, 200, room);
+          break;
+        }
+        case 'POST roll': {
+          const { notation, roller: identity } = parseRoll(
+            await readBody(request, this.maxBodySize),
+            request.headers['content-type'],
+          );
+
+          checkLogLength(roller, 1, this.maxLogLength);
+
+          const isNewRoom = !this[roomsSymbol].has(name);
+          const room = this.getRoom(name);
+          const { length } = room.log;
+
+          // the roll is broadcast as it is added to the log, so the identity is set until then
+          this[rollerSymbol] = identity;
+
+          try {
+            send(response, 200, room.roll(notation));
+          } catch (e) {
+            // only keep the roll, and the room it created, if it can be sent
+            if (room.log.length > length) {
+              room.removeLast();
+            }
+
+            if (isNewRoom) {
+              this[roomsSymbol].delete(name);
+              this[roomsUsedSymbol].delete(name);
+            }
+
+            throw e;
+          } finally {
+            this[rollerSymbol] = null;
+          }
+          break;
+        }
+        case 'GET ws':
+          // WebSocket upgrade requests are handled by `handleUpgrade`
+          throw createHttpError(426, 'Subscribing to a room requires a WebSocket connection', {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+          });
+        default:
+          // every route and method is handled above
+          throw createHttpError(404, `Not found: ${url.pathname}`);
+      }
+    } catch (e) {
+      const status = getErrorStatus(e);
+
+      send(response, status, {
+        error: {
+          // don't expose the details of unexpected errors
+          message: (status === 500) ? 'Internal server error' : e.message,
+          name: (status === 500) ? 'Error' : e.name,
+        },
+      }, e.headers);
+    }
+  }
+
+  /**
+   * Handle the WebSocket upgrade request, to subscribe to a room.
+   *
+   * The path must be `/ws`, or `/rooms/{name}/ws` for a named room. The connection is sent the
+   * room's roll log straight away, so that late joiners have the existing rolls.
+   *
+   * This can be used as the upgrade listener for an existing server.
+   *
+   * @example
+   * server.on('upgrade', (request, socket, head) => {
+   *   rollServer.handleUpgrade(request, socket, head);
+   * });
+   *
+   * @param {IncomingMessage} request The upgrade request
+   * @param {Duplex} socket The network socket
+   * @param {Buffer} [head] The data received after the upgrade request headers
+   *
+   * @returns {WebSocketConnection|null} The connection, or `null` if the request is invalid
+   */
+  handleUpgrade(request, socket, head = null) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const match = pathname.match(/^(?:\/rooms\/([^/]+))?\/ws$/);
+    let name;
+    let roller;
+
+    if (!match) {
+      rejectUpgrade(socket, 404, 'Not Found');
+
+      return null;
+    }
+
+    try {
+      name = decodeURIComponent(match[1] || defaultRoom);
+      // subscribing doesn't create the room, so that the log is empty until the first roll
+      roller = this.findRoom(name) || new DiceRoller();
+    } catch (e) {
+      const status = getErrorStatus(e);
+
+      rejectUpgrade(socket, status, STATUS_CODES[status]);
+
+      return null;
+    }
+
+    if (head && head.length) {
+      // the start of the first frame, so that the connection receives it
+      socket.unshift(head);
+    }
+
+    const connection = WebSocketConnection.accept(request, socket, {
+      maxMessageSize: this.maxBodySize,
+    });
+
+    if (!connection) {
+      return null;
+    }
+
+    if (!this[subscribersSymbol].has(name)) {
+      this[subscribersSymbol].set(name, new Set());
+    }
+
+    const subscribers = this[subscribersSymbol].get(name);
+
+    subscribers.add(connection);
+
+    connection.on('close', () => {
+      subscribers.delete(connection);
+
+      if (!subscribers.size) {
+        this[subscribersSymbol].delete(name);
+      }
+
+      if (this[roomsUsedSymbol].has(name)) {
+        // the room's idle time starts from when its last subscriber leaves
+        this[roomsUsedSymbol].set(name, Date.now());
+      }
+    });
+
+    try {
+      connection.send(createLogMessage(name, roller));
+    } catch (e) {
+      // without the existing log, the subscriber's rolls would be incomplete
+      connection.close(internalErrorCode, 'The roll log could not be sent');
+    }
+
+    return connection;
+  }
+
+  /**
+   * Remove the rooms without subscribers, that haven't been used within the room timeout.
+   */
+  [removeIdleRoomsSymbol]() {
+    const usedBefore = Date.now() - this.roomTimeout;
+
+    this[roomsUsedSymbol].forEach((used, name) => {
+      if ((used <= usedBefore) && !this[subscribersSymbol].has(name)) {
+        this[roomsSymbol].delete(name);
+        this[roomsUsedSymbol].delete(name);
+      }
+    });
+  }
+
+  /**
+   * Start listening for requests.
+   *
+   * @param {number} [port=0] The port to listen on. `0` uses a random free port
+   * @param {string} [host='127.0.0.1'] The host to listen on
+   *
+   * @returns {Promise<Server>} The HTTP server
+   *
+   * @throws {Error} The server is already listening
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    if (this[serverSymbol]) {
+      return Promise.reject(new Error('The server is already listening'));
+    }
+
+    const server = createServer((request, response) => this.handleRequest(request, response));
+
+    server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+
+    this[serverSymbol] = server;
+
+    return new Promise((resolve, reject) => {
+      server.once('error', (error) => {
+        this[serverSymbol] = null;
+        reject(error);
+      });
+
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+}
+
+export default RollServer;
@@ -0,0 +1,449 @@
+// the frame headers are bit fields, so bitwise operators are needed to read and write them
+/* eslint-disable no-bitwise */
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+/**
+ * The GUID that is appended to the client's key, to create the accept key.
+ *
+ * @type {string}
+ *
+ * @private
+ */
+const acceptGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * The frame opcodes.
+ *
+ * @type {Object.<string, number>}
+ *
+ * @private
+ */
+const opcodes = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA,
+};
+
+/**
+ * The close status codes.
+ *
+ * @type {Object.<string, number>}
+ *
+ * @private
+ */
+const closeCodes = {
+  NORMAL: 1000,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  MESSAGE_TOO_BIG: 1009,
+};
+
+/**
+ * The unparsed data received from the socket
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const bufferSymbol = Symbol('buffer');
+
+/**
+ * The payloads of a fragmented message, received so far
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const fragmentsSymbol = Symbol('fragments');
+
+/**
+ * Whether the connection is closing, or closed
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const isClosedSymbol = Symbol('is-closed');
+
+/**
+ * The maximum message size
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxMessageSizeSymbol = Symbol('max-message-size');
+
+/**
+ * Method for handling data received from the socket
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const receiveSymbol = Symbol('receive');
+
+/**
+ * Method for handling a complete frame
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const receiveFrameSymbol = Symbol('receive-frame');
+
+/**
+ * The network socket
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const socketSymbol = Symbol('socket');
+
+/**
+ * Create a frame, to send to the client.
+ *
+ * Frames from the server are never masked.
+ *
+ * @private
+ *
+ * @param {number} opcode
+ * @param {Buffer} [payload=Buffer.alloc(0)]
+ *
+ * @returns {Buffer}
+ */
+const createFrame = (opcode, payload = Buffer.alloc(0)) => {
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    // the 64-bit length is written as two 32-bit halves
+    header = Buffer.alloc(10);
+    header.writeUInt32BE(Math.floor(payload.length / (2 ** 32)), 2);
+    header.writeUInt32BE(payload.length % (2 ** 32), 6);
+    header[1] = 127;
+  }
+
+  // the first byte is the FIN bit, and the opcode
+  header[0] = 0x80 | opcode;
+
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Parse the first frame from the buffer.
+ *
+ * @private
+ *
+ * @param {Buffer} buffer
+ *
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, size: number}|null} The frame, and
+ * its size in bytes, or `null` if the buffer doesn't contain a complete frame
+ *
+ * @throws {Error} The frame is not masked
+ */
+const parseFrame = (buffer) => {
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const isMasked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+
+  if (!isMasked) {
+    // clients must mask all their frames
+    throw Object.assign(new Error('Frames from the client must be masked'), {
+      code: closeCodes.PROTOCOL_ERROR,
+    });
+  }
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+
+    length = (buffer.readUInt32BE(2) * (2 ** 32)) + buffer.readUInt32BE(6);
+    offset = 10;
+  }
+
+  if (buffer.length < offset + 4 + length) {
+    return null;
+  }
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+
+  return {
+    fin,
+    opcode,
+    payload,
+    size: offset + 4 + length,
+  };
+};
+
+/**
+ * A `WebSocketConnection` is a server side WebSocket connection, for sending and receiving text
+ * messages.
+ *
+ * It emits `message` events, with the text of each message received, and a `close` event when the
+ * connection is closed. Binary messages are not supported, and close the connection.
+ *
+ * @example
+ * server.on('upgrade', (request, socket) => {
+ *   const connection = WebSocketConnection.accept(request, socket);
+ *
+ *   connection.on('message', (text) => connection.send(text));
+ * });
+ *
+ * @since 5.5.0
+ *
+ * @see {@link https://datatracker.ietf.org/doc/html/rfc6455 RFC 6455}
+ *
+ * @extends EventEmitter
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * Create a `WebSocketConnection` instance, for a socket that has completed the handshake.
+   *
+   * @see {@link WebSocketConnection.accept} to complete the handshake and create the connection
+   *
+   * @param {Duplex} socket The network socket
+   * @param {{maxMessageSize: number}} [options={}]
+   * @param {number} [options.maxMessageSize=1048576] The maximum size of a received message, in
+   * bytes. Larger messages close the connection
+   *
+   * @throws {RangeError} maxMessageSize must be a positive integer
+   */
+  constructor(socket, { maxMessageSize = 1048576 } = {}) {
+    super();
+
+    if (!Number.isInteger(maxMessageSize) || (maxMessageSize < 1)) {
+      throw new RangeError('maxMessageSize must be a positive integer');
+    }
+
+    this[bufferSymbol] = Buffer.alloc(0);
+    this[fragmentsSymbol] = [];
+    this[isClosedSymbol] = false;
+    this[maxMessageSizeSymbol] = maxMessageSize;
+    this[socketSymbol] = socket;
+
+    socket.on('data', (data) => this[receiveSymbol](data));
+    // the client ended the connection without a close frame, so end our side too
+    socket.on('end', () => {
+      this[isClosedSymbol] = true;
+      socket.end();
+    });
+    socket.on('close', () => {
+      this[isClosedSymbol] = true;
+      this.emit('close');
+    });
+    // the socket is closed after errors, which emits the `close` event
+    socket.on('error', () => {});
+  }
+
+  /**
+   * Whether the connection is closing, or closed.
+   *
+   * @returns {boolean}
+   */
+  get isClosed() {
+    return this[isClosedSymbol];
+  }
+
+  /**
+   * The maximum size of a received message, in bytes.
+   *
+   * @returns {number}
+   */
+  get maxMessageSize() {
+    return this[maxMessageSizeSymbol];
+  }
+
+  /**
+   * Close the connection.
+   *
+   * @param {number} [code=1000] The close status code
+   * @param {string} [reason=''] The reason for closing
+   */
+  close(code = closeCodes.NORMAL, reason = '') {
+    if (this[isClosedSymbol]) {
+      return;
+    }
+
+    this[isClosedSymbol] = true;
+
+    const reasonBuffer = Buffer.from(reason);
+    const payload = Buffer.alloc(2 + reasonBuffer.length);
+
+    payload.writeUInt16BE(code, 0);
+    reasonBuffer.copy(payload, 2);
+
+    this[socketSymbol].end(createFrame(opcodes.CLOSE, payload));
+  }
+
+  /**
+   * Handle the data received from the socket.
+   *
+   * @private
+   *
+   * @param {Buffer} data
+   */
+  [receiveSymbol](data) {
+    this[bufferSymbol] = Buffer.concat([this[bufferSymbol], data]);
+
+    try {
+      let frame = parseFrame(this[bufferSymbol]);
+
+      while (frame && !this[isClosedSymbol]) {
+        this[bufferSymbol] = this[bufferSymbol].subarray(frame.size);
+
+        this[receiveFrameSymbol](frame);
+
+        frame = parseFrame(this[bufferSymbol]);
+      }
+
+      if (this[bufferSymbol].length > this.maxMessageSize + 14) {
+        // the frame being received is too big
+        throw Object.assign(new Error('Message is too big'), { code: closeCodes.MESSAGE_TOO_BIG });
+      }
+    } catch (e) {
+      this.close(e.code || closeCodes.PROTOCOL_ERROR, e.message);
+    }
+  }
+
+  /**
+   * Handle a complete frame.
+   *
+   * @private
+   *
+   * @param {{fin: boolean, opcode: number, payload: Buffer}} frame
+   *
+   * @throws {Error} The frame is invalid
+   */
+  [receiveFrameSymbol]({ fin, opcode, payload }) {
+    switch (opcode) {
+      case opcodes.CLOSE:
+        // echo the status code back, then end the connection
+        this.close(
+          (payload.length >= 2) ? payload.readUInt16BE(0) : closeCodes.NORMAL,
+        );
+        break;
+      case opcodes.PING:
+        this[socketSymbol].write(createFrame(opcodes.PONG, payload));
+        break;
+      case opcodes.PONG:
+        break;
+      case opcodes.BINARY:
+        throw Object.assign(new Error('Binary messages are not supported'), {
+          code: closeCodes.UNSUPPORTED_DATA,
+        });
+      case opcodes.TEXT:
+      case opcodes.CONTINUATION: {
+        if ((opcode === opcodes.TEXT) === (this[fragmentsSymbol].length > 0)) {
+          throw new Error('Unexpected frame');
+        }
+
+        this[fragmentsSymbol].push(payload);
+
+        const size = this[fragmentsSymbol].reduce((total, fragment) => total + fragment.length, 0);
+
+        if (size > this.maxMessageSize) {
+          throw Object.assign(new Error('Message is too big'), {
+            code: closeCodes.MESSAGE_TOO_BIG,
+          });
+        }
+
+        if (fin) {
+          const message = Buffer.concat(this[fragmentsSymbol]).toString('utf8');
+
+          this[fragmentsSymbol] = [];
+          this.emit('message', message);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown opcode ${opcode}`);
+    }
+  }
+
+  /**
+   * Send a text message.
+   *
+   * Objects are sent as JSON. Nothing is sent if the connection is closed.
+   *
+   * @param {string|object} message
+   */
+  send(message) {
+    if (this[isClosedSymbol]) {
+      return;
+    }
+
+    const text = (typeof message === 'string') ? message : JSON.stringify(message);
+
+    this[socketSymbol].write(createFrame(opcodes.TEXT, Buffer.from(text)));
+  }
+
+  /**
+   * Complete the WebSocket handshake for the upgrade request, and return the connection.
+   *
+   * If the request is not a valid WebSocket upgrade, a `400 Bad Request` response is sent, and
+   * the socket is closed.
+   *
+   * @param {IncomingMessage} request The upgrade request
+   * @param {Duplex} socket The network socket
+   * @param {{maxMessageSize: number}} [options={}] The connection options
+   * @param {number} [options.maxMessageSize=1048576] The maximum size of a received message, in
+   * bytes
+   *
+   * @returns {WebSocketConnection|null} The connection, or `null` if the request is invalid
+   */
+  static accept(request, socket, options = {}) {
+    const key = request.headers['sec-websocket-key'];
+    const isUpgrade = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+
+    if ((request.method !== 'GET') || !isUpgrade || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+
+      return null;
+    }
+
+    const acceptKey = createHash('sha1').update(`${key}${acceptGuid}`).digest('base64');
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey}`,
+      '',
+      '',
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket, options);
+  }
+}
+
+export default WebSocketConnection;
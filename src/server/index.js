@@ -0,0 +1,7 @@
+import RollServer from './RollServer.js';
+import WebSocketConnection from './WebSocketConnection.js';
+
+export {
+  RollServer,
+  WebSocketConnection,
+};
@@ -0,0 +1,193 @@
+import { LimitError } from '../exceptions/index.js';
+import { isNumeric } from './math.js';
+import { NumberGenerator } from './NumberGenerator.js';
+
+/**
+ * Count a generated value
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const countRollSymbol = Symbol('count-roll');
+
+/**
+ * The number of dice added
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const diceSymbol = Symbol('dice');
+
+/**
+ * The limits
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const limitsSymbol = Symbol('limits');
+
+/**
+ * The number of values generated
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const rollsSymbol = Symbol('rolls');
+
+/**
+ * The time that rolling started
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const startSymbol = Symbol('start');
+
+/**
+ * A `LimitedNumberGenerator` generates numbers with the engine of another generator, and throws
+ * a `LimitError` if the rolls exceed the limits.
+ *
+ * A new instance should be used for each roll, as the counts and time budget start from when it
+ * is created.
+ *
+ * @since 5.5.0
+ *
+ * @see {@link Limits}
+ */
+class LimitedNumberGenerator extends NumberGenerator {
+  /**
+   * Create a `LimitedNumberGenerator` instance.
+   *
+   * @param {NumberGenerator} numberGenerator The generator whose engine to use
+   * @param {Limits} limits The limits to enforce
+   */
+  constructor(numberGenerator, limits) {
+    super(numberGenerator.engine);
+
+    this[limitsSymbol] = limits;
+    this[diceSymbol] = 0;
+    this[rollsSymbol] = 0;
+    this[startSymbol] = Date.now();
+  }
+
+  /**
+   * The number of dice that have been added.
+   *
+   * @returns {number}
+   */
+  get dice() {
+    return this[diceSymbol];
+  }
+
+  /**
+   * The number of re-rolls and explosions; the values generated that weren't for added dice.
+   *
+   * @returns {number}
+   */
+  get iterations() {
+    return Math.max(0, this[rollsSymbol] - this[diceSymbol]);
+  }
+
+  /**
+   * The limits being enforced.
+   *
+   * @returns {Limits}
+   */
+  get limits() {
+    return this[limitsSymbol];
+  }
+
+  /**
+   * Add the die, before its qty is rolled, so that the dice and sides are checked first.
+   *
+   * @param {StandardDice} die
+   *
+   * @throws {LimitError} The dice exceed a limit
+   */
+  addDice(die) {
+    const { maxDice, maxSides } = this.limits;
+
+    if (isNumeric(die.sides) && (die.sides > maxSides)) {
+      throw new LimitError('maxSides', maxSides, die.sides);
+    }
+
+    this[diceSymbol] += die.qty;
+
+    if (this.dice > maxDice) {
+      throw new LimitError('maxDice', maxDice, this.dice);
+    }
+
+    this.checkTime();
+  }
+
+  /**
+   * Check that the time budget has not run out.
+   *
+   * @throws {LimitError} The time budget has run out
+   */
+  checkTime() {
+    const elapsed = Date.now() - this[startSymbol];
+
+    if (elapsed > this.limits.timeout) {
+      throw new LimitError('timeout', this.limits.timeout, elapsed);
+    }
+  }
+
+  /**
+   * Generate a random integer within the inclusive range `[min, max]`.
+   *
+   * @param {number} min The minimum integer value, inclusive.
+   * @param {number} max The maximum integer value, inclusive.
+   *
+   * @returns {number} The random integer
+   *
+   * @throws {LimitError} The rolls exceed a limit
+   */
+  integer(min, max) {
+    this[countRollSymbol]();
+
+    return super.integer(min, max);
+  }
+
+  /**
+   * Returns a floating-point value within `[min, max)` or `[min, max]`.
+   *
+   * @param {number} min The minimum floating-point value, inclusive.
+   * @param {number} max The maximum floating-point value.
+   * @param {boolean} [inclusive=false] If `true`, `max` will be inclusive.
+   *
+   * @returns {number} The random floating-point value
+   *
+   * @throws {LimitError} The rolls exceed a limit
+   */
+  real(min, max, inclusive = false) {
+    this[countRollSymbol]();
+
+    return super.real(min, max, inclusive);
+  }
+
+  /**
+   * Count a generated value, and check the limits.
+   *
+   * @private
+   *
+   * @throws {LimitError} The rolls exceed a limit
+   */
+  [countRollSymbol]() {
+    this[rollsSymbol] += 1;
+
+    const { maxIterations } = this.limits;
+
+    if (this.iterations > maxIterations) {
+      throw new LimitError('maxIterations', maxIterations, this.iterations);
+    }
+
+    this.checkTime();
+  }
+}
+
+export default LimitedNumberGenerator;
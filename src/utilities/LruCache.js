@@ -0,0 +1,161 @@
+/**
+ * The cached entries
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const entriesSymbol = Symbol('entries');
+
+/**
+ * The maximum number of entries
+ *
+ * @type {symbol}
+ *
+ * @private
+ */
+const maxSizeSymbol = Symbol('max-size');
+
+/**
+ * A least recently used cache, which removes the entry that was used longest ago when it is full.
+ *
+ * @since 5.5.0
+ */
+class LruCache {
+  /**
+   * Create an `LruCache` instance.
+   *
+   * @param {number} [maxSize=100] The maximum number of entries
+   *
+   * @throws {TypeError} maxSize must be an integer
+   * @throws {RangeError} maxSize must be zero or greater
+   */
+  constructor(maxSize = 100) {
+    this[entriesSymbol] = new Map();
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * The maximum number of entries.
+   *
+   * @returns {number}
+   */
+  get maxSize() {
+    return this[maxSizeSymbol];
+  }
+
+  /**
+   * Set the maximum number of entries.
+   *
+   * If there are more entries than the new size, the least recently used are removed.
+   *
+   * @param {number} value
+   *
+   * @throws {TypeError} maxSize must be an integer
+   * @throws {RangeError} maxSize must be zero or greater
+   */
+  set maxSize(value) {
+    if (!Number.isInteger(value)) {
+      throw new TypeError('maxSize must be an integer');
+    }
+
+    if (value < 0) {
+      throw new RangeError('maxSize must be zero or greater');
+    }
+
+    this[maxSizeSymbol] = value;
+
+    this.prune();
+  }
+
+  /**
+   * The number of entries.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this[entriesSymbol].size;
+  }
+
+  /**
+   * Remove all the entries.
+   */
+  clear() {
+    this[entriesSymbol].clear();
+  }
+
+  /**
+   * Remove the entry with the key.
+   *
+   * @param {*} key
+   *
+   * @returns {boolean} `true` if the entry existed, `false` otherwise
+   */
+  delete(key) {
+    return this[entriesSymbol].delete(key);
+  }
+
+  /**
+   * Return the value for the key, and mark it as the most recently used.
+   *
+   * @param {*} key
+   *
+   * @returns {*} The value, or `undefined` if there isn't one
+   */
+  get(key) {
+    if (!this.has(key)) {
+      return undefined;
+    }
+
+    const value = this[entriesSymbol].get(key);
+
+    // move the entry to the end, as maps iterate in insertion order
+    this[entriesSymbol].delete(key);
+    this[entriesSymbol].set(key, value);
+
+    return value;
+  }
+
+  /**
+   * Check if there is an entry for the key, without marking it as used.
+   *
+   * @param {*} key
+   *
+   * @returns {boolean}
+   */
+  has(key) {
+    return this[entriesSymbol].has(key);
+  }
+
+  /**
+   * Remove the least recently used entries, until there are no more than the max size.
+   */
+  prune() {
+    const entries = this[entriesSymbol];
+
+    while (entries.size > this.maxSize) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Set the value for the key, and mark it as the most recently used.
+   *
+   * If the cache is full, the least recently used entry is removed.
+   *
+   * @param {*} key
+   * @param {*} value
+   *
+   * @returns {LruCache} The cache
+   */
+  set(key, value) {
+    this[entriesSymbol].delete(key);
+    this[entriesSymbol].set(key, value);
+
+    this.prune();
+
+    return this;
+  }
+}
+
+export default LruCache;
@@ -168,6 +168,28 @@ class NumberGenerator {
     this[randomSymbol] = new Random(this[engineSymbol]);
   }
 
+  /**
+   * The name of the current engine, as listed in `engines`.
+   *
+   * Seeded `MersenneTwister19937` instances are named `MersenneTwister19937`, and any other engine
+   * is named `custom`.
+   *
+   * @since 5.5.0
+   *
+   * @see {@link engines}
+   *
+   * @returns {string}
+   */
+  get engineName() {
+    const { engine } = this;
+
+    if (engine instanceof MersenneTwister19937) {
+      return 'MersenneTwister19937';
+    }
+
+    return Object.keys(engines).find((name) => engines[name] === engine) || 'custom';
+  }
+
   /**
    * Generate a random integer within the inclusive range `[min, max]`.
    *
@@ -198,9 +220,15 @@ class NumberGenerator {
   }
 }
 
+/**
+ * The default `NumberGenerator`, used when one isn't injected.
+ *
+ * @type {NumberGenerator}
+ */
 const generator = new NumberGenerator();
 
 export {
   engines,
   generator,
+  NumberGenerator,
 };
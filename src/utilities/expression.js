@@ -0,0 +1,318 @@
+/**
+ * The binary operators, and their precedence (Higher binds tighter).
+ *
+ * `%` binds tighter than `*` and `/` (e.g. `2*5%3 = 2*(5%3)`), as it did when evaluated by mathjs.
+ *
+ * @type {Object.<string, number>}
+ */
+const precedence = {
+  '+': 1,
+  '-': 1,
+  '*': 2,
+  '/': 2,
+  '%': 3,
+  '^': 4,
+};
+
+/**
+ * The tolerance used when rounding nearly whole numbers, matching that used by mathjs.
+ *
+ * @type {number}
+ *
+ * @private
+ */
+const epsilon = 1e-12;
+
+/**
+ * Check if `a` and `b` are equal, within the rounding tolerance.
+ *
+ * @private
+ *
+ * @param {number} a
+ * @param {number} b
+ *
+ * @returns {boolean}
+ */
+const nearlyEqual = (a, b) => (
+  (a === b) || (Math.abs(a - b) <= epsilon * Math.max(Math.abs(a), Math.abs(b)))
+);
+
+/**
+ * Round a number to the nearest integer, rounding halves away from zero.
+ *
+ * @private
+ *
+ * @param {number} value
+ *
+ * @returns {number}
+ */
+const round = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+/**
+ * The mathematical functions that can be used in notation, keyed by name.
+ *
+ * @type {Object.<string, function(...number): number>}
+ */
+const functions = {
+  abs: Math.abs,
+  ceil: (value) => (nearlyEqual(value, round(value)) ? round(value) : Math.ceil(value)),
+  cos: Math.cos,
+  exp: Math.exp,
+  floor: (value) => (nearlyEqual(value, round(value)) ? round(value) : Math.floor(value)),
+  log: Math.log,
+  max: Math.max,
+  min: Math.min,
+  pow: (base, exponent) => base ** exponent,
+  round,
+  sign: Math.sign,
+  sin: Math.sin,
+  sqrt: Math.sqrt,
+  tan: Math.tan,
+};
+
+/**
+ * The binary operators that can be used in notation, keyed by operator.
+ *
+ * @type {Object.<string, function(number, number): number>}
+ */
+const operators = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => {
+    if (b === 0) {
+      return a;
+    }
+
+    return a - (b * Math.floor(a / b));
+  },
+  '^': (a, b) => a ** b,
+};
+
+/**
+ * Check if the token is a function call opener (e.g. `floor(`).
+ *
+ * @private
+ *
+ * @param {*} token
+ *
+ * @returns {boolean}
+ */
+const isFunctionToken = (token) => (typeof token === 'string') && /^[a-z]+\($/.test(token);
+
+/**
+ * Build a tree from a flat list of expression tokens, as returned by the parser, or stored in a
+ * `ResultGroup`.
+ *
+ * Operands (Dice, results, numbers etc.) are not inspected, and are stored as `value` nodes.
+ *
+ * @example <caption>`2d6+4*2`</caption>
+ * toExpressionTree([dice, '+', 4, '*', 2]);
+ * // {
+ * //   type: 'operation',
+ * //   operator: '+',
+ * //   left: { type: 'value', value: dice },
+ * //   right: {
+ * //     type: 'operation',
+ * //     operator: '*',
+ * //     left: { type: 'value', value: 4 },
+ * //     right: { type: 'value', value: 2 },
+ * //   },
+ * // }
+ *
+ * @param {Array} tokens The expression tokens
+ *
+ * @returns {{type: string}|null} The root node, or `null` if there are no tokens
+ *
+ * @throws {SyntaxError} The expression is invalid
+ */
+const toExpressionTree = (tokens) => {
+  const list = [...tokens];
+  let position = 0;
+
+  if (!list.length) {
+    return null;
+  }
+
+  const peek = () => list[position];
+  const next = () => {
+    position += 1;
+
+    return list[position - 1];
+  };
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new SyntaxError(`Expected "${token}" in expression`);
+    }
+  };
+
+  let parseExpression;
+
+  const parseOperations = (initial, minPrecedence) => {
+    let left = initial;
+
+    while (Object.hasOwn(precedence, peek()) && (precedence[peek()] >= minPrecedence)) {
+      const operator = next();
+
+      if ((operator === '%') && (typeof peek() === 'number') && (peek() < 0)) {
+        // a `%` followed by a negative number is a percentage, that the number is subtracted from
+        // (e.g. `5%-3 = 0.05 - 3`), as it was when evaluated by mathjs
+        left = {
+          type: 'operation',
+          operator: '/',
+          left,
+          right: { type: 'value', value: 100 },
+        };
+        list.splice(position, 1, '-', -peek());
+      } else {
+        // exponents are right associative, everything else is left associative
+        const right = parseExpression((operator === '^') ? precedence[operator] : precedence[operator] + 1);
+
+        left = {
+          type: 'operation',
+          operator,
+          left,
+          right,
+        };
+      }
+    }
+
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token === undefined) {
+      throw new SyntaxError('Unexpected end of expression');
+    }
+
+    if (token === '(') {
+      const expression = parseExpression(0);
+      expect(')');
+
+      return expression;
+    }
+
+    if (isFunctionToken(token)) {
+      const args = [parseExpression(0)];
+
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression(0));
+      }
+
+      expect(')');
+
+      return {
+        type: 'function',
+        name: token.slice(0, -1),
+        args,
+      };
+    }
+
+    if ((typeof token === 'string') && (Object.hasOwn(precedence, token) || (token === ')') || (token === ','))) {
+      throw new SyntaxError(`Unexpected "${token}" in expression`);
+    }
+
+    if ((typeof token === 'number') && (token < 0) && (peek() === '^')) {
+      // a negative number binds looser than the exponent (e.g. `-2^2 = -4`)
+      return {
+        type: 'operation',
+        operator: '*',
+        left: { type: 'value', value: -1 },
+        right: parseOperations({ type: 'value', value: -token }, precedence['^']),
+      };
+    }
+
+    return { type: 'value', value: token };
+  };
+
+  parseExpression = (minPrecedence) => parseOperations(parsePrimary(), minPrecedence);
+
+  const tree = parseExpression(0);
+
+  if (position < list.length) {
+    throw new SyntaxError(`Unexpected "${peek()}" in expression`);
+  }
+
+  return tree;
+};
+
+/**
+ * Reduce an expression tree to a single value, using the given callbacks.
+ *
+ * @param {{type: string}} node The root node of the tree
+ * @param {{
+ *  value: function(*): *,
+ *  operation: function(string, *, *): *,
+ *  function: function(string, Array): *
+ * }} callbacks Callbacks for reducing each of the node types
+ *
+ * @returns {*} The reduced value
+ */
+const reduceExpressionTree = (node, callbacks) => {
+  switch (node.type) {
+    case 'operation':
+      return callbacks.operation(
+        node.operator,
+        reduceExpressionTree(node.left, callbacks),
+        reduceExpressionTree(node.right, callbacks),
+      );
+    case 'function':
+      return callbacks.function(
+        node.name,
+        node.args.map((arg) => reduceExpressionTree(arg, callbacks)),
+      );
+    default:
+      return callbacks.value(node.value);
+  }
+};
+
+/**
+ * Calculate the value of a flat list of expression tokens, where every operand is a number.
+ *
+ * This supports the same operators and functions as the notation.
+ *
+ * @example
+ * evaluate([5, '+', 6, '*', 2]); // 17
+ *
+ * @example <caption>Functions</caption>
+ * evaluate(['floor(', 7, '/', 2, ')']); // 3
+ *
+ * @param {Array.<number|string>} tokens The numbers, operators, parenthesis, and function calls
+ *
+ * @returns {number} The result, or `0` if there are no tokens
+ *
+ * @throws {SyntaxError} The expression is invalid
+ * @throws {TypeError} The function is not supported
+ */
+const evaluate = (tokens) => {
+  const tree = toExpressionTree(tokens);
+
+  if (!tree) {
+    return 0;
+  }
+
+  return reduceExpressionTree(tree, {
+    value: (value) => value,
+    operation: (operator, left, right) => operators[operator](left, right),
+    function: (name, args) => {
+      if (!Object.hasOwn(functions, name)) {
+        throw new TypeError(`Unsupported function "${name}"`);
+      }
+
+      return functions[name](...args);
+    },
+  });
+};
+
+export {
+  evaluate,
+  functions,
+  operators,
+  precedence,
+  reduceExpressionTree,
+  toExpressionTree,
+};
@@ -1,4 +1,4 @@
-import { evaluate as mathEval } from 'mathjs';
+import { evaluate as evaluateTokens } from './expression.js';
 
 /**
  * Check if `a` is comparative to `b` with the given operator.
@@ -60,17 +60,78 @@ const compareNumbers = (a, b, operator) => {
   return result;
 };
 
+/**
+ * Check if the expression token is, or ends, an operand.
+ *
+ * @private
+ *
+ * @param {number|string|undefined} token
+ *
+ * @returns {boolean}
+ */
+const isOperandToken = (token) => (typeof token === 'number') || (token === ')');
+
+/**
+ * Split a mathematical string into the tokens that the expression evaluator takes.
+ *
+ * A `-` or `+` sign that doesn't follow an operand belongs to the number after it (e.g. `2*-3` is
+ * `[2, '*', -3]`), or negates the parenthesis or function after it.
+ *
+ * @private
+ *
+ * @param {string} equation
+ *
+ * @returns {Array.<number|string>}
+ *
+ * @throws {SyntaxError} The equation contains an invalid character
+ */
+const tokenize = (equation) => (equation.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+\(|\S/gi) || [])
+  .reduce((tokens, token) => {
+    const sign = tokens[tokens.length - 1];
+    const isUnary = ((sign === '-') || (sign === '+')) && !isOperandToken(tokens[tokens.length - 2]);
+
+    if (/^[\d.]/.test(token)) {
+      const value = parseFloat(token);
+
+      if (isUnary) {
+        tokens.splice(-1, 1, (sign === '-') ? -value : value);
+      } else {
+        tokens.push(value);
+      }
+    } else if (/^[-+*/%^(),]$|^[a-z]+\($/i.test(token)) {
+      if (isUnary && ((token === '(') || (token.length > 1))) {
+        tokens.splice(-1, 1, (sign === '-') ? -1 : 1, '*');
+      }
+
+      tokens.push(token.toLowerCase());
+    } else {
+      throw new SyntaxError(`Unexpected "${token}" in expression`);
+    }
+
+    return tokens;
+  }, []);
+
 /**
  * Evaluate mathematical strings.
  *
+ * This supports the same operators and functions as the notation.
+ *
  * @example
  * evaluate('5+6'); // 11
  *
- * @param {string} equation The mathematical equation to compute.
+ * @deprecated Since 5.5.0, expressions are evaluated internally instead of by mathjs. Roll the
+ * expression as notation instead (e.g. `new DiceRoll('5+6').total`)
+ *
+ * @param {string|Array.<number|string>} equation The mathematical equation to compute.
  *
  * @returns {number} The result of the equation
+ *
+ * @throws {SyntaxError} The equation is invalid
+ * @throws {TypeError} The function is not supported
  */
-const evaluate = (equation) => mathEval(equation);
+const evaluate = (equation) => evaluateTokens(
+  (typeof equation === 'string') ? tokenize(equation) : equation,
+);
 
 /**
  * Check if the given value is a valid finite number.
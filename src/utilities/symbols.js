@@ -0,0 +1,192 @@
+import { isNumeric } from './math.js';
+
+/**
+ * The narrative dice symbols, and their short form used in notation and output.
+ *
+ * @type {Object.<string, string>}
+ */
+const abbreviations = {
+  success: 's',
+  failure: 'f',
+  advantage: 'a',
+  threat: 't',
+  triumph: 'T',
+  despair: 'D',
+};
+
+/**
+ * Pairs of symbols that cancel each other out.
+ *
+ * @type {Array.<string[]>}
+ *
+ * @private
+ */
+const cancellations = [
+  ['success', 'failure'],
+  ['advantage', 'threat'],
+];
+
+/**
+ * Symbols that also count as another symbol, but are not cancelled themselves.
+ *
+ * @type {Object.<string, string>}
+ *
+ * @private
+ */
+const countsAs = {
+  triumph: 'success',
+  despair: 'failure',
+};
+
+/**
+ * Check that the value is a valid list of symbol counts.
+ *
+ * @param {*} symbols
+ *
+ * @returns {boolean}
+ */
+const isSymbols = (symbols) => !!symbols
+  && (typeof symbols === 'object')
+  && !Array.isArray(symbols)
+  && Object.values(symbols).every((count) => isNumeric(count));
+
+/**
+ * Add the symbol counts together.
+ *
+ * `null` values are ignored, and if all values are `null`, then `null` is returned.
+ *
+ * @example
+ * addSymbols({ success: 1 }, { success: 1, advantage: 2 }, null);
+ * // { success: 2, advantage: 2 }
+ *
+ * @param {...(Object.<string, number>|null)} lists
+ *
+ * @returns {Object.<string, number>|null}
+ */
+const addSymbols = (...lists) => lists.reduce((acc, symbols) => {
+  if (!symbols) {
+    return acc;
+  }
+
+  const total = { ...acc };
+
+  Object.entries(symbols).forEach(([name, count]) => {
+    total[name] = (total[name] || 0) + Number(count);
+  });
+
+  return total;
+}, null);
+
+/**
+ * Cancel out opposing symbols, returning the non-zero symbols that remain.
+ *
+ * Successes cancel failures, and advantages cancel threats. Triumphs and despairs are never
+ * cancelled, but also count as a success and failure respectively.
+ *
+ * @example
+ * netSymbols({ success: 2, failure: 1, threat: 2, triumph: 1 });
+ * // { success: 2, threat: 2, triumph: 1 }
+ *
+ * @param {Object.<string, number>|null} symbols
+ *
+ * @returns {Object.<string, number>|null}
+ */
+const netSymbols = (symbols) => {
+  if (!symbols) {
+    return null;
+  }
+
+  const net = { ...symbols };
+
+  Object.entries(countsAs).forEach(([name, countedAs]) => {
+    if (net[name]) {
+      net[countedAs] = (net[countedAs] || 0) + net[name];
+    }
+  });
+
+  cancellations.forEach(([positive, negative]) => {
+    const difference = (net[positive] || 0) - (net[negative] || 0);
+
+    net[positive] = Math.max(difference, 0);
+    net[negative] = Math.max(-difference, 0);
+  });
+
+  const names = Object.keys(abbreviations);
+  // known symbols first, in a consistent order, then any custom symbols
+  const position = (name) => (names.includes(name) ? names.indexOf(name) : names.length);
+
+  return Object.fromEntries(Object.entries(net)
+    .filter(([, count]) => count > 0)
+    .sort(([a], [b]) => position(a) - position(b)));
+};
+
+/**
+ * Parse a string of symbol abbreviations into symbol counts.
+ *
+ * @example
+ * parseSymbols('ssa'); // { success: 2, advantage: 1 }
+ *
+ * @param {string} abbreviated
+ *
+ * @returns {Object.<string, number>}
+ *
+ * @throws {TypeError} Unknown symbol
+ */
+const parseSymbols = (abbreviated) => [...abbreviated].reduce((acc, abbreviation) => {
+  const name = Object.keys(abbreviations).find((key) => abbreviations[key] === abbreviation);
+
+  if (!name) {
+    throw new TypeError(`Unknown symbol "${abbreviation}"`);
+  }
+
+  return addSymbols(acc, { [name]: 1 });
+}, {});
+
+/**
+ * The numerical value of the symbols; the number of successes, minus the number of failures.
+ *
+ * @param {Object.<string, number>|null} symbols
+ *
+ * @returns {number}
+ */
+const symbolsValue = (symbols) => {
+  const { failure = 0, success = 0 } = netSymbols(symbols) || {};
+
+  return success - failure;
+};
+
+/**
+ * Return the abbreviated form of the symbols (e.g. `ssa`), or `-` if there are none.
+ *
+ * Unknown symbols use their full name.
+ *
+ * @param {Object.<string, number>|null} symbols
+ *
+ * @returns {string}
+ */
+const symbolsToString = (symbols) => Object.entries(symbols || {})
+  .map(([name, count]) => (abbreviations[name] || name).repeat(Math.max(count, 0)))
+  .join('') || '-';
+
+/**
+ * Return a description of the symbols (e.g. `2 success, 1 threat`).
+ *
+ * @param {Object.<string, number>|null} symbols
+ *
+ * @returns {string}
+ */
+const describeSymbols = (symbols) => Object.entries(symbols || {})
+  .filter(([, count]) => count)
+  .map(([name, count]) => `${count} ${name}`)
+  .join(', ');
+
+export {
+  abbreviations,
+  addSymbols,
+  describeSymbols,
+  isSymbols,
+  netSymbols,
+  parseSymbols,
+  symbolsToString,
+  symbolsValue,
+};
@@ -1,11 +1,17 @@
-import { StandardDice } from '../src/dice/index.js';
-import { DataFormatError, NotationError, RequiredArgumentError } from '../src/exceptions/index.js';
+import { DiceRegistry, StandardDice } from '../src/dice/index.js';
+import {
+  DataFormatError, DieActionValueError, LimitError, NotationError, RequiredArgumentError,
+} from '../src/exceptions/index.js';
+import { ExplodeModifier } from '../src/modifiers/index.js';
 import DiceRoll from '../src/DiceRoll.js';
+import Limits from '../src/Limits.js';
 import Parser from '../src/parser/Parser.js';
+import RollHooks from '../src/RollHooks.js';
 import ResultGroup from '../src/results/ResultGroup.js';
 import RollResult from '../src/results/RollResult.js';
 import RollResults from '../src/results/RollResults.js';
 import exportFormats from '../src/utilities/ExportFormats.js';
+import { engines, generator, NumberGenerator } from '../src/utilities/NumberGenerator.js';
 
 describe('DiceRoll', () => {
   describe('Initialisation', () => {
@@ -15,6 +21,7 @@ describe('DiceRoll', () => {
       expect(diceRoll).toBeInstanceOf(DiceRoll);
       expect(diceRoll).toEqual(expect.objectContaining({
         averageTotal: expect.any(Number),
+        explain: expect.any(Function),
         export: expect.any(Function),
         hasRolls: expect.any(Function),
         maxTotal: expect.any(Number),
@@ -30,6 +37,529 @@ describe('DiceRoll', () => {
     });
   });
 
+  describe('Generator', () => {
+    test('defaults to the shared generator', () => {
+      expect((new DiceRoll('4d6')).generator).toBe(generator);
+    });
+
+    test('can be passed in the options', () => {
+      const numberGenerator = new NumberGenerator();
+
+      expect((new DiceRoll('4d6', { generator: numberGenerator })).generator).toBe(numberGenerator);
+    });
+
+    test('is used for rolling', () => {
+      const maxRoll = new DiceRoll('4d6+{2d10, 1d20}', { generator: new NumberGenerator(engines.max) });
+      const minRoll = new DiceRoll('4d6+{2d10, 1d20}', { generator: new NumberGenerator(engines.min) });
+
+      expect(maxRoll.total).toBe(64);
+      expect(minRoll.total).toBe(7);
+
+      // re-rolling uses the same generator
+      maxRoll.roll();
+      expect(maxRoll.total).toBe(64);
+    });
+
+    test('does not change the shared generator engine', () => {
+      const diceRoll = new DiceRoll('4d6', { generator: new NumberGenerator(engines.max) });
+
+      expect(diceRoll.minTotal).toBe(4);
+      expect(diceRoll.maxTotal).toBe(24);
+      expect(generator.engine).toBe(engines.nativeMath);
+    });
+
+    test('throws error if not a NumberGenerator', () => {
+      expect(() => {
+        new DiceRoll('4d6', { generator: engines.max });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DiceRoll('4d6', { generator: 'foo' });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Limits', () => {
+    test('are not limited by default', () => {
+      expect((new DiceRoll('4d6')).limits).toBe(null);
+    });
+
+    test('can be passed in the options', () => {
+      const limits = new Limits({ maxDice: 10 });
+
+      expect((new DiceRoll('4d6', { limits })).limits).toBe(limits);
+      expect((new DiceRoll('4d6', { limits: { maxDice: 10 } })).limits).toEqual(limits);
+    });
+
+    test('throws error if invalid', () => {
+      expect(() => {
+        new DiceRoll('4d6', { limits: { maxDice: 'foo' } });
+      }).toThrow(TypeError);
+    });
+
+    test('are checked when parsing', () => {
+      expect(() => {
+        new DiceRoll('1d6+1d6+1d6', { limits: { maxTerms: 2 } });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        new DiceRoll('1d6+1d6', { limits: { maxNotationLength: 6 } });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if too many dice are rolled', () => {
+      const limits = { maxDice: 100 };
+
+      expect(new DiceRoll('{50d6, 50d8}', { limits }).rolls).toHaveLength(1);
+
+      expect(() => {
+        new DiceRoll('{50d6, 51d8}', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        new DiceRoll('5x21d6', { limits });
+      }).toThrow(LimitError);
+    });
+
+    test('counts dice with a rolled qty', () => {
+      const limits = { maxDice: 10 };
+
+      expect(() => {
+        new DiceRoll('(1d4+6)d6', { generator: new NumberGenerator(engines.min), limits });
+      }).not.toThrow();
+
+      expect(() => {
+        new DiceRoll('(1d4+6)d6', { generator: new NumberGenerator(engines.max), limits });
+      }).toThrow(LimitError);
+    });
+
+    test('can be passed when importing', () => {
+      const limits = new Limits({ maxDice: 10 });
+
+      expect(DiceRoll.import({ notation: '4d6' }, { limits }).limits).toBe(limits);
+      expect(DiceRoll.import('{"notation":"4d6"}', { limits }).limits).toBe(limits);
+
+      expect(() => {
+        DiceRoll.import({ notation: '11d6' }, { limits });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if a rolled die has too many sides', () => {
+      expect(() => {
+        new DiceRoll('1d(1d6+100)', { limits: { maxSides: 100 } });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if there are too many re-rolls and explosions', () => {
+      const generatorMax = new NumberGenerator(engines.max);
+      const generatorMin = new NumberGenerator(engines.min);
+      const limits = { maxIterations: 20 };
+
+      expect(() => {
+        new DiceRoll('4d6!', { generator: generatorMin, limits });
+      }).not.toThrow();
+
+      expect(() => {
+        new DiceRoll('4d6!', { generator: generatorMax, limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        new DiceRoll('4d6r', { generator: generatorMin, limits });
+      }).toThrow(LimitError);
+    });
+
+    test('stops rolling when a limit is exceeded', () => {
+      const numberGenerator = new NumberGenerator(engines.max);
+      const spy = jest.spyOn(numberGenerator.engine, 'next');
+
+      expect(() => {
+        new DiceRoll('{999d999!, 999d999!}', {
+          generator: numberGenerator,
+          limits: { maxIterations: 100 },
+        });
+      }).toThrow(LimitError);
+
+      expect(spy).toHaveBeenCalledTimes(1099);
+
+      spy.mockRestore();
+    });
+
+    test('throws error if the time budget runs out', () => {
+      let now = 0;
+      const spy = jest.spyOn(Date, 'now').mockImplementation(() => {
+        now += 1;
+
+        return now;
+      });
+
+      expect(() => {
+        new DiceRoll('999d6', { limits: { timeout: 100 } });
+      }).toThrow(expect.objectContaining({ limit: 'timeout' }));
+
+      spy.mockRestore();
+    });
+
+    test('are checked for each roll', () => {
+      const diceRoll = new DiceRoll('10d6', { limits: { maxDice: 10 } });
+
+      expect(() => {
+        diceRoll.roll();
+        diceRoll.roll();
+      }).not.toThrow();
+    });
+
+    test('min and max totals are null if they exceed a limit', () => {
+      const diceRoll = new DiceRoll('(1d10)d6!', {
+        generator: new NumberGenerator(engines.min),
+        limits: { maxDice: 5, maxIterations: 5 },
+      });
+
+      expect(diceRoll.minTotal).toBe(1);
+      expect(diceRoll.maxTotal).toBe(null);
+      expect(diceRoll.averageTotal).toBe(null);
+      expect(diceRoll.toJSON()).toEqual(expect.objectContaining({
+        averageTotal: null,
+        maxTotal: null,
+        minTotal: 1,
+      }));
+    });
+
+    test('min and max totals are bounded by the iteration cap if the roll is limited', () => {
+      const numberGenerator = new NumberGenerator(engines.min);
+      const diceRoll = new DiceRoll('999d999!', {
+        generator: numberGenerator,
+        limits: { maxIterations: 10000000 },
+      });
+      const spy = jest.spyOn(engines.max, 'next');
+
+      expect(diceRoll.minTotal).toBe(999);
+      expect(diceRoll.maxTotal).toBe(null);
+      expect(spy.mock.calls.length).toBeLessThanOrEqual(100999);
+
+      spy.mockRestore();
+    });
+
+    test('min and max totals of exploding rolls are not null if the roll is not limited', () => {
+      const diceRoll = new DiceRoll('200d6!');
+
+      expect(diceRoll.minTotal).toBe(200);
+      expect(diceRoll.maxTotal).toBe(1201200);
+      expect(diceRoll.averageTotal).toBe(600700);
+      expect(diceRoll.toJSON()).toEqual(expect.objectContaining({
+        averageTotal: 600700,
+        maxTotal: 1201200,
+        minTotal: 200,
+      }));
+      expect(new DiceRoll('{999d999!}').maxTotal).toBe(998999001);
+    });
+
+    test('does not change the roll generator', () => {
+      const numberGenerator = new NumberGenerator();
+      const diceRoll = new DiceRoll('4d6', { generator: numberGenerator, limits: { maxDice: 10 } });
+
+      expect(diceRoll.generator).toBe(numberGenerator);
+      expect(diceRoll.engine).toBe('nativeMath');
+    });
+
+    test('seeded rolls are the same with limits', () => {
+      const limits = { maxDice: 100, maxIterations: 100 };
+
+      expect(new DiceRoll('4d6!+{2d20, 1d12}k1', { limits, seed: 42 }).output)
+        .toEqual(new DiceRoll('4d6!+{2d20, 1d12}k1', { seed: 42 }).output);
+    });
+  });
+
+  describe('Hooks', () => {
+    test('default to null', () => {
+      expect((new DiceRoll('4d6')).hooks).toBe(null);
+    });
+
+    test('can be set in the constructor', () => {
+      const hooks = new RollHooks();
+
+      expect((new DiceRoll('4d6', { hooks })).hooks).toBe(hooks);
+      expect((new DiceRoll('4d6', { hooks: { onDieRolled: () => {} } })).hooks)
+        .toBeInstanceOf(RollHooks);
+    });
+
+    test('are called for each die, in the order they are decided', () => {
+      const events = [];
+      const hooks = {
+        onDieDropped: ({ value }) => events.push(['dropped', value]),
+        onDieExploded: ({ value }) => events.push(['exploded', value]),
+        onDieRolled: ({ value }) => events.push(['rolled', value]),
+      };
+      const diceRoll = new DiceRoll('3d6!dl1', { hooks, seed: 1 });
+
+      expect(diceRoll.output).toEqual('3d6!dl1: [2, 6!, 3, 1d] = 11');
+      expect(events).toEqual([
+        ['rolled', 2],
+        ['rolled', 6],
+        ['rolled', 1],
+        ['exploded', 3],
+        ['dropped', 1],
+      ]);
+    });
+
+    test('are called for each die in a dropped sub-roll', () => {
+      const events = [];
+      const onDieDropped = ({ die, reason, value }) => events.push([die.notation, reason, value]);
+
+      expect(new DiceRoll('{3d6dl1,1d8+1d4}kh1', { hooks: { onDieDropped }, seed: 1 }).output)
+        .toEqual('{3d6dl1,1d8+1d4}kh1: {[2, 6, 1d], ([1]+[4])d} = 8');
+      expect(events).toEqual([
+        ['3d6dl1', 'drop-l', 1],
+        ['1d8', 'keep-h', 1],
+        ['1d4', 'keep-h', 4],
+      ]);
+
+      events.length = 0;
+
+      // dice that were already dropped aren't dropped again
+      expect(new DiceRoll('{3d6dl1,1d8+1d4}kh1', { hooks: { onDieDropped }, seed: 4 }).output)
+        .toEqual('{3d6dl1,1d8+1d4}kh1: {([5, 1d, 2])d, [6]+[2]} = 8');
+      expect(events).toEqual([
+        ['3d6dl1', 'drop-l', 1],
+        ['3d6dl1', 'keep-h', 5],
+        ['3d6dl1', 'keep-h', 2],
+      ]);
+    });
+
+    test('are called for each roll', () => {
+      const onDieRolled = jest.fn();
+      const diceRoll = new DiceRoll('4d6', { hooks: { onDieRolled } });
+
+      diceRoll.roll();
+
+      expect(onDieRolled).toHaveBeenCalledTimes(8);
+    });
+
+    test('are not called for the min and max totals', () => {
+      const onDieRolled = jest.fn();
+      const diceRoll = new DiceRoll('4d6!', { hooks: { onDieRolled } });
+
+      onDieRolled.mockClear();
+
+      expect(diceRoll.minTotal).toBe(4);
+      expect(diceRoll.maxTotal).toBeGreaterThan(24);
+      expect(onDieRolled).not.toHaveBeenCalled();
+    });
+
+    test('are only called for the roll they belong to', () => {
+      const onDieRolled = jest.fn();
+
+      new DiceRoll('4d6+{2d8}', { hooks: { onDieRolled } });
+      new DiceRoll('4d6+{2d8}');
+
+      expect(onDieRolled).toHaveBeenCalledTimes(6);
+    });
+
+    test('can roll the same notation', () => {
+      const outer = jest.fn();
+      const inner = jest.fn();
+      let innerRoll = null;
+      const hooks = {
+        onDieRolled: (event) => {
+          outer(event.value);
+
+          if (!innerRoll) {
+            innerRoll = new DiceRoll('4d6', {
+              generator: new NumberGenerator(engines.min),
+              hooks: { onDieRolled: inner },
+            });
+          }
+        },
+      };
+      const diceRoll = new DiceRoll('4d6', { generator: new NumberGenerator(engines.max), hooks });
+
+      expect(diceRoll.output).toEqual('4d6: [6, 6, 6, 6] = 24');
+      expect(innerRoll.output).toEqual('4d6: [1, 1, 1, 1] = 4');
+      expect(outer.mock.calls).toEqual([[6], [6], [6], [6]]);
+      expect(inner).toHaveBeenCalledTimes(4);
+    });
+
+    test('are not left on the shared expressions', () => {
+      new DiceRoll('4d6', { hooks: { onDieRolled: () => {} } });
+
+      expect(Parser.compile('4d6').expressions[0].hooks).toBe(null);
+    });
+
+    test('do not change the rolls', () => {
+      const hooks = { onDieRolled: () => {}, onDieExploded: () => {} };
+
+      expect(new DiceRoll('4d6!+{2d20, 1d12}k1', { hooks, seed: 42 }).output)
+        .toEqual(new DiceRoll('4d6!+{2d20, 1d12}k1', { seed: 42 }).output);
+    });
+
+    test('throws error if invalid', () => {
+      expect(() => {
+        new DiceRoll('4d6', { hooks: { onDieRolled: 'foo' } });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Seed', () => {
+    test('defaults to null', () => {
+      expect((new DiceRoll('4d6')).seed).toBe(null);
+    });
+
+    test('can be passed in the options', () => {
+      const diceRoll = new DiceRoll('4d6dl1', { seed: 1234 });
+
+      expect(diceRoll.seed).toBe(1234);
+      expect(diceRoll.engine).toBe('MersenneTwister19937');
+      expect(diceRoll.generator).not.toBe(generator);
+      expect(diceRoll.generator.engineName).toBe('MersenneTwister19937');
+    });
+
+    test('same seed returns the same rolls', () => {
+      const notation = '4d6dl1+2d20!+{1d10, 3d4}kh1';
+
+      for (let seed = 0; seed < 20; seed += 1) {
+        const diceRoll = new DiceRoll(notation, { seed });
+
+        expect((new DiceRoll(notation, { seed })).output).toEqual(diceRoll.output);
+      }
+    });
+
+    test('different seeds return different rolls', () => {
+      const outputs = new Set();
+
+      for (let seed = 0; seed < 20; seed += 1) {
+        outputs.add((new DiceRoll('10d100', { seed })).output);
+      }
+
+      expect(outputs.size).toBe(20);
+    });
+
+    test('re-rolling returns the same rolls', () => {
+      const diceRoll = new DiceRoll('10d100', { seed: 42 });
+      const { output } = diceRoll;
+
+      diceRoll.roll();
+
+      expect(diceRoll.output).toEqual(output);
+    });
+
+    test('does not change the shared generator engine', () => {
+      new DiceRoll('4d6', { seed: 1 });
+
+      expect(generator.engine).toBe(engines.nativeMath);
+    });
+
+    test('throws error if not an integer', () => {
+      expect(() => {
+        new DiceRoll('4d6', { seed: 'foo' });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DiceRoll('4d6', { seed: 1.5 });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DiceRoll('4d6', { seed: '12' });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if used with a generator', () => {
+      expect(() => {
+        new DiceRoll('4d6', { generator: new NumberGenerator(), seed: 1 });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Variables', () => {
+    test('are empty by default', () => {
+      expect((new DiceRoll('4d6')).variables).toEqual({});
+    });
+
+    test('are used in the notation', () => {
+      const diceRoll = new DiceRoll('1d20+@str_mod+@prof', {
+        generator: new NumberGenerator(engines.max),
+        variables: { str_mod: 3, prof: 2 },
+      });
+
+      expect(diceRoll.variables).toEqual({ str_mod: 3, prof: 2 });
+      expect(diceRoll.notation).toEqual('1d20+@str_mod+@prof');
+      expect(diceRoll.output).toEqual('1d20+@str_mod+@prof: [20]+3+2 = 25');
+      expect(diceRoll.minTotal).toBe(6);
+    });
+
+    test('can be used for dice and modifiers', () => {
+      const diceRoll = new DiceRoll('(@qty)d@sides>=@target', {
+        generator: new NumberGenerator(engines.max),
+        variables: { qty: 4, sides: 8, target: 7 },
+      });
+
+      expect(diceRoll.output).toEqual('(@qty)d@sides>=@target: [8*, 8*, 8*, 8*] = 4');
+    });
+
+    test('can be used as the dice qty without parenthesis', () => {
+      const diceRoll = new DiceRoll('@qtyd@sides', {
+        generator: new NumberGenerator(engines.max),
+        variables: { qty: 4, sides: 8 },
+      });
+
+      expect(diceRoll.output).toEqual('@qtyd@sides: [8, 8, 8, 8] = 32');
+    });
+
+    test('roll no dice for a qty of zero', () => {
+      expect(new DiceRoll('@nd6+1', { variables: { n: 0 } }).total).toBe(1);
+      expect(new DiceRoll('(@n)d6', { variables: { n: 0 } }).total).toBe(0);
+    });
+
+    test('throws error for invalid values', () => {
+      expect(() => {
+        new DiceRoll('@nd6', { variables: { n: 2.5 } });
+      }).toThrow(NotationError);
+
+      expect(() => {
+        new DiceRoll('2d@s', { variables: { s: 0 } });
+      }).toThrow(NotationError);
+    });
+
+    test('cannot be changed by reference', () => {
+      const variables = { dex: 3 };
+      const diceRoll = new DiceRoll('1d20+@dex', { variables });
+
+      variables.dex = 5;
+      diceRoll.variables.dex = 5;
+
+      expect(diceRoll.variables).toEqual({ dex: 3 });
+    });
+
+    test('are used from imported data', () => {
+      const diceRoll = new DiceRoll({
+        notation: '1d20+@dex',
+        rolls: [[15], '+', 3],
+        variables: { dex: 3 },
+      });
+
+      expect(diceRoll.variables).toEqual({ dex: 3 });
+      expect(diceRoll.total).toBe(18);
+    });
+
+    test('throws error if a variable is undefined', () => {
+      expect(() => {
+        new DiceRoll('1d20+@dex');
+      }).toThrow('Undefined variable "@dex"');
+
+      expect(() => {
+        new DiceRoll('1d20+@dex', { variables: { str: 2 } });
+      }).toThrow('Undefined variable "@dex"');
+    });
+
+    test('throws error if not an object of numbers', () => {
+      expect(() => {
+        new DiceRoll('1d20+@dex', { variables: 'foo' });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DiceRoll('1d20+@dex', { variables: { dex: '3' } });
+      }).toThrow(TypeError);
+    });
+  });
+
   describe('Notation', () => {
     test('cannot be changed', () => {
       const diceRoll = new DiceRoll('4d10');
@@ -65,6 +595,20 @@ describe('DiceRoll', () => {
       }).toThrow(NotationError);
     });
 
+    test('throws error with the position if invalid syntax', () => {
+      expect(() => {
+        new DiceRoll('4d6kh');
+      }).toThrow(expect.objectContaining({
+        name: 'NotationError',
+        column: 6,
+        suggestions: ['4d6kh1'],
+      }));
+
+      expect(() => {
+        new DiceRoll({ notation: '2d6+', rolls: [[3, 4]] });
+      }).toThrow(NotationError);
+    });
+
     test('is required', () => {
       expect(() => {
         new DiceRoll();
@@ -114,22 +658,75 @@ describe('DiceRoll', () => {
 
   describe('Parsing', () => {
     test('constructor calls parser with notation', () => {
-      const spy = jest.spyOn(Parser, 'parse');
+      const spy = jest.spyOn(Parser, 'compile');
       const notation = '4d10*7d5';
 
       // initialise with string notation
       new DiceRoll(notation);
-      expect(spy).toHaveBeenCalledWith(notation);
+      expect(spy).toHaveBeenCalledWith(notation, { limits: null, variables: {} });
       expect(spy).toHaveBeenCalledTimes(1);
 
       // initialise with object notation
       new DiceRoll({ notation });
-      expect(spy).toHaveBeenCalledWith(notation);
+      expect(spy).toHaveBeenCalledWith(notation, { limits: null, variables: {} });
       expect(spy).toHaveBeenCalledTimes(2);
 
       // remove the spy
       spy.mockRestore();
     });
+
+    test('only parses the same notation once', () => {
+      const first = new DiceRoll('3d6+2');
+      const second = new DiceRoll('3d6+2');
+      const imported = new DiceRoll({ notation: '3d6+2' });
+
+      // the rolls are from the same parsed die
+      expect(second.rolls[0].rolls[0].dice).toBe(first.rolls[0].rolls[0].dice);
+      expect(imported.rolls[0].rolls[0].dice).toBe(first.rolls[0].rolls[0].dice);
+
+      expect(new DiceRoll('3d6+@a', { variables: { a: 1 } }).rolls[0].rolls[0].dice)
+        .not.toBe(new DiceRoll('3d6+@a', { variables: { a: 2 } }).rolls[0].rolls[0].dice);
+    });
+
+    test('can roll a compiled notation', () => {
+      const compiled = Parser.compile('1d6+@mod', { variables: { mod: 2 } });
+      const spy = jest.spyOn(Parser, 'compile');
+      const diceRoll = new DiceRoll(compiled, { seed: 4 });
+
+      expect(spy).not.toHaveBeenCalled();
+      expect(diceRoll.notation).toBe('1d6+@mod');
+      expect(diceRoll.variables).toEqual({ mod: 2 });
+      expect(diceRoll.output)
+        .toEqual(new DiceRoll('1d6+@mod', { seed: 4, variables: { mod: 2 } }).output);
+
+      spy.mockRestore();
+    });
+
+    test('rolls of a compiled notation are separate', () => {
+      const compiled = Parser.compile('4d6dl1');
+      const min = new DiceRoll(compiled, { generator: new NumberGenerator(engines.min) });
+      const max = new DiceRoll(compiled, { generator: new NumberGenerator(engines.max) });
+
+      expect(min.total).toBe(3);
+      expect(max.total).toBe(18);
+      expect(min.output).toEqual('4d6dl1: [1d, 1, 1, 1] = 3');
+    });
+
+    test('compiled notation is checked against the limits', () => {
+      const compiled = Parser.compile('1d6+1d6+1d6');
+
+      expect(() => {
+        new DiceRoll(compiled, { limits: { maxTerms: 2 } });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if variables are used with a compiled notation', () => {
+      expect(() => {
+        new DiceRoll(Parser.compile('1d6+@mod', { variables: { mod: 2 } }), {
+          variables: { mod: 3 },
+        });
+      }).toThrow(TypeError);
+    });
   });
 
   describe('Roll', () => {
@@ -412,6 +1009,19 @@ describe('DiceRoll', () => {
         jest.restoreAllMocks();
       });
 
+      test('a negative number after `%` is subtracted from a percentage `5%-3`', () => {
+        expect(new DiceRoll('5%-3').total).toBe(-2.95);
+        expect(new DiceRoll('5%(-3)').total).toBe(-1);
+        expect(new DiceRoll('5%3').total).toBe(2);
+      });
+
+      test('`%` binds tighter than `*` and `/`', () => {
+        expect(new DiceRoll('2*5%3').total).toBe(4);
+        expect(new DiceRoll('4*6%7').total).toBe(24);
+        expect(new DiceRoll('10/4%3').total).toBe(10);
+        expect(new DiceRoll('1d1*5%3').total).toBe(2);
+      });
+
       test('equal to rolls with equation `4d8/(5+2)d6`', () => {
         // mock the roll values
         jest.spyOn(StandardDice.prototype, 'roll')
@@ -492,6 +1102,18 @@ describe('DiceRoll', () => {
         expect(diceRoll.minTotal).toBe(2);
       });
 
+      test('returns null if a die cannot explode or re-roll', () => {
+        const diceRoll = new DiceRoll('2d6!');
+        const spy = jest.spyOn(ExplodeModifier.prototype, 'run').mockImplementation(() => {
+          throw new DieActionValueError(new StandardDice(1), 'explode');
+        });
+
+        expect(diceRoll.minTotal).toBe(null);
+        expect(diceRoll.averageTotal).toBe(null);
+
+        spy.mockRestore();
+      });
+
       test('returns `0` if no expressions', () => {
         const diceRoll = new DiceRoll('4d6');
 
@@ -576,6 +1198,108 @@ describe('DiceRoll', () => {
     });
   });
 
+  describe('Explain', () => {
+    test('lists the dice rolled and the total', () => {
+      expect(new DiceRoll('(1d4)d6', { seed: 7 }).explain()).toEqual([
+        'Rolled 1d4: [4]',
+        'Rolled 4d6: [5, 2, 3, 2]',
+        'Total: 12',
+      ]);
+    });
+
+    test('lists explosions and dropped dice', () => {
+      expect(new DiceRoll('4d6!dl1', { seed: 1 }).explain()).toEqual([
+        'Rolled 4d6: [2, 6, 1, 3]',
+        'Exploded 6 (!=6): rolled 2',
+        'Dropped the lowest 1 (dl1): 1',
+        'Total: 13',
+      ]);
+    });
+
+    test('lists each re-roll', () => {
+      expect(new DiceRoll('4d6r<3+2', { seed: 1 }).explain()).toEqual([
+        'Rolled 4d6: [2, 6, 1, 3]',
+        'Re-rolled 2 (r<3): rolled 2',
+        'Re-rolled 2 (r<3): rolled 2',
+        'Re-rolled 2 (r<3): rolled 6',
+        'Re-rolled 1 (r<3): rolled 6',
+        'Total: 21+2 = 23',
+      ]);
+    });
+
+    test('lists the success and failure counts', () => {
+      expect(new DiceRoll('5d10>=6f<=1', { seed: 3 }).explain()).toEqual([
+        'Rolled 5d10: [7, 9, 8, 8, 1]',
+        'Counted 4 successes and 1 failure (>=6f<=1)',
+        'Total: 3',
+      ]);
+    });
+
+    test('lists roll group modifiers after the sub-rolls', () => {
+      expect(new DiceRoll('{3d6,2d8}kh1', { seed: 7 }).explain()).toEqual([
+        'Rolled 3d6: [4, 5, 2]',
+        'Rolled 2d8: [7, 4]',
+        'Kept the highest 1 (kh1), dropped: 11',
+        'Total: 11',
+      ]);
+    });
+
+    test('lists each repetition', () => {
+      expect(new DiceRoll('2x4d6dl1', { seed: 7 }).explain()).toEqual([
+        'Rolled 4d6: [4, 5, 2, 3]',
+        'Dropped the lowest 1 (dl1): 2',
+        'Rolled 4d6: [2, 4, 6, 6]',
+        'Dropped the lowest 1 (dl1): 2',
+        'Total: 12+16 = 28',
+      ]);
+    });
+
+    test('lists the final rolls for imported rolls', () => {
+      const diceRoll = DiceRoll.import({
+        notation: '2d6+1',
+        rolls: [
+          { rolls: [3, 4], type: 'roll-results' },
+          '+',
+          1,
+        ],
+      });
+
+      expect(diceRoll.explain()).toEqual([
+        'Rolled [3, 4]',
+        'Total: 7+1 = 8',
+      ]);
+    });
+
+    test('steps are only described when explained', () => {
+      const spy = jest.spyOn(RollResult.prototype, 'toString');
+      const diceRoll = new DiceRoll('4d6min2dl1', { generator: new NumberGenerator(engines.min) });
+
+      expect(spy).not.toHaveBeenCalled();
+      expect(diceRoll.explain()).toEqual([
+        'Rolled 4d6: [1, 1, 1, 1]',
+        'Increased 1 to 2 (min2)',
+        'Increased 1 to 2 (min2)',
+        'Increased 1 to 2 (min2)',
+        'Increased 1 to 2 (min2)',
+        'Dropped the lowest 1 (dl1): 2',
+        'Total: 6',
+      ]);
+      expect(spy).toHaveBeenCalled();
+
+      spy.mockRestore();
+    });
+
+    test('is empty without rolls', () => {
+      const diceRoll = new DiceRoll('4d6');
+
+      jest.spyOn(diceRoll, 'hasRolls').mockImplementation(() => false);
+
+      expect(diceRoll.explain()).toEqual([]);
+
+      jest.restoreAllMocks();
+    });
+  });
+
   describe('Output', () => {
     test('returns notation and rolls as a string', () => {
       // mock the roll values
@@ -671,15 +1395,187 @@ describe('DiceRoll', () => {
         // returned properties
         expect(JSON.parse(JSON.stringify(diceRoll))).toEqual({
           averageTotal: 18,
+          engine: 'nativeMath',
           maxTotal: 32,
           minTotal: 4,
           notation: diceRoll.notation,
           output: diceRoll.output,
           rolls: JSON.parse(JSON.stringify(diceRoll.rolls)),
+          seed: null,
+          symbols: null,
           total: diceRoll.total,
+          totals: [diceRoll.total],
           type: 'dice-roll',
+          variables: {},
         });
       });
+
+      test('JSON output includes the seed and engine', () => {
+        const diceRoll = new DiceRoll('4d8', { seed: 1234 });
+        const json = JSON.parse(JSON.stringify(diceRoll));
+
+        expect(json.engine).toBe('MersenneTwister19937');
+        expect(json.seed).toBe(1234);
+      });
+    });
+
+    describe('Symbols', () => {
+      test('symbols are null without narrative dice', () => {
+        expect((new DiceRoll('4d6')).symbols).toBe(null);
+      });
+
+      test('returns the net symbols', () => {
+        const diceRoll = new DiceRoll('2dN.ability+1dN.difficulty', {
+          generator: new NumberGenerator(engines.max),
+        });
+
+        // the highest value faces; ability is `ss`, and difficulty is `tt`
+        expect(diceRoll.symbols).toEqual({ success: 4, threat: 2 });
+        expect(diceRoll.total).toBe(4);
+      });
+
+      test('output includes the net symbols', () => {
+        const diceRoll = new DiceRoll('2dN.ability+1dN.challenge', {
+          generator: new NumberGenerator(engines.min),
+        });
+
+        expect(diceRoll.output).toEqual('2dN.ability+1dN.challenge: [-, -]+[ff] = -2 (2 failure)');
+      });
+
+      test('JSON output includes the net symbols', () => {
+        const diceRoll = new DiceRoll('1dN.boost', { generator: new NumberGenerator(engines.max) });
+
+        expect(JSON.parse(JSON.stringify(diceRoll))).toEqual(expect.objectContaining({
+          symbols: { success: 1, advantage: 1 },
+          total: 1,
+        }));
+      });
+
+      test('symbols are imported', () => {
+        const diceRoll = new DiceRoll('3dN.proficiency+2dN.setback', { seed: 12 });
+        const importedRoll = DiceRoll.import(diceRoll.export());
+
+        expect(importedRoll.symbols).toEqual(diceRoll.symbols);
+        expect(importedRoll.output).toEqual(diceRoll.output);
+      });
+    });
+
+    describe('Repetition', () => {
+      test('is not repeated by default', () => {
+        const diceRoll = new DiceRoll('4d6');
+
+        expect(diceRoll.isRepeated()).toBe(false);
+        expect(diceRoll.totals).toEqual([diceRoll.total]);
+      });
+
+      test('has a total for each repetition', () => {
+        const diceRoll = new DiceRoll('6x4d6dl1');
+
+        expect(diceRoll.isRepeated()).toBe(true);
+        expect(diceRoll.rolls).toHaveLength(1);
+        expect(diceRoll.rolls[0]).toBeInstanceOf(ResultGroup);
+        expect(diceRoll.rolls[0]).toHaveLength(6);
+        expect(diceRoll.totals).toHaveLength(6);
+
+        diceRoll.totals.forEach((total) => {
+          expect(total).toBeGreaterThanOrEqual(3);
+          expect(total).toBeLessThanOrEqual(18);
+        });
+      });
+
+      test('total is the sum of the repetitions', () => {
+        const diceRoll = new DiceRoll('6x4d6dl1');
+
+        expect(diceRoll.total).toBe(diceRoll.totals.reduce((acc, total) => acc + total, 0));
+        expect(diceRoll.minTotal).toBe(18);
+        expect(diceRoll.maxTotal).toBe(108);
+      });
+
+      test('output lists each repetition', () => {
+        const diceRoll = new DiceRoll('3x4d6dl1+1', { generator: new NumberGenerator(engines.max) });
+
+        expect(diceRoll.output).toEqual('3x4d6dl1+1: [6d, 6, 6, 6]+1=19, [6d, 6, 6, 6]+1=19, [6d, 6, 6, 6]+1=19');
+      });
+
+      test('JSON output includes the totals', () => {
+        const diceRoll = new DiceRoll('2x1d20', { generator: new NumberGenerator(engines.min) });
+
+        expect(JSON.parse(JSON.stringify(diceRoll))).toEqual(expect.objectContaining({
+          total: 2,
+          totals: [1, 1],
+        }));
+      });
+
+      test('can be imported', () => {
+        const diceRoll = new DiceRoll('6x{4d6dl1, 3d6}kh1', { seed: 21 });
+        const importedRoll = DiceRoll.import(diceRoll.export(exportFormats.BASE_64));
+
+        expect(importedRoll.isRepeated()).toBe(true);
+        expect(importedRoll.totals).toEqual(diceRoll.totals);
+        expect(importedRoll.output).toEqual(diceRoll.output);
+        expect(importedRoll.export()).toEqual(diceRoll.export());
+      });
+    });
+
+    describe('Rolled qty and sides', () => {
+      test('output includes the qty roll', () => {
+        const diceRoll = new DiceRoll('(1d4)d6', { generator: new NumberGenerator(engines.max) });
+
+        expect(diceRoll.output).toEqual('(1d4)d6: ([4])[6, 6, 6, 6] = 24');
+      });
+
+      test('output includes the sides roll', () => {
+        const diceRoll = new DiceRoll('2d(1d6+2)', { generator: new NumberGenerator(engines.min) });
+
+        expect(diceRoll.output).toEqual('2d(1d6+2): ([1]+2)[1, 1] = 2');
+      });
+
+      test('rolls no dice if the sides roll is less than one', () => {
+        const diceRoll = new DiceRoll('1d(1d6-6)', { generator: new NumberGenerator(engines.min) });
+
+        expect(diceRoll.output).toEqual('1d(1d6-6): ([1]-6)[] = 0');
+        expect(diceRoll.minTotal).toBe(0);
+        expect(diceRoll.maxTotal).toBe(0);
+      });
+
+      test('does not explode, re-roll, or remove duplicates if the sides roll is one', () => {
+        ['2d(1d6)!', '2d(1d6)r', '2d(1d6)u'].forEach((notation) => {
+          const diceRoll = new DiceRoll(notation, { generator: new NumberGenerator(engines.min) });
+
+          expect(diceRoll.output).toEqual(`${notation}: ([1])[1, 1] = 2`);
+          expect(diceRoll.minTotal).toBe(2);
+          expect(() => diceRoll.toJSON()).not.toThrow();
+        });
+      });
+
+      test('rounds the qty and sides rolls down', () => {
+        const diceRoll = new DiceRoll('(1d6/4)d6', { generator: new NumberGenerator(engines.max) });
+
+        expect(diceRoll.rolls[0]).toHaveLength(1);
+        expect(diceRoll.minTotal).toBe(0);
+        expect(diceRoll.maxTotal).toBe(6);
+        expect(new DiceRoll('2d(1d6/4)', { generator: new NumberGenerator(engines.max) }).output)
+          .toEqual('2d(1d6/4): ([6]/4)[1, 1] = 2');
+      });
+
+      test('total does not include the qty or sides roll', () => {
+        const diceRoll = new DiceRoll('(1d4)d6+1');
+
+        expect(diceRoll.total).toBe(diceRoll.rolls[0].value + 1);
+        expect(diceRoll.minTotal).toBe(2);
+        expect(diceRoll.maxTotal).toBe(25);
+      });
+
+      test('can be imported', () => {
+        const diceRoll = new DiceRoll('(1d4)d(2d6)+2d(1d4)', { seed: 4 });
+        const importedRoll = DiceRoll.import(diceRoll.export(exportFormats.BASE_64));
+
+        expect(importedRoll.rolls[0].qtyResults).toBeInstanceOf(ResultGroup);
+        expect(importedRoll.rolls[0].sidesResults).toBeInstanceOf(ResultGroup);
+        expect(importedRoll.rolls[2].sidesResults).toBeInstanceOf(ResultGroup);
+        expect(importedRoll.output).toEqual(diceRoll.output);
+        expect(importedRoll.export()).toEqual(diceRoll.export());
+      });
     });
 
     describe('toString', () => {
@@ -778,6 +1674,51 @@ describe('DiceRoll', () => {
       }).toThrow(RequiredArgumentError);
     });
 
+    test('imports the seed and engine', () => {
+      const seededRoll = new DiceRoll('4d6dl1', { seed: 99 });
+      const importedRoll = DiceRoll.import(seededRoll.export());
+
+      expect(importedRoll.seed).toBe(99);
+      expect(importedRoll.engine).toBe('MersenneTwister19937');
+      expect(importedRoll.output).toEqual(seededRoll.output);
+      expect(importedRoll.export()).toEqual(seededRoll.export());
+    });
+
+    test('seed can be used to verify the rolls', () => {
+      const { notation, output, seed } = DiceRoll.import(
+        (new DiceRoll('8d10!+2d20kh1', { seed: 5 })).export(exportFormats.BASE_64),
+      );
+
+      expect((new DiceRoll(notation, { seed })).output).toEqual(output);
+    });
+
+    test('imports the seed without rolls', () => {
+      const importedRoll = DiceRoll.import({ notation: '10d100', seed: 7 });
+
+      expect(importedRoll.seed).toBe(7);
+      expect(importedRoll.output).toEqual((new DiceRoll('10d100', { seed: 7 })).output);
+    });
+
+    test('can import variables', () => {
+      const variableRoll = new DiceRoll('2d6+@mod', { variables: { mod: 4 } });
+      const importedRoll = DiceRoll.import(variableRoll.export(exportFormats.BASE_64));
+
+      expect(importedRoll.variables).toEqual({ mod: 4 });
+      expect(importedRoll.output).toEqual(variableRoll.output);
+      expect(importedRoll.total).toEqual(variableRoll.total);
+    });
+
+    test('can import nested result groups', () => {
+      const groupRoll = new DiceRoll('{4d6+2, 2d8}kh1+3');
+      const importedRoll = DiceRoll.import(groupRoll.export());
+
+      expect(importedRoll.rolls[0]).toBeInstanceOf(ResultGroup);
+      expect(importedRoll.rolls[0].results[0]).toBeInstanceOf(ResultGroup);
+      expect(importedRoll.rolls[0].results[0].results[0]).toBeInstanceOf(RollResults);
+      expect(importedRoll.output).toEqual(groupRoll.output);
+      expect(importedRoll.total).toEqual(groupRoll.total);
+    });
+
     test('can import JSON encoded string', () => {
       const exported = diceRoll.export(exportFormats.JSON);
       const importedRoll = DiceRoll.import(exported);
@@ -844,4 +1785,47 @@ describe('DiceRoll', () => {
       }).toThrow(DataFormatError);
     });
   });
+
+  describe('Registered dice', () => {
+    class CoinDice extends StandardDice {
+      constructor(qty = 1) {
+        super('C', qty, null, 0, 1);
+      }
+
+      // eslint-disable-next-line class-methods-use-this
+      get name() {
+        return 'coin';
+      }
+    }
+
+    beforeEach(() => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+    });
+
+    afterEach(() => {
+      DiceRegistry.unregister('coin');
+    });
+
+    test('are rolled and totalled', () => {
+      const diceRoll = new DiceRoll('4dC+1', { generator: new NumberGenerator(engines.max) });
+
+      expect(diceRoll.output).toEqual('4dC+1: [1, 1, 1, 1]+1 = 5');
+      expect(diceRoll.minTotal).toBe(1);
+      expect(diceRoll.maxTotal).toBe(5);
+    });
+
+    test('modifiers are applied', () => {
+      const diceRoll = new DiceRoll('(1d4)dCkh1', { generator: new NumberGenerator(engines.max) });
+
+      expect(diceRoll.output).toEqual('(1d4)dCkh1: ([4])[1d, 1d, 1d, 1] = 1');
+    });
+
+    test('can be imported', () => {
+      const diceRoll = new DiceRoll('{4dC, 1d6}k1', { seed: 12 });
+      const importedRoll = DiceRoll.import(diceRoll.export(exportFormats.BASE_64));
+
+      expect(importedRoll.output).toEqual(diceRoll.output);
+      expect(importedRoll.export()).toEqual(diceRoll.export());
+    });
+  });
 });
@@ -1,7 +1,12 @@
-import { DataFormatError, NotationError, RequiredArgumentError } from '../src/exceptions/index.js';
+import {
+  DataFormatError, LimitError, NotationError, RequiredArgumentError,
+} from '../src/exceptions/index.js';
 import DiceRoll from '../src/DiceRoll.js';
 import DiceRoller from '../src/DiceRoller.js';
+import Limits from '../src/Limits.js';
+import RollHooks from '../src/RollHooks.js';
 import exportFormats from '../src/utilities/ExportFormats.js';
+import { engines, generator, NumberGenerator } from '../src/utilities/NumberGenerator.js';
 
 describe('DiceRoller', () => {
   let roller;
@@ -20,9 +25,12 @@ describe('DiceRoller', () => {
         clearLog: expect.any(Function),
         export: expect.any(Function),
         import: expect.any(Function),
+        removeLast: expect.any(Function),
         toJSON: expect.any(Function),
         toString: expect.any(Function),
         roll: expect.any(Function),
+        off: expect.any(Function),
+        on: expect.any(Function),
       }));
     });
 
@@ -39,6 +47,159 @@ describe('DiceRoller', () => {
     });
   });
 
+  describe('Generator', () => {
+    test('defaults to the shared generator', () => {
+      expect(roller.generator).toBe(generator);
+    });
+
+    test('is passed to each roll', () => {
+      const numberGenerator = new NumberGenerator(engines.max);
+      roller = new DiceRoller(null, { generator: numberGenerator });
+
+      const roll = roller.roll('4d6');
+
+      expect(roller.generator).toBe(numberGenerator);
+      expect(roll.generator).toBe(numberGenerator);
+      expect(roll.total).toBe(24);
+    });
+
+    test('throws error if not a NumberGenerator', () => {
+      expect(() => {
+        new DiceRoller(null, { generator: 'foo' });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Limits', () => {
+    test('are not limited by default', () => {
+      expect(roller.limits).toBe(null);
+      expect(roller.roll('4d6').limits).toBe(null);
+    });
+
+    test('can be passed in the options', () => {
+      const limits = new Limits({ maxDice: 10 });
+
+      expect((new DiceRoller(null, { limits })).limits).toBe(limits);
+      expect((new DiceRoller(null, { limits: { maxDice: 10 } })).limits).toEqual(limits);
+    });
+
+    test('are used for each roll', () => {
+      roller = new DiceRoller(null, { limits: { maxDice: 10 } });
+
+      const [first, second] = roller.roll('4d6', '6d6');
+
+      expect(first.limits).toBe(roller.limits);
+      expect(second.limits).toBe(roller.limits);
+
+      expect(() => {
+        roller.roll('11d6');
+      }).toThrow(LimitError);
+    });
+
+    test('are per roll, not for the whole log', () => {
+      roller = new DiceRoller(null, { limits: { maxDice: 10 } });
+
+      roller.roll('10d6');
+      roller.roll('10d6');
+
+      expect(roller.log).toHaveLength(2);
+    });
+
+    test('are used for imported rolls', () => {
+      roller = new DiceRoller(null, { limits: { maxDice: 10 } });
+
+      roller.import([{ notation: '4d6' }]);
+
+      expect(roller.log[0].limits).toBe(roller.limits);
+
+      expect(() => {
+        roller.import([{ notation: '4d6' }, { notation: '11d6' }]);
+      }).toThrow(LimitError);
+
+      expect(roller.log).toHaveLength(1);
+    });
+
+    test('throws error if invalid', () => {
+      expect(() => {
+        new DiceRoller(null, { limits: { maxDice: -1 } });
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Seed', () => {
+    test('defaults to null', () => {
+      expect(roller.seed).toBe(null);
+      expect(roller.roll('4d6').seed).toBe(null);
+    });
+
+    test('gives each roll its own seed', () => {
+      roller = new DiceRoller(null, { seed: 1234 });
+
+      const [first, second] = roller.roll('4d6', '4d6');
+
+      expect(roller.seed).toBe(1234);
+      expect(first.seed).toEqual(expect.any(Number));
+      expect(second.seed).toEqual(expect.any(Number));
+      expect(first.seed).not.toBe(second.seed);
+      expect(new DiceRoll('4d6', { seed: first.seed }).output).toEqual(first.output);
+    });
+
+    test('rolls the same for the same seed', () => {
+      const rollerA = new DiceRoller(null, { seed: 1234 });
+      const rollerB = new DiceRoller(null, { seed: 1234 });
+
+      rollerA.roll('4d6', '1d20', '2d10!');
+      rollerB.roll('4d6', '1d20', '2d10!');
+
+      expect(rollerA.output).toEqual(rollerB.output);
+      expect(rollerA.log.map(({ seed }) => seed)).toEqual(rollerB.log.map(({ seed }) => seed));
+    });
+
+    test('throws error if invalid', () => {
+      expect(() => {
+        new DiceRoller(null, { seed: 'foo' });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DiceRoller(null, { seed: 1, generator: new NumberGenerator() });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Hooks', () => {
+    test('default to null', () => {
+      expect(roller.hooks).toBe(null);
+      expect(roller.roll('4d6').hooks).toBe(null);
+    });
+
+    test('can be set in the constructor', () => {
+      const hooks = new RollHooks();
+
+      expect((new DiceRoller(null, { hooks })).hooks).toBe(hooks);
+      expect((new DiceRoller(null, { hooks: { onDieRolled: () => {} } })).hooks)
+        .toBeInstanceOf(RollHooks);
+    });
+
+    test('are used for each roll', () => {
+      const onDieRolled = jest.fn();
+
+      roller = new DiceRoller(null, { hooks: { onDieRolled } });
+
+      const first = roller.roll('4d6');
+      const second = roller.roll('2d8');
+
+      expect(first.hooks).toBe(roller.hooks);
+      expect(second.hooks).toBe(roller.hooks);
+      expect(onDieRolled).toHaveBeenCalledTimes(6);
+    });
+
+    test('throws error if invalid', () => {
+      expect(() => {
+        new DiceRoller(null, { hooks: { onDieDropped: 5 } });
+      }).toThrow(TypeError);
+    });
+  });
+
   describe('Rolling', () => {
     test('rolling single notation returns DiceRoll object', () => {
       const roll = roller.roll('4d6+5d8');
@@ -99,6 +260,12 @@ describe('DiceRoller', () => {
         roller.roll(45);
       }).toThrow(NotationError);
     });
+
+    test('throws error if notation is invalid', () => {
+      expect(() => {
+        roller.roll('d%%');
+      }).toThrow('Notation "d%%" is invalid at line 1, column 4');
+    });
   });
 
   describe('Log', () => {
@@ -155,6 +322,18 @@ describe('DiceRoller', () => {
       expect(roller.log).toHaveLength(0);
     });
 
+    test('can remove the last roll', () => {
+      const [first, second] = roller.roll('2d4', '3d6');
+
+      expect(roller.removeLast()).toBe(second);
+      expect(roller.log).toEqual([first]);
+
+      expect(roller.removeLast()).toBe(first);
+      expect(roller.log).toEqual([]);
+
+      expect(roller.removeLast()).toBe(null);
+    });
+
     test('cannot modify log', () => {
       expect(() => {
         roller.log = [];
@@ -404,6 +583,299 @@ describe('DiceRoller', () => {
           roller.import({ log: 'foo' });
         }).toThrow(TypeError);
       });
+
+      test('does not import any rolls if one is invalid', () => {
+        expect(() => {
+          roller.import([new DiceRoll('4d6'), { notation: '4x' }]);
+        }).toThrow(NotationError);
+
+        expect(roller.log).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('Events', () => {
+    test('calls `roll` listeners with each roll', () => {
+      const listener = jest.fn();
+      roller.on('roll', listener);
+
+      const rolls = roller.roll('4d6', '1d20');
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenNthCalledWith(1, rolls[0]);
+      expect(listener).toHaveBeenNthCalledWith(2, rolls[1]);
+    });
+
+    test('calls listeners after the log has changed', () => {
+      roller.on('roll', function listener(diceRoll) {
+        expect(this).toBe(roller);
+        expect(this.log).toContain(diceRoll);
+      });
+
+      expect.assertions(2);
+
+      roller.roll('4d6');
+    });
+
+    test('calls `import` listeners with the imported rolls', () => {
+      const listener = jest.fn();
+      const data = new DiceRoller();
+      data.roll('4d6', '1d20');
+      roller.roll('1d6');
+      roller.on('import', listener);
+
+      roller.import(data.export(exportFormats.BASE_64));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(roller.log.slice(1));
+    });
+
+    test('does not call `import` listeners for invalid data', () => {
+      const listener = jest.fn();
+      roller.on('import', listener);
+
+      expect(() => {
+        roller.import([new DiceRoll('4d6'), { notation: '4x' }]);
+      }).toThrow(NotationError);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('calls `clear` listeners with the removed rolls', () => {
+      const listener = jest.fn();
+      const rolls = roller.roll('4d6', '1d20');
+      roller.on('clear', listener);
+
+      roller.clearLog();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(rolls);
+      expect(roller.log).toHaveLength(0);
+    });
+
+    test('calls `remove` listeners with the removed roll', () => {
+      const listeners = {
+        clear: jest.fn(), import: jest.fn(), remove: jest.fn(), roll: jest.fn(),
+      };
+      const [first, second] = roller.roll('4d6', '1d20');
+      Object.entries(listeners).forEach(([event, listener]) => roller.on(event, listener));
+
+      roller.removeLast();
+
+      expect(listeners.remove).toHaveBeenCalledTimes(1);
+      expect(listeners.remove).toHaveBeenCalledWith(second);
+      expect(listeners.clear).not.toHaveBeenCalled();
+      expect(listeners.import).not.toHaveBeenCalled();
+      expect(listeners.roll).not.toHaveBeenCalled();
+      expect(roller.log).toEqual([first]);
+    });
+
+    test('does not call `remove` listeners if the log is empty', () => {
+      const listener = jest.fn();
+      roller.on('remove', listener);
+
+      roller.removeLast();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('calls multiple listeners in order', () => {
+      const calls = [];
+      roller.on('roll', () => calls.push(1));
+      roller.on('roll', () => calls.push(2));
+
+      roller.roll('4d6');
+
+      expect(calls).toEqual([1, 2]);
+    });
+
+    test('only calls listeners for their event', () => {
+      const listener = jest.fn();
+      roller.on('clear', listener);
+
+      roller.roll('4d6');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('does not share listeners between rollers', () => {
+      const listener = jest.fn();
+      roller.on('roll', listener);
+
+      new DiceRoller().roll('4d6');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('`on` and `off` are chainable', () => {
+      const listener = jest.fn();
+
+      expect(roller.on('roll', listener)).toBe(roller);
+      expect(roller.off('roll', listener)).toBe(roller);
+    });
+
+    test('can remove a listener', () => {
+      const listener = jest.fn();
+      const otherListener = jest.fn();
+      roller.on('roll', listener);
+      roller.on('roll', otherListener);
+
+      roller.off('roll', listener);
+      roller.roll('4d6');
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(otherListener).toHaveBeenCalledTimes(1);
+    });
+
+    test('can remove all the listeners for an event', () => {
+      const listener = jest.fn();
+      const clearListener = jest.fn();
+      roller.on('roll', listener);
+      roller.on('roll', listener);
+      roller.on('clear', clearListener);
+
+      roller.off('roll');
+      roller.roll('4d6');
+      roller.clearLog();
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(clearListener).toHaveBeenCalledTimes(1);
+    });
+
+    test('removing an unknown listener does nothing', () => {
+      const listener = jest.fn();
+      roller.on('roll', listener);
+
+      roller.off('roll', () => {});
+      roller.roll('4d6');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('listeners removed while emitting are still called', () => {
+      const calls = [];
+      const second = () => calls.push(2);
+      roller.on('roll', () => {
+        calls.push(1);
+        roller.off('roll', second);
+      });
+      roller.on('roll', second);
+
+      roller.roll('4d6');
+      roller.roll('4d6');
+
+      expect(calls).toEqual([1, 2, 1]);
+    });
+
+    test('errors thrown by listeners do not stop the other listeners', () => {
+      const onError = jest.fn();
+      const otherListener = jest.fn();
+      const throwError = () => {
+        throw new Error('foo');
+      };
+      roller.on('error', onError);
+      roller.on('roll', throwError);
+      roller.on('roll', otherListener);
+      roller.on('import', throwError);
+      roller.on('remove', throwError);
+      roller.on('clear', throwError);
+
+      let roll;
+
+      expect(() => {
+        roll = roller.roll('4d6');
+      }).not.toThrow();
+      expect(roll).toBeInstanceOf(DiceRoll);
+      expect(otherListener).toHaveBeenCalledWith(roll);
+      expect(roller.log).toEqual([roll]);
+
+      expect(() => {
+        roller.import([new DiceRoll('1d6')]);
+      }).not.toThrow();
+      expect(roller.log).toHaveLength(2);
+
+      expect(roller.removeLast()).toBeInstanceOf(DiceRoll);
+      expect(roller.log).toEqual([roll]);
+
+      expect(() => {
+        roller.clearLog();
+      }).not.toThrow();
+      expect(roller.log).toEqual([]);
+
+      expect(onError).toHaveBeenCalledTimes(4);
+      expect(onError).toHaveBeenCalledWith(new Error('foo'));
+      expect(onError.mock.contexts[0]).toBe(roller);
+    });
+
+    test('errors thrown by listeners are re-thrown if there are no error listeners', () => {
+      const tasks = [];
+      const spy = jest.spyOn(global, 'queueMicrotask').mockImplementation((task) => {
+        tasks.push(task);
+      });
+      const otherListener = jest.fn();
+
+      roller.on('roll', () => {
+        throw new Error('foo');
+      });
+      roller.on('roll', otherListener);
+
+      expect(() => {
+        roller.roll('4d6');
+      }).not.toThrow();
+      expect(otherListener).toHaveBeenCalledTimes(1);
+      expect(roller.log).toHaveLength(1);
+
+      spy.mockRestore();
+
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0]).toThrow('foo');
+    });
+
+    test('errors thrown by error listeners are re-thrown', () => {
+      const tasks = [];
+      const spy = jest.spyOn(global, 'queueMicrotask').mockImplementation((task) => {
+        tasks.push(task);
+      });
+
+      roller.on('error', () => {
+        throw new Error('bar');
+      });
+      roller.on('roll', () => {
+        throw new Error('foo');
+      });
+
+      expect(() => {
+        roller.roll('4d6');
+      }).not.toThrow();
+
+      spy.mockRestore();
+
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0]).toThrow('bar');
+    });
+
+    test('throws error for invalid event', () => {
+      expect(() => {
+        roller.on('foo', () => {});
+      }).toThrow(TypeError);
+
+      expect(() => {
+        roller.off('foo');
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for invalid listener', () => {
+      expect(() => {
+        roller.on('roll');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        roller.on('roll', 'foo');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        roller.off('roll', 'foo');
+      }).toThrow(TypeError);
     });
   });
 });
@@ -0,0 +1,112 @@
+import Limits from '../src/Limits.js';
+
+const names = [
+  'maxDepth', 'maxDice', 'maxIterations', 'maxNotationLength', 'maxSides', 'maxTerms', 'timeout',
+];
+
+describe('Limits', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(new Limits()).toEqual(expect.objectContaining({
+        maxDepth: Infinity,
+        maxDice: Infinity,
+        maxIterations: Infinity,
+        maxNotationLength: Infinity,
+        maxSides: Infinity,
+        maxTerms: Infinity,
+        timeout: Infinity,
+        toJSON: expect.any(Function),
+      }));
+    });
+
+    test('can set limits in the constructor', () => {
+      const limits = new Limits({
+        maxDepth: 2,
+        maxDice: 100,
+        maxIterations: 50,
+        maxNotationLength: 200,
+        maxSides: 1000,
+        maxTerms: 10,
+        timeout: 25,
+      });
+
+      expect(limits.maxDepth).toBe(2);
+      expect(limits.maxDice).toBe(100);
+      expect(limits.maxIterations).toBe(50);
+      expect(limits.maxNotationLength).toBe(200);
+      expect(limits.maxSides).toBe(1000);
+      expect(limits.maxTerms).toBe(10);
+      expect(limits.timeout).toBe(25);
+    });
+  });
+
+  describe('Properties', () => {
+    test.each(names)('%s can be changed', (name) => {
+      const limits = new Limits();
+
+      limits[name] = 5;
+      expect(limits[name]).toBe(5);
+
+      limits[name] = 0;
+      expect(limits[name]).toBe(0);
+
+      limits[name] = null;
+      expect(limits[name]).toBe(Infinity);
+
+      limits[name] = Infinity;
+      expect(limits[name]).toBe(Infinity);
+    });
+
+    test.each(names)('%s must be an integer', (name) => {
+      const limits = new Limits();
+
+      expect(() => {
+        limits[name] = 1.5;
+      }).toThrow(TypeError);
+
+      expect(() => {
+        limits[name] = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        limits[name] = '5';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new Limits({ [name]: NaN });
+      }).toThrow(TypeError);
+    });
+
+    test.each(names)('%s must be zero or greater', (name) => {
+      expect(() => {
+        new Limits({ [name]: -1 });
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const limits = new Limits({ maxDice: 100, timeout: 25 });
+
+      expect(JSON.parse(JSON.stringify(limits))).toEqual({
+        maxDepth: null,
+        maxDice: 100,
+        maxIterations: null,
+        maxNotationLength: null,
+        maxSides: null,
+        maxTerms: null,
+        timeout: 25,
+        type: 'limits',
+      });
+    });
+
+    test('can be re-created from JSON output', () => {
+      const limits = new Limits({ maxDepth: 3, maxIterations: 20 });
+      const copy = new Limits(limits.toJSON());
+
+      expect(copy.maxDepth).toBe(3);
+      expect(copy.maxIterations).toBe(20);
+      expect(copy.maxDice).toBe(Infinity);
+    });
+  });
+});
@@ -1,3 +1,4 @@
+import DynamicDice from '../src/dice/DynamicDice.js';
 import StandardDice from '../src/dice/StandardDice.js';
 import FudgeDice from '../src/dice/FudgeDice.js';
 import PercentileDice from '../src/dice/PercentileDice.js';
@@ -7,7 +8,9 @@ import Modifier from '../src/modifiers/Modifier.js';
 import ResultGroup from '../src/results/ResultGroup.js';
 import RollResults from '../src/results/RollResults.js';
 import RollGroup from '../src/RollGroup.js';
+import RollHooks from '../src/RollHooks.js';
 import Description from '../src/Description.js';
+import { generator, NumberGenerator } from '../src/utilities/NumberGenerator.js';
 
 describe('RollGroup', () => {
   let group;
@@ -188,6 +191,14 @@ describe('RollGroup', () => {
         expect(group.expressions).toEqual([[dice[0]], [dice[1]], [dice[2]]]);
       });
 
+      test('items can be dice with a rolled qty', () => {
+        const dice = new DynamicDice(new StandardDice(6), [new StandardDice(4)]);
+
+        group.expressions = [[dice]];
+        expect(group.expressions).toEqual([[dice]]);
+        expect(group.roll().results[0].results[0].qtyResults).toBeInstanceOf(ResultGroup);
+      });
+
       test('items can be number', () => {
         group.expressions = [[4], [7], [346346], [-338.6]];
         expect(group.expressions).toEqual([[4], [7], [346346], [-338.6]]);
@@ -467,6 +478,76 @@ describe('RollGroup', () => {
     });
   });
 
+  describe('Generator', () => {
+    test('defaults to the shared generator', () => {
+      expect(group.generator).toBe(generator);
+    });
+
+    test('setting passes it to the dice', () => {
+      const numberGenerator = new NumberGenerator();
+
+      group.generator = numberGenerator;
+
+      expect(group.generator).toBe(numberGenerator);
+      expect(expressions[1][0].generator).toBe(numberGenerator);
+      expect(expressions[2][0].generator).toBe(numberGenerator);
+      expect(expressions[2][2].generator).toBe(numberGenerator);
+    });
+
+    test('setting to falsey uses the shared generator', () => {
+      group.generator = new NumberGenerator();
+      group.generator = null;
+
+      expect(group.generator).toBe(generator);
+      expect(expressions[1][0].generator).toBe(generator);
+    });
+
+    test('throws error if not a NumberGenerator', () => {
+      expect(() => {
+        group.generator = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        group.generator = {};
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Hooks', () => {
+    test('default to null', () => {
+      expect(group.hooks).toBe(null);
+    });
+
+    test('setting passes them to the dice', () => {
+      const hooks = new RollHooks();
+
+      group.hooks = hooks;
+
+      expect(group.hooks).toBe(hooks);
+      expect(expressions[1][0].hooks).toBe(hooks);
+      expect(expressions[2][0].hooks).toBe(hooks);
+      expect(expressions[2][2].hooks).toBe(hooks);
+    });
+
+    test('setting to falsey removes them from the dice', () => {
+      group.hooks = new RollHooks();
+      group.hooks = null;
+
+      expect(group.hooks).toBe(null);
+      expect(expressions[1][0].hooks).toBe(null);
+    });
+
+    test('throws error if not RollHooks', () => {
+      expect(() => {
+        group.hooks = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        group.hooks = {};
+      }).toThrow(TypeError);
+    });
+  });
+
   describe('Output', () => {
     describe('With single-line description', () => {
       test('JSON output is correct', () => {
@@ -0,0 +1,124 @@
+import RollHooks from '../src/RollHooks.js';
+
+const names = ['onDieDropped', 'onDieExploded', 'onDieRerolled', 'onDieRolled'];
+
+describe('RollHooks', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(new RollHooks()).toEqual(expect.objectContaining({
+        onDieDropped: null,
+        onDieExploded: null,
+        onDieRerolled: null,
+        onDieRolled: null,
+        toJSON: expect.any(Function),
+        trigger: expect.any(Function),
+      }));
+    });
+
+    test('can set hooks in the constructor', () => {
+      const onDieDropped = jest.fn();
+      const onDieExploded = jest.fn();
+      const onDieRerolled = jest.fn();
+      const onDieRolled = jest.fn();
+      const hooks = new RollHooks({
+        onDieDropped, onDieExploded, onDieRerolled, onDieRolled,
+      });
+
+      expect(hooks.onDieDropped).toBe(onDieDropped);
+      expect(hooks.onDieExploded).toBe(onDieExploded);
+      expect(hooks.onDieRerolled).toBe(onDieRerolled);
+      expect(hooks.onDieRolled).toBe(onDieRolled);
+    });
+  });
+
+  describe('Properties', () => {
+    test.each(names)('%s can be changed', (name) => {
+      const hooks = new RollHooks();
+      const hook = jest.fn();
+
+      hooks[name] = hook;
+      expect(hooks[name]).toBe(hook);
+
+      hooks[name] = null;
+      expect(hooks[name]).toBe(null);
+
+      hooks[name] = undefined;
+      expect(hooks[name]).toBe(null);
+    });
+
+    test.each(names)('%s must be a function or null', (name) => {
+      const hooks = new RollHooks();
+
+      expect(() => {
+        hooks[name] = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        hooks[name] = 5;
+      }).toThrow(TypeError);
+
+      expect(() => {
+        hooks[name] = {};
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new RollHooks({ [name]: true });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Trigger', () => {
+    test('calls the hook with the event', () => {
+      const onDieRolled = jest.fn();
+      const hooks = new RollHooks({ onDieRolled });
+      const event = { value: 4, reason: 'roll' };
+
+      hooks.trigger('onDieRolled', event);
+
+      expect(onDieRolled).toHaveBeenCalledTimes(1);
+      expect(onDieRolled).toHaveBeenCalledWith(event);
+    });
+
+    test('only calls the named hook', () => {
+      const onDieRolled = jest.fn();
+      const onDieExploded = jest.fn();
+      const hooks = new RollHooks({ onDieExploded, onDieRolled });
+
+      hooks.trigger('onDieExploded', {});
+
+      expect(onDieExploded).toHaveBeenCalledTimes(1);
+      expect(onDieRolled).not.toHaveBeenCalled();
+    });
+
+    test('does nothing if the hook is not set', () => {
+      const hooks = new RollHooks();
+
+      expect(() => {
+        hooks.trigger('onDieRolled', {});
+      }).not.toThrow();
+    });
+
+    test('throws error if name is not a hook', () => {
+      const hooks = new RollHooks();
+
+      expect(() => {
+        hooks.trigger('foo', {});
+      }).toThrow(TypeError);
+
+      expect(() => {
+        hooks.trigger('toJSON', {});
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const hooks = new RollHooks({ onDieExploded: jest.fn(), onDieRolled: jest.fn() });
+
+      expect(JSON.parse(JSON.stringify(hooks))).toEqual({
+        hooks: ['onDieExploded', 'onDieRolled'],
+        type: 'roll-hooks',
+      });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import { StandardDice } from '../src/dice/index.js';
+import { RequiredArgumentError } from '../src/exceptions/index.js';
+import { DropModifier } from '../src/modifiers/index.js';
+import ResultGroup from '../src/results/ResultGroup.js';
+import RollResults from '../src/results/RollResults.js';
+import RollGroup from '../src/RollGroup.js';
+import RollHooks from '../src/RollHooks.js';
+import RollRepetition from '../src/RollRepetition.js';
+import { engines, generator, NumberGenerator } from '../src/utilities/NumberGenerator.js';
+
+describe('RollRepetition', () => {
+  let die;
+  let repetition;
+
+  beforeEach(() => {
+    die = new StandardDice(6, 4, [new DropModifier('l', 1)]);
+    repetition = new RollRepetition(6, [die]);
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(repetition).toBeInstanceOf(RollRepetition);
+      expect(repetition).toEqual(expect.objectContaining({
+        count: 6,
+        expressions: [die],
+        generator,
+        hooks: null,
+        notation: '6x4d6dl1',
+        roll: expect.any(Function),
+        toJSON: expect.any(Function),
+        toString: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Count', () => {
+    test('count is required', () => {
+      expect(() => {
+        new RollRepetition(null, [die]);
+      }).toThrow(RequiredArgumentError);
+
+      expect(() => {
+        new RollRepetition(undefined, [die]);
+      }).toThrow(RequiredArgumentError);
+    });
+
+    test('count must be an integer', () => {
+      expect(() => {
+        new RollRepetition('foo', [die]);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new RollRepetition(2.5, [die]);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new RollRepetition([], [die]);
+      }).toThrow(TypeError);
+    });
+
+    test('count must be between 1 and 999', () => {
+      expect(() => {
+        new RollRepetition(0, [die]);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollRepetition(-1, [die]);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollRepetition(1000, [die]);
+      }).toThrow(RangeError);
+
+      expect((new RollRepetition('3', [die])).count).toBe(3);
+    });
+  });
+
+  describe('Expressions', () => {
+    test('expressions are required', () => {
+      expect(() => {
+        new RollRepetition(2);
+      }).toThrow(RequiredArgumentError);
+    });
+
+    test('expressions must be a non-empty array', () => {
+      expect(() => {
+        new RollRepetition(2, []);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new RollRepetition(2, die);
+      }).toThrow(TypeError);
+    });
+
+    test('expressions must be dice, groups, numbers, or strings', () => {
+      expect(() => {
+        new RollRepetition(2, [die, '+', {}]);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new RollRepetition(2, [new RollGroup([[die]]), '*', 2]);
+      }).not.toThrow();
+    });
+
+    test('cannot be changed by reference', () => {
+      repetition.expressions.push('+');
+
+      expect(repetition.expressions).toEqual([die]);
+    });
+  });
+
+  describe('Notation', () => {
+    test('includes the count and expression', () => {
+      expect((new RollRepetition(3, [die, '+', 2])).notation).toEqual('3x4d6dl1+2');
+      expect((new RollRepetition(2, [new RollGroup([[die], [new StandardDice(8)]])])).notation)
+        .toEqual('2x{4d6dl1, 1d8}');
+    });
+
+    test('toString returns the notation', () => {
+      expect(repetition.toString()).toEqual('6x4d6dl1');
+    });
+  });
+
+  describe('Generator', () => {
+    test('setting passes it to the dice', () => {
+      const numberGenerator = new NumberGenerator();
+      const group = new RollGroup([[new StandardDice(8)]]);
+
+      repetition = new RollRepetition(2, [die, '+', group]);
+      repetition.generator = numberGenerator;
+
+      expect(repetition.generator).toBe(numberGenerator);
+      expect(die.generator).toBe(numberGenerator);
+      expect(group.generator).toBe(numberGenerator);
+    });
+
+    test('throws error if not a NumberGenerator', () => {
+      expect(() => {
+        repetition.generator = 'foo';
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Hooks', () => {
+    test('default to null', () => {
+      expect(repetition.hooks).toBe(null);
+    });
+
+    test('setting passes them to the dice', () => {
+      const hooks = new RollHooks();
+      const group = new RollGroup([[new StandardDice(8)]]);
+
+      repetition = new RollRepetition(2, [die, '+', group]);
+      repetition.hooks = hooks;
+
+      expect(repetition.hooks).toBe(hooks);
+      expect(die.hooks).toBe(hooks);
+      expect(group.hooks).toBe(hooks);
+    });
+
+    test('throws error if not RollHooks', () => {
+      expect(() => {
+        repetition.hooks = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        repetition.hooks = { onDieRolled: () => {} };
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Roll', () => {
+    test('returns a result group for each repetition', () => {
+      const results = repetition.roll();
+
+      expect(results).toBeInstanceOf(ResultGroup);
+      expect(results).toHaveLength(6);
+
+      results.results.forEach((result) => {
+        expect(result).toBeInstanceOf(ResultGroup);
+        expect(result.results).toHaveLength(1);
+        expect(result.results[0]).toBeInstanceOf(RollResults);
+        expect(result.results[0]).toHaveLength(4);
+      });
+    });
+
+    test('rolls each repetition separately', () => {
+      const spy = jest.spyOn(die, 'roll');
+
+      repetition.roll();
+
+      expect(spy).toHaveBeenCalledTimes(6);
+
+      spy.mockRestore();
+    });
+
+    test('includes operators and numbers', () => {
+      repetition = new RollRepetition(2, [die, '+', 3]);
+      repetition.generator = new NumberGenerator(engines.max);
+
+      const results = repetition.roll();
+
+      expect(results.results[0].results[1]).toEqual('+');
+      expect(results.results[0].results[2]).toBe(3);
+      expect(results.results[0].value).toBe(21);
+      expect(results.value).toBe(42);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      expect(JSON.parse(JSON.stringify(repetition))).toEqual({
+        count: 6,
+        expressions: [JSON.parse(JSON.stringify(die))],
+        notation: '6x4d6dl1',
+        type: 'repetition',
+      });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { LimitError, NotationError, RequiredArgumentError } from '../src/exceptions/index.js';
+import DiceRoll from '../src/DiceRoll.js';
+import Limits from '../src/Limits.js';
+import Parser from '../src/parser/Parser.js';
+import RollTemplate from '../src/RollTemplate.js';
+import { engines, generator, NumberGenerator } from '../src/utilities/NumberGenerator.js';
+
+describe('RollTemplate', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const template = new RollTemplate('1d20+7');
+
+      expect(template).toBeInstanceOf(RollTemplate);
+      expect(template).toEqual(expect.objectContaining({
+        compiled: expect.any(Object),
+        generator,
+        limits: null,
+        notation: '1d20+7',
+        roll: expect.any(Function),
+        toJSON: expect.any(Function),
+        toString: expect.any(Function),
+        variables: {},
+      }));
+    });
+
+    test('compiles the notation', () => {
+      const spy = jest.spyOn(Parser, 'compile');
+      const template = new RollTemplate('1d20+@str', { variables: { str: 3 } });
+
+      expect(spy).toHaveBeenCalledWith('1d20+@str', { limits: null, variables: { str: 3 } });
+      expect(template.compiled).toBe(Parser.compile('1d20+@str', { variables: { str: 3 } }));
+      expect(template.variables).toEqual({ str: 3 });
+
+      spy.mockRestore();
+    });
+
+    test('throws error for invalid notation', () => {
+      expect(() => {
+        new RollTemplate();
+      }).toThrow(RequiredArgumentError);
+
+      expect(() => {
+        new RollTemplate('1d6+');
+      }).toThrow(NotationError);
+    });
+
+    test('throws error if generator is invalid', () => {
+      expect(() => {
+        new RollTemplate('1d6', { generator: engines.max });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if notation exceeds the limits', () => {
+      expect(() => {
+        new RollTemplate('1d6+1d6', { limits: { maxTerms: 1 } });
+      }).toThrow(LimitError);
+    });
+  });
+
+  describe('Rolling', () => {
+    test('returns a new DiceRoll each time', () => {
+      const template = new RollTemplate('2d6+4');
+      const first = template.roll();
+      const second = template.roll();
+
+      expect(first).toBeInstanceOf(DiceRoll);
+      expect(second).toBeInstanceOf(DiceRoll);
+      expect(second).not.toBe(first);
+      expect(first.notation).toBe('2d6+4');
+      expect(first.total).toBeGreaterThanOrEqual(6);
+      expect(first.total).toBeLessThanOrEqual(16);
+    });
+
+    test('does not parse the notation again', () => {
+      const template = new RollTemplate('2d6+4');
+      const spy = jest.spyOn(Parser, 'compile');
+
+      template.roll();
+      template.roll();
+
+      expect(spy).not.toHaveBeenCalled();
+
+      spy.mockRestore();
+    });
+
+    test('rolls with the variables', () => {
+      const template = new RollTemplate('1d6+@mod', {
+        generator: new NumberGenerator(engines.max),
+        variables: { mod: 3 },
+      });
+
+      expect(template.roll().total).toBe(9);
+      expect(template.roll().variables).toEqual({ mod: 3 });
+    });
+
+    test('rolls with the generator', () => {
+      const numberGenerator = new NumberGenerator(engines.min);
+      const diceRoll = new RollTemplate('4d6', { generator: numberGenerator }).roll();
+
+      expect(diceRoll.generator).toBe(numberGenerator);
+      expect(diceRoll.total).toBe(4);
+    });
+
+    test('can roll with a seed', () => {
+      const template = new RollTemplate('4d6dl1');
+      const diceRoll = template.roll({ seed: 1234 });
+
+      expect(diceRoll.seed).toBe(1234);
+      expect(diceRoll.output).toEqual(new DiceRoll('4d6dl1', { seed: 1234 }).output);
+      expect(template.roll({ seed: 1234 }).output).toEqual(diceRoll.output);
+    });
+
+    test('rolls within the limits', () => {
+      const template = new RollTemplate('4d6!', {
+        generator: new NumberGenerator(engines.max),
+        limits: new Limits({ maxIterations: 10 }),
+      });
+
+      expect(() => {
+        template.roll();
+      }).toThrow(LimitError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const template = new RollTemplate('1d20+@str', {
+        limits: { maxDice: 10 },
+        variables: { str: 3 },
+      });
+
+      expect(JSON.parse(JSON.stringify(template))).toEqual({
+        limits: expect.objectContaining({ maxDice: 10, type: 'limits' }),
+        notation: '1d20+@str',
+        type: 'roll-template',
+        variables: { str: 3 },
+      });
+    });
+
+    test('String output is the notation', () => {
+      expect(`${new RollTemplate('4d6dl1')}`).toEqual('4d6dl1');
+    });
+  });
+});
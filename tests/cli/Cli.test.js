@@ -0,0 +1,363 @@
+import {
+  existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import Cli from '../../src/cli/Cli.js';
+import DiceRoll from '../../src/DiceRoll.js';
+import DiceRoller from '../../src/DiceRoller.js';
+import exportFormats from '../../src/utilities/ExportFormats.js';
+
+describe('Cli', () => {
+  let stdin;
+  let stdout;
+  let stderr;
+
+  const run = (args) => Cli.run(args, { stdin, stdout, stderr });
+  const output = (stream) => stream.write.mock.calls.map(([text]) => text).join('');
+
+  beforeEach(() => {
+    stdin = Readable.from([]);
+    stdout = { write: jest.fn(), isTTY: false };
+    stderr = { write: jest.fn() };
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(Cli).toEqual(expect.objectContaining({
+        parseArguments: expect.any(Function),
+        run: expect.any(Function),
+        startRepl: expect.any(Function),
+        usage: expect.any(String),
+      }));
+    });
+  });
+
+  describe('Parse arguments', () => {
+    test('has defaults', () => {
+      expect(Cli.parseArguments([])).toEqual({
+        format: null,
+        help: false,
+        interactive: false,
+        log: null,
+        noColor: false,
+        notations: [],
+        repeat: 1,
+        seed: null,
+        stats: false,
+      });
+    });
+
+    test('parses notations and options', () => {
+      expect(Cli.parseArguments([
+        '4d6', '--repeat', '3', '-s', '42', '--stats', '1d20+2', '--log=rolls.json', '--no-color',
+      ])).toEqual({
+        format: null,
+        help: false,
+        interactive: false,
+        log: 'rolls.json',
+        noColor: true,
+        notations: ['4d6', '1d20+2'],
+        repeat: 3,
+        seed: 42,
+        stats: true,
+      });
+    });
+
+    test('parses the interactive flag', () => {
+      expect(Cli.parseArguments(['--interactive']).interactive).toBe(true);
+      expect(Cli.parseArguments(['-i']).interactive).toBe(true);
+    });
+
+    test('parses the output format', () => {
+      expect(Cli.parseArguments(['--json']).format).toBe(exportFormats.JSON);
+      expect(Cli.parseArguments(['-j']).format).toBe(exportFormats.JSON);
+      expect(Cli.parseArguments(['--base64']).format).toBe(exportFormats.BASE_64);
+      expect(Cli.parseArguments(['-b']).format).toBe(exportFormats.BASE_64);
+    });
+
+    test('treats everything after a double dash as notations', () => {
+      expect(Cli.parseArguments(['--', '-1+1d4', '--json']).notations).toEqual(['-1+1d4', '--json']);
+    });
+
+    test('throws error for unknown options', () => {
+      expect(() => {
+        Cli.parseArguments(['--foo']);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        Cli.parseArguments(['--json=1']);
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for missing values', () => {
+      expect(() => {
+        Cli.parseArguments(['--seed']);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        Cli.parseArguments(['--log=']);
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for invalid seed', () => {
+      expect(() => {
+        Cli.parseArguments(['--seed', 'foo']);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        Cli.parseArguments(['--seed', '1.5']);
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for invalid repeat', () => {
+      expect(() => {
+        Cli.parseArguments(['--repeat', '0']);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        Cli.parseArguments(['--repeat', 'foo']);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        Cli.parseArguments(['--repeat', '1001']);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        Cli.parseArguments(['--repeat', '1e9']);
+      }).toThrow(RangeError);
+    });
+
+    test('can repeat up to 1000 times', () => {
+      expect(Cli.parseArguments(['--repeat', '1000']).repeat).toBe(1000);
+    });
+
+    test('throws error for stats with JSON or base64 output', () => {
+      expect(() => {
+        Cli.parseArguments(['--stats', '--json', '1d6']);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        Cli.parseArguments(['-b', '--stats', '1d6']);
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Run', () => {
+    test('rolls the notations', async () => {
+      expect(await run(['--seed', '7', '4d6dl1', '1d20'])).toBe(0);
+
+      expect(output(stdout)).toEqual('4d6dl1: [6, 2, 1d, 2] = 10\n1d20: [14] = 14\n');
+      expect(stderr.write).not.toHaveBeenCalled();
+    });
+
+    test('reads the notations from stdin', async () => {
+      stdin = Readable.from(['4d6dl1\n\n', '1d20\r\n']);
+
+      expect(await run(['--seed', '7'])).toBe(0);
+
+      expect(output(stdout)).toEqual('4d6dl1: [6, 2, 1d, 2] = 10\n1d20: [14] = 14\n');
+    });
+
+    test('repeats the notations', async () => {
+      expect(await run(['--seed', '7', '--repeat', '2', '4d6dl1'])).toBe(0);
+
+      expect(output(stdout)).toEqual('4d6dl1: [6, 2, 1d, 2] = 10\n4d6dl1: [2d, 6, 2, 4] = 12\n');
+    });
+
+    test('outputs the stats', async () => {
+      expect(await run(['--seed', '7', '--stats', '4d6dl1'])).toBe(0);
+
+      expect(output(stdout)).toEqual('4d6dl1: [6, 2, 1d, 2] = 10\n  min: 3, max: 18, average: 10.5\n');
+    });
+
+    test('outputs JSON', async () => {
+      expect(await run(['--seed', '7', '--json', '4d6dl1', '1d20'])).toBe(0);
+
+      const roller = DiceRoller.import(output(stdout));
+
+      expect(roller.log).toHaveLength(2);
+      expect(roller.output).toEqual('4d6dl1: [6, 2, 1d, 2] = 10; 1d20: [14] = 14');
+    });
+
+    test('gives each roll its own seed, derived from the session seed', async () => {
+      expect(await run(['--seed', '7', '--json', '4d6dl1', '4d6dl1'])).toBe(0);
+
+      const { log } = DiceRoller.import(output(stdout));
+
+      expect(log[0].seed).toEqual(expect.any(Number));
+      expect(log[1].seed).toEqual(expect.any(Number));
+      expect(log[0].seed).not.toBe(log[1].seed);
+
+      // each roll can be verified alone
+      log.forEach(({ notation, output: rollOutput, seed }) => {
+        expect(new DiceRoll(notation, { seed }).output).toEqual(rollOutput);
+      });
+    });
+
+    test('outputs base64', async () => {
+      expect(await run(['--seed', '7', '--base64', '1d20'])).toBe(0);
+
+      const roller = new DiceRoller(null, {});
+
+      roller.import(output(stdout).trim());
+
+      expect(roller.output).toEqual('1d20: [4] = 4');
+    });
+
+    test('colours the output for terminals', async () => {
+      const noColor = process.env.NO_COLOR;
+      delete process.env.NO_COLOR;
+      stdout.isTTY = true;
+
+      try {
+        expect(await run(['--seed', '7', '1d6'])).toBe(0);
+        expect(output(stdout)).toEqual('1d6: [6] = \u001b[1m6\u001b[22m\n');
+      } finally {
+        if (noColor !== undefined) {
+          process.env.NO_COLOR = noColor;
+        }
+      }
+    });
+
+    test('does not colour the output if `NO_COLOR` is set', async () => {
+      const noColor = process.env.NO_COLOR;
+      process.env.NO_COLOR = '1';
+      stdout.isTTY = true;
+
+      try {
+        expect(await run(['--seed', '7', '1d6'])).toBe(0);
+        expect(output(stdout)).toEqual('1d6: [6] = 6\n');
+      } finally {
+        if (noColor === undefined) {
+          delete process.env.NO_COLOR;
+        } else {
+          process.env.NO_COLOR = noColor;
+        }
+      }
+    });
+
+    test('does not colour the output with `--no-color`', async () => {
+      stdout.isTTY = true;
+
+      expect(await run(['--seed', '7', '--no-color', '1d6'])).toBe(0);
+      expect(output(stdout)).toEqual('1d6: [6] = 6\n');
+    });
+
+    test('outputs the usage', async () => {
+      expect(await run(['--help'])).toBe(0);
+
+      expect(output(stdout)).toEqual(`${Cli.usage}\n`);
+    });
+
+    test('outputs errors', async () => {
+      expect(await run(['4x'])).toBe(1);
+      expect(output(stderr)).toMatch(/^rpg-dice: /);
+
+      stderr.write.mockClear();
+
+      expect(await run(['--foo'])).toBe(1);
+      expect(output(stderr)).toEqual('rpg-dice: Unknown option "--foo"\n');
+
+      expect(stdout.write).not.toHaveBeenCalled();
+    });
+
+    test('outputs usage errors without rolling', async () => {
+      expect(await run(['--repeat', '1e9', '1d6'])).toBe(1);
+      expect(output(stderr)).toEqual('rpg-dice: repeat must be an integer between 1 and 1000\n');
+
+      stderr.write.mockClear();
+
+      expect(await run(['--stats', '--json', '1d6'])).toBe(1);
+      expect(output(stderr)).toEqual('rpg-dice: Option "--stats" cannot be used with "--json" or "--base64"\n');
+
+      expect(stdout.write).not.toHaveBeenCalled();
+    });
+
+    test('outputs error without notations', async () => {
+      expect(await run([])).toBe(1);
+      expect(output(stderr)).toEqual('rpg-dice: Missing argument "notations"\n');
+    });
+
+    test('does not read from interactive stdin', async () => {
+      stdin = Readable.from(['1d6\n']);
+      stdin.isTTY = true;
+
+      expect(await run([])).toBe(1);
+      expect(output(stderr)).toEqual('rpg-dice: Missing argument "notations"\n');
+    });
+  });
+
+  describe('Interactive', () => {
+    test('rolls the notations from stdin', async () => {
+      stdin = Readable.from(['4d6dl1\n', ':total\n']);
+
+      expect(await run(['--seed', '7', '--interactive'])).toBe(0);
+
+      expect(output(stdout)).toEqual([
+        'Type a notation to roll it, or :help for the commands',
+        'rpg-dice> 4d6dl1: [6, 2, 1d, 2] = 10',
+        'rpg-dice> 10',
+        'rpg-dice> ',
+      ].join('\n'));
+      expect(stderr.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Log', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+      directory = mkdtempSync(join(tmpdir(), 'rpg-dice-'));
+      file = join(directory, 'rolls.json');
+    });
+
+    afterEach(() => {
+      rmSync(directory, { force: true, recursive: true });
+    });
+
+    test('creates the log file', async () => {
+      expect(await run(['--seed', '7', '--log', file, '4d6dl1'])).toBe(0);
+
+      expect(existsSync(file)).toBe(true);
+      expect(DiceRoller.import(readFileSync(file, 'utf8')).output).toEqual('4d6dl1: [6, 2, 1d, 2] = 10');
+    });
+
+    test('adds the rolls to the existing log', async () => {
+      const roller = new DiceRoller();
+      roller.import([new DiceRoll('1d6', { seed: 1 })]);
+
+      writeFileSync(file, roller.export(exportFormats.BASE_64));
+
+      expect(await run(['--seed', '7', '--log', file, '4d6dl1'])).toBe(0);
+
+      const log = DiceRoller.import(readFileSync(file, 'utf8'));
+
+      expect(log.output).toEqual(`${roller.output}; 4d6dl1: [6, 2, 1d, 2] = 10`);
+    });
+
+    test('loads and saves the log for the interactive prompt', async () => {
+      writeFileSync(file, new DiceRoller([new DiceRoll('1d6', { seed: 1 })]).export());
+      stdin = Readable.from(['4d6dl1\n', ':log\n']);
+
+      expect(await run(['--seed', '7', '--interactive', '--log', file])).toBe(0);
+
+      const log = DiceRoller.import(readFileSync(file, 'utf8'));
+
+      expect(log.log).toHaveLength(2);
+      expect(output(stdout)).toContain(`${log.output}\n`);
+    });
+
+    test('does not roll if the log is invalid', async () => {
+      writeFileSync(file, 'foo');
+
+      expect(await run(['--log', file, '4d6'])).toBe(1);
+
+      expect(output(stderr)).toEqual('rpg-dice: Invalid data format: foo\n');
+      expect(stdout.write).not.toHaveBeenCalled();
+      expect(readFileSync(file, 'utf8')).toEqual('foo');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+import {
+  mkdtempSync, readFileSync, rmSync, writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+import DiceRoll from '../../src/DiceRoll.js';
+import DiceRoller from '../../src/DiceRoller.js';
+import MarkdownRenderer from '../../src/renderers/MarkdownRenderer.js';
+import Renderer from '../../src/renderers/Renderer.js';
+import Repl from '../../src/cli/Repl.js';
+
+describe('Repl', () => {
+  let repl;
+  let roller;
+
+  beforeEach(() => {
+    roller = new DiceRoller(null, {
+      generator: new NumberGenerator(engines.MersenneTwister19937.seed(7)),
+    });
+    repl = new Repl({ roller });
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(repl).toBeInstanceOf(Repl);
+      expect(repl).toEqual(expect.objectContaining({
+        evaluate: expect.any(Function),
+        renderer: expect.any(Renderer),
+        roller,
+        start: expect.any(Function),
+      }));
+      expect(Repl.usage).toEqual(expect.any(String));
+    });
+
+    test('has default roller and renderer', () => {
+      repl = new Repl();
+
+      expect(repl.roller).toBeInstanceOf(DiceRoller);
+      expect(repl.renderer).toBeInstanceOf(Renderer);
+    });
+
+    test('can set the renderer', () => {
+      const renderer = new MarkdownRenderer();
+
+      repl.renderer = renderer;
+
+      expect(repl.renderer).toBe(renderer);
+    });
+
+    test('throws error for invalid roller', () => {
+      expect(() => {
+        repl.roller = {};
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new Repl({ roller: 'foo' });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for invalid renderer', () => {
+      expect(() => {
+        repl.renderer = {};
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new Repl({ renderer: 'foo' });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Evaluate', () => {
+    test('rolls the notation', () => {
+      expect(repl.evaluate('4d6dl1')).toEqual('4d6dl1: [4, 5, 2d, 3] = 12');
+      expect(roller.log).toHaveLength(1);
+    });
+
+    test('renders with the renderer', () => {
+      repl.renderer = new MarkdownRenderer();
+
+      expect(repl.evaluate('4d6dl1')).toEqual('`4d6dl1`: [4, 5, ~~2d~~, 3] = **12**');
+    });
+
+    test('returns null for empty input', () => {
+      expect(repl.evaluate('')).toBe(null);
+      expect(repl.evaluate('  ')).toBe(null);
+      expect(roller.log).toHaveLength(0);
+    });
+
+    test('returns invalid notation errors', () => {
+      expect(repl.evaluate('4d6x')).toMatch(/^4d6x\n {3}\^\nNotation "4d6x" is invalid at line 1, column 4: /);
+      expect(roller.log).toHaveLength(0);
+    });
+
+    test('returns unknown command errors', () => {
+      expect(repl.evaluate(':foo')).toEqual('Unknown command ":foo". Type :help for the commands');
+    });
+
+    test('returns the usage for `:help`', () => {
+      expect(repl.evaluate(':help')).toEqual(Repl.usage);
+    });
+
+    test('returns the log for `:log`', () => {
+      expect(repl.evaluate(':log')).toEqual('The log is empty');
+
+      repl.evaluate('4d6dl1');
+      repl.evaluate('1d20');
+
+      expect(repl.evaluate(':log')).toEqual('4d6dl1: [4, 5, 2d, 3] = 12; 1d20: [4] = 4');
+    });
+
+    test('returns the total for `:total`', () => {
+      expect(repl.evaluate(':total')).toEqual('0');
+
+      repl.evaluate('4d6dl1');
+      repl.evaluate('1d20');
+
+      expect(repl.evaluate(':total')).toEqual('16');
+    });
+
+    test('removes the last roll for `:undo`', () => {
+      expect(repl.evaluate(':undo')).toEqual('The log is empty');
+
+      repl.evaluate('4d6dl1');
+      repl.evaluate('1d20');
+
+      expect(repl.evaluate(':undo')).toEqual('Removed 1d20: [4] = 4');
+      expect(roller.output).toEqual('4d6dl1: [4, 5, 2d, 3] = 12');
+
+      expect(repl.evaluate(':undo')).toEqual('Removed 4d6dl1: [4, 5, 2d, 3] = 12');
+      expect(roller.log).toHaveLength(0);
+    });
+
+    test('only emits a `remove` event for `:undo`', () => {
+      const [first] = roller.roll('4d6', '1d20');
+      const listener = jest.fn();
+      ['clear', 'import', 'remove', 'roll'].forEach((event) => roller.on(event, listener));
+
+      repl.evaluate(':undo');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(roller.log).toEqual([first]);
+    });
+
+    test('returns the exact distribution for `:stats`', () => {
+      expect(repl.evaluate(':stats 2d4')).toEqual([
+        '2d4',
+        'min: 2, max: 8, mean: 5.00, standard deviation: 1.58',
+        '2   6.25% ##########',
+        '3  12.50% ####################',
+        '4  18.75% ##############################',
+        '5  25.00% ########################################',
+        '6  18.75% ##############################',
+        '7  12.50% ####################',
+        '8   6.25% ##########',
+      ].join('\n'));
+      expect(roller.log).toHaveLength(0);
+    });
+
+    test('returns the estimated distribution for `:stats` if it cannot be calculated', () => {
+      const [title, summary] = repl.evaluate(':stats 1d6!').split('\n');
+
+      expect(title).toEqual('1d6! (estimated from 10000 rolls)');
+      expect(summary).toMatch(/^min: 1, max: \d+, mean: \d+\.\d{2}, standard deviation: \d+\.\d{2}$/);
+    });
+
+    test('returns the estimated distribution for `:stats` if it takes too long to calculate', () => {
+      const [title] = repl.evaluate(':stats 40d100').split('\n');
+
+      expect(title).toEqual('40d100 (estimated from 10000 rolls)');
+    });
+
+    test('returns limit errors for `:stats` if it takes too long to estimate', () => {
+      let now = 0;
+      const spy = jest.spyOn(Date, 'now').mockImplementation(() => {
+        now += 10;
+
+        return now;
+      });
+
+      expect(repl.evaluate(':stats 999d999!')).toEqual('Notation exceeds the "timeout" limit of 5000');
+
+      spy.mockRestore();
+    });
+
+    test('returns invalid notation errors for `:stats`', () => {
+      expect(repl.evaluate(':stats 1d')).toMatch(/^1d\n {2}\^\nNotation "1d" is invalid/);
+    });
+
+    test('returns errors for missing command arguments', () => {
+      expect(repl.evaluate(':stats')).toEqual(':stats requires an argument');
+      expect(repl.evaluate(':save')).toEqual(':save requires an argument');
+      expect(repl.evaluate(':load ')).toEqual(':load requires an argument');
+    });
+
+    describe('Save and load', () => {
+      let directory;
+      let file;
+
+      beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), 'rpg-dice-'));
+        file = join(directory, 'rolls.json');
+      });
+
+      afterEach(() => {
+        rmSync(directory, { force: true, recursive: true });
+      });
+
+      test('saves the log for `:save`', () => {
+        repl.evaluate('4d6dl1');
+
+        expect(repl.evaluate(`:save ${file}`)).toEqual(`Saved 1 roll(s) to "${file}"`);
+        expect(DiceRoller.import(readFileSync(file, 'utf8')).output).toEqual(roller.output);
+      });
+
+      test('adds the rolls to the log for `:load`', () => {
+        writeFileSync(file, new DiceRoller([new DiceRoll('1d6', { seed: 1 })]).export());
+
+        repl.evaluate('4d6dl1');
+
+        expect(repl.evaluate(`:load ${file}`)).toEqual(`Loaded "${file}"`);
+        expect(roller.log).toHaveLength(2);
+        expect(roller.log[1].notation).toEqual('1d6');
+      });
+
+      test('returns errors for `:load`', () => {
+        writeFileSync(file, 'foo');
+
+        expect(repl.evaluate(`:load ${file}`)).toEqual('Invalid data format: foo');
+        expect(repl.evaluate(`:load ${join(directory, 'missing.json')}`)).toMatch(/ENOENT/);
+        expect(roller.log).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('Start', () => {
+    let output;
+
+    beforeEach(() => {
+      output = { write: jest.fn(), isTTY: false };
+    });
+
+    test('evaluates each line until the input ends', async () => {
+      await repl.start({ input: Readable.from(['4d6dl1\n\n4d6x\n', ':total\n']), output });
+
+      const text = output.write.mock.calls.map(([chunk]) => chunk).join('');
+
+      expect(text).toContain('4d6dl1: [4, 5, 2d, 3] = 12\n');
+      expect(text).toContain('Notation "4d6x" is invalid');
+      expect(text).toContain('rpg-dice> 12\n');
+      expect(roller.log).toHaveLength(1);
+    });
+
+    test('ends on `:quit`', async () => {
+      await repl.start({ input: Readable.from([':quit\n1d6\n']), output });
+
+      expect(roller.log).toHaveLength(0);
+    });
+  });
+});
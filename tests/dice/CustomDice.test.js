@@ -0,0 +1,239 @@
+import {
+  CriticalSuccessModifier, ExplodeModifier, KeepModifier, TargetModifier,
+} from '../../src/modifiers/index.js';
+import { CustomDice, StandardDice } from '../../src/dice/index.js';
+import { DieActionValueError, RequiredArgumentError } from '../../src/exceptions/index.js';
+import RollResult from '../../src/results/RollResult.js';
+import RollResults from '../../src/results/RollResults.js';
+import ComparePoint from '../../src/ComparePoint.js';
+import Description from '../../src/Description.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('CustomDice', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const die = new CustomDice([1, 1, 2, 3, 5, 8]);
+
+      expect(die).toBeInstanceOf(CustomDice);
+      expect(die).toBeInstanceOf(StandardDice);
+      expect(die).toEqual(expect.objectContaining({
+        average: 20 / 6,
+        description: null,
+        faces: [1, 1, 2, 3, 5, 8],
+        notation: '1d{1,1,2,3,5,8}',
+        sides: '{1,1,2,3,5,8}',
+        qty: 1,
+        modifiers: null,
+        max: 8,
+        min: 1,
+        name: 'custom',
+        roll: expect.any(Function),
+        rollOnce: expect.any(Function),
+        toJSON: expect.any(Function),
+        toString: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Faces', () => {
+    test('faces are required', () => {
+      expect(() => {
+        new CustomDice();
+      }).toThrow(RequiredArgumentError);
+
+      expect(() => {
+        new CustomDice(null);
+      }).toThrow(RequiredArgumentError);
+    });
+
+    test('faces must be a non-empty array of numbers', () => {
+      expect(() => {
+        new CustomDice([]);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new CustomDice(6);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new CustomDice('1,2,3');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new CustomDice([1, 'foo', 3]);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new CustomDice([1, null]);
+      }).toThrow(TypeError);
+    });
+
+    test('faces must be finite', () => {
+      expect(() => {
+        new CustomDice([1, Infinity]);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new CustomDice([-Infinity, 1]);
+      }).toThrow(RangeError);
+    });
+
+    test('can have negative and repeated faces', () => {
+      const die = new CustomDice([-1, 0, 0, 1]);
+
+      expect(die.faces).toEqual([-1, 0, 0, 1]);
+      expect(die.min).toBe(-1);
+      expect(die.max).toBe(1);
+      expect(die.average).toBe(0);
+      expect(die.notation).toEqual('1d{-1,0,0,1}');
+    });
+
+    test('faces keep their order', () => {
+      const die = new CustomDice([5, -2, 3]);
+
+      expect(die.faces).toEqual([5, -2, 3]);
+      expect(die.sides).toEqual('{5,-2,3}');
+      expect(die.min).toBe(-2);
+      expect(die.max).toBe(5);
+    });
+
+    test('faces cannot be changed', () => {
+      const die = new CustomDice([1, 2, 3]);
+
+      die.faces.push(4);
+
+      expect(die.faces).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('Quantity', () => {
+    test('qty must be numeric', () => {
+      const die = new CustomDice([1, 2], 8);
+
+      expect(die.qty).toBe(8);
+      expect(die.notation).toEqual('8d{1,2}');
+
+      expect(() => {
+        new CustomDice([1, 2], 'foo');
+      }).toThrow(TypeError);
+    });
+
+    test('qty must be between 1 and 999', () => {
+      expect(() => {
+        new CustomDice([1, 2], 0);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new CustomDice([1, 2], 1000);
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Modifiers', () => {
+    test('explodes on the highest face by default', () => {
+      const die = new CustomDice([1, 8, 2], 1, [new ExplodeModifier()]);
+      const modifier = die.modifiers.get('explode');
+
+      modifier.useDefaultsIfNeeded(die);
+
+      expect(modifier.comparePoint).toEqual(new ComparePoint('=', 8));
+    });
+
+    test('critical success on the highest face by default', () => {
+      const die = new CustomDice([-1, 0, 4], 1, [new CriticalSuccessModifier()]);
+      const modifier = die.modifiers.get('critical-success');
+
+      modifier.useDefaultsIfNeeded(die);
+
+      expect(modifier.comparePoint).toEqual(new ComparePoint('=', 4));
+    });
+
+    test('keep uses the face values', () => {
+      const die = new CustomDice([1, 2, 3, 5, 8], 4, [new KeepModifier('h', 2)]);
+      die.generator = new NumberGenerator(engines.max);
+
+      const results = die.roll();
+
+      expect(results.rolls.filter((roll) => roll.useInTotal)).toHaveLength(2);
+      expect(results.value).toBe(16);
+    });
+
+    test('target uses the face values', () => {
+      const die = new CustomDice([1, 3, 5, 7], 3, [
+        new TargetModifier(new ComparePoint('>', 4)),
+      ]);
+      die.generator = new NumberGenerator(engines.max);
+
+      expect(die.roll().value).toBe(3);
+
+      die.generator = new NumberGenerator(engines.min);
+
+      expect(die.roll().value).toBe(0);
+    });
+
+    test('cannot explode if all faces are the same', () => {
+      const die = new CustomDice([2, 2], 1, [new ExplodeModifier()]);
+
+      expect(() => {
+        die.roll();
+      }).toThrow(DieActionValueError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const die = new CustomDice([-1, 0, 0, 1], 4);
+
+      expect(JSON.parse(JSON.stringify(die))).toEqual({
+        average: 0,
+        description: null,
+        faces: [-1, 0, 0, 1],
+        max: 1,
+        min: -1,
+        modifiers: null,
+        name: 'custom',
+        notation: '4d{-1,0,0,1}',
+        qty: 4,
+        sides: '{-1,0,0,1}',
+        type: 'die',
+      });
+    });
+
+    test('String output is correct', () => {
+      const die = new CustomDice([1, 1, 2], 2);
+
+      die.description = new Description('Some description', Description.types.MULTILINE);
+
+      expect(die.toString()).toEqual('2d{1,1,2} [Some description]');
+    });
+  });
+
+  describe('Rolling', () => {
+    test('rollOnce returns a RollResult object', () => {
+      expect((new CustomDice([1, 2])).rollOnce()).toBeInstanceOf(RollResult);
+    });
+
+    test('roll returns a RollResults object', () => {
+      expect((new CustomDice([1, 2], 4)).roll()).toBeInstanceOf(RollResults);
+    });
+
+    test('rollOnce only rolls face values', () => {
+      const die = new CustomDice([1, 1, 2, 3, 5, 8]);
+
+      // run the test multiple times to try and ensure consistency
+      for (let i = 0; i < 1000; ++i) {
+        expect([1, 2, 3, 5, 8]).toContain(die.rollOnce().value);
+      }
+    });
+
+    test('rollOnce uses the lowest and highest faces for min / max engines', () => {
+      const die = new CustomDice([3, -4, 9, 0]);
+
+      die.generator = new NumberGenerator(engines.max);
+      expect(die.rollOnce().value).toBe(9);
+
+      die.generator = new NumberGenerator(engines.min);
+      expect(die.rollOnce().value).toBe(-4);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { DiceRegistry, FudgeDice, StandardDice } from '../../src/dice/index.js';
+
+class CoinDice extends StandardDice {
+  constructor(qty = 1, faces = 2) {
+    super('C', qty, null, 0, faces - 1);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  get name() {
+    return 'coin';
+  }
+}
+
+describe('DiceRegistry', () => {
+  afterEach(() => {
+    DiceRegistry.unregister('coin');
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(DiceRegistry).toEqual(expect.objectContaining({
+        create: expect.any(Function),
+        has: expect.any(Function),
+        match: expect.any(Function),
+        recreate: expect.any(Function),
+        register: expect.any(Function),
+        unregister: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Register', () => {
+    test('can register a die', () => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      expect(DiceRegistry.has('coin')).toBe(true);
+    });
+
+    test('can unregister a die', () => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      expect(DiceRegistry.unregister('coin')).toBe(true);
+      expect(DiceRegistry.has('coin')).toBe(false);
+      expect(DiceRegistry.unregister('coin')).toBe(false);
+    });
+
+    test('throws error if name is invalid or registered', () => {
+      expect(() => {
+        DiceRegistry.register({ name: '', token: 'C', dice: CoinDice });
+      }).toThrow(TypeError);
+
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'Co', dice: CoinDice });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if token is invalid or in use', () => {
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'C1', dice: CoinDice });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'F', dice: CoinDice });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'Fk', dice: CoinDice });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'No', dice: CoinDice });
+      }).toThrow(TypeError);
+
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      expect(() => {
+        DiceRegistry.register({ name: 'other', token: 'C', dice: CoinDice });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if dice does not extend StandardDice', () => {
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'C', dice: StandardDice });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        DiceRegistry.register({ name: 'coin', token: 'C', dice: new CoinDice() });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if argument is invalid', () => {
+      expect(() => {
+        DiceRegistry.register({
+          name: 'coin', token: 'C', dice: CoinDice, argument: 'compare-point',
+        });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Create', () => {
+    beforeEach(() => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+    });
+
+    test('creates the die with the qty and argument', () => {
+      const die = DiceRegistry.create('coin', 3, 4);
+
+      expect(die).toBeInstanceOf(CoinDice);
+      expect(die.qty).toBe(3);
+      expect(die.max).toBe(3);
+      expect(DiceRegistry.create('coin').qty).toBe(1);
+    });
+
+    test('throws error if not registered', () => {
+      expect(() => {
+        DiceRegistry.create('foo');
+      }).toThrow(TypeError);
+    });
+
+    test('can recreate a die with a different qty', () => {
+      const die = DiceRegistry.recreate(DiceRegistry.create('coin', 3, 4), 5);
+
+      expect(die).toBeInstanceOf(CoinDice);
+      expect(die.qty).toBe(5);
+      expect(die.max).toBe(3);
+    });
+
+    test('recreate returns null for dice not created by the registry', () => {
+      expect(DiceRegistry.recreate(new CoinDice(), 2)).toBe(null);
+      expect(DiceRegistry.recreate(new FudgeDice(), 2)).toBe(null);
+    });
+  });
+
+  describe('Match', () => {
+    test('returns the die with the longest token at the offset', () => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+      DiceRegistry.register({ name: 'coins', token: 'Co', dice: CoinDice });
+
+      expect(DiceRegistry.match('4dC', 2).name).toEqual('coin');
+      expect(DiceRegistry.match('4dCo', 2).name).toEqual('coins');
+      expect(DiceRegistry.match('4dC', 1)).toBe(null);
+
+      DiceRegistry.unregister('coins');
+    });
+  });
+});
@@ -0,0 +1,383 @@
+import {
+  CustomDice, DynamicDice, FudgeDice, PercentileDice, StandardDice, SymbolDice,
+} from '../../src/dice/index.js';
+import { RequiredArgumentError } from '../../src/exceptions/index.js';
+import {
+  ExplodeModifier, KeepModifier, ReRollModifier, UniqueModifier,
+} from '../../src/modifiers/index.js';
+import ResultGroup from '../../src/results/ResultGroup.js';
+import RollResults from '../../src/results/RollResults.js';
+import RollHooks from '../../src/RollHooks.js';
+import { engines, generator, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('DynamicDice', () => {
+  let die;
+  let qtyDie;
+
+  beforeEach(() => {
+    die = new StandardDice(6);
+    qtyDie = new StandardDice(4);
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+
+      expect(dice).toBeInstanceOf(DynamicDice);
+      expect(dice).toEqual(expect.objectContaining({
+        createDie: expect.any(Function),
+        description: null,
+        die,
+        generator,
+        hooks: null,
+        modifiers: null,
+        name: 'dynamic',
+        notation: '(1d4)d6',
+        qtyExpression: [qtyDie],
+        resolve: expect.any(Function),
+        roll: expect.any(Function),
+        sidesExpression: null,
+        toJSON: expect.any(Function),
+        toString: expect.any(Function),
+      }));
+    });
+
+    test('die is required', () => {
+      expect(() => {
+        new DynamicDice(null, [qtyDie]);
+      }).toThrow(RequiredArgumentError);
+    });
+
+    test('die must be a StandardDice', () => {
+      expect(() => {
+        new DynamicDice('d6', [qtyDie]);
+      }).toThrow(TypeError);
+    });
+
+    test('requires a qty or sides expression', () => {
+      expect(() => {
+        new DynamicDice(die);
+      }).toThrow(TypeError);
+    });
+
+    test('expressions must be non-empty arrays of dice, numbers, or strings', () => {
+      expect(() => {
+        new DynamicDice(die, []);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DynamicDice(die, qtyDie);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DynamicDice(die, null, [qtyDie, '+', {}]);
+      }).toThrow(TypeError);
+    });
+
+    test('sides expression is only allowed for standard dice', () => {
+      expect(() => {
+        new DynamicDice(new PercentileDice(), null, [qtyDie]);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new DynamicDice(new FudgeDice(), [qtyDie]);
+      }).not.toThrow();
+    });
+
+    test('expressions cannot be changed by reference', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+
+      dice.qtyExpression.push('+');
+
+      expect(dice.qtyExpression).toEqual([qtyDie]);
+    });
+  });
+
+  describe('Notation', () => {
+    test('includes the qty expression', () => {
+      expect((new DynamicDice(die, [qtyDie, '+', 1])).notation).toEqual('(1d4+1)d6');
+    });
+
+    test('includes the sides expression', () => {
+      expect((new DynamicDice(new StandardDice(1, 2), null, [die, '+', 2])).notation)
+        .toEqual('2d(1d6+2)');
+    });
+
+    test('includes the modifiers', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+      dice.modifiers = [new KeepModifier('h', 1)];
+
+      expect(dice.notation).toEqual('(1d4)d6kh1');
+      expect(dice.die.modifiers.get('keep-h')).toBeInstanceOf(KeepModifier);
+    });
+
+    test('includes the die type', () => {
+      expect((new DynamicDice(new PercentileDice(), [qtyDie])).notation).toEqual('(1d4)d%');
+      expect((new DynamicDice(new FudgeDice(1), [qtyDie])).notation).toEqual('(1d4)dF.1');
+      expect((new DynamicDice(new CustomDice([1, 2]), [qtyDie])).notation).toEqual('(1d4)d{1,2}');
+      expect((new DynamicDice(new SymbolDice('boost'), [qtyDie])).notation)
+        .toEqual('(1d4)dN.boost');
+    });
+
+    test('toString includes the description', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+      dice.description = 'fire';
+
+      expect(dice.toString()).toEqual('(1d4)d6 # fire');
+    });
+  });
+
+  describe('Generator', () => {
+    test('setting passes it to the expression dice', () => {
+      const numberGenerator = new NumberGenerator();
+      const sidesDie = new StandardDice(8);
+      const dice = new DynamicDice(new StandardDice(1), [qtyDie], [sidesDie]);
+
+      dice.generator = numberGenerator;
+
+      expect(dice.generator).toBe(numberGenerator);
+      expect(qtyDie.generator).toBe(numberGenerator);
+      expect(sidesDie.generator).toBe(numberGenerator);
+      expect(dice.createDie(2, 6).generator).toBe(numberGenerator);
+    });
+
+    test('throws error if not a NumberGenerator', () => {
+      expect(() => {
+        (new DynamicDice(die, [qtyDie])).generator = 'foo';
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Hooks', () => {
+    test('setting passes them to the expression dice', () => {
+      const hooks = new RollHooks();
+      const sidesDie = new StandardDice(8);
+      const dice = new DynamicDice(new StandardDice(1), [qtyDie], [sidesDie]);
+
+      dice.hooks = hooks;
+
+      expect(dice.hooks).toBe(hooks);
+      expect(qtyDie.hooks).toBe(hooks);
+      expect(sidesDie.hooks).toBe(hooks);
+      expect(dice.createDie(2, 6).hooks).toBe(hooks);
+    });
+
+    test('are called for the expression dice, and the rolled dice', () => {
+      const onDieRolled = jest.fn();
+      const dice = new DynamicDice(die, [qtyDie]);
+
+      dice.generator = new NumberGenerator(engines.max);
+      dice.hooks = new RollHooks({ onDieRolled });
+      dice.roll();
+
+      expect(onDieRolled.mock.calls.map(([event]) => event.die.notation)).toEqual([
+        '1d4', '4d6', '4d6', '4d6', '4d6',
+      ]);
+    });
+
+    test('throws error if not RollHooks', () => {
+      expect(() => {
+        (new DynamicDice(die, [qtyDie])).hooks = 'foo';
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Create die', () => {
+    test('creates a die of the same type', () => {
+      const created = (new DynamicDice(new CustomDice([1, 1, 2]), [qtyDie])).createDie(3);
+
+      expect(created).toBeInstanceOf(CustomDice);
+      expect(created.qty).toBe(3);
+      expect(created.faces).toEqual([1, 1, 2]);
+
+      expect((new DynamicDice(new SymbolDice('boost'), [qtyDie])).createDie(2).variant)
+        .toEqual('boost');
+      expect((new DynamicDice(new FudgeDice(1), [qtyDie])).createDie(2).nonBlanks).toBe(1);
+      expect((new DynamicDice(new PercentileDice(1, null, true), [qtyDie])).createDie(2).sides)
+        .toBe(100);
+    });
+
+    test('uses the given sides for standard dice', () => {
+      const created = (new DynamicDice(new StandardDice(1), null, [die])).createDie(2, 8);
+
+      expect(created.constructor).toBe(StandardDice);
+      expect(created.qty).toBe(2);
+      expect(created.sides).toBe(8);
+      expect(created.max).toBe(8);
+    });
+
+    test('copies the modifiers', () => {
+      const modifier = new ExplodeModifier();
+      const dice = new DynamicDice(new StandardDice(1), null, [die]);
+      dice.modifiers = [modifier];
+
+      const created = dice.createDie(2, 8);
+      created.roll();
+
+      expect(created.modifiers.get('explode')).toBeInstanceOf(ExplodeModifier);
+      expect(created.modifiers.get('explode')).not.toBe(modifier);
+      expect(created.modifiers.get('explode').comparePoint.value).toBe(8);
+      expect(modifier.comparePoint).toBeUndefined();
+    });
+
+    test('leaves off modifiers that need more than one side, if the sides are rolled as one', () => {
+      const dice = new DynamicDice(new StandardDice(1), null, [die]);
+      dice.modifiers = [
+        new ExplodeModifier(), new ReRollModifier(), new UniqueModifier(), new KeepModifier('h', 1),
+      ];
+
+      expect([...dice.createDie(2, 1).modifiers.keys()]).toEqual(['keep-h']);
+      expect(dice.createDie(2, 2).modifiers.size).toBe(4);
+    });
+
+    test('throws error for invalid sides', () => {
+      expect(() => {
+        (new DynamicDice(new StandardDice(1), null, [die])).createDie(2, 0);
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Resolve', () => {
+    test('rounds the rolled qty and sides down', () => {
+      expect((new DynamicDice(die, [qtyDie])).resolve(1.5, 6)).toEqual({ qty: 1, sides: 6 });
+      expect((new DynamicDice(new StandardDice(1, 2), null, [die])).resolve(2, 4.9))
+        .toEqual({ qty: 2, sides: 4 });
+    });
+
+    test('returns null if the qty or sides are less than one', () => {
+      expect((new DynamicDice(die, [qtyDie])).resolve(0.5, 6)).toBe(null);
+      expect((new DynamicDice(new StandardDice(1, 2), null, [die])).resolve(2, 0.5)).toBe(null);
+      expect((new DynamicDice(new StandardDice(1, 2), null, [die])).resolve(2, Infinity))
+        .toBe(null);
+    });
+
+    test('caps the qty at 999', () => {
+      expect((new DynamicDice(die, [qtyDie])).resolve(1000.5, 6)).toEqual({ qty: 999, sides: 6 });
+    });
+  });
+
+  describe('Roll', () => {
+    test('rolls the qty first', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+      dice.generator = new NumberGenerator(engines.max);
+
+      const results = dice.roll();
+
+      expect(results).toBeInstanceOf(RollResults);
+      expect(results).toHaveLength(4);
+      expect(results.value).toBe(24);
+      expect(results.qtyResults).toBeInstanceOf(ResultGroup);
+      expect(results.qtyResults.value).toBe(4);
+      expect(results.sidesResults).toBe(null);
+      expect(results.toString()).toEqual('([4])[6, 6, 6, 6]');
+    });
+
+    test('rolls the sides first', () => {
+      const dice = new DynamicDice(new StandardDice(1, 2), null, [die, '+', 2]);
+      dice.generator = new NumberGenerator(engines.max);
+
+      const results = dice.roll();
+
+      expect(results).toHaveLength(2);
+      expect(results.value).toBe(16);
+      expect(results.sidesResults.value).toBe(8);
+      expect(results.toString()).toEqual('([6]+2)[8, 8]');
+    });
+
+    test('rolls no dice if the qty is less than one', () => {
+      const dice = new DynamicDice(die, [qtyDie, '-', 4]);
+      dice.generator = new NumberGenerator(engines.max);
+
+      const results = dice.roll();
+
+      expect(results).toHaveLength(0);
+      expect(results.value).toBe(0);
+      expect(results.toString()).toEqual('([4]-4)[]');
+    });
+
+    test('rolls no dice if the sides are less than one', () => {
+      const dice = new DynamicDice(new StandardDice(1, 2), null, [die, '-', 6]);
+      dice.generator = new NumberGenerator(engines.max);
+
+      const results = dice.roll();
+
+      expect(results).toHaveLength(0);
+      expect(results.value).toBe(0);
+      expect(results.sidesResults.value).toBe(0);
+      expect(results.toString()).toEqual('([6]-6)[]');
+    });
+
+    test('rolls no dice if the sides are not finite', () => {
+      const dice = new DynamicDice(new StandardDice(1, 2), null, [die, '/', 0]);
+
+      expect(dice.roll()).toHaveLength(0);
+    });
+
+    test('caps the qty at 999', () => {
+      const dice = new DynamicDice(die, [new StandardDice(1000)]);
+      dice.generator = new NumberGenerator(engines.max);
+
+      const results = dice.roll();
+
+      expect(results.qtyResults.value).toBe(1000);
+      expect(results).toHaveLength(999);
+    });
+
+    test('rounds the rolled qty and sides down', () => {
+      const dice = new DynamicDice(die, [qtyDie, '/', 3]);
+      dice.generator = new NumberGenerator(engines.max);
+
+      const results = dice.roll();
+
+      expect(results.qtyResults.value).toBeCloseTo(1.33);
+      expect(results).toHaveLength(1);
+
+      const sidesDice = new DynamicDice(new StandardDice(1, 2), null, [die, '/', 4]);
+      sidesDice.generator = new NumberGenerator(engines.max);
+
+      expect(sidesDice.roll().toString()).toEqual('([6]/4)[1, 1]');
+    });
+
+    test.each([
+      ['explode', new ExplodeModifier()],
+      ['re-roll', new ReRollModifier()],
+      ['unique', new UniqueModifier()],
+    ])('does not %s if the sides are rolled as one', (action, modifier) => {
+      const dice = new DynamicDice(new StandardDice(1, 2), null, [die]);
+      dice.modifiers = [modifier];
+      dice.generator = new NumberGenerator(engines.min);
+
+      const results = dice.roll();
+
+      expect(results.sidesResults.value).toBe(1);
+      expect(results.value).toBe(2);
+      expect(results.toString()).toEqual('([1])[1, 1]');
+    });
+
+    test('applies the modifiers', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+      dice.modifiers = [new KeepModifier('h', 1)];
+      dice.generator = new NumberGenerator(engines.min);
+
+      const results = dice.roll();
+
+      expect(results).toHaveLength(1);
+      expect(results.value).toBe(1);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const dice = new DynamicDice(die, [qtyDie]);
+
+      expect(JSON.parse(JSON.stringify(dice))).toEqual({
+        die: JSON.parse(JSON.stringify(die)),
+        name: 'dynamic',
+        notation: '(1d4)d6',
+        qtyExpression: [JSON.parse(JSON.stringify(qtyDie))],
+        sidesExpression: null,
+        type: 'die',
+      });
+    });
+  });
+});
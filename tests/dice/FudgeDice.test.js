@@ -6,6 +6,7 @@ import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
 import ComparePoint from '../../src/ComparePoint.js';
 import Description from '../../src/Description.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
 
 describe('FudgeDice', () => {
   describe('Initialisation', () => {
@@ -467,6 +468,16 @@ describe('FudgeDice', () => {
   });
 
   describe('Rolling', () => {
+    test('rollOnce uses the injected generator', () => {
+      const die = new FudgeDice(2, 1);
+
+      die.generator = new NumberGenerator(engines.max);
+      expect(die.rollOnce().value).toBe(1);
+
+      die.generator = new NumberGenerator(engines.min);
+      expect(die.rollOnce().value).toBe(-1);
+    });
+
     test('rollOnce returns a RollResult object', () => {
       expect((new FudgeDice(2, 1)).rollOnce()).toBeInstanceOf(RollResult);
     });
@@ -1,9 +1,13 @@
 import { StandardDice } from '../../src/dice/index.js';
 import { RequiredArgumentError } from '../../src/exceptions/index.js';
-import { ExplodeModifier, Modifier, SortingModifier } from '../../src/modifiers/index.js';
+import {
+  DropModifier, ExplodeModifier, Modifier, SortingModifier,
+} from '../../src/modifiers/index.js';
 import ComparePoint from '../../src/ComparePoint.js';
 import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
+import RollHooks from '../../src/RollHooks.js';
+import { engines, generator, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
 import Description from '../../src/Description.js';
 
 describe('StandardDice', () => {
@@ -21,6 +25,7 @@ describe('StandardDice', () => {
         max: 6,
         min: 1,
         name: 'standard',
+        hooks: null,
         roll: expect.any(Function),
         rollOnce: expect.any(Function),
         toJSON: expect.any(Function),
@@ -731,6 +736,124 @@ describe('StandardDice', () => {
 
       expect(die.roll()).toHaveLength(4);
     });
+
+    test('roll adds a step for the dice rolled', () => {
+      const die = new StandardDice(6, 3, { 'drop-l': new DropModifier('l') });
+      die.generator = new NumberGenerator(engines.max);
+
+      expect(die.roll().steps).toEqual([
+        'Rolled 3d6: [6, 6, 6]',
+        'Dropped the lowest 1 (dl1): 6',
+      ]);
+    });
+  });
+
+  describe('Generator', () => {
+    test('defaults to the shared generator', () => {
+      expect((new StandardDice(6)).generator).toBe(generator);
+    });
+
+    test('can be changed', () => {
+      const die = new StandardDice(6);
+      const numberGenerator = new NumberGenerator();
+
+      die.generator = numberGenerator;
+      expect(die.generator).toBe(numberGenerator);
+    });
+
+    test('setting to falsey uses the shared generator', () => {
+      const die = new StandardDice(6);
+      die.generator = new NumberGenerator();
+
+      die.generator = null;
+      expect(die.generator).toBe(generator);
+    });
+
+    test('is used for rolling', () => {
+      const die = new StandardDice(6, 3);
+      die.generator = new NumberGenerator(engines.max);
+
+      expect(die.roll().rolls.map((roll) => roll.value)).toEqual([6, 6, 6]);
+
+      die.generator = new NumberGenerator(engines.min);
+
+      expect(die.roll().rolls.map((roll) => roll.value)).toEqual([1, 1, 1]);
+    });
+
+    test('throws error if not a NumberGenerator', () => {
+      const die = new StandardDice(6);
+
+      expect(() => {
+        die.generator = engines.nativeMath;
+      }).toThrow(TypeError);
+
+      expect(() => {
+        die.generator = 'foo';
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Hooks', () => {
+    test('default to null', () => {
+      expect((new StandardDice(6)).hooks).toBe(null);
+    });
+
+    test('can be changed', () => {
+      const die = new StandardDice(6);
+      const hooks = new RollHooks();
+
+      die.hooks = hooks;
+      expect(die.hooks).toBe(hooks);
+
+      die.hooks = null;
+      expect(die.hooks).toBe(null);
+    });
+
+    test('onDieRolled is called for each die rolled', () => {
+      const onDieRolled = jest.fn();
+      const die = new StandardDice(6, 3);
+
+      die.generator = new NumberGenerator(engines.max);
+      die.hooks = new RollHooks({ onDieRolled });
+
+      const results = die.roll();
+
+      expect(onDieRolled).toHaveBeenCalledTimes(3);
+      results.rolls.forEach((result, index) => {
+        expect(onDieRolled).toHaveBeenNthCalledWith(index + 1, {
+          die,
+          modifier: null,
+          reason: 'roll',
+          result,
+          value: 6,
+        });
+      });
+    });
+
+    test('onDieRolled is called before the modifiers are run', () => {
+      const calls = [];
+      const die = new StandardDice(6, 2, { 'drop-l': new DropModifier('l') });
+
+      die.hooks = new RollHooks({
+        onDieDropped: () => calls.push('dropped'),
+        onDieRolled: () => calls.push('rolled'),
+      });
+      die.roll();
+
+      expect(calls).toEqual(['rolled', 'rolled', 'dropped']);
+    });
+
+    test('throws error if not RollHooks', () => {
+      const die = new StandardDice(6);
+
+      expect(() => {
+        die.hooks = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        die.hooks = { onDieRolled: () => {} };
+      }).toThrow(TypeError);
+    });
   });
 
   describe('Readonly properties', () => {
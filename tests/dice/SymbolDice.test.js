@@ -0,0 +1,210 @@
+import { ExplodeModifier, KeepModifier } from '../../src/modifiers/index.js';
+import { CustomDice, StandardDice, SymbolDice } from '../../src/dice/index.js';
+import { RequiredArgumentError } from '../../src/exceptions/index.js';
+import RollResult from '../../src/results/RollResult.js';
+import RollResults from '../../src/results/RollResults.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('SymbolDice', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const die = new SymbolDice('ability');
+
+      expect(die).toBeInstanceOf(SymbolDice);
+      expect(die).toBeInstanceOf(CustomDice);
+      expect(die).toBeInstanceOf(StandardDice);
+      expect(die).toEqual(expect.objectContaining({
+        description: null,
+        faces: [0, 1, 1, 2, 0, 0, 1, 0],
+        notation: '1dN.ability',
+        sides: 'N.ability',
+        qty: 1,
+        modifiers: null,
+        max: 2,
+        min: 0,
+        name: 'symbol',
+        symbolFaces: [
+          {},
+          { success: 1 },
+          { success: 1 },
+          { success: 2 },
+          { advantage: 1 },
+          { advantage: 1 },
+          { success: 1, advantage: 1 },
+          { advantage: 2 },
+        ],
+        variant: 'ability',
+        roll: expect.any(Function),
+        rollOnce: expect.any(Function),
+        toJSON: expect.any(Function),
+        toString: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Variant', () => {
+    test('variant is required', () => {
+      expect(() => {
+        new SymbolDice();
+      }).toThrow(RequiredArgumentError);
+
+      expect(() => {
+        new SymbolDice(null);
+      }).toThrow(RequiredArgumentError);
+    });
+
+    test('has the Genesys dice', () => {
+      expect(Object.keys(SymbolDice.types)).toEqual([
+        'ability', 'boost', 'challenge', 'difficulty', 'proficiency', 'setback',
+      ]);
+
+      expect((new SymbolDice('boost')).faces).toHaveLength(6);
+      expect((new SymbolDice('setback')).faces).toHaveLength(6);
+      expect((new SymbolDice('ability')).faces).toHaveLength(8);
+      expect((new SymbolDice('difficulty')).faces).toHaveLength(8);
+      expect((new SymbolDice('proficiency')).faces).toHaveLength(12);
+      expect((new SymbolDice('challenge')).faces).toHaveLength(12);
+    });
+
+    test('negative dice have negative values', () => {
+      const die = new SymbolDice('challenge');
+
+      expect(die.min).toBe(-2);
+      expect(die.max).toBe(0);
+      expect(die.symbolFaces).toContainEqual({ despair: 1 });
+    });
+
+    test('throws error for unknown built-in dice', () => {
+      expect(() => {
+        new SymbolDice('foo');
+      }).toThrow(RangeError);
+    });
+
+    test('can define a custom die', () => {
+      const die = new SymbolDice({
+        name: 'luck',
+        faces: ['', 's', 'a', { success: 1, advantage: 2 }],
+      });
+
+      expect(die.variant).toEqual('luck');
+      expect(die.notation).toEqual('1dN.luck');
+      expect(die.faces).toEqual([0, 1, 0, 1]);
+      expect(die.symbolFaces).toEqual([
+        {},
+        { success: 1 },
+        { advantage: 1 },
+        { success: 1, advantage: 2 },
+      ]);
+    });
+
+    test('throws error for invalid custom dice', () => {
+      expect(() => {
+        new SymbolDice({ name: 'luck', faces: [] });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new SymbolDice({ name: 'Luck!', faces: ['s'] });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new SymbolDice({ faces: ['s'] });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new SymbolDice({ name: 'luck', faces: ['x'] });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new SymbolDice({ name: 'luck', faces: [{ success: 'foo' }] });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new SymbolDice({ name: 'luck', faces: [5] });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Modifiers', () => {
+    test('explodes on the face with the most net successes', () => {
+      const die = new SymbolDice('proficiency', 1, [new ExplodeModifier()]);
+      const modifier = die.modifiers.get('explode');
+
+      modifier.useDefaultsIfNeeded(die);
+
+      expect(modifier.comparePoint.value).toBe(2);
+    });
+
+    test('keep uses the face values', () => {
+      const die = new SymbolDice('ability', 3, [new KeepModifier('h', 1)]);
+      die.generator = new NumberGenerator(engines.max);
+
+      const results = die.roll();
+
+      expect(results.value).toBe(2);
+      expect(results.symbols).toEqual({ success: 2 });
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const die = new SymbolDice('setback', 2);
+
+      expect(JSON.parse(JSON.stringify(die))).toEqual({
+        average: -1 / 3,
+        description: null,
+        faces: [0, 0, -1, -1, 0, 0],
+        max: 0,
+        min: -1,
+        modifiers: null,
+        name: 'symbol',
+        notation: '2dN.setback',
+        qty: 2,
+        sides: 'N.setback',
+        symbolFaces: [{}, {}, { failure: 1 }, { failure: 1 }, { threat: 1 }, { threat: 1 }],
+        type: 'die',
+        variant: 'setback',
+      });
+    });
+
+    test('String output is correct', () => {
+      expect((new SymbolDice('boost', 3)).toString()).toEqual('3dN.boost');
+    });
+  });
+
+  describe('Rolling', () => {
+    test('rollOnce returns a RollResult object with symbols', () => {
+      const result = (new SymbolDice('ability')).rollOnce();
+
+      expect(result).toBeInstanceOf(RollResult);
+      expect(result.symbols).toEqual(expect.any(Object));
+    });
+
+    test('roll returns a RollResults object', () => {
+      expect((new SymbolDice('ability', 4)).roll()).toBeInstanceOf(RollResults);
+    });
+
+    test('rollOnce only rolls the die faces', () => {
+      const die = new SymbolDice('difficulty');
+      const { symbolFaces } = die;
+
+      // run the test multiple times to try and ensure consistency
+      for (let i = 0; i < 1000; ++i) {
+        const result = die.rollOnce();
+
+        expect(symbolFaces).toContainEqual(result.symbols);
+        expect(die.faces).toContain(result.value);
+      }
+    });
+
+    test('rollOnce uses the lowest and highest faces for min / max engines', () => {
+      const die = new SymbolDice('challenge');
+
+      die.generator = new NumberGenerator(engines.max);
+      expect(die.rollOnce().value).toBe(0);
+
+      die.generator = new NumberGenerator(engines.min);
+      expect(die.rollOnce().value).toBe(-2);
+      expect(die.rollOnce().symbols).toEqual({ failure: 2 });
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { LimitError } from '../../src/exceptions/index.js';
+
+describe('LimitError', () => {
+  test('outputs the limit in the message', () => {
+    expect(() => {
+      throw new LimitError('maxDice', 100);
+    }).toThrow('Notation exceeds the "maxDice" limit of 100');
+
+    expect(() => {
+      throw new LimitError('timeout', 50, 62);
+    }).toThrow('Notation exceeds the "timeout" limit of 50');
+  });
+
+  test('has the limit, max, and value', () => {
+    const error = new LimitError('maxTerms', 4, 5);
+
+    expect(error.name).toBe('LimitError');
+    expect(error.limit).toBe('maxTerms');
+    expect(error.max).toBe(4);
+    expect(error.value).toBe(5);
+  });
+
+  test('value defaults to null', () => {
+    expect(new LimitError('maxDepth', 2).value).toBe(null);
+  });
+
+  test('still throws correct error if no `captureStackTrace', () => {
+    Error.captureStackTrace = undefined;
+    expect(() => {
+      throw new LimitError('maxDice', 100);
+    }).toThrow(LimitError);
+  });
+});
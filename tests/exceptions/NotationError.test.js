@@ -11,6 +11,59 @@ describe('NotationError', () => {
     }).toThrow('Notation "4d10+2d6" is invalid');
   });
 
+  test('has no position by default', () => {
+    const error = new NotationError('d6');
+
+    expect(error).toEqual(expect.objectContaining({
+      column: null,
+      expected: [],
+      found: null,
+      line: null,
+      notation: 'd6',
+      offset: null,
+      reason: null,
+      snippet: null,
+      suggestions: [],
+    }));
+  });
+
+  describe('details', () => {
+    let error;
+
+    beforeEach(() => {
+      error = new NotationError('2d6\n+ 3d%%', {
+        expected: ['"("', 'variable'],
+        found: '%',
+        location: {
+          start: { offset: 9, line: 2, column: 6 },
+          end: { offset: 10, line: 2, column: 7 },
+        },
+        reason: 'Expected "(" or variable but "%" found.',
+        suggestions: ['2d6\n+ 3d%'],
+      });
+    });
+
+    test('are stored', () => {
+      expect(error).toEqual(expect.objectContaining({
+        column: 6,
+        expected: ['"("', 'variable'],
+        found: '%',
+        line: 2,
+        offset: 9,
+        reason: 'Expected "(" or variable but "%" found.',
+        suggestions: ['2d6\n+ 3d%'],
+      }));
+    });
+
+    test('are included in the message', () => {
+      expect(error.message).toEqual('Notation "2d6\n+ 3d%%" is invalid at line 2, column 6: Expected "(" or variable but "%" found. Did you mean "2d6\n+ 3d%"?');
+    });
+
+    test('snippet points at the position', () => {
+      expect(error.snippet).toEqual('+ 3d%%\n     ^');
+    });
+  });
+
   test('still throws correct error if no `captureStackTrace', () => {
     Error.captureStackTrace = undefined;
     expect(() => {
@@ -178,6 +178,28 @@ describe('CriticalSuccessModifier', () => {
       spy.mockRestore();
     });
 
+    test('adds a step listing the matching rolls', () => {
+      const results = new RollResults([
+        1, 2, 4, 8, 6,
+      ]);
+      const mod = new CriticalSuccessModifier(new ComparePoint('>=', 6));
+
+      mod.run(results, new StandardDice(6, 5));
+
+      expect(results.steps).toEqual([
+        'Critical successes (cs>=6): 8, 6',
+      ]);
+    });
+
+    test('does not add a step if no rolls match', () => {
+      const results = new RollResults([4, 3]);
+      const mod = new CriticalSuccessModifier(new ComparePoint('>=', 6));
+
+      mod.run(results, new StandardDice(6, 2));
+
+      expect(results.steps).toEqual([]);
+    });
+
     test('flags failure rolls', () => {
       const results = new RollResults([
         1, 2, 4, 8, 6,
@@ -4,6 +4,7 @@ import ResultGroup from '../../src/results/ResultGroup.js';
 import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
 import RollGroup from '../../src/RollGroup.js';
+import RollHooks from '../../src/RollHooks.js';
 
 describe('DropModifier', () => {
   describe('Initialisation', () => {
@@ -238,6 +239,31 @@ describe('DropModifier', () => {
         expect(mod.run(results, die)).toBe(results);
       });
 
+      test('adds a step listing the dropped rolls', () => {
+        mod.run(results, die);
+
+        expect(results.steps).toEqual([
+          'Dropped the lowest 1 (dl1): 1',
+        ]);
+      });
+
+      test('calls the onDieDropped hook for each dropped roll', () => {
+        const onDieDropped = jest.fn();
+
+        die.hooks = new RollHooks({ onDieDropped });
+
+        const modifiedResults = mod.run(results, die).rolls;
+
+        expect(onDieDropped).toHaveBeenCalledTimes(1);
+        expect(onDieDropped).toHaveBeenCalledWith({
+          die,
+          modifier: mod,
+          reason: 'drop-l',
+          result: modifiedResults[3],
+          value: 1,
+        });
+      });
+
       test('can drop results from low end', () => {
         const modifiedResults = mod.run(results, die).rolls;
 
@@ -469,6 +495,17 @@ describe('DropModifier', () => {
           expect(mod.run(results, group)).toBe(results);
         });
 
+        test('calls the onDieDropped hook for each dropped die', () => {
+          const onDieDropped = jest.fn();
+
+          group.hooks = new RollHooks({ onDieDropped });
+          mod.run(results, group);
+
+          expect(onDieDropped).toHaveBeenCalledTimes(1);
+          expect(onDieDropped.mock.calls[0][0].value).toBe(1);
+          expect(onDieDropped.mock.calls[0][0].reason).toBe('drop-l');
+        });
+
         test('can drop rolls from the low end', () => {
           const modifiedResults = mod.run(results, group).results;
 
@@ -941,6 +978,19 @@ describe('DropModifier', () => {
           ]);
         });
 
+        test('calls the onDieDropped hook for each die in dropped sub-rolls', () => {
+          const onDieDropped = jest.fn();
+
+          group.hooks = new RollHooks({ onDieDropped });
+          mod.run(results, group);
+
+          // the second sub-roll, `2/3d2`, is dropped
+          expect(onDieDropped).toHaveBeenCalledTimes(3);
+          expect(onDieDropped.mock.calls.map(([event]) => event.value)).toEqual([1, 1, 2]);
+          expect(onDieDropped.mock.calls.map(([event]) => event.result))
+            .toEqual(results.results[1].results[2].rolls);
+        });
+
         test('returns RollResults object', () => {
           expect(mod.run(results, group)).toBe(results);
         });
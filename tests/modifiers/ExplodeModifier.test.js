@@ -4,6 +4,7 @@ import { ComparisonModifier, ExplodeModifier } from '../../src/modifiers/index.j
 import ComparePoint from '../../src/ComparePoint.js';
 import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
+import RollHooks from '../../src/RollHooks.js';
 
 describe('ExplodeModifier', () => {
   describe('Initialisation', () => {
@@ -224,6 +225,50 @@ describe('ExplodeModifier', () => {
       expect(mod.run(results, die)).toBe(results);
     });
 
+    test('adds a step for each explosion', () => {
+      mod.run(results, die);
+
+      expect(results.steps).toEqual([
+        'Exploded 10 (!=10): rolled 10',
+        'Exploded 10 (!=10): rolled 2',
+      ]);
+    });
+
+    test('calls the onDieExploded hook for each explosion', () => {
+      const onDieExploded = jest.fn();
+
+      die.hooks = new RollHooks({ onDieExploded });
+
+      const modifiedResults = mod.run(results, die).rolls;
+
+      expect(onDieExploded).toHaveBeenCalledTimes(2);
+      expect(onDieExploded).toHaveBeenNthCalledWith(1, {
+        die,
+        modifier: mod,
+        reason: 'explode',
+        result: modifiedResults[6],
+        value: 10,
+      });
+      expect(onDieExploded).toHaveBeenNthCalledWith(2, {
+        die,
+        modifier: mod,
+        reason: 'explode',
+        result: modifiedResults[7],
+        value: 2,
+      });
+    });
+
+    test('onDieExploded hook has the face value for penetrating dice', () => {
+      const onDieExploded = jest.fn();
+
+      die.hooks = new RollHooks({ onDieExploded });
+      mod = new ExplodeModifier(null, false, true);
+      mod.run(results, die);
+
+      expect(onDieExploded.mock.calls.map(([event]) => event.value)).toEqual([10, 2]);
+      expect(onDieExploded.mock.calls.map(([event]) => event.result.value)).toEqual([9, 1]);
+    });
+
     test('can explode with default compare point', () => {
       const modifiedResults = mod.run(results, die).rolls;
 
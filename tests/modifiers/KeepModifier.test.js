@@ -4,6 +4,7 @@ import ResultGroup from '../../src/results/ResultGroup.js';
 import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
 import RollGroup from '../../src/RollGroup.js';
+import RollHooks from '../../src/RollHooks.js';
 
 describe('KeepModifier', () => {
   describe('Initialisation', () => {
@@ -238,6 +239,27 @@ describe('KeepModifier', () => {
         expect(mod.run(results, die)).toBe(results);
       });
 
+      test('adds a step listing the dropped rolls', () => {
+        mod.run(results, die);
+
+        expect(results.steps).toEqual([
+          'Kept the highest 1 (kh1), dropped: 1, 2, 4, 6',
+        ]);
+      });
+
+      test('calls the onDieDropped hook for each dropped roll', () => {
+        const onDieDropped = jest.fn();
+
+        die.hooks = new RollHooks({ onDieDropped });
+        mod.run(results, die);
+
+        expect(onDieDropped).toHaveBeenCalledTimes(4);
+        expect(onDieDropped.mock.calls.map(([event]) => event.value)).toEqual([1, 2, 4, 6]);
+        expect(onDieDropped.mock.calls.map(([event]) => event.reason)).toEqual([
+          'keep-h', 'keep-h', 'keep-h', 'keep-h',
+        ]);
+      });
+
       test('can keep results from high end', () => {
         const modifiedResults = mod.run(results, die).rolls;
 
@@ -139,6 +139,15 @@ describe('MaxModifier', () => {
       expect(mod.run(results, die)).toBe(results);
     });
 
+    test('adds a step for each changed roll', () => {
+      mod.run(results, die);
+
+      expect(results.steps).toEqual([
+        'Decreased 4 to 3 (max3)',
+        'Decreased 6 to 3 (max3)',
+      ]);
+    });
+
     test('rolls lower than max are changed to max', () => {
       const modifiedResults = mod.run(results, die).rolls;
 
@@ -139,6 +139,16 @@ describe('MinModifier', () => {
       expect(mod.run(results, die)).toBe(results);
     });
 
+    test('adds a step for each changed roll', () => {
+      mod.run(results, die);
+
+      expect(results.steps).toEqual([
+        'Increased 1 to 3 (min3)',
+        'Increased 2 to 3 (min3)',
+        'Increased 1 to 3 (min3)',
+      ]);
+    });
+
     test('rolls lower than min are changed to min', () => {
       const modifiedResults = mod.run(results, die).rolls;
 
@@ -0,0 +1,188 @@
+import ComparePoint from '../../src/ComparePoint.js';
+import { Modifier, ModifierRegistry } from '../../src/modifiers/index.js';
+
+class BumpModifier extends Modifier {
+  static order = 3;
+
+  constructor(comparePoint) {
+    super();
+
+    this.comparePoint = comparePoint;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  get name() {
+    return 'bump';
+  }
+}
+
+describe('ModifierRegistry', () => {
+  afterEach(() => {
+    ModifierRegistry.unregister('bump');
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(ModifierRegistry).toEqual(expect.objectContaining({
+        create: expect.any(Function),
+        flag: expect.any(Function),
+        has: expect.any(Function),
+        match: expect.any(Function),
+        register: expect.any(Function),
+        unregister: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Register', () => {
+    test('can register a modifier', () => {
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      expect(ModifierRegistry.has('bump')).toBe(true);
+    });
+
+    test('can unregister a modifier', () => {
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      expect(ModifierRegistry.unregister('bump')).toBe(true);
+      expect(ModifierRegistry.has('bump')).toBe(false);
+      expect(ModifierRegistry.unregister('bump')).toBe(false);
+    });
+
+    test('throws error if name is invalid or registered', () => {
+      expect(() => {
+        ModifierRegistry.register({ token: 'bp', modifier: BumpModifier });
+      }).toThrow(TypeError);
+
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: 'bq', modifier: BumpModifier });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if token is invalid or in use', () => {
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: 'b!', modifier: BumpModifier });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: '', modifier: BumpModifier });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: 'kh', modifier: BumpModifier });
+      }).toThrow(TypeError);
+
+      ['m', 'c', 'su', 'rr', 'maxi'].forEach((token) => {
+        expect(() => {
+          ModifierRegistry.register({ name: 'bump', token, modifier: BumpModifier });
+        }).toThrow(TypeError);
+      });
+
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      expect(() => {
+        ModifierRegistry.register({ name: 'other', token: 'bp', modifier: BumpModifier });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if modifier does not extend Modifier', () => {
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: Modifier });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: function Foo() {} });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: new BumpModifier() });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if argument, order, or flags are invalid', () => {
+      expect(() => {
+        ModifierRegistry.register({
+          name: 'bump', token: 'bp', modifier: BumpModifier, argument: 'foo',
+        });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        ModifierRegistry.register({
+          name: 'bump', token: 'bp', modifier: BumpModifier, order: 'foo',
+        });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        ModifierRegistry.register({
+          name: 'bump', token: 'bp', modifier: BumpModifier, flags: { bumped: 4 },
+        });
+      }).toThrow(TypeError);
+
+      expect(ModifierRegistry.has('bump')).toBe(false);
+    });
+  });
+
+  describe('Create', () => {
+    test('creates the modifier with the argument', () => {
+      const comparePoint = new ComparePoint('>', 3);
+
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      const modifier = ModifierRegistry.create('bump', comparePoint);
+
+      expect(modifier).toBeInstanceOf(BumpModifier);
+      expect(modifier.comparePoint).toBe(comparePoint);
+      expect(modifier.order).toBe(3);
+    });
+
+    test('can override the order', () => {
+      ModifierRegistry.register({
+        name: 'bump', token: 'bp', modifier: BumpModifier, order: 12,
+      });
+
+      expect(ModifierRegistry.create('bump').order).toBe(12);
+    });
+
+    test('throws error if not registered', () => {
+      expect(() => {
+        ModifierRegistry.create('bump');
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Flag', () => {
+    test('returns the registered flag', () => {
+      ModifierRegistry.register({
+        name: 'bump', token: 'bp', modifier: BumpModifier, flags: { bumped: '+' },
+      });
+
+      expect(ModifierRegistry.flag('bumped')).toEqual('+');
+      expect(ModifierRegistry.flag('bump')).toBe(null);
+    });
+  });
+
+  describe('Match', () => {
+    test('returns the modifier with the token at the offset', () => {
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      expect(ModifierRegistry.match('4d6bp', 3)).toEqual(expect.objectContaining({
+        name: 'bump',
+        token: 'bp',
+      }));
+      expect(ModifierRegistry.match('4d6bp', 2)).toBe(null);
+      expect(ModifierRegistry.match('bp')).toEqual(expect.objectContaining({ name: 'bump' }));
+    });
+
+    test('returns the longest matching token', () => {
+      ModifierRegistry.register({ name: 'bump', token: 'b', modifier: BumpModifier });
+      ModifierRegistry.register({ name: 'big-bump', token: 'bb', modifier: BumpModifier });
+
+      expect(ModifierRegistry.match('4d6bb', 3).name).toEqual('big-bump');
+      expect(ModifierRegistry.match('4d6b', 3).name).toEqual('bump');
+
+      ModifierRegistry.unregister('big-bump');
+    });
+  });
+});
@@ -4,6 +4,7 @@ import { ComparisonModifier, ReRollModifier } from '../../src/modifiers/index.js
 import ComparePoint from '../../src/ComparePoint.js';
 import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
+import RollHooks from '../../src/RollHooks.js';
 
 describe('ReRollModifier', () => {
   describe('Initialisation', () => {
@@ -182,6 +183,33 @@ describe('ReRollModifier', () => {
       expect(mod.run(results, die)).toBe(results);
     });
 
+    test('adds a step for each re-roll', () => {
+      mod.run(results, die);
+
+      expect(results.steps).toEqual([
+        'Re-rolled 1 (r=1): rolled 10',
+      ]);
+    });
+
+    test('calls the onDieRerolled hook for each re-roll', () => {
+      const onDieRerolled = jest.fn();
+
+      die.hooks = new RollHooks({ onDieRerolled });
+
+      const modifiedResults = mod.run(results, die).rolls;
+
+      expect(onDieRerolled).toHaveBeenCalledTimes(1);
+      expect(onDieRerolled).toHaveBeenCalledWith({
+        die,
+        modifier: mod,
+        previous: 1,
+        reason: 're-roll',
+        result: modifiedResults[3],
+        value: 10,
+      });
+      expect(onDieRerolled.mock.calls[0][0].result.value).toBe(10);
+    });
+
     test('does re-roll with default compare point', () => {
       const modifiedResults = mod.run(results, die).rolls;
 
@@ -320,6 +320,22 @@ describe('TargetModifier', () => {
         expect(mod.run(results, die)).toBe(results);
       });
 
+      test('adds a step with the success and failure counts', () => {
+        mod.run(results, die);
+
+        expect(results.steps).toEqual([
+          'Counted 2 successes and 2 failures (>8f<4)',
+        ]);
+
+        results = new RollResults([8, 9]);
+        mod = new TargetModifier(sCP);
+        mod.run(results, die);
+
+        expect(results.steps).toEqual([
+          'Counted 1 success (>8)',
+        ]);
+      });
+
       test('flags successes and failures', () => {
         const modifiedResults = mod.run(results, die).rolls;
 
@@ -4,6 +4,7 @@ import { DieActionValueError } from '../../src/exceptions/index.js';
 import ComparePoint from '../../src/ComparePoint.js';
 import RollResults from '../../src/results/RollResults.js';
 import RollResult from '../../src/results/RollResult.js';
+import RollHooks from '../../src/RollHooks.js';
 
 describe('UniqueModifier', () => {
   describe('Initialisation', () => {
@@ -172,6 +173,47 @@ describe('UniqueModifier', () => {
       jest.restoreAllMocks();
     });
 
+    test('adds a step for each re-roll', () => {
+      spy.mockImplementationOnce(() => new RollResult(3))
+        .mockImplementationOnce(() => new RollResult(5))
+        .mockImplementationOnce(() => new RollResult(2));
+
+      mod.run(results, die);
+
+      expect(results.steps).toEqual([
+        'Re-rolled duplicate 8 (u): rolled 3',
+        'Re-rolled duplicate 1 (u): rolled 5',
+        'Re-rolled duplicate 8 (u): rolled 2',
+      ]);
+    });
+
+    test('calls the onDieRerolled hook for each re-roll', () => {
+      const onDieRerolled = jest.fn();
+
+      spy.mockImplementationOnce(() => new RollResult(3))
+        .mockImplementationOnce(() => new RollResult(5))
+        .mockImplementationOnce(() => new RollResult(2));
+
+      die.hooks = new RollHooks({ onDieRerolled });
+
+      const modifiedResults = mod.run(results, die).rolls;
+
+      expect(onDieRerolled).toHaveBeenCalledTimes(3);
+      expect(onDieRerolled.mock.calls.map(([event]) => [event.previous, event.value])).toEqual([
+        [8, 3],
+        [1, 5],
+        [8, 2],
+      ]);
+      expect(onDieRerolled).toHaveBeenNthCalledWith(1, {
+        die,
+        modifier: mod,
+        previous: 8,
+        reason: 'unique',
+        result: modifiedResults[2],
+        value: 3,
+      });
+    });
+
     describe('Without compare point', () => {
       test('Re-rolls all duplicates', () => {
         spy.mockImplementationOnce(() => new RollResult(8))
@@ -1,5 +1,7 @@
 import getModifierFlags from '../../src/modifiers/modifier-flags.js';
 import ExplodeModifier from '../../src/modifiers/ExplodeModifier.js';
+import Modifier from '../../src/modifiers/Modifier.js';
+import ModifierRegistry from '../../src/modifiers/ModifierRegistry.js';
 
 describe('Modifier flags', () => {
   test('returns a string', () => {
@@ -28,4 +30,19 @@ describe('Modifier flags', () => {
 
     expect(flags).toEqual(getModifierFlags('explode'));
   });
+
+  test('uses registered flags', () => {
+    ModifierRegistry.register({
+      name: 'bump',
+      token: 'bp',
+      modifier: class extends Modifier {},
+      flags: { bumped: '+' },
+    });
+
+    expect(getModifierFlags('bumped', 'drop')).toEqual('+d');
+
+    ModifierRegistry.unregister('bump');
+
+    expect(getModifierFlags('bumped')).toEqual('bumped');
+  });
 });
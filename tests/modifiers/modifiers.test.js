@@ -4,6 +4,8 @@ import {
   DropModifier,
   ExplodeModifier,
   KeepModifier,
+  Modifier,
+  ModifierRegistry,
   ReRollModifier,
   UniqueModifier,
 } from '../../src/modifiers/index.js';
@@ -235,4 +237,78 @@ describe('Modifiers', () => {
       });
     });
   });
+
+  describe('Custom modifiers', () => {
+    class BumpModifier extends Modifier {
+      static order = 3;
+
+      constructor(comparePoint) {
+        super();
+
+        this.comparePoint = comparePoint;
+      }
+
+      // eslint-disable-next-line class-methods-use-this
+      get name() {
+        return 'bump';
+      }
+
+      get notation() {
+        return `bp${this.comparePoint || ''}`;
+      }
+
+      run(results, _context) {
+        const parsedResults = results;
+
+        parsedResults.rolls = results.rolls.map((roll) => {
+          const parsedRoll = roll;
+
+          if (this.comparePoint.isMatch(roll.value)) {
+            parsedRoll.value += 1;
+            parsedRoll.modifiers.add('bumped');
+          }
+
+          return parsedRoll;
+        });
+
+        return parsedResults;
+      }
+    }
+
+    beforeEach(() => {
+      ModifierRegistry.register({
+        name: 'bump',
+        token: 'bp',
+        modifier: BumpModifier,
+        argument: 'compare-point',
+        flags: { bumped: '+' },
+      });
+    });
+
+    afterEach(() => {
+      ModifierRegistry.unregister('bump');
+    });
+
+    test('are run in order with the results flagged', () => {
+      const spy = jest.spyOn(StandardDice.prototype, 'rollOnce')
+        .mockImplementationOnce(() => 1)
+        .mockImplementationOnce(() => 4)
+        .mockImplementationOnce(() => 2);
+      const diceRoll = new DiceRoll('3d6bp<3kh2');
+
+      // bumped before the keep modifier runs
+      expect(diceRoll.output).toEqual('3d6bp<3kh2: [2+d, 4, 3+] = 7');
+      expect(diceRoll.rolls[0].rolls[0].modifierFlags).toEqual('+d');
+
+      spy.mockRestore();
+    });
+
+    test('can be exported and imported', () => {
+      const diceRoll = new DiceRoll('4d6bp<3');
+      const imported = DiceRoll.import(diceRoll.export());
+
+      expect(imported.output).toEqual(diceRoll.output);
+      expect(JSON.stringify(imported)).toEqual(JSON.stringify(diceRoll));
+    });
+  });
 });
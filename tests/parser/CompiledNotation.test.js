@@ -0,0 +1,91 @@
+import { StandardDice } from '../../src/dice/index.js';
+import { LimitError } from '../../src/exceptions/index.js';
+import CompiledNotation from '../../src/parser/CompiledNotation.js';
+import Limits from '../../src/Limits.js';
+import Parser from '../../src/parser/Parser.js';
+
+describe('CompiledNotation', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const compiled = Parser.compile('1d6+@mod', { variables: { mod: 2 } });
+
+      expect(compiled).toBeInstanceOf(CompiledNotation);
+      expect(compiled).toEqual(expect.objectContaining({
+        ast: expect.objectContaining({ type: 'binary' }),
+        checkLimits: expect.any(Function),
+        expressions: [expect.any(StandardDice), '+', 2],
+        notation: '1d6+@mod',
+        toJSON: expect.any(Function),
+        toString: expect.any(Function),
+        variables: { mod: 2 },
+      }));
+    });
+  });
+
+  describe('Properties', () => {
+    test('expressions cannot be changed', () => {
+      const compiled = Parser.compile('1d6+2');
+
+      compiled.expressions.push('+', 4);
+
+      expect(compiled.expressions).toHaveLength(3);
+    });
+
+    test('variables cannot be changed', () => {
+      const compiled = Parser.compile('1d6+@mod', { variables: { mod: 2 } });
+
+      compiled.variables.mod = 5;
+
+      expect(compiled.variables).toEqual({ mod: 2 });
+    });
+
+    test('ast matches the parsed AST', () => {
+      expect(JSON.stringify(Parser.compile('{2d6, 1d8}k1').ast))
+        .toEqual(JSON.stringify(Parser.parseAst('{2d6, 1d8}k1')));
+    });
+  });
+
+  describe('Limits', () => {
+    test('does nothing if within the limits', () => {
+      expect(() => {
+        Parser.compile('{1d6, 1d8}').checkLimits(new Limits({ maxDepth: 1, maxTerms: 2 }));
+      }).not.toThrow();
+    });
+
+    test('throws error if the notation exceeds the limits', () => {
+      const compiled = Parser.compile('{(1d6+1d4)*2, 1d1000}');
+
+      expect(() => {
+        compiled.checkLimits(new Limits({ maxNotationLength: 10 }));
+      }).toThrow(expect.objectContaining({ limit: 'maxNotationLength' }));
+
+      expect(() => {
+        compiled.checkLimits(new Limits({ maxTerms: 2 }));
+      }).toThrow(expect.objectContaining({ limit: 'maxTerms' }));
+
+      expect(() => {
+        compiled.checkLimits(new Limits({ maxDepth: 1 }));
+      }).toThrow(expect.objectContaining({ limit: 'maxDepth' }));
+
+      expect(() => {
+        compiled.checkLimits(new Limits({ maxSides: 100 }));
+      }).toThrow(LimitError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const compiled = Parser.compile('1d6+@mod', { variables: { mod: 2 } });
+
+      expect(JSON.parse(JSON.stringify(compiled))).toEqual({
+        notation: '1d6+@mod',
+        type: 'compiled-notation',
+        variables: { mod: 2 },
+      });
+    });
+
+    test('String output is the notation', () => {
+      expect(`${Parser.compile('4d6dl1')}`).toEqual('4d6dl1');
+    });
+  });
+});
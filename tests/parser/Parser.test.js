@@ -1,5 +1,7 @@
-import { FudgeDice, PercentileDice, StandardDice } from '../../src/dice/index.js';
-import { RequiredArgumentError } from '../../src/exceptions/index.js';
+import {
+  CustomDice, DynamicDice, FudgeDice, PercentileDice, StandardDice, SymbolDice,
+} from '../../src/dice/index.js';
+import { LimitError, NotationError, RequiredArgumentError } from '../../src/exceptions/index.js';
 import {
   CriticalFailureModifier,
   CriticalSuccessModifier,
@@ -8,20 +10,27 @@ import {
   KeepModifier,
   MaxModifier,
   MinModifier,
+  ModifierRegistry,
   ReRollModifier,
   SortingModifier,
   TargetModifier,
   UniqueModifier,
 } from '../../src/modifiers/index.js';
-import * as parser from '../../src/parser/grammars/grammar.js';
+import CompiledNotation from '../../src/parser/CompiledNotation.js';
 import Parser from '../../src/parser/Parser.js';
 import Description from '../../src/Description.js';
+import Limits from '../../src/Limits.js';
+import RollGroup from '../../src/RollGroup.js';
+import RollRepetition from '../../src/RollRepetition.js';
 
 describe('Parser', () => {
   describe('Initialisation', () => {
     test('model structure', () => {
       expect(Parser).toEqual(expect.objectContaining({
+        clearCache: expect.any(Function),
+        compile: expect.any(Function),
         parse: expect.any(Function),
+        parseAst: expect.any(Function),
       }));
     });
   });
@@ -143,46 +152,145 @@ describe('Parser', () => {
         expect(parsed[0].modifiers).toEqual(new Map());
       });
 
+      test('returns correct response for `d{1,1,2,3,5,8}`', () => {
+        const parsed = Parser.parse('d{1,1,2,3,5,8}');
+
+        expect(parsed).toBeInstanceOf(Array);
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(CustomDice);
+        expect(parsed[0].faces).toEqual([1, 1, 2, 3, 5, 8]);
+        expect(parsed[0].qty).toBe(1);
+        expect(parsed[0].modifiers).toEqual(new Map());
+      });
+
+      test('returns correct response for `4d{-1, 0, 0, 1.5}`', () => {
+        const parsed = Parser.parse('4d{-1, 0, 0, 1.5}');
+
+        expect(parsed).toBeInstanceOf(Array);
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(CustomDice);
+        expect(parsed[0].faces).toEqual([-1, 0, 0, 1.5]);
+        expect(parsed[0].qty).toBe(4);
+        expect(parsed[0].notation).toEqual('4d{-1,0,0,1.5}');
+      });
+
+      test('returns correct response for `3d{2,4,8}!kh2`', () => {
+        const parsed = Parser.parse('3d{2,4,8}!kh2');
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(CustomDice);
+        expect(parsed[0].modifiers.get('explode')).toBeInstanceOf(ExplodeModifier);
+        expect(parsed[0].modifiers.get('keep-h')).toBeInstanceOf(KeepModifier);
+      });
+
+      test('throws error for invalid custom die faces', () => {
+        expect(() => {
+          Parser.parse('d{}');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('d{1,2,}');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('d{1,foo}');
+        }).toThrow(NotationError);
+      });
+
+      test('returns correct response for `3dN.ability`', () => {
+        const parsed = Parser.parse('3dN.ability');
+
+        expect(parsed).toBeInstanceOf(Array);
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(SymbolDice);
+        expect(parsed[0].variant).toEqual('ability');
+        expect(parsed[0].qty).toBe(3);
+        expect(parsed[0].modifiers).toEqual(new Map());
+      });
+
+      test('returns correct response for `2dN.proficiency+dN.challenge`', () => {
+        const parsed = Parser.parse('2dN.proficiency+dN.challenge');
+
+        expect(parsed).toHaveLength(3);
+        expect(parsed[0]).toBeInstanceOf(SymbolDice);
+        expect(parsed[0].variant).toEqual('proficiency');
+        expect(parsed[0].qty).toBe(2);
+        expect(parsed[1]).toEqual('+');
+        expect(parsed[2]).toBeInstanceOf(SymbolDice);
+        expect(parsed[2].variant).toEqual('challenge');
+        expect(parsed[2].qty).toBe(1);
+      });
+
+      test.each([
+        ['3dN.boostkh1', 'keep-h', KeepModifier],
+        ['4dN.abilitydl1', 'drop-l', DropModifier],
+        ['2dN.abilityr', 're-roll', ReRollModifier],
+        ['2dN.abilitycs>=1', 'critical-success', CriticalSuccessModifier],
+        ['2dN.abilitymax1', 'max', MaxModifier],
+        ['2dN.proficiency!', 'explode', ExplodeModifier],
+      ])('returns correct response for modifiers on symbol dice `%s`', (notation, name, Type) => {
+        const parsed = Parser.parse(notation);
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(SymbolDice);
+        expect(parsed[0].notation).toEqual(notation);
+        expect(parsed[0].modifiers.get(name)).toBeInstanceOf(Type);
+      });
+
+      test('throws error for unknown symbol dice', () => {
+        expect(() => {
+          Parser.parse('dN.foo');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('dN.');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('dN');
+        }).toThrow(NotationError);
+      });
+
       test('throws error for invalid Fudge die sides', () => {
         expect(() => {
           Parser.parse('dF.3');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
 
         expect(() => {
           Parser.parse('dF.4');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
 
         expect(() => {
           Parser.parse('dF.0');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
 
         expect(() => {
           Parser.parse('dF.67');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
 
         expect(() => {
           Parser.parse('dF.foo');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
       });
 
       test('sides cannot start with 0', () => {
         expect(() => {
           Parser.parse('d0');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
 
         expect(() => {
           Parser.parse('d01');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
       });
 
       test('qty cannot start with 0', () => {
         expect(() => {
           Parser.parse('0d6');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
 
         expect(() => {
           Parser.parse('01d6');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
       });
     });
 
@@ -385,11 +493,11 @@ describe('Parser', () => {
         test('throws error without qty', () => {
           expect(() => {
             Parser.parse('12dF.1d');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('6d6dl');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
@@ -444,6 +552,14 @@ describe('Parser', () => {
           }));
         });
 
+        test('the last explode modifier is used `4d6!!!`', () => {
+          const parsed = Parser.parse('4d6!!!');
+
+          expect(parsed).toHaveLength(1);
+          expect(parsed[0].notation).toEqual('4d6!');
+          expect(parsed[0].modifiers.get('explode').compound).toBe(false);
+        });
+
         test('penetrate `5d%!p`', () => {
           const parsed = Parser.parse('5d%!p');
 
@@ -720,17 +836,17 @@ describe('Parser', () => {
         test('throws error if no max value', () => {
           expect(() => {
             Parser.parse('d6max');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
 
         test('throws error if invalid max value', () => {
           expect(() => {
             Parser.parse('d6maxfoo');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('d6maxd6');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
@@ -789,17 +905,17 @@ describe('Parser', () => {
         test('throws error if no min value', () => {
           expect(() => {
             Parser.parse('d6min');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
 
         test('throws error if invalid min value', () => {
           expect(() => {
             Parser.parse('d6minfoo');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('d6mind6');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
@@ -1109,12 +1225,12 @@ describe('Parser', () => {
           // can't have failure before success
           expect(() => {
             Parser.parse('2d6f<=3>4');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
 
           // can't have failure without success
           expect(() => {
             Parser.parse('4d7f!=2');
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
@@ -1409,6 +1525,322 @@ describe('Parser', () => {
       });
     });
 
+    describe('Repetition', () => {
+      test('can parse `6x4d6dl1`', () => {
+        const parsed = Parser.parse('6x4d6dl1');
+
+        expect(parsed).toBeInstanceOf(Array);
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(RollRepetition);
+        expect(parsed[0].count).toBe(6);
+        expect(parsed[0].expressions).toHaveLength(1);
+        expect(parsed[0].expressions[0]).toBeInstanceOf(StandardDice);
+        expect(parsed[0].expressions[0].notation).toEqual('4d6dl1');
+      });
+
+      test('can parse `3x 1d20+5`', () => {
+        const parsed = Parser.parse('3x 1d20+5');
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(RollRepetition);
+        expect(parsed[0].count).toBe(3);
+        expect(parsed[0].expressions).toHaveLength(3);
+        expect(parsed[0].expressions[1]).toEqual('+');
+        expect(parsed[0].expressions[2]).toBe(5);
+      });
+
+      test('can parse `2x{2d6, 1d8}kh1`', () => {
+        const parsed = Parser.parse('2x{2d6, 1d8}kh1');
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(RollRepetition);
+        expect(parsed[0].expressions[0]).toBeInstanceOf(RollGroup);
+      });
+
+      test('throws error for invalid repetition', () => {
+        expect(() => {
+          Parser.parse('0x4d6');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('x4d6');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('6x');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('1d6+2x4d6');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('2x3x4d6');
+        }).toThrow(NotationError);
+      });
+    });
+
+    describe('Variables', () => {
+      const variables = {
+        dex: 3, prof: 2, qty: 4, sides: 8, low: 2, str_mod: -1,
+      };
+
+      test('can parse `1d20+@dex`', () => {
+        const parsed = Parser.parse('1d20+@dex', { variables });
+
+        expect(parsed).toHaveLength(3);
+        expect(parsed[0]).toBeInstanceOf(StandardDice);
+        expect(parsed[1]).toEqual('+');
+        expect(parsed[2]).toBe(3);
+      });
+
+      test('can parse `1d20+@str_mod*@prof`', () => {
+        expect(Parser.parse('1d20+@str_mod*@prof', { variables }).slice(1))
+          .toEqual(['+', -1, '*', 2]);
+      });
+
+      test('can parse `(@qty)d@sides`', () => {
+        const parsed = Parser.parse('(@qty)d@sides', { variables });
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(StandardDice);
+        expect(parsed[0].qty).toBe(4);
+        expect(parsed[0].sides).toBe(8);
+      });
+
+      test('can parse `@qtyd6`', () => {
+        const parsed = Parser.parse('@qtyd6', { variables });
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(StandardDice);
+        expect(parsed[0].qty).toBe(4);
+        expect(parsed[0].sides).toBe(6);
+      });
+
+      test('can parse `@nd@sides+@dex`', () => {
+        const parsed = Parser.parse('@nd@sides+@dex', { variables: { ...variables, n: 2 } });
+
+        expect(parsed).toHaveLength(3);
+        expect(parsed[0].qty).toBe(2);
+        expect(parsed[0].sides).toBe(8);
+        expect(parsed[2]).toBe(3);
+      });
+
+      test('can parse variable qty for other dice', () => {
+        expect(Parser.parse('@qtyd%', { variables })[0].qty).toBe(4);
+        expect(Parser.parse('@qtydF', { variables })[0].qty).toBe(4);
+        expect(Parser.parse('@qtyd{1,2,3}', { variables })[0].qty).toBe(4);
+      });
+
+      test('uses the whole variable name if it is defined', () => {
+        expect(Parser.parse('@nd6', { variables: { n: 2, nd6: 5 } })).toEqual([5]);
+        expect(Parser.parse('@nd6', { variables: { n: 2, nd: 5 } })[0].qty).toBe(2);
+      });
+
+      test('throws error for undefined variable qty', () => {
+        expect(() => {
+          Parser.parse('@nd6', { variables });
+        }).toThrow(NotationError);
+      });
+
+      test('throws error for a single non-integer within parenthesis', () => {
+        expect(() => {
+          Parser.parse('(2.5)d6');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('2d(1.5)');
+        }).toThrow(NotationError);
+
+        expect(Parser.parse('(2)d(6)')[0].qty).toBe(2);
+        expect(Parser.parse('(2.5)+1')).toEqual(['(', 2.5, ')', '+', 1]);
+      });
+
+      test('can parse `(@qty+@dex)d6`', () => {
+        expect(Parser.parse('(@qty+@dex)d6', { variables })[0].qty).toBe(7);
+      });
+
+      test('can parse `d@sides`', () => {
+        expect(Parser.parse('d@sides', { variables })[0].sides).toBe(8);
+      });
+
+      test('can parse compare points', () => {
+        const parsed = Parser.parse('6d10>=@sides', { variables });
+
+        expect(parsed[0].modifiers.get('target')).toBeInstanceOf(TargetModifier);
+        expect(parsed[0].modifiers.get('target').successComparePoint.value).toBe(8);
+      });
+
+      test('can parse modifier values', () => {
+        const parsed = Parser.parse('4d6kh@dex', { variables });
+
+        expect(parsed[0].modifiers.get('keep-h')).toBeInstanceOf(KeepModifier);
+        expect(parsed[0].modifiers.get('keep-h').qty).toBe(3);
+
+        expect(Parser.parse('4d6min@low', { variables })[0].modifiers.get('min').min).toBe(2);
+        expect(Parser.parse('4d6max@dex', { variables })[0].modifiers.get('max').max).toBe(3);
+        expect(Parser.parse('4d6d@low', { variables })[0].modifiers.get('drop-l').qty).toBe(2);
+      });
+
+      test('can parse repetition count', () => {
+        const parsed = Parser.parse('(@dex)x1d6', { variables });
+
+        expect(parsed[0]).toBeInstanceOf(RollRepetition);
+        expect(parsed[0].count).toBe(3);
+      });
+
+      test('a variable qty of zero is rolled, so that no dice are rolled', () => {
+        let parsed = Parser.parse('@nd6', { variables: { n: 0 } });
+
+        expect(parsed[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].qtyExpression).toEqual([0]);
+
+        parsed = Parser.parse('(@n)d6', { variables: { n: 0 } });
+
+        expect(parsed[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].qtyExpression).toEqual([0]);
+      });
+
+      test.each([
+        ['@nd6', { n: 2.5 }],
+        ['@nd6', { n: -1 }],
+        ['(@n)d6', { n: 2.5 }],
+        ['@ndF', { n: -1 }],
+        ['2d@s', { s: 0 }],
+        ['2d@s', { s: -2 }],
+        ['2d(@s)', { s: 1.5 }],
+        ['4d6dl@n', { n: 0 }],
+        ['4d6kh@n', { n: 1.5 }],
+        ['(@n)x1d6', { n: 0 }],
+      ])('throws error for invalid variable values `%s` %o', (notation, values) => {
+        expect(() => {
+          Parser.parse(notation, { variables: values });
+        }).toThrow(NotationError);
+      });
+
+      test('only checks variables that are integers where they are used', () => {
+        expect(Parser.parse('1d20+@n', { variables: { n: 2.5 } })[2]).toBe(2.5);
+        expect(Parser.parse('@n*2', { variables: { n: -1 } })).toEqual([-1, '*', 2]);
+        expect(Parser.parse('(@n)+1', { variables: { n: 0.5 } })).toEqual(['(', 0.5, ')', '+', 1]);
+      });
+
+      test('throws error for undefined variables', () => {
+        expect(() => {
+          Parser.parse('1d20+@foo', { variables });
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('1d20+@dex');
+        }).toThrow(NotationError);
+      });
+
+      test('throws error for invalid variables', () => {
+        expect(() => {
+          Parser.parse('1d20', { variables: null });
+        }).toThrow(TypeError);
+
+        expect(() => {
+          Parser.parse('1d20', { variables: [3] });
+        }).toThrow(TypeError);
+
+        expect(() => {
+          Parser.parse('1d20', { variables: { dex: '3' } });
+        }).toThrow(TypeError);
+
+        expect(() => {
+          Parser.parse('1d20', { variables: { dex: Infinity } });
+        }).toThrow(TypeError);
+      });
+    });
+
+    describe('Rolled qty and sides', () => {
+      test('can parse `(1d4)d6`', () => {
+        const parsed = Parser.parse('(1d4)d6');
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].die).toBeInstanceOf(StandardDice);
+        expect(parsed[0].die.sides).toBe(6);
+        expect(parsed[0].qtyExpression).toHaveLength(1);
+        expect(parsed[0].qtyExpression[0]).toBeInstanceOf(StandardDice);
+        expect(parsed[0].qtyExpression[0].notation).toEqual('1d4');
+        expect(parsed[0].sidesExpression).toBe(null);
+      });
+
+      test('can parse `2d(1d6+2)`', () => {
+        const parsed = Parser.parse('2d(1d6+2)');
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].die.qty).toBe(2);
+        expect(parsed[0].qtyExpression).toBe(null);
+        expect(parsed[0].sidesExpression).toHaveLength(3);
+        expect(parsed[0].sidesExpression[0]).toBeInstanceOf(StandardDice);
+        expect(parsed[0].sidesExpression[1]).toEqual('+');
+        expect(parsed[0].sidesExpression[2]).toBe(2);
+        expect(parsed[0].notation).toEqual('2d(1d6+2)');
+      });
+
+      test('can parse `(1d4)d(2d6)!kh2 [fire]`', () => {
+        const parsed = Parser.parse('(1d4)d(2d6)!kh2 [fire]');
+
+        expect(parsed).toHaveLength(1);
+        expect(parsed[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].modifiers.get('explode')).toBeInstanceOf(ExplodeModifier);
+        expect(parsed[0].modifiers.get('keep-h')).toBeInstanceOf(KeepModifier);
+        expect(parsed[0].description).toEqual(new Description('fire', Description.types.MULTILINE));
+        expect(parsed[0].notation).toEqual('(1d4)d(2d6)!kh2');
+      });
+
+      test('can parse other die types', () => {
+        expect(Parser.parse('(1d4)d%')[0].die).toBeInstanceOf(PercentileDice);
+        expect(Parser.parse('(1d4)dF.1')[0].die).toBeInstanceOf(FudgeDice);
+        expect(Parser.parse('(1d4)d{1,2,3}')[0].die).toBeInstanceOf(CustomDice);
+        expect(Parser.parse('(1d4)dN.boost')[0].die).toBeInstanceOf(SymbolDice);
+      });
+
+      test('can parse nested dice', () => {
+        const parsed = Parser.parse('((1d2)d4)d6');
+
+        expect(parsed[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].qtyExpression[0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[0].notation).toEqual('((1d2)d4)d6');
+      });
+
+      test('can parse within other expressions', () => {
+        const parsed = Parser.parse('{(1d4)d6, 3}k1+(1d2)d8*2');
+
+        expect(parsed[0]).toBeInstanceOf(RollGroup);
+        expect(parsed[0].expressions[0][0]).toBeInstanceOf(DynamicDice);
+        expect(parsed[2]).toBeInstanceOf(DynamicDice);
+        expect(parsed[3]).toEqual('*');
+      });
+
+      test('parenthesis without dice are still calculated', () => {
+        expect(Parser.parse('(2*3)d6')[0]).toBeInstanceOf(StandardDice);
+        expect(Parser.parse('(1d4)+2')).toHaveLength(5);
+        expect(Parser.parse('(1d4)+2')[0]).toEqual('(');
+      });
+
+      test('throws error for rolled sides on other die types', () => {
+        expect(() => {
+          Parser.parse('1dF.(1d2)');
+        }).toThrow(NotationError);
+      });
+
+      test('throws error for roll groups in the qty or sides', () => {
+        expect(() => {
+          Parser.parse('({1d4})d6');
+        }).toThrow(NotationError);
+
+        expect(() => {
+          Parser.parse('2d({1d4}+2)');
+        }).toThrow(NotationError);
+
+        expect(Parser.parse('({1d4})+2')).toHaveLength(5);
+      });
+    });
+
     describe('Calculating qty and sides', () => {
       test('can parse `(4*6)d6`', () => {
         const parsed = Parser.parse('(4*6)d6');
@@ -1468,7 +1900,7 @@ describe('Parser', () => {
         test('passing multiple arguments throws error', () => {
           expect(() => {
             Parser.parse(`${name}(4d6/3, 45)`);
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
@@ -1495,7 +1927,7 @@ describe('Parser', () => {
         test('passing single argument throws error', () => {
           expect(() => {
             Parser.parse(`${name}(4d6/3)`);
-          }).toThrow(parser.SyntaxError);
+          }).toThrow(NotationError);
         });
       });
     });
@@ -1779,13 +2211,13 @@ describe('Parser', () => {
       test('throws error when using negative values for die quantity', () => {
         expect(() => {
           Parser.parse('-4d6');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
       });
 
       test('throws error when using negative values for die sides', () => {
         expect(() => {
           Parser.parse('4d-6');
-        }).toThrow(parser.SyntaxError);
+        }).toThrow(NotationError);
       });
     });
 
@@ -1923,4 +2355,467 @@ describe('Parser', () => {
       });
     });
   });
+
+  describe('Errors', () => {
+    const getError = (notation, options) => {
+      try {
+        Parser.parse(notation, options);
+      } catch (e) {
+        return e;
+      }
+
+      return null;
+    };
+
+    test('includes the position and expected tokens', () => {
+      const error = getError('4d6kh');
+
+      expect(error).toBeInstanceOf(NotationError);
+      expect(error.notation).toEqual('4d6kh');
+      expect(error.offset).toBe(5);
+      expect(error.line).toBe(1);
+      expect(error.column).toBe(6);
+      expect(error.expected).toEqual(['[1-9]', 'variable']);
+      expect(error.found).toBe(null);
+      expect(error.reason).toEqual('Expected [1-9] or variable but end of input found.');
+      expect(error.snippet).toEqual('4d6kh\n     ^');
+    });
+
+    test('includes the found text', () => {
+      const error = getError('2d6+foo');
+
+      expect(error.column).toBe(5);
+      expect(error.found).toEqual('f');
+      expect(error.expected).toEqual(expect.arrayContaining(['"("', '"d"', '"floor"', 'variable']));
+    });
+
+    test('position is correct for multi-line notation', () => {
+      const error = getError('2d6 // fire\n+ 3d');
+
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(5);
+      expect(error.snippet).toEqual('+ 3d\n    ^');
+    });
+
+    test('message includes the position and reason', () => {
+      expect(getError('2d6+').message).toEqual('Notation "2d6+" is invalid at line 1, column 5: Expected "(", "-", "abs", "ceil", "cos", "d", "d%", "dF", "dN.", "d{", "exp", "floor", "log", "max", "min", "pow", "round", "sign", "sin", "sqrt", "tan", "{", [0-9], [1-9], variable, or whitespace but end of input found. Did you mean "2d6"?');
+    });
+
+    test('undefined variables', () => {
+      const error = getError('1d20+@foo');
+
+      expect(error).toBeInstanceOf(NotationError);
+      expect(error.column).toBe(6);
+      expect(error.reason).toEqual('Undefined variable "@foo"');
+      expect(error.expected).toEqual([]);
+    });
+
+    describe('suggestions', () => {
+      test.each([
+        ['4d6kh', ['4d6kh1']],
+        ['4d6dl+2', ['4d6dl1+2']],
+        ['d%%', ['d%']],
+        ['2d6+', ['2d6']],
+        ['2d6 * ', ['2d6']],
+        ['2d6+foo', []],
+      ])('%s', (notation, suggestions) => {
+        expect(getError(notation).suggestions).toEqual(suggestions);
+      });
+
+      test('are only included if valid', () => {
+        expect(getError('4d6kh+@foo').suggestions).toEqual([]);
+        expect(getError('4d6kh+@foo', { variables: { foo: 1 } }).suggestions)
+          .toEqual(['4d6kh1+@foo']);
+        expect(getError('d%%+@foo', { variables: { bar: 1 } }).suggestions).toEqual([]);
+      });
+
+      test('are included in the message', () => {
+        expect(getError('4d6kh').message).toContain('Did you mean "4d6kh1"?');
+      });
+    });
+  });
+
+  describe('Limits', () => {
+    test('notation is not limited by default', () => {
+      expect(Parser.parse(`${'1d6+'.repeat(200)}1d6`)).toHaveLength(401);
+    });
+
+    test('throws error if the notation is too long', () => {
+      expect(() => {
+        Parser.parse('1d6+1d6', { limits: { maxNotationLength: 7 } });
+      }).not.toThrow();
+
+      expect(() => {
+        Parser.parse('1d6+1d6+', { limits: { maxNotationLength: 7 } });
+      }).toThrow(LimitError);
+    });
+
+    test('checks the length before parsing', () => {
+      // the notation is invalid, but too long to be parsed
+      expect(() => {
+        Parser.parse('foo bar baz', { limits: { maxNotationLength: 5 } });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if there are too many dice terms', () => {
+      const limits = { maxTerms: 3 };
+
+      expect(Parser.parse('1d6+2d8+3d10', { limits })).toHaveLength(5);
+
+      expect(() => {
+        Parser.parse('1d6+2d8+3d10+4', { limits });
+      }).not.toThrow();
+
+      expect(() => {
+        Parser.parse('1d6+2d8+3d10+1d4', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.parse('{1d6, 1d8, 1d10, 1d12}', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.parse('(1d4)d6+(1d4)d(1d8)', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.parse('4x{1d6, 1d8}+1d4+1d4', { limits });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if the notation is nested too deep', () => {
+      const limits = { maxDepth: 2 };
+
+      expect(() => {
+        Parser.parse('{(1d6+2)*2, 1d4}', { limits });
+      }).not.toThrow();
+
+      expect(() => {
+        Parser.parse('{((1d6+2)*2), 1d4}', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.parse('floor((1d6)/2)', { limits });
+      }).not.toThrow();
+
+      expect(() => {
+        Parser.parse('floor(((1d6))/2)', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.parse('((1d4)d6)d8', { limits });
+      }).not.toThrow();
+
+      expect(() => {
+        Parser.parse('(((1d4)d6)d8)d10', { limits });
+      }).toThrow(LimitError);
+    });
+
+    test('throws error if a die has too many sides', () => {
+      const limits = { maxSides: 100 };
+
+      expect(() => {
+        Parser.parse('1d100+d%', { limits });
+      }).not.toThrow();
+
+      expect(() => {
+        Parser.parse('1d101', { limits });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.parse('{1d6, 1d1000}', { limits });
+      }).toThrow(LimitError);
+    });
+
+    test('error has the limit and value', () => {
+      expect(() => {
+        Parser.parse('1d6+1d6', { limits: { maxTerms: 1 } });
+      }).toThrow(expect.objectContaining({ limit: 'maxTerms', max: 1, value: 2 }));
+    });
+
+    test('can use a Limits instance', () => {
+      expect(() => {
+        Parser.parse('1d6+1d6', { limits: new Limits({ maxTerms: 1 }) });
+      }).toThrow(LimitError);
+    });
+
+    test('returns the same expressions as without limits', () => {
+      const notation = '{2d6!, 1d20}k1+floor(1d8/2)';
+
+      expect(JSON.stringify(Parser.parse(notation, { limits: { maxTerms: 10 } })))
+        .toEqual(JSON.stringify(Parser.parse(notation)));
+    });
+
+    test('throws error if limits are invalid', () => {
+      expect(() => {
+        Parser.parse('1d6', { limits: { maxTerms: 'foo' } });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Compile', () => {
+    beforeEach(() => {
+      Parser.clearCache();
+    });
+
+    test('returns a CompiledNotation', () => {
+      const compiled = Parser.compile('4d6dl1');
+
+      expect(compiled).toBeInstanceOf(CompiledNotation);
+      expect(compiled.notation).toBe('4d6dl1');
+      expect(JSON.stringify(compiled.expressions)).toEqual(JSON.stringify(Parser.parse('4d6dl1')));
+    });
+
+    test('returns the cached notation if compiled again', () => {
+      const compiled = Parser.compile('1d20+7');
+
+      expect(Parser.compile('1d20+7')).toBe(compiled);
+      expect(Parser.compile('1d20+8')).not.toBe(compiled);
+    });
+
+    test('notation is cached with its variables', () => {
+      const compiled = Parser.compile('1d20+@a+@b', { variables: { a: 1, b: 2 } });
+
+      expect(Parser.compile('1d20+@a+@b', { variables: { b: 2, a: 1 } })).toBe(compiled);
+      expect(Parser.compile('1d20+@a+@b', { variables: { a: 1, b: 3 } })).not.toBe(compiled);
+    });
+
+    test('can clear the cache', () => {
+      const compiled = Parser.compile('1d20+7');
+
+      Parser.clearCache();
+
+      expect(Parser.compile('1d20+7')).not.toBe(compiled);
+    });
+
+    test('removes the least recently used notations when the cache is full', () => {
+      const compiled = Parser.compile('1d20');
+
+      for (let i = 1; i <= 100; i++) {
+        Parser.compile(`1d20+${i}`);
+      }
+
+      expect(Parser.compile('1d20')).not.toBe(compiled);
+    });
+
+    test('the cache is cleared when dice or modifiers are registered', () => {
+      const compiled = Parser.compile('1d20+7');
+
+      ModifierRegistry.register({ name: 'cache-test', token: 'ct', modifier: MaxModifier });
+      expect(Parser.compile('1d20+7')).not.toBe(compiled);
+
+      const recompiled = Parser.compile('1d20+7');
+
+      ModifierRegistry.unregister('cache-test');
+      expect(Parser.compile('1d20+7')).not.toBe(recompiled);
+    });
+
+    test('notation is compiled again if modifier orders change', () => {
+      const compiled = Parser.compile('8d4kh4!');
+      const { order } = KeepModifier;
+
+      KeepModifier.order = 1;
+
+      const reordered = Parser.compile('8d4kh4!');
+
+      expect(reordered).not.toBe(compiled);
+      expect(reordered.expressions[0].modifiers.get('keep-h').order).toBe(1);
+
+      KeepModifier.order = order;
+
+      expect(Parser.compile('8d4kh4!')).toBe(compiled);
+    });
+
+    test('limits are checked, even if cached', () => {
+      Parser.compile('1d6+1d6');
+
+      expect(() => {
+        Parser.compile('1d6+1d6', { limits: { maxTerms: 1 } });
+      }).toThrow(LimitError);
+
+      expect(() => {
+        Parser.compile('1d6+1d6', { limits: { maxNotationLength: 5 } });
+      }).toThrow(LimitError);
+    });
+
+    test('throws errors for invalid notation', () => {
+      expect(() => {
+        Parser.compile();
+      }).toThrow(RequiredArgumentError);
+
+      expect(() => {
+        Parser.compile('1d6+');
+      }).toThrow(NotationError);
+
+      expect(() => {
+        Parser.compile('1d6', { variables: 'foo' });
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('AST', () => {
+    const at = (offset, line = 1, column = offset + 1) => ({ offset, line, column });
+    const span = (start, end) => ({ start: at(start), end: at(end) });
+
+    test('returns the root node with locations', () => {
+      const ast = Parser.parseAst('1d6+2');
+
+      expect(ast).toEqual({
+        type: 'binary',
+        operator: '+',
+        left: {
+          type: 'dice',
+          value: expect.any(StandardDice),
+          qty: null,
+          sides: null,
+          modifiers: [],
+          description: null,
+          location: span(0, 3),
+        },
+        right: { type: 'number', value: 2, location: span(4, 5) },
+        location: span(0, 5),
+      });
+      expect(ast.left.value.notation).toEqual('1d6');
+    });
+
+    test('operators are nested by precedence', () => {
+      const ast = Parser.parseAst('1+2*3^2^2-4');
+
+      expect(ast.operator).toEqual('-');
+      expect(ast.left.operator).toEqual('+');
+      expect(ast.left.right.operator).toEqual('*');
+      expect(ast.left.right.right).toEqual(expect.objectContaining({
+        operator: '^',
+        left: expect.objectContaining({ value: 3 }),
+        right: expect.objectContaining({ operator: '^', location: span(6, 9) }),
+      }));
+      expect(ast.right).toEqual({ type: 'number', value: 4, location: span(10, 11) });
+    });
+
+    test('negative numbers bind looser than exponents', () => {
+      expect(Parser.parseAst('-2^2')).toEqual({
+        type: 'unary',
+        operator: '-',
+        argument: {
+          type: 'binary',
+          operator: '^',
+          left: { type: 'number', value: 2, location: span(1, 2) },
+          right: { type: 'number', value: 2, location: span(3, 4) },
+          location: span(1, 4),
+        },
+        location: span(0, 4),
+      });
+    });
+
+    test('functions and parenthesis', () => {
+      expect(Parser.parseAst('max(1, (2 + 3))')).toEqual({
+        type: 'function',
+        name: 'max',
+        args: [
+          { type: 'number', value: 1, location: span(4, 5) },
+          {
+            type: 'parenthesis',
+            expression: expect.objectContaining({ type: 'binary', location: span(8, 13) }),
+            location: span(7, 14),
+          },
+        ],
+        location: span(0, 15),
+      });
+    });
+
+    test('dice include their modifiers and description', () => {
+      const ast = Parser.parseAst('4d6dl1! [fire] + 2');
+
+      expect(ast.left).toEqual({
+        type: 'dice',
+        value: expect.any(StandardDice),
+        qty: null,
+        sides: null,
+        modifiers: [
+          { type: 'modifier', value: expect.any(DropModifier), location: span(3, 6) },
+          { type: 'modifier', value: expect.any(ExplodeModifier), location: span(6, 7) },
+        ],
+        description: {
+          type: 'description',
+          value: expect.any(Description),
+          location: span(8, 14),
+        },
+        location: span(0, 14),
+      });
+      expect(ast.left.description.value.text).toEqual('fire');
+    });
+
+    test('rolled qty and sides', () => {
+      const ast = Parser.parseAst('(1d4)d(1d6+1)');
+
+      expect(ast.value).toBeInstanceOf(DynamicDice);
+      expect(ast.location).toEqual(span(0, 13));
+      expect(ast.qty).toEqual({
+        type: 'parenthesis',
+        expression: expect.objectContaining({ type: 'dice', location: span(1, 4) }),
+        location: span(0, 5),
+      });
+      expect(ast.sides.expression).toEqual(expect.objectContaining({
+        type: 'binary',
+        location: span(7, 12),
+      }));
+    });
+
+    test('roll groups', () => {
+      const ast = Parser.parseAst('{4d6, 2d8 // foo\n}k1');
+
+      expect(ast.type).toEqual('group');
+      expect(ast.value).toBeInstanceOf(RollGroup);
+      expect(ast.expressions).toHaveLength(2);
+      expect(ast.expressions[0].location).toEqual(span(1, 4));
+      expect(ast.expressions[1].description.value.text).toEqual('foo');
+      expect(ast.modifiers).toEqual([
+        expect.objectContaining({ value: expect.any(KeepModifier) }),
+      ]);
+      expect(ast.location).toEqual({ start: at(0), end: at(20, 2, 4) });
+    });
+
+    test('repetitions', () => {
+      const ast = Parser.parseAst('3x4d6dl1');
+
+      expect(ast).toEqual({
+        type: 'repetition',
+        value: expect.any(RollRepetition),
+        count: 3,
+        expression: expect.objectContaining({ type: 'dice', location: span(2, 8) }),
+        location: span(0, 8),
+      });
+    });
+
+    test('variables', () => {
+      expect(Parser.parseAst('1d20+@dex', { variables: { dex: 3 } }).right).toEqual({
+        type: 'variable',
+        name: 'dex',
+        value: 3,
+        location: span(5, 9),
+      });
+    });
+
+    test('values match the parsed output', () => {
+      const ast = Parser.parseAst('2d6+{1d4}');
+      const parsed = Parser.parse('2d6+{1d4}');
+
+      expect(ast.left.value).toEqual(parsed[0]);
+      expect(ast.right.value).toEqual(parsed[2]);
+    });
+
+    test('throws errors for invalid notation', () => {
+      expect(() => {
+        Parser.parseAst();
+      }).toThrow(RequiredArgumentError);
+
+      expect(() => {
+        Parser.parseAst('1d6+');
+      }).toThrow(NotationError);
+
+      expect(() => {
+        Parser.parseAst('1d6', { variables: [] });
+      }).toThrow(TypeError);
+    });
+  });
 });
@@ -0,0 +1,56 @@
+import { expressionNode, locationOf, span } from '../../src/parser/ast.js';
+
+describe('ast', () => {
+  const at = (offset) => ({ offset, line: 1, column: offset + 1 });
+  const number = (value, start, end) => ({
+    type: 'number',
+    value,
+    location: { start: at(start), end: at(end) },
+  });
+
+  describe('locationOf', () => {
+    test('returns the start and end', () => {
+      expect(locationOf({ source: 'foo', start: at(0), end: at(3) }))
+        .toEqual({ start: at(0), end: at(3) });
+    });
+  });
+
+  describe('span', () => {
+    test('spans from the start of the first to the end of the second', () => {
+      expect(span({ start: at(1), end: at(2) }, { start: at(4), end: at(6) }))
+        .toEqual({ start: at(1), end: at(6) });
+    });
+  });
+
+  describe('expressionNode', () => {
+    test('returns a single operand', () => {
+      const node = number(1, 0, 1);
+
+      expect(expressionNode([node], [])).toBe(node);
+    });
+
+    test('operators are left associative', () => {
+      const node = expressionNode([number(8, 0, 1), number(2, 2, 3), number(2, 4, 5)], ['/', '/']);
+
+      expect(node.operator).toEqual('/');
+      expect(node.left.operator).toEqual('/');
+      expect(node.right.value).toBe(2);
+      expect(node.location).toEqual({ start: at(0), end: at(5) });
+    });
+
+    test('exponents are right associative', () => {
+      const node = expressionNode([number(2, 0, 1), number(3, 2, 3), number(2, 4, 5)], ['^', '^']);
+
+      expect(node.left.value).toBe(2);
+      expect(node.right.operator).toEqual('^');
+    });
+
+    test('negative numbers before an exponent are negated after it', () => {
+      const node = expressionNode([number(-2, 0, 2), number(2, 3, 4)], ['^']);
+
+      expect(node.type).toEqual('unary');
+      expect(node.argument.left).toEqual(number(2, 1, 2));
+      expect(node.location).toEqual({ start: at(0), end: at(4) });
+    });
+  });
+});
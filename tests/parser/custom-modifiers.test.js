@@ -0,0 +1,68 @@
+import { NotationError } from '../../src/exceptions/index.js';
+import { KeepModifier, Modifier, ModifierRegistry } from '../../src/modifiers/index.js';
+import Parser from '../../src/parser/Parser.js';
+
+describe('Parsing', () => {
+  describe('Custom modifiers', () => {
+    class BumpModifier extends Modifier {
+      constructor(value) {
+        super();
+
+        this.value = value;
+      }
+
+      // eslint-disable-next-line class-methods-use-this
+      get name() {
+        return 'bump';
+      }
+    }
+
+    afterEach(() => {
+      ModifierRegistry.unregister('bump');
+    });
+
+    test('can parse a registered modifier', () => {
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      const parsed = Parser.parse('4d6bpkh2');
+
+      expect(parsed[0].modifiers.get('bump')).toBeInstanceOf(BumpModifier);
+      expect(parsed[0].modifiers.get('bump').value).toBeUndefined();
+      expect(parsed[0].modifiers.get('keep-h')).toBeInstanceOf(KeepModifier);
+    });
+
+    test('can parse a compare point argument', () => {
+      ModifierRegistry.register({
+        name: 'bump', token: 'bp', modifier: BumpModifier, argument: 'compare-point',
+      });
+
+      const mod = Parser.parse('4d6bp<=2')[0].modifiers.get('bump');
+
+      expect(mod.value).toEqual(expect.objectContaining({ operator: '<=', value: 2 }));
+      expect(Parser.parse('4d6bp')[0].modifiers.get('bump').value).toBeUndefined();
+    });
+
+    test('can parse a number argument', () => {
+      ModifierRegistry.register({
+        name: 'bump', token: 'bp', modifier: BumpModifier, argument: 'number',
+      });
+
+      expect(Parser.parse('4d6bp3')[0].modifiers.get('bump').value).toBe(3);
+      expect(Parser.parse('4d6bp@n', { variables: { n: 2 } })[0].modifiers.get('bump').value)
+        .toBe(2);
+      expect(Parser.parse('{4d6}bp2')[0].modifiers.get('bump').value).toBe(2);
+    });
+
+    test('arguments are not parsed if not supported', () => {
+      ModifierRegistry.register({ name: 'bump', token: 'bp', modifier: BumpModifier });
+
+      expect(Parser.parse('4d6bp-2')).toHaveLength(3);
+    });
+
+    test('throws error if not registered', () => {
+      expect(() => {
+        Parser.parse('4d6bp');
+      }).toThrow(NotationError);
+    });
+  });
+});
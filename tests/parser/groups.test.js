@@ -1,6 +1,6 @@
 import { FudgeDice, PercentileDice, StandardDice } from '../../src/dice/index.js';
+import { NotationError } from '../../src/exceptions/index.js';
 import { DropModifier, KeepModifier, SortingModifier } from '../../src/modifiers/index.js';
-import { SyntaxError } from '../../src/parser/grammars/grammar.js';
 import Parser from '../../src/parser/Parser.js';
 import RollGroup from '../../src/RollGroup.js';
 import Description from '../../src/Description.js';
@@ -133,7 +133,7 @@ describe('Parsing', () => {
       test('throws error on empty group', () => {
         expect(() => {
           Parser.parse('{}');
-        }).toThrow(SyntaxError);
+        }).toThrow(NotationError);
       });
     });
 
@@ -397,19 +397,19 @@ describe('Parsing', () => {
         test('throws error without qty', () => {
           expect(() => {
             Parser.parse('{12dF.1}d');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('{6d6}dl');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('{12dF.1, 4d10}d');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('{6d6, 2d10}dl');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
@@ -672,19 +672,19 @@ describe('Parsing', () => {
         test('throws error without qty', () => {
           expect(() => {
             Parser.parse('{12dF.1}k');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('{6d6}kl');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('{12dF.1, 4d10}k');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
 
           expect(() => {
             Parser.parse('{6d6, 2d10}kh');
-          }).toThrow(SyntaxError);
+          }).toThrow(NotationError);
         });
       });
 
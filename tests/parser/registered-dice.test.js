@@ -0,0 +1,71 @@
+import {
+  DiceRegistry, DynamicDice, FudgeDice, StandardDice,
+} from '../../src/dice/index.js';
+import { NotationError } from '../../src/exceptions/index.js';
+import { KeepModifier } from '../../src/modifiers/index.js';
+import Parser from '../../src/parser/Parser.js';
+
+describe('Parsing', () => {
+  describe('Registered dice', () => {
+    class CoinDice extends StandardDice {
+      constructor(qty = 1, faces = 2) {
+        super(`C${faces}`, qty, null, 0, faces - 1);
+      }
+
+      // eslint-disable-next-line class-methods-use-this
+      get name() {
+        return 'coin';
+      }
+    }
+
+    afterEach(() => {
+      DiceRegistry.unregister('coin');
+    });
+
+    test('can parse a registered die', () => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      const parsed = Parser.parse('4dCkh2+dC');
+
+      expect(parsed).toHaveLength(3);
+      expect(parsed[0]).toBeInstanceOf(CoinDice);
+      expect(parsed[0].qty).toBe(4);
+      expect(parsed[0].modifiers.get('keep-h')).toBeInstanceOf(KeepModifier);
+      expect(parsed[2]).toBeInstanceOf(CoinDice);
+      expect(parsed[2].qty).toBe(1);
+    });
+
+    test('can parse a number argument', () => {
+      DiceRegistry.register({
+        name: 'coin', token: 'C', dice: CoinDice, argument: 'number',
+      });
+
+      expect(Parser.parse('2dC3')[0].max).toBe(2);
+      expect(Parser.parse('2dC@n', { variables: { n: 4 } })[0].max).toBe(3);
+      expect(Parser.parse('2dC')[0].max).toBe(1);
+    });
+
+    test('can have a rolled qty', () => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      const parsed = Parser.parse('(1d4)dC');
+
+      expect(parsed[0]).toBeInstanceOf(DynamicDice);
+      expect(parsed[0].die).toBeInstanceOf(CoinDice);
+    });
+
+    test('built-in dice are still parsed', () => {
+      DiceRegistry.register({ name: 'coin', token: 'C', dice: CoinDice });
+
+      expect(Parser.parse('dF.1')[0]).toBeInstanceOf(FudgeDice);
+      expect(Parser.parse('4dFk1')[0]).toBeInstanceOf(FudgeDice);
+      expect(Parser.parse('dC')[0]).toBeInstanceOf(CoinDice);
+    });
+
+    test('throws error if not registered', () => {
+      expect(() => {
+        Parser.parse('4dC');
+      }).toThrow(NotationError);
+    });
+  });
+});
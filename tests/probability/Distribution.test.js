@@ -0,0 +1,113 @@
+import ComparePoint from '../../src/ComparePoint.js';
+import Distribution from '../../src/probability/Distribution.js';
+
+describe('Distribution', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const distribution = new Distribution(new Map([[1, 0.5], [2, 0.5]]));
+
+      expect(distribution).toBeInstanceOf(Distribution);
+      expect(distribution).toEqual(expect.objectContaining({
+        max: 2,
+        mean: 1.5,
+        min: 1,
+        probabilities: expect.any(Map),
+        percentile: expect.any(Function),
+        probabilityOf: expect.any(Function),
+        standardDeviation: 0.5,
+        toJSON: expect.any(Function),
+        values: [1, 2],
+        variance: 0.25,
+      }));
+    });
+
+    test('can be Map, object, or array of pairs', () => {
+      expect(new Distribution(new Map([[3, 1]])).probabilities).toEqual(new Map([[3, 1]]));
+      expect(new Distribution({ 3: 1 }).probabilities).toEqual(new Map([[3, 1]]));
+      expect(new Distribution([[3, 1]]).probabilities).toEqual(new Map([[3, 1]]));
+    });
+
+    test('values are sorted ascending', () => {
+      const distribution = new Distribution([[5, 0.25], [-1, 0.25], [2, 0.5]]);
+
+      expect(distribution.values).toEqual([-1, 2, 5]);
+    });
+
+    test('impossible values are removed', () => {
+      const distribution = new Distribution([[1, 0], [2, 1]]);
+
+      expect(distribution.values).toEqual([2]);
+    });
+
+    test('throws error if probabilities are invalid', () => {
+      expect(() => {
+        new Distribution();
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new Distribution('foo');
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('probabilityOf', () => {
+    const distribution = new Distribution([[1, 0.25], [2, 0.25], [3, 0.5]]);
+
+    test('defaults to exact match', () => {
+      expect(distribution.probabilityOf(2)).toBe(0.25);
+      expect(distribution.probabilityOf(4)).toBe(0);
+    });
+
+    test('can use operator', () => {
+      expect(distribution.probabilityOf(2, '>=')).toBe(0.75);
+      expect(distribution.probabilityOf(2, '<')).toBe(0.25);
+      expect(distribution.probabilityOf(3, '!=')).toBe(0.5);
+    });
+
+    test('can use compare point', () => {
+      expect(distribution.probabilityOf(new ComparePoint('>', 1))).toBe(0.75);
+    });
+  });
+
+  describe('percentile', () => {
+    const distribution = new Distribution([[2, 0.25], [4, 0.5], [6, 0.25]]);
+
+    test('returns the lowest value covering the percentage', () => {
+      expect(distribution.percentile(0)).toBe(2);
+      expect(distribution.percentile(25)).toBe(2);
+      expect(distribution.percentile(50)).toBe(4);
+      expect(distribution.percentile(75)).toBe(4);
+      expect(distribution.percentile(90)).toBe(6);
+      expect(distribution.percentile(100)).toBe(6);
+    });
+
+    test('throws error if percent is invalid', () => {
+      expect(() => {
+        distribution.percentile(-5);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        distribution.percentile('foo');
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const distribution = new Distribution([[1, 0.5], [3, 0.5]]);
+
+      expect(JSON.parse(JSON.stringify(distribution))).toEqual({
+        max: 3,
+        mean: 2,
+        min: 1,
+        probabilities: {
+          1: 0.5,
+          3: 0.5,
+        },
+        standardDeviation: 1,
+        type: 'distribution',
+        variance: 1,
+      });
+    });
+  });
+});
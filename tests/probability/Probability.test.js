@@ -0,0 +1,440 @@
+import {
+  DieActionValueError, LimitError, NotationError, RequiredArgumentError,
+} from '../../src/exceptions/index.js';
+import { engines, generator } from '../../src/utilities/NumberGenerator.js';
+import DiceRoll from '../../src/DiceRoll.js';
+import Distribution from '../../src/probability/Distribution.js';
+import Limits from '../../src/Limits.js';
+import Probability from '../../src/probability/Probability.js';
+import Simulation from '../../src/probability/Simulation.js';
+
+describe('Probability', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(Probability).toEqual(expect.objectContaining({
+        distribution: expect.any(Function),
+        simulate: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('distribution', () => {
+    test('returns a Distribution', () => {
+      expect(Probability.distribution('1d6')).toBeInstanceOf(Distribution);
+    });
+
+    test('requires notation', () => {
+      expect(() => {
+        Probability.distribution();
+      }).toThrow(RequiredArgumentError);
+    });
+
+    test('can use a DiceRoll', () => {
+      const distribution = Probability.distribution(new DiceRoll('1d4'));
+
+      expect(distribution.probabilities).toEqual(new Map([
+        [1, 0.25],
+        [2, 0.25],
+        [3, 0.25],
+        [4, 0.25],
+      ]));
+    });
+
+    test('single die is uniform', () => {
+      const distribution = Probability.distribution('d6');
+
+      expect(distribution.values).toEqual([1, 2, 3, 4, 5, 6]);
+      distribution.probabilities.forEach((probability) => {
+        expect(probability).toBeCloseTo(1 / 6);
+      });
+      expect(distribution.mean).toBeCloseTo(3.5);
+      expect(distribution.variance).toBeCloseTo(35 / 12);
+    });
+
+    test('multiple dice are summed', () => {
+      const distribution = Probability.distribution('2d6');
+
+      expect(distribution.min).toBe(2);
+      expect(distribution.max).toBe(12);
+      expect(distribution.probabilityOf(7)).toBeCloseTo(6 / 36);
+      expect(distribution.probabilityOf(2)).toBeCloseTo(1 / 36);
+    });
+
+    test('custom dice use the face values', () => {
+      const distribution = Probability.distribution('1d{1,1,2,3,5,8}');
+
+      expect(distribution.values).toEqual([1, 2, 3, 5, 8]);
+      expect(distribution.probabilityOf(1)).toBeCloseTo(2 / 6);
+      expect(distribution.probabilityOf(8)).toBeCloseTo(1 / 6);
+      expect(distribution.mean).toBeCloseTo(20 / 6);
+    });
+
+    test('custom dice with negative faces', () => {
+      const distribution = Probability.distribution('2d{-1,0,0,1}');
+
+      expect(distribution.min).toBe(-2);
+      expect(distribution.max).toBe(2);
+      expect(distribution.probabilityOf(0)).toBeCloseTo(6 / 16);
+      expect(distribution.mean).toBeCloseTo(0);
+    });
+
+    test('narrative dice use the net successes', () => {
+      const distribution = Probability.distribution('1dN.ability');
+
+      expect(distribution.probabilities).toEqual(new Map([
+        [0, 4 / 8],
+        [1, 3 / 8],
+        [2, 1 / 8],
+      ]));
+    });
+
+    test('chance to hit `1d20+5` against AC 15', () => {
+      expect(Probability.distribution('1d20+5').probabilityOf(15, '>=')).toBeCloseTo(0.55);
+    });
+
+    test('mathematical expressions', () => {
+      const distribution = Probability.distribution('(1d4+1)*2');
+
+      expect(distribution.values).toEqual([4, 6, 8, 10]);
+      expect(distribution.mean).toBeCloseTo(7);
+    });
+
+    test('`%` binds tighter than `*`', () => {
+      expect(Probability.distribution('2*1d6%3').values).toEqual([0, 2, 4]);
+    });
+
+    test('math functions', () => {
+      expect(Probability.distribution('floor(1d6/2)').probabilities).toEqual(expect.any(Map));
+      expect(Probability.distribution('floor(1d6/2)').values).toEqual([0, 1, 2, 3]);
+      expect(Probability.distribution('max(1d4, 3)').values).toEqual([3, 4]);
+    });
+
+    test('totals are rounded to 2 decimal places', () => {
+      expect(Probability.distribution('1d3/3').values).toEqual([0.33, 0.67, 1]);
+    });
+
+    test('percentile dice', () => {
+      const distribution = Probability.distribution('d%');
+
+      expect(distribution.min).toBe(1);
+      expect(distribution.max).toBe(100);
+      expect(distribution.mean).toBeCloseTo(50.5);
+    });
+
+    test('fudge dice', () => {
+      const distribution = Probability.distribution('dF');
+      expect(distribution.probabilityOf(0)).toBeCloseTo(1 / 3);
+
+      const distribution1 = Probability.distribution('dF.1');
+      expect(distribution1.probabilityOf(0)).toBeCloseTo(4 / 6);
+      expect(distribution1.probabilityOf(1)).toBeCloseTo(1 / 6);
+    });
+
+    describe('modifiers', () => {
+      test('drop lowest `4d6dl1`', () => {
+        const distribution = Probability.distribution('4d6dl1');
+
+        expect(distribution.min).toBe(3);
+        expect(distribution.max).toBe(18);
+        expect(distribution.mean).toBeCloseTo(12.2446, 4);
+        expect(distribution.probabilityOf(18)).toBeCloseTo(21 / 1296);
+      });
+
+      test('keep highest / lowest', () => {
+        expect(Probability.distribution('2d20kh1').mean).toBeCloseTo(13.825);
+        expect(Probability.distribution('2d20kl1').mean).toBeCloseTo(7.175);
+      });
+
+      test('drop highest', () => {
+        expect(Probability.distribution('2d20dh1').mean).toBeCloseTo(7.175);
+      });
+
+      test('keep and drop', () => {
+        expect(Probability.distribution('4d6k3d1').mean)
+          .toBeCloseTo(Probability.distribution('4d6dl1').mean);
+      });
+
+      test('re-roll', () => {
+        const distribution = Probability.distribution('1d6r');
+
+        expect(distribution.values).toEqual([2, 3, 4, 5, 6]);
+        expect(distribution.probabilityOf(2)).toBeCloseTo(0.2);
+      });
+
+      test('re-roll once', () => {
+        const distribution = Probability.distribution('1d6ro<3');
+
+        expect(distribution.probabilityOf(1)).toBeCloseTo(2 / 36);
+        expect(distribution.probabilityOf(6)).toBeCloseTo((1 / 6) + (2 / 36));
+      });
+
+      test('re-roll requires more than one value', () => {
+        expect(() => {
+          Probability.distribution('1d1r');
+        }).toThrow(DieActionValueError);
+      });
+
+      test('min / max', () => {
+        const distribution = Probability.distribution('1d6min3max5');
+
+        expect(distribution.values).toEqual([3, 4, 5]);
+        expect(distribution.probabilityOf(3)).toBeCloseTo(0.5);
+      });
+
+      test('target success counting', () => {
+        const distribution = Probability.distribution('2d10>=8');
+
+        expect(distribution.values).toEqual([0, 1, 2]);
+        expect(distribution.probabilityOf(2)).toBeCloseTo(0.09);
+        expect(distribution.mean).toBeCloseTo(0.6);
+      });
+
+      test('target success and failure counting', () => {
+        const distribution = Probability.distribution('1d10>=8f<3');
+
+        expect(distribution.probabilityOf(-1)).toBeCloseTo(0.2);
+        expect(distribution.probabilityOf(0)).toBeCloseTo(0.5);
+        expect(distribution.probabilityOf(1)).toBeCloseTo(0.3);
+      });
+
+      test('cosmetic modifiers are ignored', () => {
+        expect(Probability.distribution('3d6sdcs>5cf<2').mean).toBeCloseTo(10.5);
+      });
+
+      test('throws error for exploding and unique dice', () => {
+        expect(() => {
+          Probability.distribution('2d6!');
+        }).toThrow(TypeError);
+
+        expect(() => {
+          Probability.distribution('2d6u');
+        }).toThrow(TypeError);
+      });
+    });
+
+    describe('roll groups', () => {
+      test('sub-rolls are summed', () => {
+        const distribution = Probability.distribution('{1d6, 2}');
+
+        expect(distribution.values).toEqual([3, 4, 5, 6, 7, 8]);
+      });
+
+      test('throws error for modifiers', () => {
+        expect(() => {
+          Probability.distribution('{1d6, 1d8}k1');
+        }).toThrow(TypeError);
+      });
+    });
+
+    test('variables', () => {
+      expect(Probability.distribution('1d6+@mod', { variables: { mod: 2 } }).values)
+        .toEqual([3, 4, 5, 6, 7, 8]);
+      expect(Probability.distribution(new DiceRoll('1d6+@mod', { variables: { mod: 1 } })).min)
+        .toBe(2);
+    });
+
+    test('rolled qty and sides', () => {
+      const distribution = Probability.distribution('(1d2)d6');
+
+      expect(distribution.min).toBe(1);
+      expect(distribution.max).toBe(12);
+      expect(distribution.probabilityOf(1)).toBeCloseTo(1 / 12);
+      expect(distribution.mean).toBeCloseTo(5.25);
+
+      expect(Probability.distribution('1d(1d2+2)').mean).toBeCloseTo(2.25);
+      expect(Probability.distribution('(1d4-1)d6').probabilityOf(0)).toBeCloseTo(0.25);
+      expect(Probability.distribution('2d(1d6-3)').probabilityOf(0)).toBeCloseTo(0.5);
+      expect(Probability.distribution('1d(1d6-6)').max).toBe(0);
+    });
+
+    test('rolled qty and sides are rounded down', () => {
+      expect(Probability.distribution('(1d6/4)d6').probabilityOf(0)).toBeCloseTo(0.5);
+      expect(Probability.distribution('(1d6/4)d6').max).toBe(6);
+      expect(Probability.distribution('1d(1d6/2)').values).toEqual([0, 1, 2, 3]);
+    });
+
+    test('rolled sides of one do not re-roll', () => {
+      expect(Probability.distribution('2d(1d2)r').probabilityOf(2)).toBeCloseTo(0.5);
+    });
+
+    test('repetitions are summed', () => {
+      expect(Probability.distribution('3x1d6').probabilities)
+        .toEqual(Probability.distribution('3d6').probabilities);
+      expect(Probability.distribution('2x1d4+1').min).toBe(4);
+    });
+
+    test('matches min, max and rolled totals', () => {
+      ['3d8+2', '4d6dl1', '2d10>=6', '{1d4, 1d6}*2'].forEach((notation) => {
+        const diceRoll = new DiceRoll(notation);
+        const distribution = Probability.distribution(notation);
+
+        expect(distribution.min).toBe(diceRoll.minTotal);
+        expect(distribution.max).toBe(diceRoll.maxTotal);
+        expect(distribution.probabilityOf(diceRoll.total)).toBeGreaterThan(0);
+      });
+    });
+
+    describe('limits', () => {
+      test('throws error if there are too many iterations', () => {
+        expect(() => {
+          Probability.distribution('30d100', { limits: { maxIterations: 10000 } });
+        }).toThrow(expect.objectContaining({ limit: 'maxIterations' }));
+
+        expect(Probability.distribution('3d6', { limits: new Limits({ maxIterations: 10000 }) }).max)
+          .toBe(18);
+      });
+
+      test('throws error if the time budget runs out', () => {
+        let now = 0;
+        const spy = jest.spyOn(Date, 'now').mockImplementation(() => {
+          now += 1;
+
+          return now;
+        });
+
+        expect(() => {
+          Probability.distribution('30d100', { limits: { timeout: 5 } });
+        }).toThrow(LimitError);
+
+        spy.mockRestore();
+      });
+
+      test('checks the notation limits', () => {
+        expect(() => {
+          Probability.distribution('1d1000', { limits: { maxSides: 100 } });
+        }).toThrow(LimitError);
+      });
+
+      test('do not apply to later calculations', () => {
+        expect(() => {
+          Probability.distribution('30d100', { limits: { maxIterations: 10 } });
+        }).toThrow(LimitError);
+
+        expect(Probability.distribution('30d100').max).toBe(3000);
+      });
+
+      test('rejects large notation by default', () => {
+        expect(() => {
+          Probability.distribution('999d999');
+        }).toThrow('Notation exceeds the "maxIterations" limit of 10000000');
+      });
+
+      test('can be removed with null', () => {
+        expect(Probability.distribution('2d6', { limits: null }).max).toBe(12);
+      });
+
+      test('throws error for invalid notation', () => {
+        expect(() => {
+          Probability.distribution('1d', { limits: { maxIterations: 10 } });
+        }).toThrow(NotationError);
+      });
+    });
+  });
+
+  describe('simulate', () => {
+    test('returns a Simulation', () => {
+      const simulation = Probability.simulate('1d6', { iterations: 100 });
+
+      expect(simulation).toBeInstanceOf(Simulation);
+      expect(simulation.iterations).toBe(100);
+    });
+
+    test('defaults to 10000 iterations', () => {
+      expect(Probability.simulate('1d6').iterations).toBe(10000);
+    });
+
+    test('only parses the notation once', () => {
+      const spy = jest.spyOn(DiceRoll.prototype, 'roll');
+
+      Probability.simulate('2d6', { iterations: 50 });
+
+      // once in the constructor, and once per iteration
+      expect(spy).toHaveBeenCalledTimes(51);
+
+      spy.mockRestore();
+    });
+
+    test('totals are within the possible range', () => {
+      const simulation = Probability.simulate('3d6', { iterations: 500 });
+
+      expect(simulation.min).toBeGreaterThanOrEqual(3);
+      expect(simulation.max).toBeLessThanOrEqual(18);
+    });
+
+    test('supports notation that cannot be calculated exactly', () => {
+      const simulation = Probability.simulate('4d6!', { iterations: 20000, seed: 12 });
+
+      expect(simulation.mean).toBeCloseTo(16.8, 0);
+    });
+
+    test('is reproducible with a seed', () => {
+      const a = Probability.simulate('{2d6!, 1d20}k1', { iterations: 200, seed: 1234 });
+      const b = Probability.simulate('{2d6!, 1d20}k1', { iterations: 200, seed: 1234 });
+
+      expect(a.histogram).toEqual(b.histogram);
+    });
+
+    test('does not change the shared generator engine', () => {
+      Probability.simulate('1d6', { iterations: 10, seed: 4 });
+
+      expect(generator.engine).toBe(engines.nativeMath);
+    });
+
+    test('throws error if iterations is invalid', () => {
+      expect(() => {
+        Probability.simulate('1d6', { iterations: 0 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        Probability.simulate('1d6', { iterations: 1.5 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        Probability.simulate('1d6', { iterations: 'foo' });
+      }).toThrow(RangeError);
+    });
+
+    test('throws error if seed is invalid', () => {
+      expect(() => {
+        Probability.simulate('1d6', { seed: 'foo' });
+      }).toThrow(TypeError);
+    });
+
+    describe('Limits', () => {
+      test('checks each roll', () => {
+        expect(() => {
+          Probability.simulate('100d2!', { limits: { maxIterations: 10 } });
+        }).toThrow(expect.objectContaining({ limit: 'maxIterations' }));
+
+        expect(() => {
+          Probability.simulate('1d6', { limits: { maxSides: 4 } });
+        }).toThrow(LimitError);
+      });
+
+      test('throws error if the time budget runs out', () => {
+        let now = 0;
+        // each roll uses less than the time budget, but all of them use more
+        const spy = jest.spyOn(Date, 'now').mockImplementation(() => {
+          now += 1;
+
+          return now;
+        });
+
+        expect(() => {
+          Probability.simulate('1d6', { limits: { timeout: 100 } });
+        }).toThrow(expect.objectContaining({ limit: 'timeout' }));
+
+        spy.mockRestore();
+      });
+
+      test('returns a Simulation within the limits', () => {
+        const simulation = Probability.simulate('4d6!', {
+          iterations: 100,
+          limits: new Limits({ maxDice: 4, maxIterations: 100 }),
+        });
+
+        expect(simulation.iterations).toBe(100);
+      });
+    });
+  });
+});
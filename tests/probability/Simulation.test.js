@@ -0,0 +1,129 @@
+import Distribution from '../../src/probability/Distribution.js';
+import Simulation from '../../src/probability/Simulation.js';
+
+describe('Simulation', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const simulation = new Simulation(new Map([[1, 3], [2, 1]]));
+
+      expect(simulation).toBeInstanceOf(Simulation);
+      expect(simulation).toBeInstanceOf(Distribution);
+      expect(simulation).toEqual(expect.objectContaining({
+        confidenceInterval: expect.any(Function),
+        histogram: new Map([[1, 3], [2, 1]]),
+        iterations: 4,
+        mean: 1.25,
+        percentile: expect.any(Function),
+        probabilities: new Map([[1, 0.75], [2, 0.25]]),
+        standardError: expect.any(Number),
+      }));
+    });
+
+    test('histogram is sorted by total', () => {
+      const simulation = new Simulation(new Map([[6, 1], [2, 1], [4, 2]]));
+
+      expect([...simulation.histogram.keys()]).toEqual([2, 4, 6]);
+    });
+
+    test('throws error if histogram is not a Map', () => {
+      expect(() => {
+        new Simulation([[1, 2]]);
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('confidenceInterval', () => {
+    const simulation = new Simulation(new Map([[0, 50], [10, 50]]));
+
+    test('is centered on the mean', () => {
+      const [lower, upper] = simulation.confidenceInterval();
+
+      expect((lower + upper) / 2).toBeCloseTo(5);
+    });
+
+    test('defaults to 95%', () => {
+      const [lower, upper] = simulation.confidenceInterval();
+
+      // standard error = 5 / sqrt(100)
+      expect(upper - lower).toBeCloseTo(2 * 1.959964 * 0.5, 4);
+      expect(simulation.confidenceInterval()).toEqual(simulation.confidenceInterval(0.95));
+    });
+
+    test('higher confidence is wider', () => {
+      const [lower90, upper90] = simulation.confidenceInterval(0.9);
+      const [lower99, upper99] = simulation.confidenceInterval(0.99);
+
+      expect(upper90 - lower90).toBeCloseTo(2 * 1.644854 * 0.5, 4);
+      expect(upper99 - lower99).toBeCloseTo(2 * 2.575829 * 0.5, 4);
+    });
+
+    test('throws error if level is invalid', () => {
+      expect(() => {
+        simulation.confidenceInterval(0);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        simulation.confidenceInterval(1);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        simulation.confidenceInterval('foo');
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('percentile', () => {
+    const simulation = new Simulation(new Map([[1, 1], [2, 1], [3, 1], [4, 1]]));
+
+    test('returns the percentile', () => {
+      expect(simulation.percentile(0)).toBe(1);
+      expect(simulation.percentile(25)).toBe(1);
+      expect(simulation.percentile(50)).toBe(2);
+      expect(simulation.percentile(60)).toBe(3);
+      expect(simulation.percentile(100)).toBe(4);
+    });
+
+    test('throws error if percent is invalid', () => {
+      expect(() => {
+        simulation.percentile(101);
+      }).toThrow(RangeError);
+
+      expect(() => {
+        simulation.percentile(-1);
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Output', () => {
+    test('JSON output is correct', () => {
+      const simulation = new Simulation(new Map([[1, 1], [3, 1]]));
+
+      expect(JSON.parse(JSON.stringify(simulation))).toEqual({
+        confidenceInterval: simulation.confidenceInterval(),
+        histogram: {
+          1: 1,
+          3: 1,
+        },
+        iterations: 2,
+        max: 3,
+        mean: 2,
+        min: 1,
+        percentiles: {
+          5: 1,
+          25: 1,
+          50: 1,
+          75: 3,
+          95: 3,
+        },
+        probabilities: {
+          1: 0.5,
+          3: 0.5,
+        },
+        standardDeviation: 1,
+        standardError: 1 / Math.sqrt(2),
+        type: 'simulation',
+        variance: 1,
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import DiceRoll from '../../src/DiceRoll.js';
+import AnsiRenderer from '../../src/renderers/AnsiRenderer.js';
+import Renderer from '../../src/renderers/Renderer.js';
+import { ResultGroup, RollResult, RollResults } from '../../src/results/index.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('AnsiRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new AnsiRenderer();
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(renderer).toBeInstanceOf(AnsiRenderer);
+      expect(renderer).toBeInstanceOf(Renderer);
+      expect(renderer).toEqual(expect.objectContaining({
+        color: true,
+        render: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Color', () => {
+    test('can be disabled in the constructor', () => {
+      expect(new AnsiRenderer({ color: false }).color).toBe(false);
+    });
+
+    test('can be changed', () => {
+      renderer.color = false;
+      expect(renderer.color).toBe(false);
+
+      renderer.color = true;
+      expect(renderer.color).toBe(true);
+    });
+
+    test('is cast to a boolean', () => {
+      renderer.color = 0;
+      expect(renderer.color).toBe(false);
+
+      renderer.color = 'yes';
+      expect(renderer.color).toBe(true);
+    });
+  });
+
+  describe('Render', () => {
+    test('colours critical successes green', () => {
+      const diceRoll = new DiceRoll('1d20cs=20', { generator: new NumberGenerator(engines.max) });
+
+      expect(renderer.render(diceRoll)).toEqual('1d20cs=20: [\u001b[32m20**\u001b[39m] = \u001b[1m20\u001b[22m');
+    });
+
+    test('colours critical failures red', () => {
+      const diceRoll = new DiceRoll('1d20cf=1', { generator: new NumberGenerator(engines.min) });
+
+      expect(renderer.render(diceRoll)).toEqual('1d20cf=1: [\u001b[31m1__\u001b[39m] = \u001b[1m1\u001b[22m');
+    });
+
+    test('dims and strikes through dropped results', () => {
+      const results = new ResultGroup([
+        new RollResults([new RollResult(1, ['drop']), 4]),
+      ], ['drop']);
+
+      expect(renderer.renderResults(results)).toEqual('\u001b[2;9m([\u001b[2;9m1d\u001b[22;29m\u001b[2;9m, 4])d\u001b[22;29m');
+    });
+
+    test('highlights exploded results', () => {
+      const results = new RollResults([new RollResult(6, ['explode']), 3]);
+
+      expect(renderer.renderResults(results)).toEqual('[\u001b[1;33m6!\u001b[22;39m, 3]');
+    });
+
+    test('keeps the critical colours on exploded results', () => {
+      const success = new RollResults([new RollResult(6, ['explode', 'critical-success']), 3]);
+      const failure = new RollResults([new RollResult(1, ['explode', 'critical-failure'])]);
+
+      expect(renderer.renderResults(success)).toEqual('[\u001b[1;33m\u001b[32m6!**\u001b[39m\u001b[1;33m\u001b[22;39m, 3]');
+      expect(renderer.renderResults(failure)).toEqual('[\u001b[1;33m\u001b[31m1!__\u001b[39m\u001b[1;33m\u001b[22;39m]');
+    });
+
+    test('keeps the outer style after a nested style is closed', () => {
+      const results = new ResultGroup([
+        new RollResults([new RollResult(6, ['explode', 'critical-success']), 4]),
+        '+',
+        3,
+      ], ['drop']);
+
+      expect(renderer.renderResults(results)).toEqual('\u001b[2;9m([\u001b[1;33m\u001b[32m6!**\u001b[39m\u001b[2;9m\u001b[1;33m\u001b[22;39m\u001b[2;9m, 4]+3)d\u001b[22;29m');
+    });
+
+    test('matches the roll output without colour', () => {
+      renderer.color = false;
+
+      [
+        ['4d6!dl1cs=6', 1],
+        ['{3d6,2d8}kh1', 7],
+        ['2x4d6dl1', 7],
+      ].forEach(([notation, seed]) => {
+        const diceRoll = new DiceRoll(notation, { seed });
+
+        expect(renderer.render(diceRoll)).toEqual(diceRoll.output);
+      });
+    });
+  });
+});
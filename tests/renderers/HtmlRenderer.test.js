@@ -0,0 +1,101 @@
+import DiceRoll from '../../src/DiceRoll.js';
+import HtmlRenderer from '../../src/renderers/HtmlRenderer.js';
+import Renderer from '../../src/renderers/Renderer.js';
+import { ResultGroup, RollResult, RollResults } from '../../src/results/index.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('HtmlRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new HtmlRenderer();
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(renderer).toBeInstanceOf(HtmlRenderer);
+      expect(renderer).toBeInstanceOf(Renderer);
+      expect(renderer).toEqual(expect.objectContaining({
+        classPrefix: 'rpg-dice',
+        render: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Class prefix', () => {
+    test('can be set in the constructor', () => {
+      expect(new HtmlRenderer({ classPrefix: 'dice' }).classPrefix).toEqual('dice');
+    });
+
+    test('can be changed', () => {
+      renderer.classPrefix = 'roll';
+
+      expect(renderer.classPrefix).toEqual('roll');
+    });
+
+    test('throws error if not a non-empty string', () => {
+      expect(() => {
+        renderer.classPrefix = '';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new HtmlRenderer({ classPrefix: 4 });
+      }).toThrow(TypeError);
+    });
+
+    test('is used for the class names', () => {
+      renderer.classPrefix = 'dice';
+
+      const output = renderer.render(new DiceRoll('1d6', { generator: new NumberGenerator(engines.max) }));
+
+      expect(output).toEqual('<span class="dice"><span class="dice__notation">1d6</span>: [<span class="dice__result">6</span>] = <strong class="dice__total">6</strong></span>');
+    });
+  });
+
+  describe('Render', () => {
+    test('adds a class for each modifier', () => {
+      const diceRoll = new DiceRoll('2d20cs=20', { generator: new NumberGenerator(engines.max) });
+      const result = '<span class="rpg-dice__result rpg-dice__result--critical-success">20<abbr class="rpg-dice__flag" title="critical success">**</abbr></span>';
+
+      expect(renderer.render(diceRoll)).toEqual(`<span class="rpg-dice"><span class="rpg-dice__notation">2d20cs=20</span>: [${result}, ${result}] = <strong class="rpg-dice__total">40</strong></span>`);
+    });
+
+    test('strikes through dropped results', () => {
+      const results = new RollResults([
+        new RollResult(1, ['drop']),
+        new RollResult(4, ['explode', 'critical-failure']),
+      ]);
+
+      expect(renderer.renderResults(results)).toEqual('[<span class="rpg-dice__result rpg-dice__result--drop"><del>1<abbr class="rpg-dice__flag" title="dropped">d</abbr></del></span>, <span class="rpg-dice__result rpg-dice__result--explode rpg-dice__result--critical-failure">4<abbr class="rpg-dice__flag" title="exploded">!</abbr><abbr class="rpg-dice__flag" title="critical failure">__</abbr></span>]');
+    });
+
+    test('decorates roll groups with modifiers', () => {
+      const results = new ResultGroup([new RollResults([3])], ['drop']);
+
+      expect(renderer.renderResults(results)).toEqual('<span class="rpg-dice__group rpg-dice__group--drop"><del>([<span class="rpg-dice__result">3</span>])<abbr class="rpg-dice__flag" title="dropped">d</abbr></del></span>');
+    });
+
+    test('uses the modifier name for unknown modifiers', () => {
+      const results = new RollResults([new RollResult(3, ['foo'])]);
+
+      expect(renderer.renderResults(results)).toEqual('[<span class="rpg-dice__result rpg-dice__result--foo">3<abbr class="rpg-dice__flag" title="foo">foo</abbr></span>]');
+    });
+
+    test('escapes the notation', () => {
+      const diceRoll = new DiceRoll('1d6>3', { generator: new NumberGenerator(engines.max) });
+
+      expect(renderer.render(diceRoll)).toContain('<span class="rpg-dice__notation">1d6&gt;3</span>');
+    });
+  });
+
+  describe('Escape', () => {
+    test('escapes HTML special characters', () => {
+      expect(renderer.escape('<a href="#">Tom & Jerry\'s</a>'))
+        .toEqual('&lt;a href=&quot;#&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+
+    test('casts numbers to strings', () => {
+      expect(renderer.escape(4)).toEqual('4');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import DiceRoll from '../../src/DiceRoll.js';
+import MarkdownRenderer from '../../src/renderers/MarkdownRenderer.js';
+import Renderer from '../../src/renderers/Renderer.js';
+import { ResultGroup, RollResult, RollResults } from '../../src/results/index.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('MarkdownRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new MarkdownRenderer();
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(renderer).toBeInstanceOf(MarkdownRenderer);
+      expect(renderer).toBeInstanceOf(Renderer);
+      expect(renderer).toEqual(expect.objectContaining({
+        render: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Render', () => {
+    test('shows the notation as code, and the total in bold', () => {
+      const diceRoll = new DiceRoll('2d6+2', { generator: new NumberGenerator(engines.max) });
+
+      expect(renderer.render(diceRoll)).toEqual('`2d6+2`: [6, 6]+2 = **14**');
+    });
+
+    test('wraps notation containing backticks in a longer fence', () => {
+      const diceRoll = new DiceRoll('2d6 [x`**y**`]', { generator: new NumberGenerator(engines.max) });
+      const nested = new DiceRoll('2d6 [``x`]', { generator: new NumberGenerator(engines.max) });
+
+      expect(renderer.render(diceRoll)).toEqual('`` 2d6 [x`**y**`] ``: [6, 6] = **12**');
+      expect(renderer.render(nested)).toEqual('``` 2d6 [``x`] ```: [6, 6] = **12**');
+    });
+
+    test('shows crits in bold', () => {
+      const maxRoll = new DiceRoll('2d20cs=20', { generator: new NumberGenerator(engines.max) });
+      const minRoll = new DiceRoll('1d20cf=1', { generator: new NumberGenerator(engines.min) });
+
+      expect(renderer.render(maxRoll)).toEqual('`2d20cs=20`: [**20\\*\\***, **20\\*\\***] = **40**');
+      expect(renderer.render(minRoll)).toEqual('`1d20cf=1`: [**1\\_\\_**] = **1**');
+    });
+
+    test('strikes through dropped results', () => {
+      const results = new ResultGroup([
+        new ResultGroup([new RollResults([3, new RollResult(1, ['drop'])])], ['drop']),
+        ', ',
+        new RollResults([new RollResult(20, ['critical-success', 'drop'])]),
+      ]);
+
+      expect(renderer.renderResults(results)).toEqual('~~([3, ~~1d~~])d~~, [~~**20\\*\\*d**~~]');
+    });
+
+    test('shows repeated rolls', () => {
+      const diceRoll = new DiceRoll('2x2d6dl1', { generator: new NumberGenerator(engines.max) });
+
+      expect(renderer.render(diceRoll)).toEqual('`2x2d6dl1`: [~~6d~~, 6]=**6**, [~~6d~~, 6]=**6**');
+    });
+  });
+
+  describe('Escape', () => {
+    test('escapes Markdown formatting characters', () => {
+      expect(renderer.escape('*_~`|\\')).toEqual('\\*\\_\\~\\`\\|\\\\');
+    });
+
+    test('does not escape other characters', () => {
+      expect(renderer.escape('[4, 2]+1')).toEqual('[4, 2]+1');
+    });
+  });
+});
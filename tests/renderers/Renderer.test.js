@@ -0,0 +1,100 @@
+import DiceRoll from '../../src/DiceRoll.js';
+import Renderer from '../../src/renderers/Renderer.js';
+import { ResultGroup, RollResult, RollResults } from '../../src/results/index.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+
+describe('Renderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new Renderer();
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(renderer).toBeInstanceOf(Renderer);
+      expect(renderer).toEqual(expect.objectContaining({
+        decorate: expect.any(Function),
+        escape: expect.any(Function),
+        render: expect.any(Function),
+        renderFlags: expect.any(Function),
+        renderNotation: expect.any(Function),
+        renderOutput: expect.any(Function),
+        renderResults: expect.any(Function),
+        renderTotal: expect.any(Function),
+      }));
+    });
+  });
+
+  describe('Render', () => {
+    test('matches the roll output', () => {
+      [
+        ['4d6!dl1', 1],
+        ['{3d6,2d8}kh1', 7],
+        ['2x4d6dl1', 7],
+        ['(1d4)d6*2', 7],
+        ['5d10>=6f<=1', 3],
+        ['3dN.ability', 3],
+        ['{2dN.ability}kh1', 5],
+        ['4dN.abilitydl1', 5],
+        ['floor(3d6/2)+{2d4}', 12],
+      ].forEach(([notation, seed]) => {
+        const diceRoll = new DiceRoll(notation, { seed });
+
+        expect(renderer.render(diceRoll)).toEqual(diceRoll.output);
+      });
+    });
+
+    test('matches the output for crits', () => {
+      const diceRoll = new DiceRoll('2d20cs=20', { generator: new NumberGenerator(engines.max) });
+
+      expect(renderer.render(diceRoll)).toEqual('2d20cs=20: [20**, 20**] = 40');
+    });
+
+    test('matches the output without rolls', () => {
+      const diceRoll = new DiceRoll('4d6');
+
+      jest.spyOn(diceRoll, 'hasRolls').mockImplementation(() => false);
+
+      expect(renderer.render(diceRoll)).toEqual('4d6: No dice rolled');
+
+      jest.restoreAllMocks();
+    });
+
+    test('throws error if not a DiceRoll', () => {
+      expect(() => {
+        renderer.render('4d6');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        renderer.render(new RollResults([4]));
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('Render results', () => {
+    test('renders results as their string output', () => {
+      const results = new ResultGroup([
+        new RollResults([new RollResult(6, ['explode']), 2]),
+        '+',
+        4,
+      ], ['drop']);
+
+      expect(renderer.renderResults(results)).toEqual(results.toString());
+    });
+
+    test('calls decorate for each result and group with modifiers', () => {
+      const spy = jest.spyOn(renderer, 'decorate');
+      const results = new ResultGroup([
+        new RollResults([new RollResult(6, ['explode']), 2]),
+      ], ['drop']);
+
+      renderer.renderResults(results);
+
+      expect(spy).toHaveBeenCalledTimes(3);
+      expect(spy).toHaveBeenCalledWith('6!', new Set(['explode']), 'result');
+      expect(spy).toHaveBeenCalledWith('2', new Set(), 'result');
+      expect(spy).toHaveBeenCalledWith('([6!, 2])d', new Set(['drop']), 'group');
+    });
+  });
+});
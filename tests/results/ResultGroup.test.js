@@ -1,4 +1,5 @@
 import ResultGroup from '../../src/results/ResultGroup.js';
+import RollResult from '../../src/results/RollResult.js';
 import RollResults from '../../src/results/RollResults.js';
 
 describe('ResultGroup', () => {
@@ -35,11 +36,13 @@ describe('ResultGroup', () => {
       expect(group).toBeInstanceOf(ResultGroup);
       expect(group).toEqual(expect.objectContaining({
         addResult: expect.any(Function),
+        addStep: expect.any(Function),
         calculationValue: 26,
         isRollGroup: false,
         length: 3,
         modifiers: new Set(),
         results,
+        steps: [],
         useInTotal: true,
         value: 26,
         toJSON: expect.any(Function),
@@ -608,6 +611,28 @@ describe('ResultGroup', () => {
       expect(group.value).toEqual(84.5);
     });
 
+    test('evaluates operators and functions', () => {
+      group.results = [
+        'floor(',
+        new RollResults([3, 4]),
+        '/',
+        2,
+        ')',
+        '*',
+        '(',
+        new RollResults([5]),
+        '-',
+        1,
+        ')',
+        '^',
+        2,
+        '%',
+        '5',
+      ];
+
+      expect(group.value).toEqual(3);
+    });
+
     test('cannot change value property', () => {
       expect(() => {
         group.value = 4;
@@ -615,6 +640,137 @@ describe('ResultGroup', () => {
     });
   });
 
+  describe('steps', () => {
+    test('are empty by default', () => {
+      expect(group.steps).toEqual([]);
+    });
+
+    test('can be added', () => {
+      group.addStep('Kept the highest 1 (kh1), dropped: 26');
+      group.addStep('Counted 1 success (>20)');
+
+      expect(group.steps).toEqual([
+        'Kept the highest 1 (kh1), dropped: 26',
+        'Counted 1 success (>20)',
+      ]);
+    });
+
+    test('can be added as functions, which are only called when read', () => {
+      const step = jest.fn(() => 'Counted 1 success (>20)');
+      group.addStep(step);
+
+      expect(step).not.toHaveBeenCalled();
+      expect(group.steps).toEqual(['Counted 1 success (>20)']);
+      expect(step).toHaveBeenCalledTimes(1);
+    });
+
+    test('cannot be changed directly', () => {
+      group.steps.push('foo');
+
+      expect(group.steps).toEqual([]);
+    });
+
+    test('throws error if not a string or function', () => {
+      expect(() => {
+        group.addStep({ foo: 'bar' });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        group.addStep(null);
+      }).toThrow(TypeError);
+    });
+
+    test('are not included in JSON output', () => {
+      group.addStep('Kept the highest 1 (kh1), dropped: 26');
+
+      expect(JSON.parse(JSON.stringify(group))).not.toHaveProperty('steps');
+    });
+  });
+
+  describe('symbols', () => {
+    let symbolResults;
+
+    beforeEach(() => {
+      symbolResults = [
+        new RollResults([
+          new RollResult({ value: 1, symbols: { success: 1, advantage: 1 } }),
+          new RollResult({ value: 1, symbols: { triumph: 1 } }),
+        ]),
+        '+',
+        new RollResults([
+          new RollResult({ value: -2, symbols: { failure: 2 } }),
+          new RollResult({ value: 0, symbols: { threat: 2 } }),
+        ]),
+      ];
+    });
+
+    test('is null without symbols', () => {
+      expect(group.symbols).toBe(null);
+      expect(group.netSymbols).toBe(null);
+    });
+
+    test('returns the total of the symbols', () => {
+      group = new ResultGroup(symbolResults);
+
+      expect(group.symbols).toEqual({
+        success: 1, advantage: 1, triumph: 1, failure: 2, threat: 2,
+      });
+    });
+
+    test('returns the net symbols', () => {
+      group = new ResultGroup(symbolResults);
+
+      // triumph counts as a success, so successes and failures cancel out
+      expect(group.netSymbols).toEqual({ threat: 1, triumph: 1 });
+      expect(group.value).toBe(0);
+    });
+
+    test('includes sub-groups used in the total', () => {
+      group = new ResultGroup([
+        new ResultGroup(symbolResults),
+        new ResultGroup([new RollResults([
+          new RollResult({ value: 1, symbols: { success: 1 } }),
+        ])], [], false, false),
+        new ResultGroup([new RollResults([
+          new RollResult({ value: 2, symbols: { success: 2 } }),
+        ])]),
+      ], [], true);
+
+      expect(group.symbols).toEqual({
+        success: 3, advantage: 1, triumph: 1, failure: 2, threat: 2,
+      });
+      expect(group.netSymbols).toEqual({ success: 2, threat: 1, triumph: 1 });
+    });
+
+    test('JSON output includes symbols', () => {
+      group = new ResultGroup(symbolResults);
+
+      expect(JSON.parse(JSON.stringify(group))).toEqual(expect.objectContaining({
+        netSymbols: { threat: 1, triumph: 1 },
+        symbols: {
+          success: 1, advantage: 1, triumph: 1, failure: 2, threat: 2,
+        },
+      }));
+    });
+
+    test('String output uses symbol abbreviations', () => {
+      group = new ResultGroup(symbolResults);
+
+      expect(group.toString()).toEqual('[sa, T]+[ff, tt]');
+    });
+
+    test('String output separates modifier flags from symbols', () => {
+      group = new ResultGroup([
+        new RollResults([
+          new RollResult({ value: 0, symbols: { advantage: 1 } }, ['drop']),
+          new RollResult({ value: 1, symbols: { success: 1 } }),
+        ]),
+      ], ['drop'], true);
+
+      expect(group.toString()).toEqual('({[(a)d, s]})d');
+    });
+  });
+
   describe('Output', () => {
     test('JSON output is correct', () => {
       const json = group.toJSON();
@@ -594,6 +594,81 @@ describe('RollResult', () => {
     });
   });
 
+  describe('Symbols', () => {
+    test('defaults to null', () => {
+      expect((new RollResult(4)).symbols).toBe(null);
+    });
+
+    test('can set in constructor', () => {
+      const result = new RollResult({ value: 1, symbols: { success: 1, advantage: 1 } });
+
+      expect(result.value).toBe(1);
+      expect(result.symbols).toEqual({ success: 1, advantage: 1 });
+    });
+
+    test('can change', () => {
+      const result = new RollResult(0);
+
+      result.symbols = { threat: 2 };
+      expect(result.symbols).toEqual({ threat: 2 });
+
+      result.symbols = null;
+      expect(result.symbols).toBe(null);
+    });
+
+    test('cannot be modified by reference', () => {
+      const symbols = { success: 1 };
+      const result = new RollResult({ value: 1, symbols });
+
+      symbols.success = 3;
+      result.symbols.success = 4;
+
+      expect(result.symbols).toEqual({ success: 1 });
+    });
+
+    test('throws error if invalid', () => {
+      const result = new RollResult(0);
+
+      expect(() => {
+        result.symbols = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        result.symbols = ['success'];
+      }).toThrow(TypeError);
+
+      expect(() => {
+        result.symbols = { success: 'foo' };
+      }).toThrow(TypeError);
+    });
+
+    test('JSON output includes symbols', () => {
+      const result = new RollResult({ value: -1, symbols: { failure: 1, threat: 1 } });
+
+      expect(JSON.parse(JSON.stringify(result))).toEqual({
+        calculationValue: -1,
+        initialValue: -1,
+        modifierFlags: '',
+        modifiers: [],
+        symbols: { failure: 1, threat: 1 },
+        type: 'result',
+        useInTotal: true,
+        value: -1,
+      });
+    });
+
+    test('String output uses symbol abbreviations', () => {
+      expect((new RollResult({ value: 2, symbols: { success: 2, advantage: 1 } })).toString()).toEqual('ssa');
+      expect((new RollResult({ value: 0, symbols: {} })).toString()).toEqual('-');
+    });
+
+    test('String output separates modifier flags from symbols', () => {
+      expect((new RollResult({ value: 1, symbols: { triumph: 1 } }, ['explode'])).toString()).toEqual('(T)!');
+      expect((new RollResult({ value: 0, symbols: { advantage: 1 } }, ['drop'])).toString()).toEqual('(a)d');
+      expect((new RollResult({ value: 0, symbols: {} }, ['drop'])).toString()).toEqual('(-)d');
+    });
+  });
+
   describe('Output', () => {
     test('JSON output is correct', () => {
       const result = new RollResult(4, ['explode', 'compound', 'drop'], false);
@@ -1,3 +1,4 @@
+import ResultGroup from '../../src/results/ResultGroup.js';
 import RollResults from '../../src/results/RollResults.js';
 import RollResult from '../../src/results/RollResult.js';
 
@@ -23,8 +24,10 @@ describe('RollResults', () => {
       expect(results).toBeInstanceOf(RollResults);
 
       expect(results.addRoll).toBeInstanceOf(Function);
+      expect(results.addStep).toBeInstanceOf(Function);
       expect(results).toHaveLength(6);
       expect(results.rolls).toEqual(rolls);
+      expect(results.steps).toEqual([]);
       expect(results.value).toBe(31);
       expect(results.toJSON).toBeInstanceOf(Function);
       expect(results.toString).toBeInstanceOf(Function);
@@ -204,6 +207,154 @@ describe('RollResults', () => {
     });
   });
 
+  describe('symbols', () => {
+    test('is null without symbols', () => {
+      expect(results.symbols).toBe(null);
+    });
+
+    test('returns the total of the symbols', () => {
+      results = new RollResults([
+        new RollResult({ value: 1, symbols: { success: 1, advantage: 1 } }),
+        new RollResult({ value: 0, symbols: {} }),
+        new RollResult({ value: 2, symbols: { success: 2 } }),
+        new RollResult({ value: -1, symbols: { failure: 1 } }),
+      ]);
+
+      expect(results.symbols).toEqual({ success: 3, advantage: 1, failure: 1 });
+    });
+
+    test('ignores rolls not used in the total', () => {
+      results = new RollResults([
+        new RollResult({ value: 1, symbols: { success: 1 } }),
+        new RollResult({ value: 2, symbols: { success: 2 }, useInTotal: false }),
+      ]);
+
+      expect(results.symbols).toEqual({ success: 1 });
+    });
+
+    test('JSON output includes symbols', () => {
+      results = new RollResults([
+        new RollResult({ value: 1, symbols: { success: 1 } }),
+      ]);
+
+      expect(JSON.parse(JSON.stringify(results))).toEqual(expect.objectContaining({
+        symbols: { success: 1 },
+      }));
+      expect(results.toString()).toEqual('[s]');
+    });
+  });
+
+  describe('qty and sides results', () => {
+    test('are null by default', () => {
+      expect(results.qtyResults).toBe(null);
+      expect(results.sidesResults).toBe(null);
+    });
+
+    test('can be set', () => {
+      const qtyResults = new ResultGroup([new RollResults([3])]);
+      const sidesResults = new ResultGroup([new RollResults([4]), '+', 2]);
+
+      results.qtyResults = qtyResults;
+      results.sidesResults = sidesResults;
+
+      expect(results.qtyResults).toBe(qtyResults);
+      expect(results.sidesResults).toBe(sidesResults);
+
+      results.qtyResults = null;
+
+      expect(results.qtyResults).toBe(null);
+    });
+
+    test('throws error if not a result group', () => {
+      expect(() => {
+        results.qtyResults = 'foo';
+      }).toThrow(TypeError);
+
+      expect(() => {
+        results.sidesResults = [3];
+      }).toThrow(TypeError);
+
+      expect(() => {
+        results.sidesResults = new RollResults([3]);
+      }).toThrow(TypeError);
+    });
+
+    test('do not affect the value', () => {
+      results.qtyResults = new ResultGroup([new RollResults([6])]);
+
+      expect(results.value).toBe(31);
+    });
+
+    test('toString output includes them', () => {
+      results = new RollResults([2, 5]);
+      results.qtyResults = new ResultGroup([new RollResults([2])]);
+
+      expect(results.toString()).toEqual('([2])[2, 5]');
+
+      results.sidesResults = new ResultGroup([new RollResults([4]), '+', 2]);
+
+      expect(results.toString()).toEqual('([2])([4]+2)[2, 5]');
+    });
+
+    test('JSON output includes them', () => {
+      const qtyResults = new ResultGroup([new RollResults([3])]);
+
+      results.qtyResults = qtyResults;
+
+      expect(JSON.parse(JSON.stringify(results))).toEqual(expect.objectContaining({
+        qtyResults: JSON.parse(JSON.stringify(qtyResults)),
+      }));
+      expect(JSON.parse(JSON.stringify(results))).not.toHaveProperty('sidesResults');
+    });
+  });
+
+  describe('steps', () => {
+    test('are empty by default', () => {
+      expect(results.steps).toEqual([]);
+    });
+
+    test('can be added', () => {
+      results.addStep('Rolled 6d10: [8, 4, 2, 1, 6, 10]');
+      results.addStep('Dropped the lowest 1 (dl1): 1');
+
+      expect(results.steps).toEqual([
+        'Rolled 6d10: [8, 4, 2, 1, 6, 10]',
+        'Dropped the lowest 1 (dl1): 1',
+      ]);
+    });
+
+    test('can be added as functions, which are only called when read', () => {
+      const step = jest.fn(() => 'Dropped the lowest 1 (dl1): 1');
+      results.addStep(step);
+
+      expect(step).not.toHaveBeenCalled();
+      expect(results.steps).toEqual(['Dropped the lowest 1 (dl1): 1']);
+      expect(step).toHaveBeenCalledTimes(1);
+    });
+
+    test('cannot be changed directly', () => {
+      results.steps.push('foo');
+
+      expect(results.steps).toEqual([]);
+    });
+
+    test('throws error if not a string or function', () => {
+      expect(() => {
+        results.addStep({ foo: 'bar' });
+      }).toThrow(TypeError);
+
+      expect(() => {
+        results.addStep(null);
+      }).toThrow(TypeError);
+    });
+
+    test('are not included in JSON output', () => {
+      results.addStep('Rolled 6d10: [8, 4, 2, 1, 6, 10]');
+
+      expect(JSON.parse(JSON.stringify(results))).not.toHaveProperty('steps');
+    });
+  });
+
   describe('Output', () => {
     test('JSON output is correct', () => {
       // json encode, to get the encoded string, then decode so we can compare the object
@@ -0,0 +1,826 @@
+import { request as httpRequest } from 'node:http';
+import DiceRoll from '../../src/DiceRoll.js';
+import DiceRoller from '../../src/DiceRoller.js';
+import { LimitError } from '../../src/exceptions/index.js';
+import Limits from '../../src/Limits.js';
+import RollServer from '../../src/server/RollServer.js';
+import WebSocketConnection from '../../src/server/WebSocketConnection.js';
+import exportFormats from '../../src/utilities/ExportFormats.js';
+
+describe('RollServer', () => {
+  let baseUrl;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+
+    return { response, body: isJson ? JSON.parse(text) : text };
+  };
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const rollServer = new RollServer();
+
+      expect(rollServer).toBeInstanceOf(RollServer);
+      expect(rollServer).toEqual(expect.objectContaining({
+        broadcast: expect.any(Function),
+        close: expect.any(Function),
+        findRoom: expect.any(Function),
+        getRoom: expect.any(Function),
+        handleRequest: expect.any(Function),
+        handleUpgrade: expect.any(Function),
+        limits: expect.any(Limits),
+        listen: expect.any(Function),
+        maxBodySize: 1048576,
+        maxLogLength: 1000,
+        maxRooms: 1000,
+        roomTimeout: 3600000,
+        rooms: new Map(),
+        server: null,
+        subscribers: new Map(),
+      }));
+    });
+
+    test('has sandbox limits by default', () => {
+      expect(new RollServer().limits.toJSON()).toEqual({
+        maxDepth: 10,
+        maxDice: 1000,
+        maxIterations: 1000,
+        maxNotationLength: 1000,
+        maxSides: 10000,
+        maxTerms: 100,
+        timeout: 100,
+        type: 'limits',
+      });
+    });
+
+    test('can set the limits', () => {
+      const limits = new Limits({ maxDice: 5 });
+
+      expect(new RollServer({ limits }).limits).toBe(limits);
+      expect(new RollServer({ limits: { maxSides: 20 } }).limits.maxSides).toBe(20);
+      expect(new RollServer({ limits: {} }).limits.maxDice).toBe(Infinity);
+    });
+
+    test('throws error for invalid limits', () => {
+      expect(() => {
+        new RollServer({ limits: { maxDice: 'foo' } });
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for invalid max body size', () => {
+      expect(() => {
+        new RollServer({ maxBodySize: 0 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollServer({ maxBodySize: 'foo' });
+      }).toThrow(RangeError);
+    });
+
+    test('can set the max log length and rooms', () => {
+      const rollServer = new RollServer({ maxLogLength: 5, maxRooms: 2, roomTimeout: 1000 });
+
+      expect(rollServer.maxLogLength).toBe(5);
+      expect(rollServer.maxRooms).toBe(2);
+      expect(rollServer.roomTimeout).toBe(1000);
+    });
+
+    test('throws error for invalid max log length or rooms', () => {
+      expect(() => {
+        new RollServer({ maxLogLength: 0 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollServer({ maxLogLength: 1.5 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollServer({ maxRooms: -1 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollServer({ maxRooms: 'foo' });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new RollServer({ roomTimeout: 0 });
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Rooms', () => {
+    let rollServer;
+
+    beforeEach(() => {
+      rollServer = new RollServer();
+    });
+
+    test('creates the room on first use', () => {
+      const roller = rollServer.getRoom('my-game');
+
+      expect(roller).toBeInstanceOf(DiceRoller);
+      expect(roller.limits).toBe(rollServer.limits);
+      expect(rollServer.getRoom('my-game')).toBe(roller);
+      expect(rollServer.rooms).toEqual(new Map([['my-game', roller]]));
+    });
+
+    test('can find existing rooms', () => {
+      expect(rollServer.findRoom('my-game')).toBe(null);
+      expect(rollServer.rooms).toEqual(new Map());
+
+      const roller = rollServer.getRoom('my-game');
+
+      expect(rollServer.findRoom('my-game')).toBe(roller);
+
+      expect(() => {
+        rollServer.findRoom('foo bar');
+      }).toThrow(TypeError);
+    });
+
+    test('removes idle rooms when creating a room', () => {
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+      rollServer = new RollServer({ roomTimeout: 1000 });
+      rollServer.getRoom('foo');
+      rollServer.getRoom('bar');
+
+      spy.mockReturnValue(500);
+      rollServer.findRoom('bar');
+
+      spy.mockReturnValue(1000);
+      rollServer.getRoom('baz');
+
+      expect([...rollServer.rooms.keys()]).toEqual(['bar', 'baz']);
+
+      spy.mockRestore();
+    });
+
+    test('uses the default room', () => {
+      expect(rollServer.getRoom()).toBe(rollServer.getRoom('default'));
+    });
+
+    test('rooms are separate', () => {
+      expect(rollServer.getRoom('foo')).not.toBe(rollServer.getRoom('bar'));
+    });
+
+    test('throws error for invalid room names', () => {
+      expect(() => {
+        rollServer.getRoom('');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        rollServer.getRoom('foo bar');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        rollServer.getRoom('a'.repeat(65));
+      }).toThrow(TypeError);
+
+      expect(() => {
+        rollServer.getRoom(1);
+      }).toThrow(TypeError);
+    });
+
+    test('throws error if there are too many rooms', () => {
+      rollServer = new RollServer({ maxRooms: 2 });
+
+      const roller = rollServer.getRoom('foo');
+      rollServer.getRoom('bar');
+
+      expect(() => {
+        rollServer.getRoom('baz');
+      }).toThrow('There cannot be more than 2 rooms');
+
+      expect(rollServer.getRoom('foo')).toBe(roller);
+      expect(rollServer.rooms.size).toBe(2);
+    });
+  });
+
+  describe('HTTP API', () => {
+    let rollServer;
+
+    beforeEach(async () => {
+      rollServer = new RollServer({ limits: { maxDice: 10 }, maxBodySize: 1000 });
+
+      const { port } = (await rollServer.listen()).address();
+
+      baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterEach(async () => {
+      await rollServer.close();
+    });
+
+    test('stores the server while listening', async () => {
+      expect(rollServer.server).not.toBe(null);
+
+      await expect(rollServer.listen()).rejects.toThrow('The server is already listening');
+
+      await rollServer.close();
+
+      expect(rollServer.server).toBe(null);
+    });
+
+    test('`POST /roll` rolls plain text notation', async () => {
+      const { response, body } = await request('/roll', { method: 'POST', body: '4d6dl1' });
+
+      expect(response.status).toBe(200);
+      expect(body).toEqual(expect.objectContaining({
+        notation: '4d6dl1',
+        total: expect.any(Number),
+        type: 'dice-roll',
+      }));
+      expect(rollServer.getRoom().log).toHaveLength(1);
+    });
+
+    test('`POST /roll` rolls JSON notation', async () => {
+      const { response, body } = await request('/rooms/my-game/roll', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notation: '1d20+5' }),
+      });
+
+      expect(response.status).toBe(200);
+      expect(body).toEqual(JSON.parse(JSON.stringify(rollServer.getRoom('my-game').log[0])));
+      expect(rollServer.getRoom().log).toHaveLength(0);
+    });
+
+    test('`POST /roll` responds with error for invalid requests', async () => {
+      let result = await request('/roll', { method: 'POST', body: '4x' });
+
+      expect(result.response.status).toBe(400);
+      expect(result.body.error).toEqual({
+        message: expect.stringMatching(/^Notation "4x" is invalid/),
+        name: 'NotationError',
+      });
+
+      result = await request('/roll', { method: 'POST', body: '' });
+
+      expect(result.response.status).toBe(400);
+      expect(result.body.error.message).toEqual('Missing argument "notation"');
+
+      result = await request('/roll', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"notation":',
+      });
+
+      expect(result.response.status).toBe(400);
+      expect(result.body.error.message).toEqual('Request body must be valid JSON');
+
+      result = await request('/roll', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notation: '1d6', roller: 'a'.repeat(65) }),
+      });
+
+      expect(result.response.status).toBe(400);
+      expect(result.body.error.message).toEqual('roller must be a string of 1 to 64 characters');
+
+      result = await request('/roll', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notation: '1d6', roller: 5 }),
+      });
+
+      expect(result.response.status).toBe(400);
+
+      expect(rollServer.getRoom().log).toHaveLength(0);
+    });
+
+    test('`POST /roll` applies the limits', async () => {
+      const { response, body } = await request('/roll', { method: 'POST', body: '11d6' });
+
+      expect(response.status).toBe(422);
+      expect(body.error).toEqual({
+        message: 'Notation exceeds the "maxDice" limit of 10',
+        name: 'LimitError',
+      });
+    });
+
+    test('`POST /roll` leaves the log unchanged if the roll fails', async () => {
+      const roller = rollServer.getRoom();
+      roller.roll('1d6');
+
+      const spy = jest.spyOn(DiceRoll.prototype, 'toJSON').mockImplementation(() => {
+        throw new LimitError('timeout', 100);
+      });
+
+      const { response } = await request('/roll', { method: 'POST', body: '4d6' });
+
+      spy.mockRestore();
+
+      expect(response.status).toBe(422);
+      expect(roller.log).toHaveLength(1);
+      expect(roller.log[0].notation).toEqual('1d6');
+      expect((await request('/log')).response.status).toBe(200);
+    });
+
+    test('`POST /roll` responds with error if the log is full', async () => {
+      await rollServer.close();
+
+      rollServer = new RollServer({ maxLogLength: 2 });
+      baseUrl = `http://127.0.0.1:${(await rollServer.listen()).address().port}`;
+
+      await request('/roll', { method: 'POST', body: '1d6' });
+      await request('/roll', { method: 'POST', body: '1d6' });
+
+      const { response, body } = await request('/roll', { method: 'POST', body: '1d6' });
+
+      expect(response.status).toBe(409);
+      expect(body.error.message).toEqual('The roll log cannot have more than 2 rolls');
+      expect(rollServer.getRoom().log).toHaveLength(2);
+    });
+
+    test('`POST /roll` responds with error if there are too many rooms', async () => {
+      await rollServer.close();
+
+      rollServer = new RollServer({ maxRooms: 1 });
+      baseUrl = `http://127.0.0.1:${(await rollServer.listen()).address().port}`;
+
+      await request('/roll', { method: 'POST', body: '1d6' });
+
+      const { response, body } = await request('/rooms/foo/roll', { method: 'POST', body: '1d6' });
+
+      expect(response.status).toBe(503);
+      expect(body.error.message).toEqual('There cannot be more than 1 rooms');
+      expect([...rollServer.rooms.keys()]).toEqual(['default']);
+    });
+
+    test('`POST /roll` responds with error for large bodies', async () => {
+      const { response } = await request('/roll', { method: 'POST', body: `1d6${'+1'.repeat(1000)}` });
+
+      expect(response.status).toBe(413);
+    });
+
+    test('reading a room does not create it', async () => {
+      let result = await request('/rooms/foo/log');
+
+      expect(result.response.status).toBe(200);
+      expect(result.body).toEqual(new DiceRoller().export(exportFormats.OBJECT));
+
+      result = await request('/rooms/foo/export?format=base64');
+
+      expect(result.response.status).toBe(200);
+
+      result = await request('/rooms/foo/log', { method: 'DELETE' });
+
+      expect(result.response.status).toBe(204);
+      expect(rollServer.rooms).toEqual(new Map());
+    });
+
+    test('invalid rolls and imports do not create the room', async () => {
+      await request('/rooms/foo/roll', { method: 'POST', body: '4x' });
+      await request('/rooms/foo/import', { method: 'POST', body: 'foo' });
+
+      expect(rollServer.rooms).toEqual(new Map());
+    });
+
+    test('`GET /log` responds with the roller', async () => {
+      const roller = rollServer.getRoom('my-game');
+      roller.roll('4d6', '1d20');
+
+      const { response, body } = await request('/rooms/my-game/log');
+
+      expect(response.status).toBe(200);
+      expect(body).toEqual(roller.export(exportFormats.OBJECT));
+    });
+
+    test('`DELETE /log` clears the log', async () => {
+      rollServer.getRoom().roll('4d6');
+
+      const { response, body } = await request('/log', { method: 'DELETE' });
+
+      expect(response.status).toBe(204);
+      expect(body).toEqual('');
+      expect(rollServer.getRoom().log).toHaveLength(0);
+    });
+
+    test('`POST /import` adds the data to the log', async () => {
+      const data = new DiceRoller([new DiceRoll('1d6', { seed: 1 })]).export();
+
+      const { response, body } = await request('/import', { method: 'POST', body: data });
+
+      expect(response.status).toBe(200);
+      expect(body.log).toHaveLength(1);
+      expect(rollServer.getRoom().log[0].notation).toEqual('1d6');
+    });
+
+    test('`POST /import` responds with error for invalid data', async () => {
+      const { response, body } = await request('/import', { method: 'POST', body: 'foo' });
+
+      expect(response.status).toBe(400);
+      expect(body.error.message).toEqual('Invalid data format: foo');
+
+      const result = await request('/import', { method: 'POST', body: ' ' });
+
+      expect(result.response.status).toBe(400);
+      expect(result.body.error.message).toEqual('Missing argument "data"');
+    });
+
+    test('`POST /import` applies the limits', async () => {
+      const roller = rollServer.getRoom();
+      roller.roll('1d6');
+
+      const { response, body } = await request('/import', {
+        method: 'POST',
+        body: JSON.stringify({ log: [{ notation: '4d6' }, { notation: '11d6' }] }),
+      });
+
+      expect(response.status).toBe(422);
+      expect(body.error.message).toEqual('Notation exceeds the "maxDice" limit of 10');
+      expect(roller.log).toHaveLength(1);
+    });
+
+    test('`POST /import` responds with error if the log would be full', async () => {
+      await rollServer.close();
+
+      rollServer = new RollServer({ maxLogLength: 2 });
+      baseUrl = `http://127.0.0.1:${(await rollServer.listen()).address().port}`;
+
+      rollServer.getRoom().roll('1d6');
+
+      const { response } = await request('/import', {
+        method: 'POST',
+        body: JSON.stringify([{ notation: '1d6' }, { notation: '1d8' }]),
+      });
+
+      expect(response.status).toBe(409);
+      expect(rollServer.getRoom().log).toHaveLength(1);
+    });
+
+    test('`GET /export` exports the roller', async () => {
+      const roller = rollServer.getRoom();
+      roller.roll('4d6');
+
+      let result = await request('/export');
+
+      expect(result.response.status).toBe(200);
+      expect(result.body).toEqual(roller.export(exportFormats.OBJECT));
+
+      result = await request('/export?format=base64');
+
+      expect(result.response.status).toBe(200);
+      expect(result.response.headers.get('content-type')).toMatch(/^text\/plain/);
+      expect(result.body).toEqual(roller.export(exportFormats.BASE_64));
+
+      result = await request('/export?format=foo');
+
+      expect(result.response.status).toBe(400);
+    });
+
+    test('responds with error for unknown paths', async () => {
+      const { response } = await request('/foo');
+
+      expect(response.status).toBe(404);
+      expect((await request('/rooms/foo/bar/roll')).response.status).toBe(404);
+    });
+
+    test('responds with error for invalid methods', async () => {
+      const { response } = await request('/roll');
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get('allow')).toEqual('POST');
+    });
+
+    test('responds with error for invalid room names', async () => {
+      const { response } = await request('/rooms/foo%20bar/log');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('responds with error for `GET /ws` without upgrading', async () => {
+      const { response } = await request('/ws');
+
+      expect(response.status).toBe(426);
+      expect(response.headers.get('upgrade')).toEqual('websocket');
+    });
+  });
+
+  describe('WebSocket subscriptions', () => {
+    let rollServer;
+
+    /**
+     * Open a WebSocket connection, and collect the messages that it receives.
+     */
+    const connect = (path) => new Promise((resolve, reject) => {
+      const upgradeRequest = httpRequest(`${baseUrl}${path}`, {
+        headers: {
+          Connection: 'Upgrade',
+          'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+          'Sec-WebSocket-Version': '13',
+          Upgrade: 'websocket',
+        },
+      });
+
+      upgradeRequest.on('upgrade', (response, socket, head) => {
+        const messages = [];
+        const waiting = [];
+        let buffer = Buffer.alloc(0);
+
+        const receive = (data) => {
+          buffer = Buffer.concat([buffer, data]);
+
+          // server frames are unmasked, and the test messages are less than 64KB
+          while ((buffer.length >= 2) && (buffer.length >= 4 || buffer[1] < 126)) {
+            const offset = (buffer[1] === 126) ? 4 : 2;
+            const length = (buffer[1] === 126) ? buffer.readUInt16BE(2) : buffer[1];
+
+            if (buffer.length < offset + length) {
+              break;
+            }
+
+            const payload = buffer.subarray(offset, offset + length);
+
+            messages.push({ opcode: buffer[0] - 0x80, payload });
+            buffer = buffer.subarray(offset + length);
+          }
+
+          while (messages.length && waiting.length) {
+            waiting.shift()(messages.shift());
+          }
+        };
+
+        // any data received with the upgrade response is passed as the head
+        receive(head);
+        socket.on('data', receive);
+
+        resolve({
+          nextFrame: () => (messages.length
+            ? Promise.resolve(messages.shift())
+            : new Promise((resolveFrame) => { waiting.push(resolveFrame); })),
+          async nextMessage() {
+            return JSON.parse((await this.nextFrame()).payload.toString());
+          },
+          response,
+          socket,
+        });
+      });
+      upgradeRequest.on('response', (response) => resolve({ response, socket: null }));
+      upgradeRequest.on('error', reject);
+      upgradeRequest.end();
+    });
+
+    beforeEach(async () => {
+      rollServer = new RollServer();
+
+      const { port } = (await rollServer.listen()).address();
+
+      baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterEach(async () => {
+      await rollServer.close();
+    });
+
+    test('sends the existing log when subscribing', async () => {
+      const roller = rollServer.getRoom('my-game');
+      roller.roll('4d6', '1d20');
+
+      const client = await connect('/rooms/my-game/ws');
+
+      expect(client.response.statusCode).toBe(101);
+      expect(await client.nextMessage()).toEqual({
+        event: 'log',
+        log: roller.export(exportFormats.OBJECT),
+        room: 'my-game',
+      });
+
+      client.socket.destroy();
+    });
+
+    test('broadcasts new rolls to the room', async () => {
+      const client = await connect('/ws');
+      const otherRoom = await connect('/rooms/other/ws');
+      const otherMessage = jest.fn();
+
+      await client.nextMessage();
+      await otherRoom.nextMessage();
+      otherRoom.nextMessage().then(otherMessage);
+
+      const { body } = await request('/roll', { method: 'POST', body: '4d6dl1' });
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'roll',
+        roll: body,
+        room: 'default',
+        roller: null,
+      });
+      expect(otherMessage).not.toHaveBeenCalled();
+
+      client.socket.destroy();
+      otherRoom.socket.destroy();
+    });
+
+    test('broadcasts the identity of the roller', async () => {
+      const client = await connect('/ws');
+
+      await client.nextMessage();
+
+      const { body } = await request('/roll', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notation: '4d6dl1', roller: ' Alice ' }),
+      });
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'roll',
+        roll: body,
+        room: 'default',
+        roller: 'Alice',
+      });
+
+      // the identity is only used for the request's roll
+      const roll = rollServer.getRoom().roll('1d6');
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'roll',
+        roll: JSON.parse(JSON.stringify(roll)),
+        room: 'default',
+        roller: null,
+      });
+
+      client.socket.destroy();
+    });
+
+    test('broadcasts the log when it is imported, removed from, or cleared', async () => {
+      const client = await connect('/ws');
+      const data = new DiceRoller([new DiceRoll('1d6', { seed: 1 })]).export();
+
+      await client.nextMessage();
+      await request('/import', { method: 'POST', body: data });
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'log',
+        log: rollServer.getRoom().export(exportFormats.OBJECT),
+        room: 'default',
+      });
+
+      rollServer.getRoom().removeLast();
+
+      expect(await client.nextMessage()).toEqual(expect.objectContaining({
+        event: 'log',
+        log: expect.objectContaining({ log: [] }),
+      }));
+
+      rollServer.getRoom().roll('1d6');
+      await client.nextMessage();
+      await request('/log', { method: 'DELETE' });
+
+      expect(await client.nextMessage()).toEqual(expect.objectContaining({
+        event: 'log',
+        log: expect.objectContaining({ log: [], total: 0 }),
+      }));
+
+      client.socket.destroy();
+    });
+
+    test('closes the connections if the message cannot be built', async () => {
+      const client = await connect('/ws');
+      const roller = rollServer.getRoom();
+
+      await client.nextMessage();
+
+      const spy = jest.spyOn(DiceRoll.prototype, 'toJSON').mockImplementationOnce(() => {
+        throw new LimitError('timeout', 100);
+      });
+
+      expect(() => {
+        roller.roll('1d6');
+      }).not.toThrow();
+      expect(roller.log).toHaveLength(1);
+
+      spy.mockRestore();
+
+      const { opcode, payload } = await client.nextFrame();
+
+      expect(opcode).toBe(0x8);
+      expect(payload.readUInt16BE(0)).toBe(1011);
+      expect(payload.subarray(2).toString()).toEqual('The roll log could not be sent');
+
+      client.socket.destroy();
+    });
+
+    test('closes the connection if the log cannot be sent', async () => {
+      const roller = rollServer.getRoom();
+      const spy = jest.spyOn(roller, 'export').mockImplementationOnce(() => {
+        throw new LimitError('timeout', 100);
+      });
+
+      const client = await connect('/ws');
+      const { opcode, payload } = await client.nextFrame();
+
+      expect(opcode).toBe(0x8);
+      expect(payload.readUInt16BE(0)).toBe(1011);
+      expect(payload.subarray(2).toString()).toEqual('The roll log could not be sent');
+      expect(rollServer.server).not.toBe(null);
+
+      spy.mockRestore();
+      client.socket.destroy();
+    });
+
+    test('broadcasts rolls made with the room roller', async () => {
+      const client = await connect('/rooms/my-game/ws');
+
+      await client.nextMessage();
+
+      const roll = rollServer.getRoom('my-game').roll('1d20');
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'roll',
+        roll: JSON.parse(JSON.stringify(roll)),
+        room: 'my-game',
+        roller: null,
+      });
+
+      client.socket.destroy();
+    });
+
+    test('closes the connections when the server closes', async () => {
+      const client = await connect('/ws');
+
+      await client.nextMessage();
+      await rollServer.close();
+
+      const { opcode, payload } = await client.nextFrame();
+
+      expect(opcode).toBe(0x8);
+      expect(payload.readUInt16BE(0)).toBe(1001);
+
+      client.socket.destroy();
+    });
+
+    test('removes closed connections', async () => {
+      const client = await connect('/ws');
+
+      await client.nextMessage();
+
+      const [connection] = rollServer.subscribers.get('default');
+      const closed = new Promise((resolve) => { connection.once('close', resolve); });
+
+      expect(connection).toBeInstanceOf(WebSocketConnection);
+
+      client.socket.destroy();
+      await closed;
+
+      expect(rollServer.subscribers).toEqual(new Map());
+    });
+
+    test('rejects unknown paths', async () => {
+      const { response, socket } = await connect('/foo/ws');
+
+      expect(socket).toBe(null);
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('rejects invalid room names', async () => {
+      const { response, socket } = await connect('/rooms/foo%20bar/ws');
+
+      expect(socket).toBe(null);
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('does not remove idle rooms with subscribers', async () => {
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+      rollServer.getRoom('foo');
+      rollServer.getRoom('bar');
+
+      const client = await connect('/rooms/foo/ws');
+
+      await client.nextMessage();
+
+      spy.mockReturnValue(rollServer.roomTimeout);
+      rollServer.getRoom('baz');
+
+      expect([...rollServer.rooms.keys()]).toEqual(['foo', 'baz']);
+
+      client.socket.destroy();
+      spy.mockRestore();
+    });
+
+    test('subscribing does not create the room', async () => {
+      const client = await connect('/rooms/foo/ws');
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'log',
+        log: new DiceRoller().export(exportFormats.OBJECT),
+        room: 'foo',
+      });
+      expect(rollServer.rooms).toEqual(new Map());
+
+      const { body } = await request('/rooms/foo/roll', { method: 'POST', body: '1d6' });
+
+      expect(await client.nextMessage()).toEqual({
+        event: 'roll',
+        roll: body,
+        room: 'foo',
+        roller: null,
+      });
+
+      client.socket.destroy();
+    });
+  });
+});
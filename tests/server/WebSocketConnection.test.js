@@ -0,0 +1,287 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import WebSocketConnection from '../../src/server/WebSocketConnection.js';
+
+/**
+ * Create a masked frame, as sent by a client.
+ */
+const createClientFrame = (opcode, text = '', { fin = true } = {}) => {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([(fin ? 0x80 : 0) + opcode, 0x80 + payload.length]);
+  } else {
+    header = Buffer.from([(fin ? 0x80 : 0) + opcode, 0x80 + 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  }
+
+  // eslint-disable-next-line no-bitwise
+  const masked = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+
+  return Buffer.concat([header, mask, masked]);
+};
+
+/**
+ * Create a fake network socket.
+ */
+const createSocket = () => Object.assign(new EventEmitter(), {
+  end: jest.fn(),
+  write: jest.fn(),
+});
+
+describe('WebSocketConnection', () => {
+  let connection;
+  let socket;
+
+  beforeEach(() => {
+    socket = createSocket();
+    connection = new WebSocketConnection(socket);
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(connection).toBeInstanceOf(WebSocketConnection);
+      expect(connection).toBeInstanceOf(EventEmitter);
+      expect(connection).toEqual(expect.objectContaining({
+        close: expect.any(Function),
+        isClosed: false,
+        maxMessageSize: 1048576,
+        send: expect.any(Function),
+      }));
+    });
+
+    test('can set the max message size', () => {
+      expect(new WebSocketConnection(createSocket(), { maxMessageSize: 10 }).maxMessageSize)
+        .toBe(10);
+    });
+
+    test('throws error for invalid max message size', () => {
+      expect(() => {
+        new WebSocketConnection(createSocket(), { maxMessageSize: 0 });
+      }).toThrow(RangeError);
+
+      expect(() => {
+        new WebSocketConnection(createSocket(), { maxMessageSize: 'foo' });
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Accept', () => {
+    test('completes the handshake', () => {
+      const key = 'dGhlIHNhbXBsZSBub25jZQ==';
+
+      connection = WebSocketConnection.accept({
+        headers: { 'sec-websocket-key': key, upgrade: 'WebSocket' },
+        method: 'GET',
+      }, socket);
+
+      expect(connection).toBeInstanceOf(WebSocketConnection);
+      expect(socket.write).toHaveBeenCalledWith([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        // the example accept key from RFC 6455
+        'Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=',
+        '',
+        '',
+      ].join('\r\n'));
+      expect(createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64'))
+        .toEqual('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    test('rejects invalid upgrade requests', () => {
+      expect(WebSocketConnection.accept({ headers: { upgrade: 'websocket' }, method: 'GET' }, socket))
+        .toBe(null);
+      expect(WebSocketConnection.accept({
+        headers: { 'sec-websocket-key': 'foo', upgrade: 'websocket' },
+        method: 'POST',
+      }, socket)).toBe(null);
+      expect(WebSocketConnection.accept({
+        headers: { 'sec-websocket-key': 'foo' },
+        method: 'GET',
+      }, socket)).toBe(null);
+
+      expect(socket.end).toHaveBeenCalledTimes(3);
+      expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 400 Bad Request/));
+    });
+  });
+
+  describe('Send', () => {
+    test('sends text frames', () => {
+      connection.send('hello');
+
+      expect(socket.write).toHaveBeenCalledWith(Buffer.concat([
+        Buffer.from([0x81, 5]),
+        Buffer.from('hello'),
+      ]));
+    });
+
+    test('sends objects as JSON', () => {
+      connection.send({ foo: 'bar' });
+
+      expect(socket.write.mock.calls[0][0].subarray(2).toString()).toEqual('{"foo":"bar"}');
+    });
+
+    test('sends medium length frames', () => {
+      const text = 'a'.repeat(200);
+
+      connection.send(text);
+
+      const frame = socket.write.mock.calls[0][0];
+
+      expect([...frame.subarray(0, 4)]).toEqual([0x81, 126, 0, 200]);
+      expect(frame.subarray(4).toString()).toEqual(text);
+    });
+
+    test('sends long frames', () => {
+      const text = 'a'.repeat(70000);
+
+      connection.send(text);
+
+      const frame = socket.write.mock.calls[0][0];
+
+      expect(frame[1]).toBe(127);
+      expect(frame.readUInt32BE(6)).toBe(70000);
+      expect(frame.subarray(10).toString()).toEqual(text);
+    });
+
+    test('does not send once closed', () => {
+      connection.close();
+      connection.send('hello');
+
+      expect(socket.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Receive', () => {
+    test('emits text messages', () => {
+      const listener = jest.fn();
+      connection.on('message', listener);
+
+      socket.emit('data', createClientFrame(0x1, 'hello'));
+
+      expect(listener).toHaveBeenCalledWith('hello');
+    });
+
+    test('emits messages split across data chunks', () => {
+      const listener = jest.fn();
+      const frame = createClientFrame(0x1, 'a'.repeat(300));
+      connection.on('message', listener);
+
+      socket.emit('data', frame.subarray(0, 3));
+      socket.emit('data', frame.subarray(3, 100));
+
+      expect(listener).not.toHaveBeenCalled();
+
+      socket.emit('data', frame.subarray(100));
+
+      expect(listener).toHaveBeenCalledWith('a'.repeat(300));
+    });
+
+    test('emits multiple messages in one data chunk', () => {
+      const listener = jest.fn();
+      connection.on('message', listener);
+
+      socket.emit('data', Buffer.concat([createClientFrame(0x1, 'foo'), createClientFrame(0x1, 'bar')]));
+
+      expect(listener.mock.calls).toEqual([['foo'], ['bar']]);
+    });
+
+    test('emits fragmented messages', () => {
+      const listener = jest.fn();
+      connection.on('message', listener);
+
+      socket.emit('data', createClientFrame(0x1, 'foo', { fin: false }));
+      socket.emit('data', createClientFrame(0x0, 'bar'));
+
+      expect(listener).toHaveBeenCalledWith('foobar');
+    });
+
+    test('responds to pings', () => {
+      socket.emit('data', createClientFrame(0x9, 'ping'));
+
+      expect(socket.write).toHaveBeenCalledWith(Buffer.concat([
+        Buffer.from([0x8A, 4]),
+        Buffer.from('ping'),
+      ]));
+    });
+
+    test('echoes close frames', () => {
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(1000);
+
+      socket.emit('data', createClientFrame(0x8, payload));
+
+      expect(connection.isClosed).toBe(true);
+      expect(socket.end).toHaveBeenCalledWith(Buffer.from([0x88, 2, 0x03, 0xE8]));
+    });
+
+    test('closes for unmasked frames', () => {
+      socket.emit('data', Buffer.from([0x81, 0]));
+
+      expect(connection.isClosed).toBe(true);
+      expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1002);
+    });
+
+    test('closes for binary messages', () => {
+      socket.emit('data', createClientFrame(0x2, 'foo'));
+
+      expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1003);
+    });
+
+    test('closes for unexpected continuation frames', () => {
+      socket.emit('data', createClientFrame(0x0, 'foo'));
+
+      expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1002);
+    });
+
+    test('closes for messages that are too big', () => {
+      const listener = jest.fn();
+      connection = new WebSocketConnection(socket, { maxMessageSize: 5 });
+      connection.on('message', listener);
+
+      socket.emit('data', createClientFrame(0x1, 'foobar'));
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1009);
+    });
+  });
+
+  describe('Close', () => {
+    test('sends a close frame', () => {
+      connection.close(1001, 'bye');
+
+      expect(connection.isClosed).toBe(true);
+      expect(socket.end).toHaveBeenCalledWith(Buffer.concat([
+        Buffer.from([0x88, 5, 0x03, 0xE9]),
+        Buffer.from('bye'),
+      ]));
+    });
+
+    test('only closes once', () => {
+      connection.close();
+      connection.close();
+
+      expect(socket.end).toHaveBeenCalledTimes(1);
+    });
+
+    test('ends the socket when the client ends it', () => {
+      socket.emit('end');
+
+      expect(connection.isClosed).toBe(true);
+      expect(socket.end).toHaveBeenCalledWith();
+    });
+
+    test('emits close when the socket closes', () => {
+      const listener = jest.fn();
+      connection.on('close', listener);
+
+      socket.emit('close');
+
+      expect(listener).toHaveBeenCalled();
+      expect(connection.isClosed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { StandardDice } from '../../src/dice/index.js';
+import { LimitError } from '../../src/exceptions/index.js';
+import { engines, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
+import ExplodeModifier from '../../src/modifiers/ExplodeModifier.js';
+import LimitedNumberGenerator from '../../src/utilities/LimitedNumberGenerator.js';
+import Limits from '../../src/Limits.js';
+
+describe('LimitedNumberGenerator', () => {
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      const limits = new Limits();
+      const numberGenerator = new LimitedNumberGenerator(new NumberGenerator(), limits);
+
+      expect(numberGenerator).toBeInstanceOf(NumberGenerator);
+      expect(numberGenerator).toEqual(expect.objectContaining({
+        addDice: expect.any(Function),
+        checkTime: expect.any(Function),
+        dice: 0,
+        engine: expect.any(Object),
+        integer: expect.any(Function),
+        iterations: 0,
+        limits,
+        real: expect.any(Function),
+      }));
+    });
+
+    test('uses the engine of the generator', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(engines.max),
+        new Limits(),
+      );
+
+      expect(numberGenerator.engine).toBe(engines.max);
+      expect(numberGenerator.integer(1, 6)).toBe(6);
+    });
+
+    test('continues the sequence of a seeded engine', () => {
+      const expected = new NumberGenerator(engines.MersenneTwister19937.seed(42));
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(engines.MersenneTwister19937.seed(42)),
+        new Limits(),
+      );
+
+      for (let i = 0; i < 5; i++) {
+        expect(numberGenerator.integer(1, 20)).toBe(expected.integer(1, 20));
+      }
+    });
+  });
+
+  describe('Dice', () => {
+    test('counts the dice rolled', () => {
+      const numberGenerator = new LimitedNumberGenerator(new NumberGenerator(), new Limits());
+      const die = new StandardDice(6, 4);
+
+      die.generator = numberGenerator;
+      die.roll();
+      die.roll();
+
+      expect(numberGenerator.dice).toBe(8);
+      expect(numberGenerator.iterations).toBe(0);
+    });
+
+    test('throws error if too many dice are rolled', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(),
+        new Limits({ maxDice: 10 }),
+      );
+      const die = new StandardDice(6, 6);
+
+      die.generator = numberGenerator;
+      die.roll();
+
+      expect(() => {
+        die.roll();
+      }).toThrow(LimitError);
+    });
+
+    test('checks the dice before rolling them', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(),
+        new Limits({ maxDice: 10 }),
+      );
+      const spy = jest.spyOn(numberGenerator, 'integer');
+      const die = new StandardDice(6, 999);
+
+      die.generator = numberGenerator;
+
+      expect(() => {
+        die.roll();
+      }).toThrow('Notation exceeds the "maxDice" limit of 10');
+      expect(spy).not.toHaveBeenCalled();
+
+      spy.mockRestore();
+    });
+
+    test('throws error if a die has too many sides', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(),
+        new Limits({ maxSides: 100 }),
+      );
+
+      expect(() => {
+        numberGenerator.addDice(new StandardDice(100));
+      }).not.toThrow();
+
+      expect(() => {
+        numberGenerator.addDice(new StandardDice(101));
+      }).toThrow(LimitError);
+    });
+  });
+
+  describe('Iterations', () => {
+    test('counts re-rolls and explosions', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(engines.max),
+        new Limits(),
+      );
+      const die = new StandardDice(6, 2, new Map([['explode', new ExplodeModifier()]]));
+
+      die.generator = numberGenerator;
+      die.roll();
+
+      expect(numberGenerator.dice).toBe(2);
+      expect(numberGenerator.iterations).toBe(2000);
+    });
+
+    test('throws error if there are too many re-rolls and explosions', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(engines.max),
+        new Limits({ maxIterations: 25 }),
+      );
+      const die = new StandardDice(6, 2, new Map([['explode', new ExplodeModifier()]]));
+
+      die.generator = numberGenerator;
+
+      expect(() => {
+        die.roll();
+      }).toThrow(LimitError);
+      expect(numberGenerator.iterations).toBe(26);
+    });
+
+    test('all values generated without a die are iterations', () => {
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(),
+        new Limits({ maxIterations: 1 }),
+      );
+
+      numberGenerator.real(0, 1);
+
+      expect(() => {
+        numberGenerator.integer(1, 6);
+      }).toThrow(LimitError);
+    });
+  });
+
+  describe('Timeout', () => {
+    test('throws error if the time budget runs out', () => {
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const numberGenerator = new LimitedNumberGenerator(
+        new NumberGenerator(),
+        new Limits({ timeout: 50 }),
+      );
+
+      spy.mockReturnValue(1050);
+      expect(() => {
+        numberGenerator.integer(1, 6);
+      }).not.toThrow();
+
+      spy.mockReturnValue(1051);
+      expect(() => {
+        numberGenerator.integer(1, 6);
+      }).toThrow(LimitError);
+
+      expect(() => {
+        numberGenerator.checkTime();
+      }).toThrow(expect.objectContaining({ limit: 'timeout', max: 50, value: 51 }));
+
+      spy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import LruCache from '../../src/utilities/LruCache.js';
+
+describe('LruCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new LruCache(3);
+  });
+
+  describe('Initialisation', () => {
+    test('model structure', () => {
+      expect(cache).toEqual(expect.objectContaining({
+        clear: expect.any(Function),
+        delete: expect.any(Function),
+        get: expect.any(Function),
+        has: expect.any(Function),
+        maxSize: 3,
+        prune: expect.any(Function),
+        set: expect.any(Function),
+        size: 0,
+      }));
+    });
+
+    test('max size defaults to 100', () => {
+      expect(new LruCache().maxSize).toBe(100);
+    });
+
+    test('throws error if max size is invalid', () => {
+      expect(() => {
+        new LruCache('foo');
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new LruCache(1.5);
+      }).toThrow(TypeError);
+
+      expect(() => {
+        new LruCache(-1);
+      }).toThrow(RangeError);
+    });
+  });
+
+  describe('Entries', () => {
+    test('can set and get values', () => {
+      expect(cache.set('a', 1)).toBe(cache);
+      cache.set('b', { foo: 'bar' });
+
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('b')).toEqual({ foo: 'bar' });
+      expect(cache.get('c')).toBe(undefined);
+      expect(cache.size).toBe(2);
+    });
+
+    test('can check for keys', () => {
+      cache.set('a', 1);
+
+      expect(cache.has('a')).toBe(true);
+      expect(cache.has('b')).toBe(false);
+    });
+
+    test('can delete entries', () => {
+      cache.set('a', 1);
+
+      expect(cache.delete('a')).toBe(true);
+      expect(cache.delete('a')).toBe(false);
+      expect(cache.has('a')).toBe(false);
+    });
+
+    test('can clear entries', () => {
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.clear();
+
+      expect(cache.size).toBe(0);
+    });
+
+    test('setting an existing key replaces the value', () => {
+      cache.set('a', 1);
+      cache.set('a', 2);
+
+      expect(cache.get('a')).toBe(2);
+      expect(cache.size).toBe(1);
+    });
+  });
+
+  describe('Eviction', () => {
+    test('removes the oldest entry when full', () => {
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.set('c', 3);
+      cache.set('d', 4);
+
+      expect(cache.size).toBe(3);
+      expect(cache.has('a')).toBe(false);
+      expect(cache.has('d')).toBe(true);
+    });
+
+    test('getting an entry marks it as recently used', () => {
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.set('c', 3);
+      cache.get('a');
+      cache.set('d', 4);
+
+      expect(cache.has('a')).toBe(true);
+      expect(cache.has('b')).toBe(false);
+    });
+
+    test('checking for a key does not mark it as used', () => {
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.set('c', 3);
+      cache.has('a');
+      cache.set('d', 4);
+
+      expect(cache.has('a')).toBe(false);
+    });
+
+    test('reducing the max size removes the oldest entries', () => {
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.set('c', 3);
+      cache.maxSize = 1;
+
+      expect(cache.size).toBe(1);
+      expect(cache.has('c')).toBe(true);
+    });
+
+    test('max size of zero stores nothing', () => {
+      cache.maxSize = 0;
+      cache.set('a', 1);
+
+      expect(cache.size).toBe(0);
+    });
+  });
+});
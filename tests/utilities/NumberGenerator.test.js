@@ -1,5 +1,5 @@
 import { Random } from 'random-js';
-import { engines, generator } from '../../src/utilities/NumberGenerator.js';
+import { engines, generator, NumberGenerator } from '../../src/utilities/NumberGenerator.js';
 
 describe('NumberGenerator', () => {
   describe('initialisation', () => {
@@ -10,6 +10,18 @@ describe('NumberGenerator', () => {
         real: expect.any(Function),
       }));
     });
+
+    test('shared generator is a NumberGenerator', () => {
+      expect(generator).toBeInstanceOf(NumberGenerator);
+    });
+
+    test('can create separate instances', () => {
+      const numberGenerator = new NumberGenerator(engines.max);
+
+      expect(numberGenerator).not.toBe(generator);
+      expect(numberGenerator.engine).toBe(engines.max);
+      expect(generator.engine).toBe(engines.nativeMath);
+    });
   });
 
   describe('engine', () => {
@@ -69,6 +81,25 @@ describe('NumberGenerator', () => {
     });
   });
 
+  describe('engineName', () => {
+    test('returns the name of built-in engines', () => {
+      expect((new NumberGenerator()).engineName).toBe('nativeMath');
+      expect((new NumberGenerator(engines.nodeCrypto)).engineName).toBe('nodeCrypto');
+      expect((new NumberGenerator(engines.min)).engineName).toBe('min');
+      expect((new NumberGenerator(engines.max)).engineName).toBe('max');
+    });
+
+    test('returns `MersenneTwister19937` for seeded engines', () => {
+      const engine = engines.MersenneTwister19937.seed(1234);
+
+      expect((new NumberGenerator(engine)).engineName).toBe('MersenneTwister19937');
+    });
+
+    test('returns `custom` for other engines', () => {
+      expect((new NumberGenerator({ next: () => 0 })).engineName).toBe('custom');
+    });
+  });
+
   describe('generate', () => {
     beforeEach(() => {
       // reset to the default engine
@@ -0,0 +1,222 @@
+import * as expressionUtils from '../../src/utilities/expression.js';
+
+describe('Expression utils', () => {
+  test('model structure', () => {
+    expect(expressionUtils).toEqual(expect.objectContaining({
+      evaluate: expect.any(Function),
+      functions: expect.any(Object),
+      operators: expect.any(Object),
+      precedence: expect.any(Object),
+      reduceExpressionTree: expect.any(Function),
+      toExpressionTree: expect.any(Function),
+    }));
+  });
+
+  describe('toExpressionTree', () => {
+    const { toExpressionTree } = expressionUtils;
+
+    test('returns null for empty expressions', () => {
+      expect(toExpressionTree([])).toBe(null);
+    });
+
+    test('single value', () => {
+      expect(toExpressionTree([4])).toEqual({ type: 'value', value: 4 });
+    });
+
+    test('respects operator precedence', () => {
+      expect(toExpressionTree([2, '+', 4, '*', 3])).toEqual({
+        type: 'operation',
+        operator: '+',
+        left: { type: 'value', value: 2 },
+        right: {
+          type: 'operation',
+          operator: '*',
+          left: { type: 'value', value: 4 },
+          right: { type: 'value', value: 3 },
+        },
+      });
+    });
+
+    test('operators are left associative', () => {
+      expect(toExpressionTree([8, '-', 4, '-', 2])).toEqual({
+        type: 'operation',
+        operator: '-',
+        left: {
+          type: 'operation',
+          operator: '-',
+          left: { type: 'value', value: 8 },
+          right: { type: 'value', value: 4 },
+        },
+        right: { type: 'value', value: 2 },
+      });
+    });
+
+    test('exponents are right associative', () => {
+      expect(toExpressionTree([2, '^', 3, '^', 2])).toEqual({
+        type: 'operation',
+        operator: '^',
+        left: { type: 'value', value: 2 },
+        right: {
+          type: 'operation',
+          operator: '^',
+          left: { type: 'value', value: 3 },
+          right: { type: 'value', value: 2 },
+        },
+      });
+    });
+
+    test('parenthesis are grouped', () => {
+      expect(toExpressionTree(['(', 2, '+', 4, ')', '*', 3])).toEqual({
+        type: 'operation',
+        operator: '*',
+        left: {
+          type: 'operation',
+          operator: '+',
+          left: { type: 'value', value: 2 },
+          right: { type: 'value', value: 4 },
+        },
+        right: { type: 'value', value: 3 },
+      });
+    });
+
+    test('functions have their arguments', () => {
+      expect(toExpressionTree(['floor(', 5, '/', 2, ')'])).toEqual({
+        type: 'function',
+        name: 'floor',
+        args: [
+          {
+            type: 'operation',
+            operator: '/',
+            left: { type: 'value', value: 5 },
+            right: { type: 'value', value: 2 },
+          },
+        ],
+      });
+
+      expect(toExpressionTree(['pow(', 2, ',', 3, ')'])).toEqual({
+        type: 'function',
+        name: 'pow',
+        args: [
+          { type: 'value', value: 2 },
+          { type: 'value', value: 3 },
+        ],
+      });
+    });
+
+    test('operands are not inspected', () => {
+      const operand = { foo: 'bar' };
+
+      expect(toExpressionTree([operand])).toEqual({ type: 'value', value: operand });
+    });
+
+    test('throws error for invalid expressions', () => {
+      expect(() => {
+        toExpressionTree([2, '+']);
+      }).toThrow(SyntaxError);
+
+      expect(() => {
+        toExpressionTree(['(', 2, '+', 4]);
+      }).toThrow(SyntaxError);
+
+      expect(() => {
+        toExpressionTree([2, 4]);
+      }).toThrow(SyntaxError);
+
+      expect(() => {
+        toExpressionTree(['*', 4]);
+      }).toThrow(SyntaxError);
+    });
+  });
+
+  describe('reduceExpressionTree', () => {
+    const {
+      functions, operators, reduceExpressionTree, toExpressionTree,
+    } = expressionUtils;
+    const evaluate = (tokens) => reduceExpressionTree(toExpressionTree(tokens), {
+      value: (value) => value,
+      operation: (operator, left, right) => operators[operator](left, right),
+      function: (name, args) => functions[name](...args),
+    });
+
+    test('evaluates expressions', () => {
+      expect(evaluate([2, '+', 4, '*', 3])).toBe(14);
+      expect(evaluate(['(', 2, '+', 4, ')', '*', 3])).toBe(18);
+      expect(evaluate([2, '^', 3, '^', 2])).toBe(512);
+      expect(evaluate([10, '/', 4])).toBe(2.5);
+      expect(evaluate([10, '%', 4])).toBe(2);
+      expect(evaluate(['floor(', 10, '/', 4, ')'])).toBe(2);
+      expect(evaluate(['max(', 3, ',', 7, ')'])).toBe(7);
+    });
+
+    test('negative numbers bind looser than exponents', () => {
+      expect(evaluate([-2, '^', 2])).toBe(-4);
+      expect(evaluate([-2, '*', 2])).toBe(-4);
+    });
+
+    test('modulus uses the sign of the divisor', () => {
+      expect(evaluate([-5, '%', 3])).toBe(1);
+      expect(evaluate([5, '%', 0])).toBe(5);
+      expect(evaluate([5, '%', '(', -3, ')'])).toBe(-1);
+    });
+
+    test('a negative number after a modulus is subtracted from a percentage', () => {
+      expect(evaluate([5, '%', -3])).toBeCloseTo(-2.95);
+      expect(evaluate([5, '%', -3, '*', 2])).toBeCloseTo(-5.95);
+      expect(evaluate([2, '*', 5, '%', -3])).toBeCloseTo(-2.9);
+      expect(evaluate([1, '+', 5, '%', -3])).toBeCloseTo(-1.95);
+      expect(evaluate([5, '%', -3, '^', 2])).toBeCloseTo(-8.95);
+    });
+
+    test('rounds halves away from zero', () => {
+      expect(evaluate(['round(', 2.5, ')'])).toBe(3);
+      expect(evaluate(['round(', -2.5, ')'])).toBe(-3);
+    });
+  });
+
+  describe('evaluate', () => {
+    const { evaluate } = expressionUtils;
+
+    test('returns 0 for empty expressions', () => {
+      expect(evaluate([])).toBe(0);
+    });
+
+    test('evaluates expressions', () => {
+      expect(evaluate([4])).toBe(4);
+      expect(evaluate([2, '+', 4, '*', 3])).toBe(14);
+      expect(evaluate(['(', 2, '+', 4, ')', '*', 3])).toBe(18);
+      expect(evaluate([2, '^', 3, '^', 2])).toBe(512);
+      expect(evaluate([-2, '^', 2])).toBe(-4);
+      expect(evaluate([10, '/', 4])).toBe(2.5);
+      expect(evaluate([-5, '%', 3])).toBe(1);
+    });
+
+    test('modulus binds tighter than multiplication and division', () => {
+      expect(evaluate([2, '*', 5, '%', 3])).toBe(4);
+      expect(evaluate([4, '*', 6, '%', 7])).toBe(24);
+      expect(evaluate([10, '/', 4, '%', 3])).toBe(10);
+      expect(evaluate([5, '%', 3, '*', 2])).toBe(4);
+      expect(evaluate([2, '^', 3, '%', 5])).toBe(3);
+      expect(evaluate([2, '+', 5, '%', 3])).toBe(4);
+    });
+
+    test('evaluates functions', () => {
+      expect(evaluate(['floor(', 10, '/', 4, ')'])).toBe(2);
+      expect(evaluate(['ceil(', 10, '/', 4, ')'])).toBe(3);
+      expect(evaluate(['round(', -2.5, ')'])).toBe(-3);
+      expect(evaluate(['max(', 3, ',', 7, ')', '+', 1])).toBe(8);
+      expect(evaluate(['pow(', 2, ',', 3, ')'])).toBe(8);
+    });
+
+    test('throws error for unsupported functions', () => {
+      expect(() => {
+        evaluate(['foo(', 2, ')']);
+      }).toThrow(TypeError);
+    });
+
+    test('throws error for invalid expressions', () => {
+      expect(() => {
+        evaluate([2, '+']);
+      }).toThrow(SyntaxError);
+    });
+  });
+});
@@ -308,6 +308,44 @@ describe('Math utils', () => {
     });
   });
 
+  describe('evaluate', () => {
+    test('evaluates mathematical strings', () => {
+      expect(mathUtils.evaluate('5+6')).toBe(11);
+      expect(mathUtils.evaluate('(2 + 4) * 3')).toBe(18);
+      expect(mathUtils.evaluate('2*5%3')).toBe(4);
+      expect(mathUtils.evaluate('10 / 4')).toBe(2.5);
+      expect(mathUtils.evaluate('1.5e2')).toBe(150);
+    });
+
+    test('evaluates signs', () => {
+      expect(mathUtils.evaluate('-2^2')).toBe(-4);
+      expect(mathUtils.evaluate('2*-3')).toBe(-6);
+      expect(mathUtils.evaluate('1 - -2')).toBe(3);
+      expect(mathUtils.evaluate('3-2')).toBe(1);
+      expect(mathUtils.evaluate('-(2+3)')).toBe(-5);
+      expect(mathUtils.evaluate('+4')).toBe(4);
+    });
+
+    test('evaluates functions', () => {
+      expect(mathUtils.evaluate('floor(7/2)')).toBe(3);
+      expect(mathUtils.evaluate('max(1, -4)')).toBe(1);
+    });
+
+    test('evaluates expression tokens', () => {
+      expect(mathUtils.evaluate([5, '+', 6])).toBe(11);
+    });
+
+    test('throws error for invalid equations', () => {
+      expect(() => {
+        mathUtils.evaluate('5+x');
+      }).toThrow(SyntaxError);
+
+      expect(() => {
+        mathUtils.evaluate('5+');
+      }).toThrow(SyntaxError);
+    });
+  });
+
   describe('sumArray', () => {
     test('Sums the values of an array', () => {
       expect(mathUtils.sumArray([4, 6, 234, 14.05, -4])).toBeCloseTo(254.05);
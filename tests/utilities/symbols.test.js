@@ -0,0 +1,152 @@
+import {
+  abbreviations,
+  addSymbols,
+  describeSymbols,
+  isSymbols,
+  netSymbols,
+  parseSymbols,
+  symbolsToString,
+  symbolsValue,
+} from '../../src/utilities/symbols.js';
+
+describe('symbols', () => {
+  describe('abbreviations', () => {
+    test('has an abbreviation for each symbol', () => {
+      expect(abbreviations).toEqual({
+        success: 's',
+        failure: 'f',
+        advantage: 'a',
+        threat: 't',
+        triumph: 'T',
+        despair: 'D',
+      });
+    });
+  });
+
+  describe('isSymbols', () => {
+    test('returns true for objects of counts', () => {
+      expect(isSymbols({})).toBe(true);
+      expect(isSymbols({ success: 1, threat: 2 })).toBe(true);
+    });
+
+    test('returns false for other values', () => {
+      expect(isSymbols(null)).toBe(false);
+      expect(isSymbols('s')).toBe(false);
+      expect(isSymbols(['success'])).toBe(false);
+      expect(isSymbols({ success: 'foo' })).toBe(false);
+      expect(isSymbols({ success: null })).toBe(false);
+    });
+  });
+
+  describe('addSymbols', () => {
+    test('adds the counts together', () => {
+      expect(addSymbols({ success: 1 }, { success: 1, advantage: 2 }, { threat: 1 })).toEqual({
+        success: 2,
+        advantage: 2,
+        threat: 1,
+      });
+    });
+
+    test('ignores null values', () => {
+      expect(addSymbols(null, { success: 1 }, null)).toEqual({ success: 1 });
+    });
+
+    test('returns null if there are no symbols', () => {
+      expect(addSymbols()).toBe(null);
+      expect(addSymbols(null, null)).toBe(null);
+    });
+
+    test('does not modify the arguments', () => {
+      const symbols = { success: 1 };
+
+      addSymbols(symbols, { success: 2 });
+
+      expect(symbols).toEqual({ success: 1 });
+    });
+  });
+
+  describe('netSymbols', () => {
+    test('successes and failures cancel out', () => {
+      expect(netSymbols({ success: 3, failure: 1 })).toEqual({ success: 2 });
+      expect(netSymbols({ success: 1, failure: 3 })).toEqual({ failure: 2 });
+      expect(netSymbols({ success: 2, failure: 2 })).toEqual({});
+    });
+
+    test('advantages and threats cancel out', () => {
+      expect(netSymbols({ advantage: 3, threat: 1 })).toEqual({ advantage: 2 });
+      expect(netSymbols({ advantage: 1, threat: 3 })).toEqual({ threat: 2 });
+    });
+
+    test('triumphs and despairs are not cancelled, but count as successes and failures', () => {
+      expect(netSymbols({ triumph: 1, failure: 1 })).toEqual({ triumph: 1 });
+      expect(netSymbols({ triumph: 1, despair: 1 })).toEqual({ triumph: 1, despair: 1 });
+      expect(netSymbols({ despair: 1, success: 3 })).toEqual({ success: 2, despair: 1 });
+    });
+
+    test('keeps custom symbols', () => {
+      expect(netSymbols({ light: 2, success: 1 })).toEqual({ success: 1, light: 2 });
+    });
+
+    test('returns null for null', () => {
+      expect(netSymbols(null)).toBe(null);
+    });
+  });
+
+  describe('parseSymbols', () => {
+    test('parses abbreviations', () => {
+      expect(parseSymbols('')).toEqual({});
+      expect(parseSymbols('ssa')).toEqual({ success: 2, advantage: 1 });
+      expect(parseSymbols('ftTD')).toEqual({
+        failure: 1, threat: 1, triumph: 1, despair: 1,
+      });
+    });
+
+    test('throws error for unknown symbols', () => {
+      expect(() => {
+        parseSymbols('sx');
+      }).toThrow(TypeError);
+    });
+  });
+
+  describe('symbolsValue', () => {
+    test('returns the net successes', () => {
+      expect(symbolsValue({ success: 2, advantage: 1 })).toBe(2);
+      expect(symbolsValue({ failure: 1, threat: 1 })).toBe(-1);
+      expect(symbolsValue({ triumph: 1 })).toBe(1);
+      expect(symbolsValue({ despair: 1, success: 1 })).toBe(0);
+      expect(symbolsValue({})).toBe(0);
+      expect(symbolsValue(null)).toBe(0);
+    });
+  });
+
+  describe('symbolsToString', () => {
+    test('returns the abbreviations', () => {
+      expect(symbolsToString({ success: 2, advantage: 1 })).toEqual('ssa');
+      expect(symbolsToString({ triumph: 1, despair: 1 })).toEqual('TD');
+    });
+
+    test('returns `-` for no symbols', () => {
+      expect(symbolsToString({})).toEqual('-');
+      expect(symbolsToString(null)).toEqual('-');
+    });
+
+    test('uses the name of custom symbols', () => {
+      expect(symbolsToString({ light: 1 })).toEqual('light');
+    });
+  });
+
+  describe('describeSymbols', () => {
+    test('returns the counts and names', () => {
+      expect(describeSymbols({ success: 2, threat: 1 })).toEqual('2 success, 1 threat');
+    });
+
+    test('ignores zero counts', () => {
+      expect(describeSymbols({ success: 0, threat: 1 })).toEqual('1 threat');
+    });
+
+    test('returns an empty string for no symbols', () => {
+      expect(describeSymbols({})).toEqual('');
+      expect(describeSymbols(null)).toEqual('');
+    });
+  });
+});